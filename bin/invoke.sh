@@ -11,6 +11,7 @@ SF_ORG_ALIAS="$1"
 API_URL="$2"
 PAYLOAD_JSON="$3"
 SESSION_PERMISSION_SET="$4"  # Optional
+HTTP_METHOD="${HTTP_METHOD:-POST}"  # Optional, e.g. HTTP_METHOD=GET for job status
 
 # Fetch Salesforce org details using the Salesforce CLI
 SF_ORG_INFO=$(sf org display -o "$SF_ORG_ALIAS" --json 2>/dev/null)
@@ -85,7 +86,7 @@ EOF
 ENCODED_CLIENT_CONTEXT=$(echo -n "$CLIENT_CONTEXT_JSON" | base64)
 
 # Make the request
-RESPONSE=$(curl -s -w "\nHTTP Status: %{http_code}\n" -X POST "$API_URL" \
+RESPONSE=$(curl -s -w "\nHTTP Status: %{http_code}\n" -X "$HTTP_METHOD" "$API_URL" \
   -H "Content-Type: application/json" \
   -H "x-client-context: $ENCODED_CLIENT_CONTEXT" \
   -d "$PAYLOAD_JSON")
@@ -0,0 +1,48 @@
+#!/usr/bin/env node
+'use strict';
+
+// Renders a Quote PDF locally, without an org, to preview a quote template.
+// Renders a built-in sample Quote unless --data names a JSON file with the values to render,
+// shaped like the sample below.
+
+import fs from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import config from '../server/config/index.js';
+import { loadQuoteTemplate, renderQuotePdf } from '../server/services/quotepdf.js';
+
+const SAMPLE_QUOTE = {
+  quote: { id: '0Q0000000000001AAA', name: 'New Quote', status: 'Draft', expirationDate: '2025-07-31' },
+  opportunity: { name: 'Sample Opportunity 1' },
+  account: { name: 'Sample Account 1' },
+  lineItems: [
+    { product: 'GenWatt Diesel 1000kW', productCode: 'GC1060', quantity: 2, listPrice: 100000, unitPrice: 90000, discount: 0.1, total: 180000, pricing: 'namer (rules 1.0.0)' },
+    { product: 'Installation: Industrial - High', productCode: 'IN7080', quantity: 1, listPrice: 85000, unitPrice: 76500, discount: 0.1, total: 76500, pricing: 'namer (rules 1.0.0)' },
+    { product: 'SLA: Platinum', productCode: 'SL9080', quantity: 1, listPrice: 40000, unitPrice: 36000, discount: 0.1, total: 36000, pricing: 'namer (rules 1.0.0)' }
+  ],
+  totals: { listTotal: 325000, discount: 32500, total: 292500, lineItemCount: 3 },
+  generatedAt: new Date().toISOString()
+};
+
+const { values: options } = parseArgs({
+  options: {
+    template: { type: 'string', default: config.quoteTemplateFile },
+    data: { type: 'string' },
+    out: { type: 'string', default: 'quote-preview.pdf' },
+    help: { type: 'boolean', short: 'h' }
+  }
+});
+
+if (options.help) {
+  console.log('Usage: node bin/render-quote.js [--template <file.json|file.yaml>] [--data <quote.json>] [--out <file.pdf>]');
+  process.exit(0);
+}
+
+try {
+  const template = await loadQuoteTemplate(options.template);
+  const data = options.data ? JSON.parse(await fs.readFile(options.data, 'utf8')) : SAMPLE_QUOTE;
+  await fs.writeFile(options.out, renderQuotePdf(template, data));
+  console.log(`Rendered ${options.data || 'the sample Quote'} with template ${template.source} (version ${template.version}) to ${options.out}`);
+} catch (error) {
+  console.error(`Failed to render the quote: ${error.message}`);
+  process.exit(1);
+}
@@ -1,11 +1,96 @@
 import 'dotenv/config';
+import { fileURLToPath } from 'node:url';
 
 // Centralized configuration
 const config = {
   env: process.env.NODE_ENV || 'development',
   port: process.env.APP_PORT || 5000,
   logLevel: process.env.LOG_LEVEL || 'info',
-  redisUrl: process.env.REDIS_URL || 'redis://localhost:6379' // Default for local dev
+  redisUrl: process.env.REDIS_URL || 'redis://localhost:6379', // Default for local dev
+  // Jobs not acknowledged within this time are reclaimed by another worker
+  jobVisibilityTimeoutMs: parseInt(process.env.JOB_VISIBILITY_TIMEOUT_MS, 10) || 5 * 60 * 1000,
+  jobClaimIntervalMs: parseInt(process.env.JOB_CLAIM_INTERVAL_MS, 10) || 30 * 1000,
+  // How long job status records are kept in Redis after their last update
+  jobStatusTtlSeconds: parseInt(process.env.JOB_STATUS_TTL_SECONDS, 10) || 7 * 24 * 60 * 60,
+  // Most recent log lines kept per job for GET /api/jobs/{jobId}/logs, retained as long as the job status
+  jobLogMaxLines: parseInt(process.env.JOB_LOG_MAX_LINES, 10) || 2000,
+  // Jobs failing with a retryable error are retried with exponential backoff, then dead-lettered
+  jobMaxRetries: parseInt(process.env.JOB_MAX_RETRIES, 10) >= 0 ? parseInt(process.env.JOB_MAX_RETRIES, 10) : 3,
+  jobRetryBaseDelayMs: parseInt(process.env.JOB_RETRY_BASE_DELAY_MS, 10) || 10 * 1000,
+  jobRetryMaxDelayMs: parseInt(process.env.JOB_RETRY_MAX_DELAY_MS, 10) || 10 * 60 * 1000,
+  // Jobs each worker process runs at once
+  workerConcurrency: parseInt(process.env.WORKER_CONCURRENCY, 10) || 4,
+  // Per job type limits within a worker, e.g. 'data:1,quote:4'. Each type defaults to one less than WORKER_CONCURRENCY
+  jobTypeConcurrency: Object.fromEntries((process.env.JOB_TYPE_CONCURRENCY || '')
+    .split(',')
+    .map(entry => entry.trim().split(':'))
+    .filter(([jobType, limit]) => jobType && parseInt(limit, 10) > 0)
+    .map(([jobType, limit]) => [jobType, parseInt(limit, 10)])),
+  // Jobs running at once for one org, across all workers, protecting the org's API limits
+  orgConcurrency: parseInt(process.env.ORG_CONCURRENCY, 10) || 2,
+  // How often a running job checks whether it has been cancelled
+  jobCancelCheckIntervalMs: parseInt(process.env.JOB_CANCEL_CHECK_INTERVAL_MS, 10) || 5 * 1000,
+  // Bulk API v2 jobs still running after this long are aborted and their job marked as timed out
+  bulkJobTimeoutMs: parseInt(process.env.BULK_JOB_TIMEOUT_MS, 10) || 30 * 60 * 1000,
+  // Bulk API v2 job status is polled this often at first, backing off to BULK_POLL_MAX_INTERVAL_MS for long jobs
+  bulkPollIntervalMs: parseInt(process.env.BULK_POLL_INTERVAL_MS, 10) || 5 * 1000,
+  bulkPollMaxIntervalMs: parseInt(process.env.BULK_POLL_MAX_INTERVAL_MS, 10) || 30 * 1000,
+  // Share of its daily API requests an org may use before its jobs slow down, and before they are deferred
+  apiUsageThrottleThreshold: parseFloat(process.env.API_USAGE_THROTTLE_THRESHOLD) || 0.8,
+  apiUsageDeferThreshold: parseFloat(process.env.API_USAGE_DEFER_THRESHOLD) || 0.95,
+  // Longest wait before an API call, reached as usage approaches the defer threshold
+  apiThrottleMaxDelayMs: parseInt(process.env.API_THROTTLE_MAX_DELAY_MS, 10) || 10 * 1000,
+  // How long a deferred job waits before it runs again, letting the org's rolling 24-hour usage recover
+  apiLimitDeferMs: parseInt(process.env.API_LIMIT_DEFER_MS, 10) || 30 * 60 * 1000,
+  // How long an org's API usage, read from the limits resource, is cached across workers
+  apiLimitsRefreshMs: parseInt(process.env.API_LIMITS_REFRESH_MS, 10) || 60 * 1000,
+  // Default completion callback for jobs that do not specify one (platformEvent, record or apex)
+  jobCallbackType: process.env.JOB_CALLBACK_TYPE,
+  jobCallbackTarget: process.env.JOB_CALLBACK_TARGET,
+  // Pricing rules are read from a JSON/YAML file, or from Pricing_Rule__mdt when set to 'metadata'
+  pricingRulesSource: process.env.PRICING_RULES_SOURCE || 'file',
+  pricingRulesFile: process.env.PRICING_RULES_FILE || fileURLToPath(new URL('./pricing-rules.json', import.meta.url)),
+  // QuoteLineItem field that records which pricing rule produced the price
+  pricingRuleField: process.env.PRICING_RULE_FIELD || 'Description',
+  // Dry run reports list this many Quotes and count the rest, 0 lists every Quote
+  dryRunReportMaxQuotes: parseInt(process.env.DRY_RUN_REPORT_MAX_QUOTES, 10) >= 0 ? parseInt(process.env.DRY_RUN_REPORT_MAX_QUOTES, 10) : 100,
+  // Maximum Quote and QuoteLineItem records per UnitOfWork (the Composite Graph API allows 500)
+  quoteChunkSize: Math.min(parseInt(process.env.QUOTE_CHUNK_SIZE, 10) || 500, 500),
+  // Number of UnitOfWork chunks committed in parallel
+  quoteChunkConcurrency: parseInt(process.env.QUOTE_CHUNK_CONCURRENCY, 10) || 2,
+  // Selections with at least this many Opportunities generate quotes with Bulk API v2 instead
+  quoteBulkThreshold: parseInt(process.env.QUOTE_BULK_THRESHOLD, 10) || 2000,
+  // Quotes priced and ingested per round of Bulk API v2 jobs, bounding the line items held in memory
+  quoteBulkChunkSize: parseInt(process.env.QUOTE_BULK_CHUNK_SIZE, 10) || 10000,
+  // Quote field stamped with the generating job ID, marking the Quote as engine generated
+  quoteMarkerField: process.env.QUOTE_MARKER_FIELD || 'Pricing_Engine_Job_Id__c',
+  // Template quote jobs render Quote PDFs with when generateDocuments is set, a JSON or YAML file
+  quoteTemplateFile: process.env.QUOTE_TEMPLATE_FILE || fileURLToPath(new URL('./quote-template.json', import.meta.url)),
+  // How Quote PDFs are attached when a request does not say: QuoteDocument or ContentVersion (a file shared with the Quote)
+  quoteDocumentType: process.env.QUOTE_DOCUMENT_TYPE || 'QuoteDocument',
+  // Opportunity field stamped with the ID of the data create job, identifying the sample dataset
+  sampleDatasetField: process.env.SAMPLE_DATASET_FIELD || 'Sample_Dataset_Id__c',
+  // Additional Opportunity fields callers may filter on, e.g. 'Region__c:string,Score__c:number'
+  soqlFilterFields: Object.fromEntries((process.env.SOQL_FILTER_FIELDS || '')
+    .split(',')
+    .map(entry => entry.trim().split(':'))
+    .filter(([name]) => name)
+    .map(([name, type]) => [name, type || 'string'])),
+  // How often each web and worker process publishes its metrics for GET /metrics
+  metricsPublishIntervalMs: parseInt(process.env.METRICS_PUBLISH_INTERVAL_MS, 10) || 15 * 1000,
+  // When set, scrapers must send it as a bearer token, as /metrics is served on the public web dyno
+  metricsToken: process.env.METRICS_TOKEN,
+  // Workers not heard from for three heartbeat intervals are reported as not alive by /health/ready
+  workerHeartbeatIntervalMs: parseInt(process.env.WORKER_HEARTBEAT_INTERVAL_MS, 10) || 10 * 1000,
+  // On SIGTERM a worker lets its in-flight job run this long, then interrupts it and returns it to the queue.
+  // Heroku stops the dyno 30 seconds after SIGTERM, leaving time for the job to reach its next step
+  workerShutdownGraceMs: parseInt(process.env.WORKER_SHUTDOWN_GRACE_MS, 10) || 20 * 1000,
+  // How often workers check for schedules that are due, schedules run at most once a minute
+  schedulePollIntervalMs: parseInt(process.env.SCHEDULE_POLL_INTERVAL_MS, 10) || 15 * 1000,
+  // Most recent runs kept per schedule for GET /api/schedules/{scheduleId}/runs
+  scheduleRunHistory: parseInt(process.env.SCHEDULE_RUN_HISTORY, 10) || 100,
+  // Readiness reports a component as down when its check takes longer than this
+  healthCheckTimeoutMs: parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS, 10) || 3 * 1000,
   // Add other configurations as needed
 };
 
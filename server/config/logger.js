@@ -0,0 +1,31 @@
+'use strict';
+
+import pino from 'pino';
+import config from './index.js';
+
+// Shared by the web and worker processes, so every line is JSON with the same fields
+const loggerOptions = {
+  level: config.logLevel,
+  timestamp: pino.stdTimeFunctions.isoTime,
+  // Jobs and requests log the Salesforce context, keep its access token out of stdout and retained job logs
+  redact: ['salesforceContext.org.accessToken', 'context.org.accessToken']
+};
+
+const logger = pino(loggerOptions);
+
+/**
+ * Creates a logger that writes to stdout like the shared logger, and copies every line to a second stream.
+ * @param {{write: function(string): void}} stream - Receives each serialized log line.
+ * @param {object} bindings - Fields added to every line.
+ * @returns {object} - A pino logger.
+ */
+function createTeeLogger (stream, bindings) {
+  const streams = pino.multistream([
+    { level: config.logLevel, stream: process.stdout },
+    { level: config.logLevel, stream }
+  ]);
+  return pino(loggerOptions, streams).child(bindings);
+}
+
+export default logger;
+export { createTeeLogger };
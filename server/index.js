@@ -1,20 +1,73 @@
 import Fastify from 'fastify';
 import swagger from '@fastify/swagger';
 import swaggerUi from '@fastify/swagger-ui';
+import crypto from 'node:crypto';
+import { fileURLToPath } from 'node:url';
 import config from './config/index.js';
+import logger from './config/logger.js';
 import salesforcePlugin from './middleware/salesforce.js';
 import apiRoutes from './routes/api.js';
+import redisClient from './config/redis.js';
+import { getQueueDepth } from './services/queue.js';
+import { HEALTH_STATES, checkReadiness } from './services/health.js';
+import { queueDepth, renderMetrics, startMetricsPublisher } from './services/metrics.js';
+import { listJobTypes, listJobTypeSchemas } from './services/jobtypes.js';
+import { BatchExecutionRequestSchema } from './services/quote.js';
 import formbody from '@fastify/formbody';
 
-const BatchExecutionRequestSchema = {
-  $id: 'BatchExecutionRequest', // Add $id for referencing
+const JobCallbackSchema = {
+  $id: 'JobCallback',
   type: 'object',
-  required: ['soqlWhereClause'],
-  description: 'Request to execute a batch process, includes a SOQL WHERE clause to extract product information',
+  required: ['type'],
+  description: 'Optional callback used to report the outcome of the job back to the org once it finishes',
   properties: {
-    soqlWhereClause: {
+    type: {
       type: 'string',
-      description: 'A SOQL WHERE clause for filtering opportunities'
+      enum: ['platformEvent', 'record', 'apex'],
+      description: 'Publish a Platform Event, insert a job log record, or POST to an Apex REST endpoint'
+    },
+    target: {
+      type: 'string',
+      // API names and URL mappings only, so an Apex target cannot leave services/apexrest/ with '..'
+      pattern: '^[A-Za-z0-9_]+(/[A-Za-z0-9_]+)*$',
+      description: 'Platform Event or sObject API name (defaults to JobCompleted__e), or the Apex REST URL mapping, made of letters, digits and underscores separated by /'
+    }
+  }
+};
+
+const OpportunityFilterSchema = {
+  $id: 'OpportunityFilter',
+  type: 'object',
+  required: ['conditions'],
+  description: 'Structured alternative to soqlWhereClause, compiled into SOQL by the server',
+  properties: {
+    logic: {
+      type: 'string',
+      enum: ['and', 'or'],
+      default: 'and',
+      description: 'How the conditions are combined'
+    },
+    conditions: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['field', 'operator'],
+        properties: {
+          field: {
+            type: 'string',
+            description: 'Opportunity field to filter on, e.g. StageName or Account.BillingCountry'
+          },
+          operator: {
+            type: 'string',
+            enum: ['equals', 'notEquals', 'in', 'notIn', 'gt', 'gte', 'lt', 'lte', 'like', 'exists'],
+            description: 'Comparison operator'
+          },
+          value: {
+            description: 'Value to compare with, an array for in and notIn'
+          }
+        }
+      }
     }
   }
 };
@@ -33,30 +86,459 @@ const BatchExecutionResponseSchema = {
   }
 };
 
-const DataJobResponseSchema = {
-  $id: 'DataJobResponse',
+const JobStatusResponseSchema = {
+  $id: 'JobStatusResponse',
   type: 'object',
-  description: 'Response includes the unique job ID processing the data operation request.',
+  description: 'Lifecycle state, timestamps and result counters of a job.',
   properties: {
     jobId: {
       type: 'string',
       format: 'uuid',
       description: 'Unique job ID for tracking the worker process'
+    },
+    jobType: {
+      type: 'string',
+      description: 'The type of job (quote or data)'
+    },
+    operation: {
+      type: 'string',
+      description: 'The data operation (create or delete), for data jobs'
+    },
+    scheduleId: {
+      type: 'string',
+      format: 'uuid',
+      description: 'The schedule that queued the job, for scheduled runs'
+    },
+    state: {
+      type: 'string',
+      enum: ['queued', 'running', 'retrying', 'succeeded', 'partially_failed', 'failed', 'cancelled', 'timed_out'],
+      description: 'Current lifecycle state of the job'
+    },
+    attempts: {
+      type: 'integer',
+      description: 'Number of failed attempts, once the job has failed at least once'
+    },
+    nextAttemptAt: {
+      type: 'string',
+      format: 'date-time',
+      description: 'When a retrying job will be attempted again'
+    },
+    cancelRequestedAt: {
+      type: 'string',
+      format: 'date-time',
+      description: 'When cancellation of the job was requested'
+    },
+    interruptions: {
+      type: 'integer',
+      description: 'Number of times a worker shutdown interrupted the job and returned it to the queue'
+    },
+    interruptedAt: {
+      type: 'string',
+      format: 'date-time',
+      description: 'When a worker shutdown last interrupted the job'
+    },
+    deferrals: {
+      type: 'integer',
+      description: 'Number of times the job was deferred because its org neared its daily API limit'
+    },
+    deferredUntil: {
+      type: 'string',
+      format: 'date-time',
+      description: 'When a job deferred because of its org\'s API usage is queued again'
+    },
+    deadLettered: {
+      type: 'boolean',
+      description: 'Set when the failed job was moved to the dead-letter store'
+    },
+    queuedAt: {
+      type: 'string',
+      format: 'date-time',
+      description: 'When the job was queued'
+    },
+    startedAt: {
+      type: 'string',
+      format: 'date-time',
+      description: 'When a worker started processing the job'
+    },
+    finishedAt: {
+      type: 'string',
+      format: 'date-time',
+      description: 'When the job finished'
+    },
+    error: {
+      type: 'string',
+      description: 'Error message, if the job failed'
+    },
+    result: {
+      type: 'object',
+      description: 'Result counters reported by the job',
+      additionalProperties: true,
+      properties: {
+        quotesCreated: {
+          type: 'integer',
+          description: 'Quotes created, for quote jobs'
+        },
+        quotesFailed: {
+          type: 'integer',
+          description: 'Quotes that failed to be created, for quote jobs'
+        },
+        quotesSkipped: {
+          type: 'integer',
+          description: 'Opportunities skipped because they already had a generated Quote, for quote jobs'
+        },
+        quotesReplaced: {
+          type: 'integer',
+          description: 'Draft Quotes deleted because a new Quote replaced them, for quote jobs'
+        },
+        existingQuoteStrategy: {
+          type: 'string',
+          enum: ['skip', 'replace', 'version'],
+          description: 'How existing generated Quotes were handled, for quote jobs'
+        },
+        recordsProcessed: {
+          type: 'integer',
+          description: 'Records processed by Bulk API jobs, for data jobs'
+        },
+        recordsFailed: {
+          type: 'integer',
+          description: 'Records that failed in Bulk API jobs, for data jobs'
+        },
+        seed: {
+          type: 'integer',
+          description: 'Random seed the sample data was generated with, for data create jobs'
+        },
+        datasetId: {
+          type: 'string',
+          description: 'ID of the created sample dataset, for data create jobs. Pass it to the delete endpoint to remove the dataset'
+        },
+        accountsCreated: {
+          type: 'integer',
+          description: 'Sample Accounts created by the scenario, for data create jobs'
+        },
+        path: {
+          type: 'string',
+          enum: ['unitOfWork', 'bulkApi'],
+          description: 'Whether the quote job used chunked UnitOfWork commits or Bulk API v2'
+        },
+        lineItemsCreated: {
+          type: 'integer',
+          description: 'QuoteLineItems created, for quote jobs that used Bulk API v2'
+        },
+        lineItemsFailed: {
+          type: 'integer',
+          description: 'QuoteLineItems that failed to be created, for quote jobs that used Bulk API v2'
+        },
+        lineItemsIncompatible: {
+          type: 'integer',
+          description: "OpportunityLineItems left out of their Quote because their product has no active entry in the Quote's Pricebook and currency, or no exchange rate applies, for quote jobs"
+        },
+        incompatibleLineItems: {
+          type: 'array',
+          description: 'The first 100 incompatible OpportunityLineItems, with the reason each was left out, for quote jobs',
+          items: {
+            type: 'object',
+            additionalProperties: true,
+            properties: {
+              OpportunityId: { type: 'string' },
+              OpportunityLineItemId: { type: 'string' },
+              Product2Id: { type: 'string' },
+              Reason: { type: 'string' }
+            }
+          }
+        },
+        documentsCreated: {
+          type: 'integer',
+          description: 'Quote PDFs attached to the created Quotes, for quote jobs with generateDocuments set'
+        },
+        documentsFailed: {
+          type: 'integer',
+          description: 'Quotes whose PDF could not be attached, for quote jobs with generateDocuments set'
+        },
+        chunks: {
+          type: 'integer',
+          description: 'UnitOfWork chunks the Quotes were committed in, for quote jobs'
+        },
+        chunksFailed: {
+          type: 'integer',
+          description: 'UnitOfWork chunks in which no Quote could be created, for quote jobs'
+        },
+        dryRun: {
+          type: 'boolean',
+          description: 'Set when the job ran in dry run mode'
+        },
+        report: {
+          type: 'object',
+          additionalProperties: true,
+          description: 'For quote dry runs, the Quotes and QuoteLineItems that would have been created, with original and discounted prices, up to DRY_RUN_REPORT_MAX_QUOTES Quotes with quotesTruncated counting the rest and total amounts covering every Quote. For data dry runs, the number of records per sObject that would have been created or deleted'
+        },
+        apiCalls: {
+          type: 'integer',
+          description: 'Salesforce API calls the job made, including runs that were interrupted, deferred or retried'
+        }
+      }
     }
   }
 };
 
-// Basic logging configuration
-const fastify = Fastify({
-  logger: {
-    level: config.logLevel // Use config value
+const JobLogResponseSchema = {
+  $id: 'JobLogResponse',
+  type: 'object',
+  description: 'Retained log lines of a job, oldest first.',
+  properties: {
+    jobId: {
+      type: 'string',
+      format: 'uuid'
+    },
+    total: {
+      type: 'integer',
+      description: 'Number of retained lines, at most JOB_LOG_MAX_LINES'
+    },
+    entries: {
+      type: 'array',
+      description: 'Structured log lines, each with level, time, msg, jobId, orgId, userId and requestId',
+      items: {
+        type: 'object',
+        additionalProperties: true
+      }
+    }
+  }
+};
+
+const DeadLetterSummarySchema = {
+  $id: 'DeadLetterSummary',
+  type: 'object',
+  description: 'A job that failed permanently or ran out of retries.',
+  properties: {
+    jobId: {
+      type: 'string',
+      format: 'uuid',
+      description: 'The ID of the failed job'
+    },
+    jobType: {
+      type: 'string',
+      description: 'The type of job (quote or data)'
+    },
+    attempts: {
+      type: 'integer',
+      description: 'Number of attempts made'
+    },
+    deadLetteredAt: {
+      type: 'string',
+      format: 'date-time',
+      description: 'When the job was moved to the dead-letter store'
+    },
+    lastError: {
+      type: 'string',
+      description: 'Error message of the last attempt'
+    }
+  }
+};
+
+const DeadLetterListSchema = {
+  $id: 'DeadLetterList',
+  type: 'object',
+  properties: {
+    total: {
+      type: 'integer',
+      description: 'Total number of dead-lettered jobs'
+    },
+    deadLetters: {
+      type: 'array',
+      items: { $ref: 'DeadLetterSummary#' }
+    }
+  }
+};
+
+const DeadLetterSchema = {
+  $id: 'DeadLetter',
+  type: 'object',
+  description: 'A dead-lettered job with its original payload and error history.',
+  properties: {
+    ...DeadLetterSummarySchema.properties,
+    payload: {
+      type: 'object',
+      additionalProperties: true,
+      description: 'The original job payload, without its Salesforce context'
+    },
+    errors: {
+      type: 'array',
+      description: 'One entry per failed attempt',
+      items: {
+        type: 'object',
+        properties: {
+          attempt: { type: 'integer' },
+          at: { type: 'string', format: 'date-time' },
+          code: { type: 'string' },
+          message: { type: 'string' },
+          retryable: { type: 'boolean' }
+        }
+      }
+    }
+  }
+};
+
+const ScheduleRequestSchema = {
+  $id: 'ScheduleRequest',
+  type: 'object',
+  description: 'A recurring batch pricing job: when it runs, the Opportunities it prices and its pricing options',
+  required: ['cron', 'authorization'],
+  properties: {
+    name: {
+      type: 'string',
+      maxLength: 255,
+      description: 'A name to recognise the schedule by'
+    },
+    cron: {
+      type: 'string',
+      maxLength: 255,
+      description: 'When the job runs, as a five field cron expression (minute hour day-of-month month day-of-week) evaluated in UTC, e.g. 0 2 * * MON-FRI'
+    },
+    enabled: {
+      type: 'boolean',
+      default: true,
+      description: 'Disabled schedules keep their definition and run history but do not run'
+    },
+    authorization: {
+      type: 'string',
+      minLength: 1,
+      maxLength: 255,
+      description: 'Developer name of a Heroku AppLink authorization for the org to run the jobs as. Each run gets a fresh token for it'
+    },
+    // Scheduled runs queue the same job as POST /api/executebatch
+    ...BatchExecutionRequestSchema.properties
   }
+};
+
+const ScheduleSchema = {
+  $id: 'Schedule',
+  type: 'object',
+  description: 'A recurring batch pricing job with its next and last run.',
+  properties: {
+    scheduleId: {
+      type: 'string',
+      format: 'uuid',
+      description: 'Unique schedule ID'
+    },
+    ...ScheduleRequestSchema.properties,
+    createdBy: {
+      type: 'string',
+      description: 'Username of the user who created the schedule'
+    },
+    createdAt: {
+      type: 'string',
+      format: 'date-time',
+      description: 'When the schedule was created'
+    },
+    updatedAt: {
+      type: 'string',
+      format: 'date-time',
+      description: 'When the schedule was last changed'
+    },
+    nextRunAt: {
+      type: 'string',
+      format: 'date-time',
+      description: 'When the job next runs, unless the schedule is disabled'
+    },
+    lastRunAt: {
+      type: 'string',
+      format: 'date-time',
+      description: 'When the schedule last ran'
+    },
+    lastJobId: {
+      type: 'string',
+      format: 'uuid',
+      description: 'The job queued by the last run'
+    }
+  }
+};
+
+const ScheduleListSchema = {
+  $id: 'ScheduleList',
+  type: 'object',
+  properties: {
+    total: {
+      type: 'integer',
+      description: 'Total number of schedules of the org'
+    },
+    schedules: {
+      type: 'array',
+      items: { $ref: 'Schedule#' }
+    }
+  }
+};
+
+const ScheduleRunListSchema = {
+  $id: 'ScheduleRunList',
+  type: 'object',
+  properties: {
+    total: {
+      type: 'integer',
+      description: 'Total number of runs retained for the schedule'
+    },
+    runs: {
+      type: 'array',
+      description: 'Runs of the schedule, most recent first',
+      items: {
+        type: 'object',
+        properties: {
+          jobId: {
+            type: 'string',
+            format: 'uuid',
+            description: 'The job the run queued'
+          },
+          state: {
+            type: 'string',
+            description: 'Current state of the job, until its status record expires'
+          },
+          scheduledFor: {
+            type: 'string',
+            format: 'date-time',
+            description: 'When the run was due'
+          },
+          firedAt: {
+            type: 'string',
+            format: 'date-time',
+            description: 'When the job was queued'
+          },
+          error: {
+            type: 'string',
+            description: 'Why no job could be queued, e.g. the AppLink authorization could not be used'
+          }
+        }
+      }
+    }
+  }
+};
+
+// Share the JSON logger with the worker, and correlate lines by the caller's x-request-id
+const fastify = Fastify({
+  logger,
+  requestIdHeader: 'x-request-id',
+  requestIdLogLabel: 'requestId',
+  genReqId: () => crypto.randomUUID()
+});
+
+// Return the request ID so callers can quote it when tracing a job
+fastify.addHook('onSend', async (request, reply) => {
+  reply.header('x-request-id', request.id);
 });
 
 // Add shared schemas *before* registering Swagger or routes
-fastify.addSchema(BatchExecutionRequestSchema);
+fastify.addSchema(JobCallbackSchema);
+fastify.addSchema(OpportunityFilterSchema);
 fastify.addSchema(BatchExecutionResponseSchema);
-fastify.addSchema(DataJobResponseSchema);
+fastify.addSchema(JobStatusResponseSchema);
+fastify.addSchema(JobLogResponseSchema);
+fastify.addSchema(DeadLetterSummarySchema);
+fastify.addSchema(DeadLetterListSchema);
+fastify.addSchema(DeadLetterSchema);
+fastify.addSchema(ScheduleRequestSchema);
+fastify.addSchema(ScheduleSchema);
+fastify.addSchema(ScheduleListSchema);
+fastify.addSchema(ScheduleRunListSchema);
+// Job types declare the schemas of their request bodies
+const jobTypeSchemas = listJobTypeSchemas();
+jobTypeSchemas.forEach(schema => fastify.addSchema(schema));
 
 // Register Swagger for dynamic generation
 fastify.register(swagger, {
@@ -71,15 +553,27 @@ fastify.register(swagger, {
       { url: 'http://localhost:5000', description: 'Local development server' }
     ],
     tags: [
-      { name: 'Pricing Engine', description: 'Quote generation endpoints' },
-      { name: 'Sample Data', description: 'Sample data management endpoints' }
+      ...listJobTypes().flatMap(jobType => jobType.tags),
+      { name: 'Jobs', description: 'Job status endpoints' },
+      { name: 'Dead Letters', description: 'Endpoints for inspecting and replaying failed jobs' },
+      { name: 'Schedules', description: 'Endpoints for managing recurring batch pricing jobs' }
     ],
     components: {
       schemas: {
         // Reference the added schemas using their $id
-        BatchExecutionRequest: { $ref: 'BatchExecutionRequest#' },
+        JobCallback: { $ref: 'JobCallback#' },
+        OpportunityFilter: { $ref: 'OpportunityFilter#' },
         BatchExecutionResponse: { $ref: 'BatchExecutionResponse#' },
-        DataJobResponse: { $ref: 'DataJobResponse#' }
+        JobStatusResponse: { $ref: 'JobStatusResponse#' },
+        JobLogResponse: { $ref: 'JobLogResponse#' },
+        DeadLetterSummary: { $ref: 'DeadLetterSummary#' },
+        DeadLetterList: { $ref: 'DeadLetterList#' },
+        DeadLetter: { $ref: 'DeadLetter#' },
+        ScheduleRequest: { $ref: 'ScheduleRequest#' },
+        Schedule: { $ref: 'Schedule#' },
+        ScheduleList: { $ref: 'ScheduleList#' },
+        ScheduleRunList: { $ref: 'ScheduleRunList#' },
+        ...Object.fromEntries(jobTypeSchemas.map(schema => [schema.$id, { $ref: `${schema.$id}#` }]))
       }
     }
   },
@@ -109,9 +603,39 @@ fastify.register(salesforcePlugin);
 // Register formbody plugin
 fastify.register(formbody);
 
-// Placeholder for health check
-fastify.get('/health', async (request, reply) => {
-  return { status: 'ok' };
+// Set once SIGTERM is received, so the router stops sending traffic while requests drain
+let shuttingDown = false;
+
+// Liveness only tells the platform the process responds, it never depends on Redis or Salesforce
+fastify.get('/health/live', async (request, reply) => {
+  return { status: HEALTH_STATES.OK };
+});
+
+// Readiness reports Redis, worker heartbeats and, when called with an x-client-context header,
+// whether the org can be queried. Unavailable (503) when jobs could not be queued.
+async function readinessHandler (request, reply) {
+  const report = await checkReadiness({ shuttingDown, sfContext: request.salesforce?.context });
+  return reply.code(report.status === HEALTH_STATES.UNAVAILABLE ? 503 : 200).send(report);
+}
+fastify.get('/health/ready', readinessHandler);
+// Kept for existing health checks, now reporting readiness
+fastify.get('/health', readinessHandler);
+
+// Prometheus scrape endpoint, serving the metrics of all web and worker dynos
+fastify.get('/metrics', { schema: { hide: true } }, async (request, reply) => {
+  if (config.metricsToken && request.headers.authorization !== `Bearer ${config.metricsToken}`) {
+    return reply.code(401).send({ error: 'Invalid metrics token.' });
+  }
+  try {
+    const depth = await getQueueDepth();
+    queueDepth.set({ status: 'waiting' }, depth.waiting);
+    queueDepth.set({ status: 'in_flight' }, depth.inFlight);
+    queueDepth.set({ status: 'retrying' }, depth.retrying);
+  } catch (err) {
+    request.log.warn({ err }, 'Unable to determine queue depth');
+  }
+  reply.type('text/plain; version=0.0.4');
+  return renderMetrics();
 });
 
 // Register API routes with prefix
@@ -123,6 +647,7 @@ const start = async () => {
     await fastify.listen({ port: config.port, host: '0.0.0.0' }); // Listen on all interfaces for Heroku
     fastify.log.info(`Server listening on port ${config.port}`);
     fastify.log.info(`Swagger UI available at /docs`);
+    startMetricsPublisher(fastify.log);
   } catch (err) {
     // Use Pino's preferred error logging format
     fastify.log.error({ err: err }, 'Error starting server');
@@ -130,4 +655,29 @@ const start = async () => {
   }
 };
 
-start();
+// Heroku sends SIGTERM before stopping a dyno: stop accepting connections, let in-flight requests finish,
+// then close Redis
+async function shutdown (signal) {
+  if (shuttingDown) {
+    return;
+  }
+  shuttingDown = true;
+  fastify.log.info(`Received ${signal}, shutting down`);
+  try {
+    await fastify.close();
+    await redisClient.quit();
+    process.exit(0);
+  } catch (err) {
+    fastify.log.error({ err }, 'Error during shutdown');
+    process.exit(1);
+  }
+}
+
+// Started as a process by the Procfile, the tests import the app and send it requests with inject
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+  start();
+}
+
+export default fastify;
@@ -1,16 +1,60 @@
 import crypto from 'node:crypto';
-import redisClient from '../config/redis.js'; // Adjusted path
-
-// Define a single channel for all job types
-const JOBS_CHANNEL = 'jobsChannel';
+import { JOBS_STREAM, enqueueJob, countActiveConsumers } from '../services/queue.js';
+import { JOB_STATES, createJob, failJob, getJob, requestJobCancel } from '../services/jobs.js';
+import { resolveWhereClause } from '../services/soql.js';
+import { listJobTypes } from '../services/jobtypes.js';
+import { createJobLogger, getJobLog } from '../services/joblog.js';
+import { jobsPublished, redisPublishFailures } from '../services/metrics.js';
+import { getDeadLetter, listDeadLetters, removeDeadLetter } from '../services/deadletter.js';
+import { parseCron } from '../services/cron.js';
+import { createSchedule, updateSchedule, getSchedule, listSchedules, deleteSchedule, listScheduleRuns } from '../services/schedules.js';
 
 // Define schemas for request validation and Swagger generation
-const executeBatchSchema = {
-  // description: 'Submits a batch pricing job for opportunities matching the SOQL WHERE clause.',
-  tags: ['Pricing Engine'],
-  summary: 'Submit Batch Pricing Job',
-  description: "Calculate pricing and generate quotes from Opportunities queried using the SOQL WHERE clause.",
-  operationId: 'executeBatch',
+
+/**
+ * Builds the schema of a job type's submission route from the route's declaration, see registerJobType.
+ * @param {object} route - A route declared by a registered job type.
+ * @returns {object}
+ */
+function buildJobRouteSchema ({ body, response, openapi: { responses = {}, ...operation } }) {
+  return {
+    ...operation,
+    body: {
+      $ref: `${body.$id}#`
+    },
+    response: {
+      202: { // Use 202 Accepted as the job is queued
+        description: responses[202] || 'Job accepted for processing',
+        content: {
+          'application/json': {
+            schema: {
+              $ref: `${response?.$id || 'BatchExecutionResponse'}#`
+            }
+          }
+        }
+      },
+      400: {
+        description: responses[400] || 'Invalid request',
+        content: {
+          'application/json': {
+            schema: {
+              type: 'object',
+              properties: {
+                error: { type: 'string' }
+              }
+            }
+          }
+        }
+      }
+    }
+  };
+}
+
+const jobStatusSchema = {
+  tags: ['Jobs'],
+  summary: 'Get Job Status',
+  description: 'Returns the lifecycle state, timestamps and result counters of a previously submitted job.',
+  operationId: 'getJobStatus',
   'x-sfdc': {
     heroku: {
       authorization: {
@@ -18,17 +62,142 @@ const executeBatchSchema = {
         permissionSet: 'GenerateQuoteJobPermissions'
       }
     }
-  },  
-  body: {
-    $ref: 'BatchExecutionRequest#' // Reference schema by $id
+  },
+  params: {
+    type: 'object',
+    required: ['jobId'],
+    properties: {
+      jobId: {
+        type: 'string',
+        format: 'uuid',
+        description: 'The job ID returned when the job was submitted'
+      }
+    }
   },
   response: {
-    202: { // Use 202 Accepted as the job is queued
-      description: 'Job accepted for processing',
-      content: { // Add content wrapper for $ref
+    200: {
+      description: 'Current job status',
+      content: {
+        'application/json': {
+          schema: {
+            $ref: 'JobStatusResponse#'
+          }
+        }
+      }
+    },
+    404: {
+      description: 'Job not found or expired',
+      content: {
+        'application/json': {
+          schema: {
+            type: 'object',
+            properties: {
+              error: { type: 'string' }
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+const jobLogSchema = {
+  tags: ['Jobs'],
+  summary: 'Get Job Log',
+  description: 'Returns the retained log lines of a job, oldest first, from the API request that queued it through every worker attempt.',
+  operationId: 'getJobLog',
+  'x-sfdc': {
+    heroku: {
+      authorization: {
+        connectedApp: 'GenerateQuoteJobConnectedApp',
+        permissionSet: 'GenerateQuoteJobPermissions'
+      }
+    }
+  },
+  params: {
+    type: 'object',
+    required: ['jobId'],
+    properties: {
+      jobId: {
+        type: 'string',
+        format: 'uuid',
+        description: 'The job ID returned when the job was submitted'
+      }
+    }
+  },
+  querystring: {
+    type: 'object',
+    properties: {
+      offset: { type: 'integer', minimum: 0, default: 0, description: 'Number of lines to skip' },
+      limit: { type: 'integer', minimum: 1, maximum: 1000, default: 500, description: 'Maximum number of lines to return' }
+    }
+  },
+  response: {
+    200: {
+      description: 'Job log lines',
+      content: {
+        'application/json': {
+          schema: {
+            $ref: 'JobLogResponse#'
+          }
+        }
+      }
+    },
+    404: {
+      description: 'Job not found or expired',
+      content: {
+        'application/json': {
+          schema: {
+            type: 'object',
+            properties: {
+              error: { type: 'string' }
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+const jobCancelSchema = {
+  tags: ['Jobs'],
+  summary: 'Cancel Job',
+  description: 'Cancels a job. Queued jobs are cancelled immediately, running jobs stop at their next step and abort any Bulk API v2 job in progress.',
+  operationId: 'cancelJob',
+  'x-sfdc': {
+    heroku: {
+      authorization: {
+        connectedApp: 'GenerateQuoteJobConnectedApp',
+        permissionSet: 'GenerateQuoteJobPermissions'
+      }
+    }
+  },
+  params: jobStatusSchema.params,
+  response: {
+    202: {
+      description: 'Cancellation accepted, state is cancelled or still running until the worker stops the job',
+      content: {
+        'application/json': {
+          schema: {
+            type: 'object',
+            properties: {
+              jobId: { type: 'string', format: 'uuid' },
+              state: { type: 'string' }
+            }
+          }
+        }
+      }
+    },
+    404: jobStatusSchema.response[404],
+    409: {
+      description: 'Job already finished',
+      content: {
         'application/json': {
           schema: {
-            $ref: 'BatchExecutionResponse#' // Changed from JobResponse#
+            type: 'object',
+            properties: {
+              error: { type: 'string' }
+            }
           }
         }
       }
@@ -36,8 +205,8 @@ const executeBatchSchema = {
   }
 };
 
-const dataOperationSchema = {
-  // description: 'Submits a sample data operation (create or delete).',
+const deadLetterOperationSchema = {
+  tags: ['Dead Letters'],
   'x-sfdc': {
     heroku: {
       authorization: {
@@ -45,15 +214,54 @@ const dataOperationSchema = {
         permissionSet: 'GenerateQuoteJobPermissions'
       }
     }
-  },  
-  tags: ['Sample Data'],
+  }
+};
+
+const deadLetterParamsSchema = {
+  type: 'object',
+  required: ['jobId'],
+  properties: {
+    jobId: {
+      type: 'string',
+      format: 'uuid',
+      description: 'The ID of the dead-lettered job'
+    }
+  }
+};
+
+const notFoundResponseSchema = {
+  description: 'Dead-lettered job not found',
+  content: {
+    'application/json': {
+      schema: {
+        type: 'object',
+        properties: {
+          error: { type: 'string' }
+        }
+      }
+    }
+  }
+};
+
+const deadLetterListSchema = {
+  ...deadLetterOperationSchema,
+  summary: 'List Dead-Lettered Jobs',
+  description: 'Lists jobs that failed permanently or ran out of retries, most recent first.',
+  operationId: 'listDeadLetters',
+  querystring: {
+    type: 'object',
+    properties: {
+      offset: { type: 'integer', minimum: 0, default: 0, description: 'Number of jobs to skip' },
+      limit: { type: 'integer', minimum: 1, maximum: 200, default: 50, description: 'Maximum number of jobs to return' }
+    }
+  },
   response: {
-    202: { // Use 202 Accepted
-      description: 'Data operation job accepted',
-      content: { // Add content wrapper for $ref
+    200: {
+      description: 'Dead-lettered jobs',
+      content: {
         'application/json': {
           schema: {
-            $ref: 'DataJobResponse#' // Changed from JobResponse#
+            $ref: 'DeadLetterList#'
           }
         }
       }
@@ -61,21 +269,219 @@ const dataOperationSchema = {
   }
 };
 
-const dataCreateSchema = {
-  ...dataOperationSchema,
-  summary: 'Submit Sample Data Creation Job',
-  description: "Starts a job to create a large amount of Opportunity records.",
-  operationId: 'datacreate'
-  // Inherits response from dataOperationSchema which now uses $ref
+const deadLetterGetSchema = {
+  ...deadLetterOperationSchema,
+  summary: 'Get Dead-Lettered Job',
+  description: 'Returns the original payload and error history of a dead-lettered job.',
+  operationId: 'getDeadLetter',
+  params: deadLetterParamsSchema,
+  response: {
+    200: {
+      description: 'Dead-lettered job',
+      content: {
+        'application/json': {
+          schema: {
+            $ref: 'DeadLetter#'
+          }
+        }
+      }
+    },
+    404: notFoundResponseSchema
+  }
 };
 
-const dataDeleteSchema = {
-  ...dataOperationSchema,
-  summary: 'Submit Sample Data Deletion Job',
-  description: "Starts a job to delete generate Quotes",
-  operationId: 'datadelete'
-  // No body required for delete operation in this example
-  // Inherits response from dataOperationSchema which now uses $ref
+const deadLetterReplaySchema = {
+  ...deadLetterOperationSchema,
+  summary: 'Replay Dead-Lettered Job',
+  description: 'Queues the original payload of a dead-lettered job again as a new job and removes it from the dead-letter store.',
+  operationId: 'replayDeadLetter',
+  params: deadLetterParamsSchema,
+  response: {
+    202: {
+      description: 'Job accepted for processing',
+      content: {
+        'application/json': {
+          schema: {
+            $ref: 'BatchExecutionResponse#'
+          }
+        }
+      }
+    },
+    404: notFoundResponseSchema
+  }
+};
+
+const scheduleOperationSchema = {
+  tags: ['Schedules'],
+  'x-sfdc': {
+    heroku: {
+      authorization: {
+        connectedApp: 'GenerateQuoteJobConnectedApp',
+        permissionSet: 'GenerateQuoteJobPermissions'
+      }
+    }
+  }
+};
+
+const scheduleParamsSchema = {
+  type: 'object',
+  required: ['scheduleId'],
+  properties: {
+    scheduleId: {
+      type: 'string',
+      format: 'uuid',
+      description: 'The schedule ID returned when the schedule was created'
+    }
+  }
+};
+
+const scheduleNotFoundResponseSchema = {
+  description: 'Schedule not found',
+  content: {
+    'application/json': {
+      schema: {
+        type: 'object',
+        properties: {
+          error: { type: 'string' }
+        }
+      }
+    }
+  }
+};
+
+const invalidScheduleResponseSchema = {
+  description: 'Invalid cron expression, SOQL WHERE clause or filter',
+  content: {
+    'application/json': {
+      schema: {
+        type: 'object',
+        properties: {
+          error: { type: 'string' }
+        }
+      }
+    }
+  }
+};
+
+const scheduleResponseSchema = {
+  content: {
+    'application/json': {
+      schema: {
+        $ref: 'Schedule#'
+      }
+    }
+  }
+};
+
+const scheduleCreateSchema = {
+  ...scheduleOperationSchema,
+  summary: 'Create Schedule',
+  description: 'Registers a batch pricing job that runs on a cron schedule, as the user of the named AppLink authorization. Exactly one worker queues the job of each run.',
+  operationId: 'createSchedule',
+  body: {
+    $ref: 'ScheduleRequest#'
+  },
+  response: {
+    201: { description: 'Schedule created', ...scheduleResponseSchema },
+    400: invalidScheduleResponseSchema
+  }
+};
+
+const scheduleListSchema = {
+  ...scheduleOperationSchema,
+  summary: 'List Schedules',
+  description: 'Lists the schedules of the org, oldest first.',
+  operationId: 'listSchedules',
+  querystring: {
+    type: 'object',
+    properties: {
+      offset: { type: 'integer', minimum: 0, default: 0, description: 'Number of schedules to skip' },
+      limit: { type: 'integer', minimum: 1, maximum: 200, default: 50, description: 'Maximum number of schedules to return' }
+    }
+  },
+  response: {
+    200: {
+      description: 'Schedules',
+      content: {
+        'application/json': {
+          schema: {
+            $ref: 'ScheduleList#'
+          }
+        }
+      }
+    }
+  }
+};
+
+const scheduleGetSchema = {
+  ...scheduleOperationSchema,
+  summary: 'Get Schedule',
+  description: 'Returns the definition of a schedule with its next and last run.',
+  operationId: 'getSchedule',
+  params: scheduleParamsSchema,
+  response: {
+    200: { description: 'Schedule', ...scheduleResponseSchema },
+    404: scheduleNotFoundResponseSchema
+  }
+};
+
+const scheduleUpdateSchema = {
+  ...scheduleOperationSchema,
+  summary: 'Update Schedule',
+  description: 'Replaces the definition of a schedule, for example to change when it runs or to disable it. Its next run is calculated again from now.',
+  operationId: 'updateSchedule',
+  params: scheduleParamsSchema,
+  body: {
+    $ref: 'ScheduleRequest#'
+  },
+  response: {
+    200: { description: 'Schedule updated', ...scheduleResponseSchema },
+    400: invalidScheduleResponseSchema,
+    404: scheduleNotFoundResponseSchema
+  }
+};
+
+const scheduleDeleteSchema = {
+  ...scheduleOperationSchema,
+  summary: 'Delete Schedule',
+  description: 'Deletes a schedule and its run history. Jobs it already queued keep running.',
+  operationId: 'deleteSchedule',
+  params: scheduleParamsSchema,
+  response: {
+    204: {
+      description: 'Schedule deleted',
+      type: 'null'
+    },
+    404: scheduleNotFoundResponseSchema
+  }
+};
+
+const scheduleRunsSchema = {
+  ...scheduleOperationSchema,
+  summary: 'List Schedule Runs',
+  description: 'Lists the most recent runs of a schedule with the state of the job each queued, most recent first.',
+  operationId: 'listScheduleRuns',
+  params: scheduleParamsSchema,
+  querystring: {
+    type: 'object',
+    properties: {
+      offset: { type: 'integer', minimum: 0, default: 0, description: 'Number of runs to skip' },
+      limit: { type: 'integer', minimum: 1, maximum: 200, default: 50, description: 'Maximum number of runs to return' }
+    }
+  },
+  response: {
+    200: {
+      description: 'Schedule runs',
+      content: {
+        'application/json': {
+          schema: {
+            $ref: 'ScheduleRunList#'
+          }
+        }
+      }
+    },
+    404: scheduleNotFoundResponseSchema
+  }
 };
 
 /**
@@ -85,7 +491,7 @@ const dataDeleteSchema = {
  */
 export default async function apiRoutes (fastify, opts) {
 
-  // Updated to use PUBLISH instead of LPUSH
+  // Jobs are appended to a Redis Stream so they survive until a worker acknowledges them
   async function publishJob (request, reply, payload) {
     if (!request.salesforce || !request.salesforce.context) {
       return reply.code(401).send({ error: 'Salesforce context not found. Ensure x-client-context header is provided.' });
@@ -95,44 +501,249 @@ export default async function apiRoutes (fastify, opts) {
     request.log.info({ salesforceContext: request.salesforce.context }, 'Salesforce context before publishing job');
 
     const jobId = crypto.randomUUID();
-    const jobPayload = JSON.stringify({
+    const job = {
       jobId,
       context: request.salesforce.context,
-      ...payload // Include specific payload data (like operation, count, soqlWhereClause)
-    });
+      ...payload, // Include specific payload data (like operation, count, soqlWhereClause)
+      requestId: request.id // The x-request-id, carried into the worker's log lines
+    };
+    const jobLogger = createJobLogger(job);
 
     try {
-      // Use PUBLISH instead of LPUSH
-      const receivers = await redisClient.publish(JOBS_CHANNEL, jobPayload);
-      request.log.info({ jobId, channel: JOBS_CHANNEL, payload, receivers }, `Job published to Redis channel ${JOBS_CHANNEL}. Receivers: ${receivers}`);
-      return reply.code(202).send({ jobId }); // Respond with 202 Accepted and Job ID
+      // Record the job before queuing it so a fast worker always finds its status
+      await createJob(job, request.salesforce.context.org?.id);
+      const entryId = await enqueueJob(job);
+      jobsPublished.inc({ job_type: job.jobType });
+      jobLogger.info({ stream: JOBS_STREAM, entryId, payload }, `Job queued on Redis stream ${JOBS_STREAM}`);
     } catch (error) {
-      request.log.error({ err: error, jobId, channel: JOBS_CHANNEL }, 'Failed to publish job to Redis channel');
-      return reply.code(500).send({ error: 'Failed to publish job.' });
+      jobLogger.error({ err: error, stream: JOBS_STREAM }, 'Failed to queue job on Redis stream');
+      redisPublishFailures.inc({ job_type: job.jobType });
+      await failJob(jobId, error).catch(() => {});
+      return reply.code(500).send({ error: 'Failed to queue job.' });
     }
+
+    // The job is durable at this point, but warn if nobody is currently consuming the stream
+    try {
+      const activeWorkers = await countActiveConsumers();
+      if (activeWorkers === 0) {
+        jobLogger.warn({ stream: JOBS_STREAM }, 'No active workers, job will wait in the queue until a worker starts');
+      }
+    } catch (error) {
+      jobLogger.warn({ err: error }, 'Unable to determine active worker count');
+    }
+    return reply.code(202).send({ jobId }); // Respond with 202 Accepted and Job ID
   }
 
   // === Routes ===
-  // Routes now call publishJob without specifying queueName
 
-  fastify.post('/executebatch', { schema: executeBatchSchema }, async (request, reply) => {
-    const { soqlWhereClause } = request.body;
-    // Payload now needs to implicitly define the job type for the subscriber
-    await publishJob(request, reply, { jobType: 'quote', soqlWhereClause });
+  // The body is optional for routes that declare it so, it then defaults to {}
+  const defaultEmptyBody = async (request) => {
+    request.body ??= {};
+  };
+
+  // Each job type's submission routes queue a job of that type, once its createPayload accepted the request
+  listJobTypes().forEach(({ name, routes }) => routes.forEach(route => {
+    const options = { schema: buildJobRouteSchema(route), ...(route.optionalBody && { preValidation: defaultEmptyBody }) };
+    fastify.post(route.path, options, async (request, reply) => {
+      let payload;
+      try {
+        payload = route.createPayload(request.body, request);
+      } catch (error) {
+        return reply.code(400).send({ error: error.message });
+      }
+      await publishJob(request, reply, { jobType: name, ...payload });
+    });
+  }));
+
+  fastify.get('/jobs/:jobId', { schema: jobStatusSchema }, async (request, reply) => {
+    if (!request.salesforce || !request.salesforce.context) {
+      return reply.code(401).send({ error: 'Salesforce context not found. Ensure x-client-context header is provided.' });
+    }
+
+    const { jobId } = request.params;
+    const job = await getJob(jobId);
+    // Jobs are only visible to the org that submitted them, jobs without an org to none
+    if (!job || job.orgId !== request.salesforce.context.org?.id) {
+      return reply.code(404).send({ error: `Job ${jobId} not found.` });
+    }
+    return reply.code(200).send(job);
   });
 
-  fastify.post('/data/create', { schema: dataCreateSchema }, async (request, reply) => {
-    // Safely parse query param and default to 10
-    const requestedCount = parseInt(request.query?.numberOfOpportunities, 10);
-    const count = (!isNaN(requestedCount) && requestedCount >= 1) ? requestedCount : 10; // Default to 10
-    // Add jobType to distinguish, pass value as 'count' for the worker
-    await publishJob(request, reply, { jobType: 'data', operation: 'create', count });
+  fastify.get('/jobs/:jobId/logs', { schema: jobLogSchema }, async (request, reply) => {
+    if (!request.salesforce || !request.salesforce.context) {
+      return reply.code(401).send({ error: 'Salesforce context not found. Ensure x-client-context header is provided.' });
+    }
+
+    const { jobId } = request.params;
+    const job = await getJob(jobId);
+    if (!job || job.orgId !== request.salesforce.context.org?.id) {
+      return reply.code(404).send({ error: `Job ${jobId} not found.` });
+    }
+    const { offset, limit } = request.query;
+    const { total, entries } = await getJobLog(jobId, { offset, limit });
+    return reply.code(200).send({ jobId, total, entries });
   });
 
-  fastify.post('/data/delete', { schema: dataDeleteSchema }, async (request, reply) => {
-    // Add jobType to distinguish
-    await publishJob(request, reply, { jobType: 'data', operation: 'delete' });
+  fastify.post('/jobs/:jobId/cancel', { schema: jobCancelSchema }, async (request, reply) => {
+    if (!request.salesforce || !request.salesforce.context) {
+      return reply.code(401).send({ error: 'Salesforce context not found. Ensure x-client-context header is provided.' });
+    }
+
+    const { jobId } = request.params;
+    const job = await getJob(jobId);
+    if (!job || job.orgId !== request.salesforce.context.org?.id) {
+      return reply.code(404).send({ error: `Job ${jobId} not found.` });
+    }
+    const state = await requestJobCancel(jobId);
+    if (state !== JOB_STATES.CANCELLED && state !== JOB_STATES.RUNNING) {
+      return reply.code(409).send({ error: `Job ${jobId} already finished with state: ${state}` });
+    }
+    request.log.info({ jobId, state }, 'Job cancellation requested');
+    return reply.code(202).send({ jobId, state });
+  });
+
+  fastify.get('/deadletters', { schema: deadLetterListSchema }, async (request, reply) => {
+    if (!request.salesforce || !request.salesforce.context) {
+      return reply.code(401).send({ error: 'Salesforce context not found. Ensure x-client-context header is provided.' });
+    }
+
+    const { offset, limit } = request.query;
+    const deadLetters = await listDeadLetters(request.salesforce.context.org?.id, { offset, limit });
+    return reply.code(200).send(deadLetters);
+  });
+
+  fastify.get('/deadletters/:jobId', { schema: deadLetterGetSchema }, async (request, reply) => {
+    if (!request.salesforce || !request.salesforce.context) {
+      return reply.code(401).send({ error: 'Salesforce context not found. Ensure x-client-context header is provided.' });
+    }
+
+    const { jobId } = request.params;
+    const deadLetter = await getDeadLetter(jobId);
+    // Dead letters are only visible to the org that submitted the job
+    if (!deadLetter || deadLetter.orgId !== (request.salesforce.context.org?.id || '')) {
+      return reply.code(404).send({ error: `Dead-lettered job ${jobId} not found.` });
+    }
+    return reply.code(200).send(deadLetter);
+  });
+
+  fastify.post('/deadletters/:jobId/replay', { schema: deadLetterReplaySchema }, async (request, reply) => {
+    if (!request.salesforce || !request.salesforce.context) {
+      return reply.code(401).send({ error: 'Salesforce context not found. Ensure x-client-context header is provided.' });
+    }
+
+    const { jobId } = request.params;
+    const deadLetter = await getDeadLetter(jobId);
+    if (!deadLetter || deadLetter.orgId !== (request.salesforce.context.org?.id || '')) {
+      return reply.code(404).send({ error: `Dead-lettered job ${jobId} not found.` });
+    }
+    // The replay runs as a new job with the context of this request, the stored context has likely expired
+    await publishJob(request, reply, { ...deadLetter.payload, replayOf: jobId });
+    if (reply.statusCode === 202) {
+      await removeDeadLetter(jobId, deadLetter.orgId);
+    }
+    return reply;
+  });
+
+  // Rejects schedules that would never run or whose jobs would fail on their selection
+  function validateSchedule ({ cron, soqlWhereClause, filter }) {
+    parseCron(cron);
+    resolveWhereClause({ soqlWhereClause, filter });
+  }
+
+  // Schedules are only visible to the org that created them
+  async function findSchedule (request, reply) {
+    const { scheduleId } = request.params;
+    const schedule = await getSchedule(scheduleId);
+    if (!schedule || schedule.orgId !== request.salesforce.context.org?.id) {
+      reply.code(404).send({ error: `Schedule ${scheduleId} not found.` });
+      return null;
+    }
+    return schedule;
+  }
+
+  fastify.post('/schedules', { schema: scheduleCreateSchema }, async (request, reply) => {
+    if (!request.salesforce || !request.salesforce.context) {
+      return reply.code(401).send({ error: 'Salesforce context not found. Ensure x-client-context header is provided.' });
+    }
+
+    try {
+      validateSchedule(request.body);
+    } catch (error) {
+      return reply.code(400).send({ error: error.message });
+    }
+    const schedule = await createSchedule(request.body, request.salesforce.context);
+    request.log.info({ scheduleId: schedule.scheduleId, cron: schedule.cron, nextRunAt: schedule.nextRunAt }, 'Schedule created');
+    return reply.code(201).send(schedule);
+  });
+
+  fastify.get('/schedules', { schema: scheduleListSchema }, async (request, reply) => {
+    if (!request.salesforce || !request.salesforce.context) {
+      return reply.code(401).send({ error: 'Salesforce context not found. Ensure x-client-context header is provided.' });
+    }
+
+    const { offset, limit } = request.query;
+    const schedules = await listSchedules(request.salesforce.context.org?.id, { offset, limit });
+    return reply.code(200).send(schedules);
+  });
+
+  fastify.get('/schedules/:scheduleId', { schema: scheduleGetSchema }, async (request, reply) => {
+    if (!request.salesforce || !request.salesforce.context) {
+      return reply.code(401).send({ error: 'Salesforce context not found. Ensure x-client-context header is provided.' });
+    }
+
+    const schedule = await findSchedule(request, reply);
+    if (schedule) {
+      return reply.code(200).send(schedule);
+    }
+    return reply;
+  });
+
+  fastify.put('/schedules/:scheduleId', { schema: scheduleUpdateSchema }, async (request, reply) => {
+    if (!request.salesforce || !request.salesforce.context) {
+      return reply.code(401).send({ error: 'Salesforce context not found. Ensure x-client-context header is provided.' });
+    }
+
+    const existing = await findSchedule(request, reply);
+    if (!existing) {
+      return reply;
+    }
+    try {
+      validateSchedule(request.body);
+    } catch (error) {
+      return reply.code(400).send({ error: error.message });
+    }
+    const schedule = await updateSchedule(existing, request.body);
+    request.log.info({ scheduleId: schedule.scheduleId, cron: schedule.cron, nextRunAt: schedule.nextRunAt }, 'Schedule updated');
+    return reply.code(200).send(schedule);
+  });
+
+  fastify.delete('/schedules/:scheduleId', { schema: scheduleDeleteSchema }, async (request, reply) => {
+    if (!request.salesforce || !request.salesforce.context) {
+      return reply.code(401).send({ error: 'Salesforce context not found. Ensure x-client-context header is provided.' });
+    }
+
+    const schedule = await findSchedule(request, reply);
+    if (!schedule) {
+      return reply;
+    }
+    await deleteSchedule(schedule.scheduleId, schedule.orgId);
+    request.log.info({ scheduleId: schedule.scheduleId }, 'Schedule deleted');
+    return reply.code(204).send();
+  });
+
+  fastify.get('/schedules/:scheduleId/runs', { schema: scheduleRunsSchema }, async (request, reply) => {
+    if (!request.salesforce || !request.salesforce.context) {
+      return reply.code(401).send({ error: 'Salesforce context not found. Ensure x-client-context header is provided.' });
+    }
+
+    const schedule = await findSchedule(request, reply);
+    if (!schedule) {
+      return reply;
+    }
+    const { offset, limit } = request.query;
+    const runs = await listScheduleRuns(schedule.scheduleId, { offset, limit });
+    return reply.code(200).send(runs);
   });
 
-  fastify.log.info('API routes registered for Pub/Sub.');
+  fastify.log.info('API routes registered for job queue.');
 }
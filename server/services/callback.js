@@ -0,0 +1,77 @@
+'use strict';
+
+import config from '../config/index.js';
+import { countOutcomes } from './jobs.js';
+
+const CALLBACK_TYPES = ['platformEvent', 'record', 'apex'];
+const DEFAULT_EVENT_NAME = 'JobCompleted__e';
+
+/**
+ * Resolves the callback for a job: the one supplied with the request, otherwise the configured default.
+ * @param {object} jobData - The job data object from Redis.
+ * @returns {{type: string, target: string}|null}
+ */
+function resolveCallback (jobData) {
+  const callback = jobData.callback || (config.jobCallbackType ? { type: config.jobCallbackType, target: config.jobCallbackTarget } : null);
+  if (!callback || !CALLBACK_TYPES.includes(callback.type)) {
+    return null;
+  }
+  if (callback.type === 'platformEvent') {
+    return { type: callback.type, target: callback.target || DEFAULT_EVENT_NAME };
+  }
+  return callback.target ? callback : null;
+}
+
+/**
+ * Reports the outcome of a finished job back to the org that submitted it, either by
+ * publishing a Platform Event, inserting a job log record or calling an Apex REST endpoint.
+ * Failures are logged and never change the outcome of the job itself.
+ * @param {object} jobData - The job data object from Redis.
+ * @param {object} sfContext - The initialized Salesforce context (ContextImpl instance).
+ * @param {object} outcome - The final job outcome.
+ * @param {string} outcome.state - The final job state.
+ * @param {object} [outcome.result] - Counters returned by the job handler.
+ * @param {Error|string} [outcome.error] - The error that ended the job, if any.
+ * @param {object} logger - A logger instance.
+ */
+async function notifyJobCompletion (jobData, sfContext, { state, result, error }, logger) {
+  const callback = resolveCallback(jobData);
+  if (!callback || !sfContext?.org) {
+    return;
+  }
+
+  const { jobId, jobType } = jobData;
+  const { succeeded, failed } = countOutcomes(result);
+  const message = (error?.message || error || '').toString().substring(0, 255);
+  try {
+    if (callback.type === 'apex') {
+      // Apex REST endpoint, e.g. target 'JobCallback' for @RestResource(urlMapping='/JobCallback')
+      await sfContext.org.request(`services/apexrest/${callback.target.replace(/^\/+/, '')}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ jobId, jobType, state, succeeded, failed, message, result })
+      }, false); // Apex callbacks may return an empty body
+    } else {
+      // Platform Events and job log records are both inserted as sObjects
+      await sfContext.org.dataApi.create({
+        type: callback.target,
+        fields: {
+          JobId__c: jobId,
+          JobType__c: jobType,
+          State__c: state,
+          SucceededCount__c: succeeded,
+          FailedCount__c: failed,
+          Message__c: message || null
+        }
+      });
+    }
+    logger.info(`Completion callback (${callback.type}: ${callback.target}) sent for Job ID: ${jobId}`);
+  } catch (callbackError) {
+    logger.error({ err: callbackError, jobId }, `Failed to send completion callback (${callback.type}: ${callback.target}) for Job ID: ${jobId}`);
+  }
+}
+
+export {
+  CALLBACK_TYPES,
+  notifyJobCompletion
+};
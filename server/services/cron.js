@@ -0,0 +1,118 @@
+'use strict';
+
+// Standard five field cron expressions (minute hour day-of-month month day-of-week), evaluated in UTC
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'] },
+  { name: 'day of week', min: 0, max: 7, names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'] }
+];
+// Expressions that match no date within this many years, such as 0 0 30 2 *, are rejected
+const MAX_YEARS_AHEAD = 5;
+const MINUTE_MS = 60 * 1000;
+
+function parseValue (value, field) {
+  const index = field.names?.indexOf(value?.toUpperCase()) ?? -1;
+  const number = index >= 0 ? index + field.min : /^\d+$/.test(value) ? Number(value) : NaN;
+  if (!(number >= field.min && number <= field.max)) {
+    throw new Error(`Invalid ${field.name} '${value}' in cron expression, expected ${field.min}-${field.max}`);
+  }
+  return number;
+}
+
+function parseField (expression, field) {
+  const values = new Set();
+  for (const part of expression.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid step '${stepText}' for ${field.name} in cron expression`);
+    }
+    let [start, end] = [field.min, field.max];
+    if (range !== '*') {
+      const [from, to] = range.split('-');
+      start = parseValue(from, field);
+      // A single value with a step, such as 5/15, runs from that value to the end of the range
+      end = to !== undefined ? parseValue(to, field) : stepText !== undefined ? field.max : start;
+    }
+    if (start > end) {
+      throw new Error(`Invalid range '${range}' for ${field.name} in cron expression`);
+    }
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+  return values;
+}
+
+/**
+ * Parses a cron expression.
+ * @param {string} expression - Five fields: minute, hour, day of month, month and day of week.
+ * Fields accept *, values, ranges (1-5), steps (*\/15) and lists (1,15). Months and days of week also accept names (JAN, MON).
+ * @returns {object} - The parsed expression, for getNextRun.
+ * @throws {Error} - If the expression is malformed or never matches.
+ */
+function parseCron (expression) {
+  const parts = String(expression).trim().split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw new Error(`Cron expression '${expression}' must have ${FIELDS.length} fields: minute hour day-of-month month day-of-week`);
+  }
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, i) => parseField(part, FIELDS[i]));
+  // Both 0 and 7 mean Sunday
+  if (daysOfWeek.delete(7)) {
+    daysOfWeek.add(0);
+  }
+  const cron = {
+    expression: parts.join(' '),
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    // As in cron, when both day fields are restricted a day matching either of them runs
+    anyDay: parts[2] !== '*' && parts[4] !== '*'
+  };
+  getNextRun(cron, new Date());
+  return cron;
+}
+
+function matchesDay (cron, date) {
+  const dayOfMonth = cron.daysOfMonth.has(date.getUTCDate());
+  const dayOfWeek = cron.daysOfWeek.has(date.getUTCDay());
+  return cron.anyDay ? dayOfMonth || dayOfWeek : dayOfMonth && dayOfWeek;
+}
+
+/**
+ * Returns the first time after a given date that a cron expression matches.
+ * @param {object} cron - An expression parsed with parseCron.
+ * @param {Date} after - The date to start from, exclusive.
+ * @returns {Date}
+ * @throws {Error} - If the expression matches no date within five years.
+ */
+function getNextRun (cron, after) {
+  const date = new Date(Math.floor(after.getTime() / MINUTE_MS) * MINUTE_MS + MINUTE_MS);
+  const limit = new Date(date);
+  limit.setUTCFullYear(limit.getUTCFullYear() + MAX_YEARS_AHEAD);
+  while (date < limit) {
+    if (!cron.months.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0);
+    } else if (!matchesDay(cron, date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0);
+    } else if (!cron.hours.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0);
+    } else if (!cron.minutes.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1);
+    } else {
+      return date;
+    }
+  }
+  throw new Error(`Cron expression '${cron.expression}' does not match any date in the next ${MAX_YEARS_AHEAD} years`);
+}
+
+export {
+  parseCron,
+  getNextRun
+};
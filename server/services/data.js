@@ -1,316 +1,619 @@
 'use strict';
 
-// --- Bulk API Helper Constants ---
-const BULK_API_POLL_INTERVAL = 5000; // 5 seconds
+import crypto from 'node:crypto';
+import config from '../config/index.js';
+import { createRandom, randomInt, pickWeighted, normalizeScenario } from './scenario.js';
+import { createOrgData, getField, getId } from './orgdata.js';
+import { quoteString } from './soql.js';
 
 // --- Data Generation Helpers ---
 
-function generateSampleOpportunities (count, accountId, pricebookId) {
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SAMPLE_ACCOUNT_PREFIX = 'Sample Account ';
+
+/**
+ * Generates the sample Opportunities together with the line items planned for each, so that
+ * every random draw happens up front and a seed always produces the same records.
+ * @param {number} count - Number of Opportunities.
+ * @param {object} scenario - The normalized scenario.
+ * @param {function(): number} random - The seeded random number generator.
+ * @param {object} options
+ * @param {Array<string>} options.accountIds - Accounts to spread the Opportunities across.
+ * @param {string} options.pricebookId - The scenario's Pricebook ID.
+ * @param {Array<object>} options.productMix - Pricebook Entries with their weights.
+ * @param {string} options.datasetId - The dataset ID stamped on every Opportunity.
+ * @returns {Array<{fields: object, lineItems: Array<object>}>}
+ */
+function generateSampleOpportunities (count, scenario, random, { accountIds, pricebookId, productMix, datasetId }) {
+  const { closeDate, lineItems, currency } = scenario;
+  const baseTime = closeDate.baseDate ? Date.parse(closeDate.baseDate) : Date.now();
   const opportunities = [];
   for (let i = 0; i < count; i++) {
-    opportunities.push({
+    const fields = {
       // Ensure required fields are included
       Name: `Sample Opportunity ${i}`,
-      AccountId: accountId, // Need a valid Account ID
-      StageName: 'Prospecting',
-      CloseDate: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString().split('T')[0], // ~30 days from now
-      Pricebook2Id: pricebookId
-    });
+      AccountId: accountIds[randomInt(random, { min: 0, max: accountIds.length - 1 })],
+      StageName: pickWeighted(random, scenario.stages).value,
+      CloseDate: new Date(baseTime + randomInt(random, { min: closeDate.minDaysFromNow, max: closeDate.maxDaysFromNow }) * DAY_MS).toISOString().split('T')[0],
+      Pricebook2Id: pricebookId,
+      [config.sampleDatasetField]: datasetId // Identifies the records to remove when the dataset is deleted
+    };
+    if (currency) {
+      fields.CurrencyIsoCode = currency;
+    }
+    const plannedLineItems = [];
+    const lineItemCount = randomInt(random, lineItems);
+    for (let n = 0; n < lineItemCount; n++) {
+      const { pbe } = pickWeighted(random, productMix);
+      plannedLineItems.push({
+        PricebookEntryId: pbe.Id,
+        Product2Id: pbe.Product2Id, // Include Product2Id
+        Quantity: randomInt(random, lineItems.quantity),
+        UnitPrice: lineItems.useListPrice ? pbe.UnitPrice : randomInt(random, lineItems.unitPrice)
+      });
+    }
+    opportunities.push({ fields, lineItems: plannedLineItems });
   }
   return opportunities;
 }
 
-function generateSampleOLIs (createdOppIds, pricebookEntries) {
+/**
+ * Attaches the planned line items to the Opportunities that were created.
+ * @param {Array<{fields: object, lineItems: Array<object>}>} opportunities - The generated Opportunities.
+ * @param {Map<string, string>} oppIdsByName - Created Opportunity IDs by Opportunity name.
+ * @returns {Array<object>} - OpportunityLineItem rows.
+ */
+function generateSampleOLIs (opportunities, oppIdsByName) {
   const olis = [];
-  const FIXED_OLI_COUNT = 2;
-  if (!createdOppIds || createdOppIds.length === 0 || !pricebookEntries || pricebookEntries.length === 0) {
-    return olis;
-  }
-
-  createdOppIds.forEach(oppId => {
-    for (let i = 0; i < FIXED_OLI_COUNT; i++) {
-      // Pick a random PBE ensuring we don't exceed available entries
-      const entryIndex = Math.floor(Math.random() * pricebookEntries.length);
-      const pbe = pricebookEntries[entryIndex];
-
-      // Ensure we got a valid PBE object with Id and Product2Id
-      if (pbe && pbe.Id && pbe.Product2Id) {
-          olis.push({
-            OpportunityId: oppId,
-            PricebookEntryId: pbe.Id,
-            Product2Id: pbe.Product2Id, // Include Product2Id
-            Quantity: Math.floor(Math.random() * 10) + 1,
-            UnitPrice: Math.floor(Math.random() * 100) + 10 // Random price between 10-110
-          });
-      } else {
-          // Log a warning if a valid PBE couldn't be found for this iteration
-          // Use console.warn directly as logger might not be available here
-          console.warn(`[DataGen] Could not find valid PricebookEntry with Product2Id for iteration ${i} on Opp ${oppId}. Skipping OLI.`);
-      }
+  opportunities.forEach(({ fields, lineItems }) => {
+    const oppId = oppIdsByName.get(fields.Name);
+    // Opportunities that failed to insert get no line items
+    if (oppId) {
+      lineItems.forEach(lineItem => olis.push({ OpportunityId: oppId, ...lineItem }));
     }
   });
   return olis;
 }
 
-// --- Bulk API Polling Helper ---
-
-async function pollBulkJobStatus (jobReference, bulkApi, logger) {
-  let jobInfo;
+/**
+ * Weights the Pricebook Entries by the scenario's product mix. An empty mix weights all entries equally.
+ * @param {Array<object>} pricebookEntries - Active Pricebook Entries with their Product2 fields.
+ * @param {Array<object>} products - The scenario's weighted products.
+ * @returns {Array<{pbe: object, weight: number}>}
+ */
+function buildProductMix (pricebookEntries, products) {
+  if (products.length === 0) {
+    return pricebookEntries.map(pbe => ({ pbe, weight: 1 }));
+  }
+  return products.flatMap(product => {
+    const matches = pricebookEntries.filter(pbe => {
+      const product2 = pbe.Product2?.fields || {};
+      return (product.name && product2.Name === product.name) || (product.productCode && product2.ProductCode === product.productCode);
+    });
+    if (matches.length === 0) {
+      throw new Error(`No active Pricebook Entry found for product '${product.name || product.productCode}'.`);
+    }
+    // A product with several entries keeps its overall weight
+    return matches.map(pbe => ({ pbe, weight: product.weight / matches.length }));
+  });
+}
 
-  const jobId = jobReference.id;
-  logger.info(`Polling Bulk API v2 job status for Job ID: ${jobId}`);
+/**
+ * Resolves the Accounts to spread the Opportunities across, creating missing sample Accounts
+ * (Sample Account 1..count) when the scenario asks for them.
+ * @param {object} accountsScenario - The scenario's accounts definition.
+ * @param {function(): number} random - The seeded random number generator.
+ * @param {object} sfContext - The initialized Salesforce context (ContextImpl instance).
+ * @param {object} orgData - The job's data access, created by createOrgData.
+ * @param {object} logger - A logger instance.
+ * @param {boolean} dryRun - Whether to only count the Accounts that would be created.
+ * @returns {Promise<{accountIds: Array<string>, accountsCreated: number}>}
+ */
+async function resolveSampleAccounts ({ source, count, billingCountries }, random, sfContext, orgData, logger, dryRun) {
+  if (source === 'existing') {
+    // Order by Id so the same seed spreads Opportunities over the same Accounts
+    const accounts = await orgData.queryAll(`SELECT Id FROM Account ORDER BY Id LIMIT ${count}`);
+    if (!accounts || accounts.length === 0) {
+      logger.error('No Account found. Reason: Query returned 0 records.');
+      throw new Error('No Account found. Reason: Query returned 0 records');
+    }
+    if (accounts.length < count) {
+      logger.warn(`Scenario asked for ${count} existing Accounts, only ${accounts.length} found.`);
+    }
+    return { accountIds: accounts.map(getId), accountsCreated: 0 };
+  }
 
-  while (true) {
-    try {
-      jobInfo = await bulkApi.getInfo(jobReference);
-      logger.debug(`Bulk API v2 Job ${jobId} status: ${jobInfo.state}`);
-      if (jobInfo.state === 'JobComplete') {
-        logger.info(`Bulk API v2 Job ${jobId} processing complete.`);
-        return jobInfo; // Success
-      } else if (jobInfo.state === 'Failed' || jobInfo.state === 'Aborted') {
-        logger.error(`Bulk API v2 Job ${jobId} failed or was aborted. State: ${jobInfo.state}, Message: ${jobInfo.errorMessage}`);
-        throw new Error(`Bulk API Job ${jobId} failed or aborted: ${jobInfo.state}`);
+  const existing = await orgData.queryAll(`SELECT Id, Name FROM Account WHERE Name LIKE '${SAMPLE_ACCOUNT_PREFIX}%'`);
+  const accountIdsByName = new Map(existing.map(account => [getField(account, 'Name'), getId(account)]));
+  const dataApi = sfContext.org.dataApi;
+  const unitOfWork = dataApi.newUnitOfWork();
+  const accountRefs = new Map();
+  for (let i = 1; i <= count; i++) {
+    const name = `${SAMPLE_ACCOUNT_PREFIX}${i}`;
+    // Always draw, so the draws that follow do not depend on which Accounts already exist
+    const billingCountry = billingCountries.length > 0 ? pickWeighted(random, billingCountries).value : undefined;
+    if (!accountIdsByName.has(name)) {
+      const fields = { Name: name };
+      if (billingCountry) {
+        fields.BillingCountry = billingCountry;
       }
-    } catch (err) {
-      logger.error({ err: err }, `Error polling Bulk API v2 job ${jobId}`);
-      throw err; // Rethrow error after logging
+      accountRefs.set(name, unitOfWork.registerCreate({ type: 'Account', fields }));
     }
-
-    await new Promise(resolve => setTimeout(resolve, BULK_API_POLL_INTERVAL));
   }
+  if (dryRun) {
+    // Names stand in for the IDs of Accounts that do not exist yet
+    return { accountIds: [...accountIdsByName.values(), ...accountRefs.keys()], accountsCreated: accountRefs.size };
+  }
+  if (accountRefs.size > 0) {
+    logger.info(`Creating ${accountRefs.size} sample Accounts`);
+    const commitResult = await dataApi.commitUnitOfWork(unitOfWork);
+    accountRefs.forEach((ref, name) => {
+      const accountId = commitResult.get(ref)?.id;
+      if (!accountId) {
+        throw new Error(`Failed to create sample Account ${name}.`);
+      }
+      accountIdsByName.set(name, accountId);
+    });
+  }
+  const accountIds = [];
+  for (let i = 1; i <= count; i++) {
+    accountIds.push(accountIdsByName.get(`${SAMPLE_ACCOUNT_PREFIX}${i}`));
+  }
+  return { accountIds, accountsCreated: accountRefs.size };
+}
+
+// --- Deletion Helpers ---
 
-  // Timeout reached
-  logger.error(`Timeout polling Bulk API v2 job ${jobId}. Last state: ${jobInfo?.state}`);
-  throw new Error(`Timeout polling Bulk API Job ${jobId}`);
+const JOB_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Builds the queries selecting the records to delete, children first so that nothing is left
+ * behind. A quote job selects the Quotes it generated, otherwise the Opportunities of a dataset
+ * (or of all datasets) are selected together with their line items and Quotes.
+ * @param {object} selection
+ * @param {string} [selection.datasetId] - The ID of the data create job that created the dataset.
+ * @param {string} [selection.quoteJobId] - The ID of the quote job that generated the Quotes.
+ * @returns {Array<{object: string, where: string}>}
+ */
+function buildDeleteSelection ({ datasetId, quoteJobId }) {
+  // Validated when the job was submitted, checked again as the IDs end up in SOQL
+  [datasetId, quoteJobId].forEach(id => {
+    if (id !== undefined && !JOB_ID_PATTERN.test(id)) {
+      throw new Error(`Invalid job ID '${id}'.`);
+    }
+  });
+  if (datasetId && quoteJobId) {
+    throw new Error('Provide either datasetId or quoteJobId, not both.');
+  }
+  if (quoteJobId) {
+    const quoteFilter = `${config.quoteMarkerField} = '${quoteJobId}'`;
+    return [
+      { object: 'QuoteLineItem', where: `Quote.${quoteFilter}` },
+      { object: 'Quote', where: quoteFilter }
+    ];
+  }
+  const oppFilter = datasetId ? `${config.sampleDatasetField} = '${datasetId}'` : `${config.sampleDatasetField} != null`;
+  return [
+    { object: 'QuoteLineItem', where: `Quote.Opportunity.${oppFilter}` },
+    { object: 'Quote', where: `Opportunity.${oppFilter}` },
+    { object: 'OpportunityLineItem', where: `Opportunity.${oppFilter}` },
+    { object: 'Opportunity', where: oppFilter }
+  ];
 }
 
 /**
- * Helper function to fetch all records for a SOQL query, handling pagination.
- * @param {string} soql - The SOQL query string.
- * @param {object} sfContext - The initialized Salesforce context (ContextImpl instance).
+ * Deletes the records of a selection, in the order given. In a dry run they are only counted.
+ * Records are hard deleted with Bulk API v2.
+ * @param {Array<{object: string, where: string}>} selection - The selection built by buildDeleteSelection.
+ * @param {object} orgData - The job's data access, created by createOrgData.
  * @param {object} logger - A logger instance.
- * @returns {Promise<Array>} - A promise that resolves with an array of all records.
+ * @param {object} options
+ * @param {string} options.jobId - The job ID, for logging.
+ * @param {AbortSignal} [options.signal] - Aborted when the job is cancelled, checked between sObjects.
+ * @param {object} [options.report] - Dry run report, counts are added per sObject instead of deleting.
+ * @param {function(object): void} [options.onDeleted] - Called with the outcome of each sObject's bulkIngest.
  */
-async function queryAll (soql, sfContext, logger) {
-  let allRecords = [];
-  try {
-    let result = await sfContext.org.dataApi.query(soql);
-    allRecords = allRecords.concat(result.records);
-    while (!result.done && result.nextRecordsUrl) {
-      result = await sfContext.org.dataApi.queryMore(result); // Use result object directly
-      allRecords = allRecords.concat(result.records);
+async function deleteSelection (selection, orgData, logger, { jobId, signal, report, onDeleted = () => {} }) {
+  for (const { object, where } of selection) {
+    signal?.throwIfAborted();
+    if (report) {
+      report[object] = await orgData.queryCount(`SELECT COUNT() FROM ${object} WHERE ${where}`);
+      continue;
     }
-  } catch (error) {
-    logger.error({ err: error, soql }, 'Error during queryAll execution');
-    throw error; // Re-throw the error to be caught by the caller
+    const records = await orgData.queryAll(`SELECT Id FROM ${object} WHERE ${where}`);
+    const ids = records.map(getId).filter(id => id);
+    if (ids.length === 0) {
+      logger.info(`No ${object} records to delete for Job ID: ${jobId}.`);
+      continue;
+    }
+    logger.info(`Found ${ids.length} ${object} records to delete for Job ID: ${jobId}`);
+    onDeleted(await orgData.bulkIngest(object, 'hardDelete', ids.map(id => ({ Id: id }))));
   }
-  return allRecords;
 }
 
 // --- Main Data Handler ---
 
 /**
- * Handles data creation or deletion jobs.
+ * Handles data creation or deletion jobs. Created Opportunities are stamped with the job ID as their
+ * dataset ID, deletion removes a dataset or the Quotes of a quote job. With jobData.dryRun set, the
+ * records that would be created or deleted are only counted, per sObject, in the result report.
  * @param {object} jobData - The job data object from Redis.
  * @param {object} sfContext - The initialized Salesforce context (ContextImpl instance).
  * @param {object} logger - A logger instance.
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Aborted when the job is cancelled, checked between steps.
+ * @returns {Promise<{recordsProcessed: number, recordsFailed: number, seed?: number, datasetId?: string, accountsCreated?: number, report?: object}>}
+ *   - Bulk API counters summed across all Bulk jobs, and the seed and dataset ID of create jobs.
  */
-async function handleDataMessage (jobData, sfContext, logger) {
-  const { jobId: processJobId, operation, count = 10 } = jobData;
+async function handleDataMessage (jobData, sfContext, logger, { signal } = {}) {
+  const { jobId: processJobId, operation, count = 10, seed, scenario: scenarioDefinition, datasetId, quoteJobId, dryRun = false, checkpoint } = jobData;
   // Note: context is no longer destructured here, sfContext is passed in
   logger.info(`Worker received job with ID: ${processJobId} for data operation: ${operation}`);
+  const result = { recordsProcessed: 0, recordsFailed: 0 };
+  const addBulkCounts = (outcome) => {
+    result.recordsProcessed += outcome.processed;
+    result.recordsFailed += outcome.failed;
+  };
+  if (dryRun) {
+    result.dryRun = true;
+    result.report = {};
+  }
 
   try {
     // *** Access APIs via sfContext.org ***
     if (!sfContext || !sfContext.org || !sfContext.org.dataApi || !sfContext.org.bulkApi) {
         logger.error(`Invalid sfContext or missing APIs for Data Job ID: ${processJobId}`);
-        return;
+        throw new Error('Invalid Salesforce context.');
     }
-    const dataApi = sfContext.org.dataApi;
-    const bulkApi = sfContext.org.bulkApi;
+    const orgData = createOrgData(sfContext, logger, { signal });
 
     if (operation === 'create') {
-      logger.info(`Starting data creation via Bulk API v2 for Job ID: ${processJobId}, Count: ${count}`);
+      // Jobs queued before seeds were introduced get one here, it is reported either way
+      result.seed = seed ?? Math.floor(Math.random() * 2 ** 31);
+      logger.info(`Starting data creation via Bulk API v2 for Job ID: ${processJobId}, Count: ${count}, Seed: ${result.seed}`);
 
       // 1. Prerequisites (use dataApi)
-      let accounts;
-      try {
-        accounts = await queryAll("SELECT Id FROM Account LIMIT 1", sfContext, logger);
-      } catch (queryError) {
-        logger.error({ err: queryError }, 'Error during queryAll for Account');
-        throw queryError;
-      }
-
-      if (!accounts || accounts.length === 0) {
-          const reason = !accounts ? 'Query result is null/undefined or empty'
-                       : 'Query returned 0 records';
-          logger.error(`No Account found. Reason: ${reason}.`);
-          throw new Error(`No Account found. Reason: ${reason}`);
+      const scenario = normalizeScenario(scenarioDefinition);
+      const random = createRandom(result.seed);
+      const { accountIds, accountsCreated } = await resolveSampleAccounts(scenario.accounts, random, sfContext, orgData, logger, dryRun);
+      if (scenario.accounts.source === 'create' && !dryRun) {
+        result.accountsCreated = accountsCreated;
       }
-      // Access fields correctly from the result array
-      const accountId = accounts[0].fields.Id || accounts[0].fields.id;
 
-      // Use query for Pricebook2
-      const standardPricebookRecords = await queryAll("SELECT Id FROM Pricebook2 WHERE IsStandard = true LIMIT 1", sfContext, logger);
-      if (!standardPricebookRecords || standardPricebookRecords.length === 0) { throw new Error('Standard Pricebook not found.'); }
-      const standardPricebookId = standardPricebookRecords[0].fields.Id || standardPricebookRecords[0].fields.id;
+      // Use query for Pricebook2, the scenario's named Pricebook or the standard one
+      const pricebookFilter = scenario.pricebook ? `Name = ${quoteString(scenario.pricebook)} AND IsActive = true` : 'IsStandard = true';
+      const pricebookRecords = await orgData.queryAll(`SELECT Id FROM Pricebook2 WHERE ${pricebookFilter} LIMIT 1`);
+      if (!pricebookRecords || pricebookRecords.length === 0) { throw new Error(scenario.pricebook ? `Active Pricebook '${scenario.pricebook}' not found.` : 'Standard Pricebook not found.'); }
+      const pricebookId = getId(pricebookRecords[0]);
 
-      // Use quer for PricebookEntry
-      const pbeQuery = `SELECT Id, Product2Id FROM PricebookEntry WHERE Pricebook2Id = '${standardPricebookId}' AND IsActive = true`;
-      const pbes = await queryAll(pbeQuery, sfContext, logger);
+      // Use query for PricebookEntry, ordered so the same seed picks the same entries
+      const currencyFilter = scenario.currency ? ` AND CurrencyIsoCode = '${scenario.currency}'` : '';
+      const pbeQuery = `SELECT Id, Product2Id, UnitPrice, Product2.Name, Product2.ProductCode FROM PricebookEntry WHERE Pricebook2Id = '${pricebookId}' AND IsActive = true${currencyFilter} ORDER BY Id`;
+      const pbes = await orgData.queryAll(pbeQuery);
       if (!pbes || pbes.length === 0) { throw new Error('No active Pricebook Entries found.'); }
       const pricebookEntries = pbes.map(pbe => pbe?.fields).filter(pbe => pbe && pbe.Id && pbe.Product2Id);
       if (pricebookEntries.length === 0) { throw new Error('No valid Pricebook Entries with Product2Id found.'); }
+      const productMix = buildProductMix(pricebookEntries, scenario.products);
 
-      // --- Create Opportunities via Bulk API (use bulkApi) ---
+      // --- Create Opportunities via Bulk API ---
+      signal?.throwIfAborted();
       logger.info(`Preparing Bulk API v2 Opportunity creation job for Job ID: ${processJobId}`);
-      const oppsToCreate = generateSampleOpportunities(count, accountId, standardPricebookId);
-      const oppColumns = Object.keys(oppsToCreate[0] || {});
-      const oppDataTable = oppsToCreate.map(opp => {
-          const rowMap = new Map();
-          oppColumns.forEach(col => rowMap.set(col, opp[col]));
-          return rowMap;
-      });
-      oppDataTable.columns = oppColumns;
-      const oppIngestResult = await bulkApi.ingest({ object: 'Opportunity', operation: 'insert', dataTable: oppDataTable });
-      let oppJobReference;
-      if (Array.isArray(oppIngestResult) && oppIngestResult[0]?.error) {
-          logger.error({ errorDetails: oppIngestResult[0].error }, `Bulk API v2 ingest for Opportunities failed.`);
-          throw new Error(`bulkApi.ingest for Opportunities failed.`);
-      } else if (Array.isArray(oppIngestResult) && oppIngestResult[0]?.id && oppIngestResult[0]?.type) {
-          oppJobReference = oppIngestResult[0];
-      } else {
-          logger.error({ oppIngestResult }, `Bulk API v2 ingest for Opportunities returned unexpected structure.`);
-          throw new Error('bulkApi.ingest for Opportunities returned unexpected structure.');
+      const sampleOpportunities = generateSampleOpportunities(count, scenario, random, { accountIds, pricebookId, productMix, datasetId: processJobId });
+      if (dryRun) {
+        result.report = {
+          Account: accountsCreated,
+          Opportunity: sampleOpportunities.length,
+          OpportunityLineItem: sampleOpportunities.reduce((total, opp) => total + opp.lineItems.length, 0)
+        };
+        logger.info({ report: result.report }, `Dry run, skipping data creation for Job ID: ${processJobId}`);
+        return result;
       }
-      logger.info(`Submitted Bulk API v2 Opportunity creation job with ID: ${oppJobReference.id} for main Job ID: ${processJobId}`);
-      const oppJobInfo = await pollBulkJobStatus(oppJobReference, bulkApi, logger);
-      logger.info(`Opportunity creation job ${oppJobReference.id} completed. State: ${oppJobInfo.state}, Processed: ${oppJobInfo.numberRecordsProcessed}, Failed: ${oppJobInfo.numberRecordsFailed}`);
-      if (oppJobInfo.numberRecordsFailed > 0) {
-          try {
-              const failedRecords = await bulkApi.getFailedResults(oppJobReference);
-              logger.warn(`Opportunity creation job ${oppJobReference.id} had ${oppJobInfo.numberRecordsFailed} failures. Details:`, failedRecords);
-          } catch(failErr) {
-              logger.error({err: failErr}, `Error fetching failed results for job ${oppJobReference.id}`);
-          }
+      result.datasetId = processJobId;
+      // An earlier attempt of this job (interrupted by a shutdown, retried after an error or reclaimed
+      // from a crashed worker) may have left part of the dataset behind. It is removed, then the whole
+      // dataset is generated again from the same seed.
+      const leftover = await orgData.queryCount(`SELECT COUNT() FROM Opportunity WHERE ${config.sampleDatasetField} = '${processJobId}'`);
+      if (leftover > 0) {
+        logger.info(`Job ${processJobId} ran before, removing the ${leftover} Opportunities it created so far`);
+        await deleteSelection(buildDeleteSelection({ datasetId: processJobId }), orgData, logger, { jobId: processJobId, signal });
       }
-      if (oppJobInfo.numberRecordsProcessed === 0 || oppJobInfo.numberRecordsProcessed === oppJobInfo.numberRecordsFailed) {
-          logger.error(`No Opportunities successfully created by job ${oppJobReference.id}. Aborting OLI creation for Job ID: ${processJobId}.`);
-          return;
+      const oppOutcome = await orgData.bulkIngest('Opportunity', 'insert', sampleOpportunities.map(opp => opp.fields));
+      addBulkCounts(oppOutcome);
+      if (oppOutcome.successes.length === 0) {
+          logger.error(`No Opportunities successfully created. Aborting OLI creation for Job ID: ${processJobId}.`);
+          return result;
       }
 
-      // --- Create OLIs via Bulk API (use bulkApi) ---
-      let successfulOppIds = [];
-       try {
-            const successfulRecords = await bulkApi.getSuccessfulResults(oppJobReference);
-            successfulOppIds = successfulRecords.map(rec => rec.get('sf__Id')).filter(id => id);
-            logger.info(`Extracted ${successfulOppIds.length} successful Opportunity IDs for Job ID: ${processJobId}`);
-       } catch(successErr) {
-           logger.error({err: successErr}, `Error fetching successful results for Opportunity job ${oppJobReference.id}. Cannot create OLIs.`);
-           return;
-       }
-       if (successfulOppIds.length === 0) {
-            logger.warn(`No successful Opportunity IDs retrieved from job ${oppJobReference.id}. Cannot create OLIs for Job ID: ${processJobId}.`);
-            return;
-       }
-
-      logger.info(`Preparing Bulk API v2 OLI creation job for ${successfulOppIds.length} Opportunities for Job ID: ${processJobId}`);
-      const olisToCreate = generateSampleOLIs(successfulOppIds, pricebookEntries);
+      // --- Create OLIs via Bulk API ---
+      signal?.throwIfAborted();
+      const oppIdsByName = new Map(oppOutcome.successes.map(({ id, record }) => [record.Name, id]));
+      logger.info(`Preparing Bulk API v2 OLI creation job for ${oppIdsByName.size} Opportunities for Job ID: ${processJobId}`);
+      const olisToCreate = generateSampleOLIs(sampleOpportunities, oppIdsByName);
       if (olisToCreate.length === 0) {
           logger.info(`No OLIs generated. Skipping OLI creation job for Job ID: ${processJobId}`);
       } else {
-          const oliColumns = Object.keys(olisToCreate[0] || {});
-          const oliDataTable = olisToCreate.map(oli => {
-              const rowMap = new Map();
-              oliColumns.forEach(col => rowMap.set(col, oli[col]));
-              return rowMap;
-          });
-          oliDataTable.columns = oliColumns;
-          const oliIngestResult = await bulkApi.ingest({ object: 'OpportunityLineItem', operation: 'insert', dataTable: oliDataTable });
-          let oliJobReference;
-          if (Array.isArray(oliIngestResult) && oliIngestResult[0]?.error) {
-              logger.error({ errorDetails: oliIngestResult[0].error }, `Bulk API v2 ingest for OLIs failed.`);
-              logger.warn(`OLI creation job submission failed.`);
-          } else if (Array.isArray(oliIngestResult) && oliIngestResult[0]?.id && oliIngestResult[0]?.type) {
-              oliJobReference = oliIngestResult[0];
-          } else {
-              logger.error({ oliIngestResult }, `Bulk API v2 ingest for OLIs returned unexpected structure.`);
-              logger.warn(`OLI creation job submission returned unexpected structure.`);
-          }
-          if (oliJobReference) {
-              logger.info(`Submitted Bulk API v2 OLI creation job with ID: ${oliJobReference.id} for main Job ID: ${processJobId}`);
-              const oliJobInfo = await pollBulkJobStatus(oliJobReference, bulkApi, logger);
-              logger.info(`OLI creation job ${oliJobReference.id} completed. State: ${oliJobInfo.state}, Processed: ${oliJobInfo.numberRecordsProcessed}, Failed: ${oliJobInfo.numberRecordsFailed}`);
-              if (oliJobInfo.numberRecordsFailed > 0) {
-                  try {
-                     const failedRecords = await bulkApi.getFailedResults(oliJobReference);
-                     logger.warn(`OLI creation job ${oliJobReference.id} had ${oliJobInfo.numberRecordsFailed} failures. Details:`, failedRecords);
-                  } catch(failErr) {
-                     logger.error({err: failErr}, `Error fetching failed results for OLI job ${oliJobReference.id}`);
-                  }
-              }
-          } else {
-             logger.warn(`Skipping OLI job polling because submission failed or returned invalid reference.`);
-          }
+          addBulkCounts(await orgData.bulkIngest('OpportunityLineItem', 'insert', olisToCreate));
       }
 
     } else if (operation === 'delete') {
-      logger.info(`Starting data deletion via Bulk API v2 for Job ID: ${processJobId}`);
-
-      // Use queryAll to find all Opportunities matching the sample pattern
-      const oppQuery = `SELECT Id FROM Opportunity WHERE Name LIKE 'Sample Opp%'`;
-      const opportunitiesToDelete = await queryAll(oppQuery, sfContext, logger);
-      if (!opportunitiesToDelete || opportunitiesToDelete.length === 0) {
-        logger.info(`No sample Opportunities found to delete for Job ID: ${processJobId}.`);
-        return;
+      const selection = buildDeleteSelection({ datasetId, quoteJobId });
+      const target = quoteJobId ? `Quotes of quote job ${quoteJobId}` : datasetId ? `dataset ${datasetId}` : 'all sample datasets';
+      logger.info(`Starting data deletion via Bulk API v2 for Job ID: ${processJobId}, deleting ${target}${dryRun ? ' (dry run)' : ''}`);
+
+      // Deletion picks up where an interrupted run stopped, as deleted records are no longer selected
+      if (checkpoint) {
+        result.recordsProcessed += checkpoint.recordsProcessed || 0;
+        result.recordsFailed += checkpoint.recordsFailed || 0;
       }
-      const oppIdsToDelete = opportunitiesToDelete.map(opp => opp.fields.Id || opp.fields.id).filter(id => id);
-      logger.info(`Found ${oppIdsToDelete.length} Opportunities to delete for Job ID: ${processJobId}`);
-
-      // --- Delete Opportunities via Bulk API (use bulkApi) ---
-      logger.info(`Preparing Bulk API v2 Opportunity deletion job for Job ID: ${processJobId}`);
-      const oppDeleteColumns = ['Id'];
-      const oppDeleteDataTable = oppIdsToDelete.map(id => {
-          const rowMap = new Map();
-          rowMap.set('Id', id);
-          return rowMap;
+      await deleteSelection(selection, orgData, logger, {
+        jobId: processJobId,
+        signal,
+        report: result.report,
+        onDeleted: addBulkCounts
       });
-      oppDeleteDataTable.columns = oppDeleteColumns;
-      const oppDeleteIngestResult = await bulkApi.ingest({ object: 'Opportunity', operation: 'hardDelete', dataTable: oppDeleteDataTable });
-      let oppDeleteJobReference;
-       if (Array.isArray(oppDeleteIngestResult) && oppDeleteIngestResult[0]?.error) {
-           logger.error({ errorDetails: oppDeleteIngestResult[0].error }, `Bulk API v2 delete for Opportunities failed.`);
-           throw new Error(`bulkApi.ingest (delete) for Opportunities failed.`);
-       } else if (Array.isArray(oppDeleteIngestResult) && oppDeleteIngestResult[0]?.id && oppDeleteIngestResult[0]?.type) {
-           oppDeleteJobReference = oppDeleteIngestResult[0];
-       } else {
-           logger.error({ oppDeleteIngestResult }, `Bulk API v2 delete for Opportunities returned unexpected structure.`);
-           throw new Error('bulkApi.ingest (delete) for Opportunities returned unexpected structure.');
-       }
-
-      logger.info(`Submitted Bulk API v2 Deletion job with ID: ${oppDeleteJobReference.id} for main Job ID: ${processJobId}`);
-      const oppDeleteJobInfo = await pollBulkJobStatus(oppDeleteJobReference, bulkApi, logger);
-      logger.info(`Opportunity deletion job ${oppDeleteJobReference.id} completed. State: ${oppDeleteJobInfo.state}, Processed: ${oppDeleteJobInfo.numberRecordsProcessed}, Failed: ${oppDeleteJobInfo.numberRecordsFailed}`);
-      if (oppDeleteJobInfo.numberRecordsFailed > 0) {
-          try {
-             const failedRecords = await bulkApi.getFailedResults(oppDeleteJobReference);
-             logger.warn(`Opportunity deletion job ${oppDeleteJobReference.id} had ${oppDeleteJobInfo.numberRecordsFailed} failures. Details:`, failedRecords);
-          } catch(failErr) {
-             logger.error({err: failErr}, `Error fetching failed results for delete job ${oppDeleteJobReference.id}`);
-          }
-      }
 
     } else {
       logger.warn(`Unknown data operation: ${operation} for Job ID: ${processJobId}`);
+      throw new Error(`Unknown data operation: ${operation}`);
     }
 
     logger.info(`Job processing completed for Job ID: ${processJobId}`);
+    return result;
 
   } catch (error) {
     logger.error({ err: error }, `Error processing data message for Job ID: ${processJobId}`);
+    if (signal?.aborted) {
+      error.partialResult = result; // Keep the counts of the work done before cancellation
+    }
+    throw error; // Re-throw so the worker records the job as failed
   }
 }
 
+// --- Job Type ---
+
+const SampleDataScenarioSchema = {
+  $id: 'SampleDataScenario',
+  type: 'object',
+  description: 'Shape of the generated sample data. Anything left out keeps the defaults: one existing Account, Prospecting, closing in 30 days, 2 line items per Opportunity',
+  properties: {
+    accounts: {
+      type: 'object',
+      description: 'Accounts to spread the Opportunities across',
+      properties: {
+        source: {
+          type: 'string',
+          enum: ['existing', 'create'],
+          default: 'existing',
+          description: 'Use existing Accounts, or find or create Accounts named Sample Account 1..count'
+        },
+        count: {
+          type: 'integer',
+          minimum: 1,
+          maximum: 200,
+          default: 1,
+          description: 'Number of Accounts to spread the Opportunities across'
+        },
+        billingCountries: {
+          type: 'array',
+          description: 'Weighted BillingCountry values for created Accounts',
+          items: { $ref: 'WeightedValue#' }
+        }
+      }
+    },
+    stages: {
+      type: 'array',
+      description: 'Weighted StageName distribution',
+      items: { $ref: 'WeightedValue#' }
+    },
+    closeDate: {
+      type: 'object',
+      description: 'Close dates are spread evenly between minDaysFromNow and maxDaysFromNow',
+      properties: {
+        minDaysFromNow: { type: 'integer', description: 'Defaults to 30' },
+        maxDaysFromNow: { type: 'integer', description: 'Defaults to 30' },
+        baseDate: {
+          type: 'string',
+          format: 'date',
+          description: 'Date to count from instead of today, so a seed reproduces the same close dates on any day'
+        }
+      }
+    },
+    lineItems: {
+      type: 'object',
+      description: 'Line items per Opportunity',
+      properties: {
+        min: { type: 'integer', minimum: 0, description: 'Minimum line items per Opportunity, defaults to 2' },
+        max: { type: 'integer', minimum: 0, description: 'Maximum line items per Opportunity, defaults to 2' },
+        quantity: { $ref: 'NumberRange#' },
+        unitPrice: { $ref: 'NumberRange#' },
+        useListPrice: {
+          type: 'boolean',
+          default: false,
+          description: 'Use the Pricebook Entry list price instead of a random unit price'
+        }
+      }
+    },
+    products: {
+      type: 'array',
+      description: "Weighted product mix, matched to the active Pricebook Entries of the scenario's Pricebook by Product name or code. Defaults to all products, equally weighted",
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', description: 'Product name' },
+          productCode: { type: 'string', description: 'Product code' },
+          weight: { type: 'number', exclusiveMinimum: 0, default: 1 }
+        }
+      }
+    },
+    pricebook: {
+      type: 'string',
+      minLength: 1,
+      description: 'Name of the active Pricebook2 the Opportunities and their line items use. Defaults to the standard Pricebook'
+    },
+    currency: {
+      type: 'string',
+      pattern: '^[A-Z]{3}$',
+      description: 'CurrencyIsoCode for the Opportunities and their Pricebook Entries, in multi-currency orgs'
+    }
+  }
+};
+
+const WeightedValueSchema = {
+  $id: 'WeightedValue',
+  type: 'object',
+  description: 'A value picked with a probability proportional to its weight',
+  required: ['value'],
+  properties: {
+    value: { type: 'string' },
+    weight: { type: 'number', exclusiveMinimum: 0, default: 1 }
+  }
+};
+
+const NumberRangeSchema = {
+  $id: 'NumberRange',
+  type: 'object',
+  description: 'Inclusive range of whole numbers. Quantities default to 1-10, unit prices to 10-109',
+  properties: {
+    min: { type: 'integer', minimum: 0 },
+    max: { type: 'integer', minimum: 0 }
+  }
+};
+
+const DataCreateRequestSchema = {
+  $id: 'DataCreateRequest',
+  type: 'object',
+  description: 'Request to create sample data. The same seed and scenario always generate the same records',
+  properties: {
+    numberOfOpportunities: {
+      type: 'integer',
+      minimum: 1,
+      description: 'Number of Opportunities to create, overrides the numberOfOpportunities query parameter'
+    },
+    seed: {
+      type: 'integer',
+      minimum: 0,
+      description: 'Random seed. A seed is generated and reported in the job result when left out'
+    },
+    scenario: {
+      $ref: 'SampleDataScenario#'
+    },
+    dryRun: {
+      type: 'boolean',
+      default: false,
+      description: 'Count the records that would be created, per sObject, in the job result report without creating them'
+    }
+  }
+};
+
+const DataDeleteRequestSchema = {
+  $id: 'DataDeleteRequest',
+  type: 'object',
+  description: 'Request to delete sample data. Without datasetId or quoteJobId, all sample datasets are deleted',
+  properties: {
+    datasetId: {
+      type: 'string',
+      format: 'uuid',
+      description: 'Delete the Opportunities created by this data create job, with their line items and Quotes'
+    },
+    quoteJobId: {
+      type: 'string',
+      format: 'uuid',
+      description: 'Delete the Quotes generated by this quote job, with their line items'
+    },
+    dryRun: {
+      type: 'boolean',
+      default: false,
+      description: 'Count the records that would be deleted, per sObject, in the job result report without deleting them'
+    }
+  }
+};
+
+const DataJobResponseSchema = {
+  $id: 'DataJobResponse',
+  type: 'object',
+  description: 'Response includes the unique job ID processing the data operation request.',
+  properties: {
+    jobId: {
+      type: 'string',
+      format: 'uuid',
+      description: 'Unique job ID for tracking the worker process'
+    }
+  }
+};
+
+/**
+ * The data job type, registered in jobtypes.js: POST /api/data/create and /api/data/delete queue jobs
+ * that handleDataMessage processes, told apart by their operation.
+ */
+const dataJobType = {
+  name: 'data',
+  handler: handleDataMessage,
+  tags: [{ name: 'Sample Data', description: 'Sample data management endpoints' }],
+  schemas: [WeightedValueSchema, NumberRangeSchema, SampleDataScenarioSchema],
+  routes: [{
+    path: '/data/create',
+    body: DataCreateRequestSchema,
+    // Requests that only pass the numberOfOpportunities query parameter keep working
+    optionalBody: true,
+    response: DataJobResponseSchema,
+    openapi: {
+      tags: ['Sample Data'],
+      summary: 'Submit Sample Data Creation Job',
+      description: 'Starts a job to create a large amount of Opportunity records, shaped by an optional scenario. Submitting the same seed and scenario again recreates the same records.',
+      operationId: 'datacreate',
+      'x-sfdc': {
+        heroku: {
+          authorization: {
+            connectedApp: 'GenerateQuoteJobConnectedApp',
+            permissionSet: 'GenerateQuoteJobPermissions'
+          }
+        }
+      },
+      responses: {
+        202: 'Data operation job accepted',
+        400: 'Invalid scenario'
+      }
+    },
+    createPayload ({ numberOfOpportunities, seed, scenario, dryRun }, request) {
+      // Safely parse query param and default to 10, the body takes precedence
+      const requestedCount = numberOfOpportunities ?? parseInt(request.query?.numberOfOpportunities, 10);
+      const count = (!isNaN(requestedCount) && requestedCount >= 1) ? requestedCount : 10;
+      normalizeScenario(scenario);
+      // Pick the seed up front so retries and replays of the job generate the same records
+      return { operation: 'create', count, seed: seed ?? crypto.randomInt(2 ** 31), scenario, dryRun };
+    }
+  }, {
+    path: '/data/delete',
+    body: DataDeleteRequestSchema,
+    optionalBody: true,
+    response: DataJobResponseSchema,
+    openapi: {
+      tags: ['Sample Data'],
+      summary: 'Submit Sample Data Deletion Job',
+      description: 'Starts a job to delete a sample dataset, or all sample datasets, with their line items and Quotes, or to delete the Quotes generated by a quote job.',
+      operationId: 'datadelete',
+      'x-sfdc': {
+        heroku: {
+          authorization: {
+            connectedApp: 'GenerateQuoteJobConnectedApp',
+            permissionSet: 'GenerateQuoteJobPermissions'
+          }
+        }
+      },
+      responses: {
+        202: 'Data operation job accepted',
+        400: 'Invalid selection'
+      }
+    },
+    createPayload ({ datasetId, quoteJobId, dryRun }) {
+      buildDeleteSelection({ datasetId, quoteJobId });
+      return { operation: 'delete', datasetId, quoteJobId, dryRun };
+    }
+  }]
+};
+
 export {
-  handleDataMessage
+  handleDataMessage,
+  buildDeleteSelection,
+  dataJobType
 }; 
\ No newline at end of file
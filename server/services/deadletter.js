@@ -0,0 +1,100 @@
+'use strict';
+
+import redisClient from '../config/redis.js';
+
+// Dead-lettered jobs are stored in a hash per job, indexed per org by a sorted set ordered by time
+const DEAD_LETTER_KEY_PREFIX = 'deadletter:';
+const DEAD_LETTER_INDEX_PREFIX = 'deadletters:';
+
+function deadLetterKey (jobId) {
+  return `${DEAD_LETTER_KEY_PREFIX}${jobId}`;
+}
+
+function deadLetterIndex (orgId) {
+  return `${DEAD_LETTER_INDEX_PREFIX}${orgId || 'unknown'}`;
+}
+
+/**
+ * Parks a job that failed permanently or ran out of retries. The Salesforce context is not
+ * stored, replays run with the context of the replaying request instead.
+ * @param {object} jobData - The job payload as it was queued.
+ * @param {Array<object>} errors - The error history, one entry per failed attempt.
+ */
+async function addDeadLetter (jobData, errors) {
+  const { jobId, jobType, context, requestId, attempt, errorHistory, checkpoint, interruptions, deferrals, apiCalls, ...payload } = jobData;
+  const orgId = context?.org?.id;
+  const deadLetteredAt = Date.now();
+  await redisClient.multi()
+    .hset(deadLetterKey(jobId), {
+      jobId,
+      jobType,
+      orgId: orgId || '',
+      attempts: errors.length,
+      deadLetteredAt: new Date(deadLetteredAt).toISOString(),
+      lastError: errors[errors.length - 1]?.message || '',
+      payload: JSON.stringify({ jobType, ...payload }),
+      errors: JSON.stringify(errors)
+    })
+    .zadd(deadLetterIndex(orgId), deadLetteredAt, jobId)
+    .exec();
+}
+
+/**
+ * Fetches a dead-lettered job, including its original payload and error history.
+ * @param {string} jobId - The job ID.
+ * @returns {Promise<object|null>}
+ */
+async function getDeadLetter (jobId) {
+  const fields = await redisClient.hgetall(deadLetterKey(jobId));
+  if (!fields || Object.keys(fields).length === 0) {
+    return null;
+  }
+  return {
+    ...fields,
+    attempts: Number(fields.attempts),
+    payload: JSON.parse(fields.payload),
+    errors: JSON.parse(fields.errors)
+  };
+}
+
+/**
+ * Lists an org's dead-lettered jobs, most recent first, without their payloads.
+ * @param {string} orgId - The org ID.
+ * @param {object} options
+ * @param {number} options.offset - Number of entries to skip.
+ * @param {number} options.limit - Maximum number of entries to return.
+ * @returns {Promise<{total: number, deadLetters: Array<object>}>}
+ */
+async function listDeadLetters (orgId, { offset = 0, limit = 50 } = {}) {
+  const [total, jobIds] = await Promise.all([
+    redisClient.zcard(deadLetterIndex(orgId)),
+    redisClient.zrevrange(deadLetterIndex(orgId), offset, offset + limit - 1)
+  ]);
+  const deadLetters = [];
+  for (const jobId of jobIds) {
+    const [jobType, attempts, deadLetteredAt, lastError] = await redisClient.hmget(deadLetterKey(jobId), 'jobType', 'attempts', 'deadLetteredAt', 'lastError');
+    if (jobType) {
+      deadLetters.push({ jobId, jobType, attempts: Number(attempts), deadLetteredAt, lastError });
+    }
+  }
+  return { total, deadLetters };
+}
+
+/**
+ * Removes a dead-lettered job, for example once it has been replayed.
+ * @param {string} jobId - The job ID.
+ * @param {string} orgId - The ID of the org that submitted the job.
+ */
+async function removeDeadLetter (jobId, orgId) {
+  await redisClient.multi()
+    .del(deadLetterKey(jobId))
+    .zrem(deadLetterIndex(orgId), jobId)
+    .exec();
+}
+
+export {
+  addDeadLetter,
+  getDeadLetter,
+  listDeadLetters,
+  removeDeadLetter
+};
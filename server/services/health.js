@@ -0,0 +1,90 @@
+'use strict';
+
+import redisClient from '../config/redis.js';
+import config from '../config/index.js';
+import { listWorkerHeartbeats } from './heartbeat.js';
+
+const HEALTH_STATES = {
+  OK: 'ok',
+  DEGRADED: 'degraded',
+  UNAVAILABLE: 'unavailable'
+};
+
+// Fails a check that does not answer within HEALTH_CHECK_TIMEOUT_MS, e.g. commands queued while Redis reconnects
+function withTimeout (promise, name) {
+  let timeout;
+  return Promise.race([
+    promise,
+    new Promise((resolve, reject) => {
+      timeout = setTimeout(() => reject(new Error(`${name} did not respond within ${config.healthCheckTimeoutMs}ms`)), config.healthCheckTimeoutMs);
+    })
+  ]).finally(() => clearTimeout(timeout));
+}
+
+// Runs a check, timing it and turning failures into a down component
+async function runCheck (name, check) {
+  const startedAt = Date.now();
+  try {
+    const details = await withTimeout(check(), name);
+    return { status: 'up', latencyMs: Date.now() - startedAt, ...details };
+  } catch (error) {
+    return { status: 'down', latencyMs: Date.now() - startedAt, error: error.message };
+  }
+}
+
+async function checkRedis () {
+  if (redisClient.status !== 'ready') {
+    throw new Error(`Redis connection is ${redisClient.status}`);
+  }
+  await redisClient.ping();
+}
+
+async function checkWorkers () {
+  const workers = await listWorkerHeartbeats();
+  const alive = workers.filter(worker => worker.alive).length;
+  if (alive === 0) {
+    // Jobs are still accepted and wait in the queue, so this degrades rather than fails readiness
+    return { status: 'down', alive, workers, error: 'No worker sent a heartbeat recently, queued jobs will wait.' };
+  }
+  return { alive, workers };
+}
+
+async function checkSalesforce (sfContext) {
+  const { org } = sfContext;
+  await org.dataApi.query('SELECT Id FROM Organization LIMIT 1');
+  return { orgId: org.id, domainUrl: org.domainUrl, apiVersion: org.apiVersion };
+}
+
+/**
+ * Checks the components the API depends on and reports each of them. The API is unavailable
+ * when it is shutting down or cannot reach Redis, as it could not queue jobs. It is degraded when
+ * no worker is alive or the Salesforce org could not be queried.
+ * @param {object} options
+ * @param {boolean} options.shuttingDown - Whether the process received a shutdown signal.
+ * @param {object} [options.sfContext] - The Salesforce context of the request, validated when given.
+ * @returns {Promise<{status: string, checkedAt: string, components: object}>}
+ */
+async function checkReadiness ({ shuttingDown, sfContext }) {
+  const components = {
+    redis: await runCheck('Redis', checkRedis)
+  };
+  components.workers = components.redis.status === 'up'
+    ? await runCheck('Worker heartbeats', checkWorkers)
+    : { status: 'unknown', error: 'Worker heartbeats are stored in Redis.' };
+  if (sfContext) {
+    components.salesforce = await runCheck('Salesforce', () => checkSalesforce(sfContext));
+  }
+
+  let status = HEALTH_STATES.OK;
+  if (shuttingDown || components.redis.status !== 'up') {
+    status = HEALTH_STATES.UNAVAILABLE;
+  } else if (Object.values(components).some(component => component.status !== 'up')) {
+    status = HEALTH_STATES.DEGRADED;
+  }
+  return { status, shuttingDown, checkedAt: new Date().toISOString(), components };
+}
+
+export {
+  HEALTH_STATES,
+  checkReadiness
+};
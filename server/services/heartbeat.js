@@ -0,0 +1,64 @@
+'use strict';
+
+import redisClient from '../config/redis.js';
+import config from '../config/index.js';
+
+// Every worker process records its latest heartbeat here, keyed by its consumer name
+const HEARTBEATS_KEY = 'workers:heartbeats';
+// Heartbeats of workers that stopped are still reported for an hour, then removed
+const HEARTBEAT_RETENTION_MS = 60 * 60 * 1000;
+
+/**
+ * Records that a worker is alive, along with what it is working on.
+ * @param {string} consumer - The worker's consumer name.
+ * @param {object} heartbeat
+ * @param {string} heartbeat.startedAt - When the worker process started.
+ * @param {string} heartbeat.state - running, or stopping once it received a shutdown signal.
+ * @param {Array<object>} heartbeat.runningJobs - The jobs being processed, each {jobId, jobType, startedAt}.
+ */
+async function recordHeartbeat (consumer, { startedAt, state, runningJobs }) {
+  await redisClient.hset(HEARTBEATS_KEY, consumer, JSON.stringify({
+    consumer,
+    dyno: process.env.DYNO,
+    pid: process.pid,
+    startedAt,
+    state,
+    runningJobs,
+    lastSeenAt: new Date().toISOString()
+  }));
+}
+
+/**
+ * Removes the heartbeat of a worker that shut down cleanly.
+ * @param {string} consumer - The worker's consumer name.
+ */
+async function removeHeartbeat (consumer) {
+  await redisClient.hdel(HEARTBEATS_KEY, consumer);
+}
+
+/**
+ * Lists the workers that sent a heartbeat within the last hour, most recently seen first.
+ * A worker is alive when it was seen within three heartbeat intervals.
+ * @returns {Promise<Array<object>>} - Heartbeats with an added alive flag.
+ */
+async function listWorkerHeartbeats () {
+  const heartbeats = await redisClient.hgetall(HEARTBEATS_KEY);
+  const now = Date.now();
+  const workers = [];
+  for (const [consumer, json] of Object.entries(heartbeats || {})) {
+    const heartbeat = JSON.parse(json);
+    const sinceLastSeen = now - Date.parse(heartbeat.lastSeenAt);
+    if (sinceLastSeen > HEARTBEAT_RETENTION_MS) {
+      await redisClient.hdel(HEARTBEATS_KEY, consumer);
+      continue;
+    }
+    workers.push({ ...heartbeat, alive: sinceLastSeen <= 3 * config.workerHeartbeatIntervalMs });
+  }
+  return workers.sort((a, b) => b.lastSeenAt.localeCompare(a.lastSeenAt));
+}
+
+export {
+  recordHeartbeat,
+  removeHeartbeat,
+  listWorkerHeartbeats
+};
@@ -0,0 +1,77 @@
+'use strict';
+
+import redisClient from '../config/redis.js';
+import config from '../config/index.js';
+import logger, { createTeeLogger } from '../config/logger.js';
+
+// Each job's log lines are stored in a Redis list keyed by job ID, capped at JOB_LOG_MAX_LINES
+const JOB_LOG_KEY_PREFIX = 'joblog:';
+
+function jobLogKey (jobId) {
+  return `${JOB_LOG_KEY_PREFIX}${jobId}`;
+}
+
+async function appendJobLog (jobId, line) {
+  await redisClient.multi()
+    .rpush(jobLogKey(jobId), line.trimEnd())
+    .ltrim(jobLogKey(jobId), -config.jobLogMaxLines, -1)
+    .expire(jobLogKey(jobId), config.jobStatusTtlSeconds)
+    .exec();
+}
+
+/**
+ * Derives the fields that tie a log line to a job: the job, the org and user that submitted it
+ * and the x-request-id of the API request that queued it.
+ * @param {object} jobData - The job payload.
+ * @returns {object}
+ */
+function getJobLogBindings ({ jobId, jobType, operation, scheduleId, context, requestId }) {
+  return {
+    jobId,
+    jobType,
+    ...(operation && { operation }),
+    ...(scheduleId && { scheduleId }),
+    orgId: context?.org?.id,
+    userId: context?.org?.user?.id,
+    requestId
+  };
+}
+
+/**
+ * Creates the logger for a job. Lines go to stdout and are also retained in Redis, so the log
+ * of a single job can be retrieved through the API.
+ * @param {object} jobData - The job payload.
+ * @returns {object} - A pino logger.
+ */
+function createJobLogger (jobData) {
+  const { jobId } = jobData;
+  const stream = {
+    write (line) {
+      // Never fail or block the job because its log could not be retained
+      appendJobLog(jobId, line).catch(err => logger.warn({ err, jobId }, 'Failed to retain job log line'));
+    }
+  };
+  return createTeeLogger(stream, getJobLogBindings(jobData));
+}
+
+/**
+ * Fetches the retained log lines of a job, oldest first.
+ * @param {string} jobId - The job ID.
+ * @param {object} options
+ * @param {number} options.offset - Number of lines to skip.
+ * @param {number} options.limit - Maximum number of lines to return.
+ * @returns {Promise<{total: number, entries: Array<object>}>}
+ */
+async function getJobLog (jobId, { offset = 0, limit = 500 } = {}) {
+  const [total, lines] = await Promise.all([
+    redisClient.llen(jobLogKey(jobId)),
+    redisClient.lrange(jobLogKey(jobId), offset, offset + limit - 1)
+  ]);
+  return { total, entries: lines.map(line => JSON.parse(line)) };
+}
+
+export {
+  getJobLogBindings,
+  createJobLogger,
+  getJobLog
+};
@@ -0,0 +1,283 @@
+'use strict';
+
+import redisClient from '../config/redis.js';
+import config from '../config/index.js';
+
+// Each job's lifecycle is stored in a Redis hash keyed by job ID
+const JOB_KEY_PREFIX = 'job:';
+
+const JOB_STATES = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  RETRYING: 'retrying',
+  SUCCEEDED: 'succeeded',
+  PARTIALLY_FAILED: 'partially_failed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled',
+  TIMED_OUT: 'timed_out'
+};
+
+// States a job can no longer leave
+const FINAL_STATES = [JOB_STATES.SUCCEEDED, JOB_STATES.PARTIALLY_FAILED, JOB_STATES.FAILED, JOB_STATES.CANCELLED, JOB_STATES.TIMED_OUT];
+
+// Error codes handlers use to stop a job early, see createJobError
+const JOB_CANCELLED = 'JOB_CANCELLED';
+const JOB_TIMED_OUT = 'JOB_TIMED_OUT';
+const JOB_INTERRUPTED = 'JOB_INTERRUPTED';
+const JOB_DEFERRED = 'JOB_DEFERRED';
+
+// Atomically flags a job for cancellation, so a worker picking the job up in between cannot be overwritten.
+// Queued and retrying jobs are cancelled straight away, running ones are left to their worker
+// ARGV: request time, status TTL, running state, cancelled state, then the final states
+const REQUEST_CANCEL_SCRIPT = `
+local state = redis.call('HGET', KEYS[1], 'state')
+if not state then
+  return false
+end
+for i = 5, #ARGV do
+  if state == ARGV[i] then
+    return state
+  end
+end
+redis.call('HSET', KEYS[1], 'cancelRequestedAt', ARGV[1])
+if state ~= ARGV[3] then
+  state = ARGV[4]
+  redis.call('HSET', KEYS[1], 'state', state, 'finishedAt', ARGV[1])
+end
+redis.call('EXPIRE', KEYS[1], ARGV[2])
+return state
+`;
+
+function jobKey (jobId) {
+  return `${JOB_KEY_PREFIX}${jobId}`;
+}
+
+async function writeJob (jobId, fields) {
+  await redisClient.multi()
+    .hset(jobKey(jobId), fields)
+    .expire(jobKey(jobId), config.jobStatusTtlSeconds)
+    .exec();
+}
+
+/**
+ * Records a newly queued job.
+ * @param {object} job - The job payload being queued.
+ * @param {string} job.jobId - The job ID.
+ * @param {string} job.jobType - The job type (e.g. quote or data).
+ * @param {string} [job.operation] - The data operation, for data jobs.
+ * @param {string} [job.scheduleId] - The schedule that queued the job, for scheduled runs.
+ * @param {string} [orgId] - The ID of the org that submitted the job.
+ */
+async function createJob ({ jobId, jobType, operation, scheduleId }, orgId) {
+  const fields = {
+    jobId,
+    jobType,
+    state: JOB_STATES.QUEUED,
+    queuedAt: new Date().toISOString()
+  };
+  if (operation) {
+    fields.operation = operation;
+  }
+  if (scheduleId) {
+    fields.scheduleId = scheduleId;
+  }
+  if (orgId) {
+    fields.orgId = orgId;
+  }
+  await writeJob(jobId, fields);
+}
+
+/**
+ * Marks a job as picked up by a worker.
+ * @param {string} jobId - The job ID.
+ */
+async function markJobRunning (jobId) {
+  await writeJob(jobId, {
+    state: JOB_STATES.RUNNING,
+    startedAt: new Date().toISOString()
+  });
+}
+
+/**
+ * Records a failed attempt of a job that will be retried.
+ * @param {string} jobId - The job ID.
+ * @param {object} retry
+ * @param {number} retry.attempt - The attempt that failed, starting at 1.
+ * @param {number} retry.delayMs - Delay until the next attempt.
+ * @param {Error|string} retry.error - The error that ended the attempt.
+ */
+async function markJobRetrying (jobId, { attempt, delayMs, error }) {
+  await writeJob(jobId, {
+    state: JOB_STATES.RETRYING,
+    attempts: attempt,
+    nextAttemptAt: new Date(Date.now() + delayMs).toISOString(),
+    error: error?.message || String(error)
+  });
+}
+
+/**
+ * Requests cancellation of a job. Jobs that have not started yet are cancelled straight away,
+ * running jobs are flagged and stopped by their worker at the next step.
+ * @param {string} jobId - The job ID.
+ * @returns {Promise<string|null>} - The job state after the request, or null if the job is unknown.
+ */
+async function requestJobCancel (jobId) {
+  // Queued or waiting for a retry, the worker skips it when it is picked up
+  return redisClient.eval(REQUEST_CANCEL_SCRIPT, 1, jobKey(jobId), new Date().toISOString(),
+    config.jobStatusTtlSeconds, JOB_STATES.RUNNING, JOB_STATES.CANCELLED, ...FINAL_STATES);
+}
+
+/**
+ * Checks whether cancellation of a job has been requested.
+ * @param {string} jobId - The job ID.
+ * @returns {Promise<boolean>}
+ */
+async function isCancelRequested (jobId) {
+  return Boolean(await redisClient.hget(jobKey(jobId), 'cancelRequestedAt'));
+}
+
+/**
+ * Records a job that was stopped because its cancellation was requested.
+ * @param {string} jobId - The job ID.
+ * @param {object} [result] - Counters of the work done before the job stopped.
+ */
+async function markJobCancelled (jobId, result) {
+  await writeJob(jobId, {
+    state: JOB_STATES.CANCELLED,
+    finishedAt: new Date().toISOString(),
+    ...(result && { result: JSON.stringify(result) })
+  });
+}
+
+/**
+ * Records a job that was interrupted by a worker shutdown and returned to the queue.
+ * @param {string} jobId - The job ID.
+ * @param {number} interruptions - How many times the job has been interrupted so far.
+ */
+async function markJobInterrupted (jobId, interruptions) {
+  await writeJob(jobId, {
+    state: JOB_STATES.QUEUED,
+    interruptedAt: new Date().toISOString(),
+    interruptions
+  });
+}
+
+/**
+ * Records a job that was stopped because its org is close to its daily API limit, and queued again for later.
+ * @param {string} jobId - The job ID.
+ * @param {number} deferrals - How many times the job has been deferred so far.
+ * @param {string} deferredUntil - When the job is queued again.
+ */
+async function markJobDeferred (jobId, deferrals, deferredUntil) {
+  await writeJob(jobId, {
+    state: JOB_STATES.QUEUED,
+    deferredUntil,
+    deferrals
+  });
+}
+
+/**
+ * Creates the error a handler throws to stop a job early.
+ * @param {string} code - JOB_CANCELLED, JOB_TIMED_OUT, JOB_INTERRUPTED or JOB_DEFERRED.
+ * @param {string} message - The error message.
+ * @returns {Error}
+ */
+function createJobError (code, message) {
+  return Object.assign(new Error(message), { code });
+}
+
+/**
+ * Reduces the type-specific counters a handler returned to per-record success and failure counts.
+ * @param {object} result - Handler result counters.
+ * @returns {{succeeded: number, failed: number}}
+ */
+function countOutcomes (result = {}) {
+  const failed = (result.quotesFailed || 0) + (result.lineItemsFailed || 0) + (result.lineItemsIncompatible || 0) + (result.documentsFailed || 0) + (result.recordsFailed || 0);
+  const succeeded = (result.quotesCreated || 0) + Math.max((result.recordsProcessed || 0) - (result.recordsFailed || 0), 0);
+  return { succeeded, failed };
+}
+
+/**
+ * Derives the final state of a job from the counters its handler returned.
+ * @param {object} result - Handler result counters.
+ * @returns {string} - One of the JOB_STATES values.
+ */
+function resolveFinalState (result = {}) {
+  const { succeeded, failed } = countOutcomes(result);
+  if (failed === 0) {
+    return JOB_STATES.SUCCEEDED;
+  }
+  return succeeded > 0 ? JOB_STATES.PARTIALLY_FAILED : JOB_STATES.FAILED;
+}
+
+/**
+ * Records a job that ran to completion, deriving succeeded or (partially) failed from its result.
+ * @param {string} jobId - The job ID.
+ * @param {object} result - Counters returned by the job handler.
+ * @returns {Promise<string>} - The final state.
+ */
+async function completeJob (jobId, result = {}) {
+  const state = resolveFinalState(result);
+  // Clear the error of an earlier attempt that was retried
+  await redisClient.hdel(jobKey(jobId), 'error', 'nextAttemptAt');
+  await writeJob(jobId, {
+    state,
+    finishedAt: new Date().toISOString(),
+    result: JSON.stringify(result)
+  });
+  return state;
+}
+
+/**
+ * Records a job whose handler threw or could not be started, or timed out.
+ * @param {string} jobId - The job ID.
+ * @param {Error|string} error - The error that ended the job.
+ * @param {object} [details] - Additional status fields, such as attempts or deadLettered.
+ */
+async function failJob (jobId, error, details = {}) {
+  await redisClient.hdel(jobKey(jobId), 'nextAttemptAt');
+  await writeJob(jobId, {
+    ...details,
+    state: error?.code === JOB_TIMED_OUT ? JOB_STATES.TIMED_OUT : JOB_STATES.FAILED,
+    finishedAt: new Date().toISOString(),
+    error: error?.message || String(error)
+  });
+}
+
+/**
+ * Fetches the stored status of a job.
+ * @param {string} jobId - The job ID.
+ * @returns {Promise<object|null>} - The job status, or null if unknown or expired.
+ */
+async function getJob (jobId) {
+  const fields = await redisClient.hgetall(jobKey(jobId));
+  if (!fields || Object.keys(fields).length === 0) {
+    return null;
+  }
+  return {
+    ...fields,
+    result: fields.result ? JSON.parse(fields.result) : undefined
+  };
+}
+
+export {
+  JOB_STATES,
+  JOB_CANCELLED,
+  JOB_TIMED_OUT,
+  JOB_INTERRUPTED,
+  JOB_DEFERRED,
+  createJob,
+  markJobRunning,
+  markJobRetrying,
+  requestJobCancel,
+  isCancelRequested,
+  markJobCancelled,
+  markJobInterrupted,
+  markJobDeferred,
+  createJobError,
+  countOutcomes,
+  resolveFinalState,
+  completeJob,
+  failJob,
+  getJob
+};
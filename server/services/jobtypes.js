@@ -0,0 +1,87 @@
+'use strict';
+
+import { quoteJobType } from './quote.js';
+import { dataJobType } from './data.js';
+
+// Job types by name, in the order they were registered
+const jobTypes = new Map();
+
+/**
+ * Registers a job type. The API generates a submission route and its Swagger docs for each of the
+ * job type's routes, and the worker dispatches the jobs queued by them to its handler.
+ * @param {object} jobType
+ * @param {string} jobType.name - The jobType of the queued jobs, e.g. quote.
+ * @param {function(object, object, object, object): Promise<object>} jobType.handler - Processes a job, called with
+ *   (jobData, sfContext, logger, { signal }) and resolving with the job result.
+ * @param {Array<object>} jobType.routes - The submission routes, each with:
+ *   path - The route path below /api, e.g. /executebatch.
+ *   body - The request body JSON schema, with an $id it is registered and documented under.
+ *   [optionalBody] - Whether requests may leave the body out, it then defaults to {}.
+ *   [response] - The JSON schema of the 202 response, defaults to BatchExecutionResponse.
+ *   openapi - The operation's tags, summary, description, operationId and x-sfdc block, and the
+ *     descriptions of its 202 and 400 responses.
+ *   createPayload - Called with (body, request), returns the fields queued with the job. Throwing rejects the
+ *     request with a 400 carrying the error message.
+ * @param {Array<object>} [jobType.schemas] - Further JSON schemas the request bodies reference by $id.
+ * @param {Array<{name: string, description: string}>} [jobType.tags] - The Swagger tags of the routes.
+ */
+function registerJobType (jobType) {
+  const { name, handler, routes } = jobType;
+  if (!name || typeof handler !== 'function' || !Array.isArray(routes)) {
+    throw new Error(`Job type ${name} must declare a name, a handler and its routes.`);
+  }
+  if (jobTypes.has(name)) {
+    throw new Error(`Job type ${name} is already registered.`);
+  }
+  routes.forEach(route => {
+    if (!route.path || !route.body?.$id || typeof route.createPayload !== 'function') {
+      throw new Error(`Route ${route.path} of job type ${name} must declare a path, a body schema with an $id and createPayload.`);
+    }
+  });
+  jobTypes.set(name, { schemas: [], tags: [], ...jobType });
+}
+
+/**
+ * Returns a registered job type.
+ * @param {string} name - The job type name.
+ * @returns {object|undefined}
+ */
+function getJobType (name) {
+  return jobTypes.get(name);
+}
+
+/**
+ * Lists the registered job types.
+ * @returns {Array<object>}
+ */
+function listJobTypes () {
+  return [...jobTypes.values()];
+}
+
+/**
+ * Lists the JSON schemas declared by the registered job types, once per $id.
+ * @returns {Array<object>}
+ */
+function listJobTypeSchemas () {
+  const schemas = new Map();
+  listJobTypes().forEach(jobType => {
+    jobType.schemas.forEach(schema => schemas.set(schema.$id, schema));
+    jobType.routes.forEach(route => {
+      schemas.set(route.body.$id, route.body);
+      if (route.response) {
+        schemas.set(route.response.$id, route.response);
+      }
+    });
+  });
+  return [...schemas.values()];
+}
+
+registerJobType(quoteJobType);
+registerJobType(dataJobType);
+
+export {
+  registerJobType,
+  getJobType,
+  listJobTypes,
+  listJobTypeSchemas
+};
@@ -0,0 +1,112 @@
+'use strict';
+
+import { setTimeout as sleep } from 'node:timers/promises';
+import redisClient from '../config/redis.js';
+import config from '../config/index.js';
+import { JOB_DEFERRED, createJobError } from './jobs.js';
+import { orgApiUsage } from './metrics.js';
+
+// The org's daily API usage is read at most once per refresh interval, shared by all workers
+const ORG_LIMITS_KEY_PREFIX = 'orglimits:';
+
+function orgLimitsKey (orgId) {
+  return `${ORG_LIMITS_KEY_PREFIX}${orgId}`;
+}
+
+/**
+ * Reads an org's daily API request usage from the REST API limits resource, cached for API_LIMITS_REFRESH_MS.
+ * Orgs whose limits cannot be read, e.g. because the user lacks the permission, are reported without usage.
+ * @param {object} org - The org of an initialized Salesforce context.
+ * @param {function(string, object=): Promise<object>} request - The org's request function, made before it is instrumented.
+ * @param {object} logger - A logger instance.
+ * @returns {Promise<{max?: number, remaining?: number, usage?: number, checkedAt: string}>}
+ */
+async function getOrgApiUsage (org, request, logger) {
+  const cached = await redisClient.get(orgLimitsKey(org.id));
+  if (cached) {
+    return JSON.parse(cached);
+  }
+  const apiUsage = { checkedAt: new Date().toISOString() };
+  try {
+    const { DailyApiRequests: { Max: max, Remaining: remaining } } = await request(`services/data/v${org.apiVersion}/limits`);
+    Object.assign(apiUsage, { max, remaining, usage: max > 0 ? (max - remaining) / max : 0 });
+    orgApiUsage.set({ org_id: org.id }, apiUsage.usage);
+  } catch (err) {
+    logger.warn({ err }, `Unable to read the API limits of org ${org.id}, jobs for it are not throttled`);
+  }
+  await redisClient.set(orgLimitsKey(org.id), JSON.stringify(apiUsage), 'PX', config.apiLimitsRefreshMs);
+  return apiUsage;
+}
+
+/**
+ * Returns how long to wait before an API call at a given usage. The delay grows linearly from nothing at
+ * API_USAGE_THROTTLE_THRESHOLD to API_THROTTLE_MAX_DELAY_MS at API_USAGE_DEFER_THRESHOLD.
+ * @param {number} usage - The share of the daily API requests used, from 0 to 1.
+ * @returns {number} - The delay in milliseconds.
+ */
+function getThrottleDelayMs (usage) {
+  const { apiUsageThrottleThreshold: throttleAt, apiUsageDeferThreshold: deferAt } = config;
+  if (usage < throttleAt) {
+    return 0;
+  }
+  const pressure = Math.min((usage - throttleAt) / Math.max(deferAt - throttleAt, Number.EPSILON), 1);
+  return Math.round(pressure * config.apiThrottleMaxDelayMs);
+}
+
+/**
+ * Creates the governor of a job's Salesforce API calls. Before each call it checks the org's API usage,
+ * slows the job down past API_USAGE_THROTTLE_THRESHOLD and, past API_USAGE_DEFER_THRESHOLD, aborts the job
+ * with JOB_DEFERRED so the worker returns it to the queue for API_LIMIT_DEFER_MS. It also counts the calls.
+ * Must be created before the context is instrumented.
+ * @param {object} sfContext - The initialized Salesforce context (ContextImpl instance).
+ * @param {AbortController} controller - Aborts the job's handler.
+ * @param {object} logger - A logger instance.
+ * @returns {{calls: number, beforeCall: function(): Promise<void>, onCall: function(): void, release: function(): void}}
+ */
+function createApiGovernor (sfContext, controller, logger) {
+  const { org } = sfContext;
+  const request = org.request.bind(org);
+  const { signal } = controller;
+  let released = false;
+  const governor = {
+    calls: 0,
+    async beforeCall () {
+      // Calls made while the job stops, such as aborting a Bulk API job, or after it finished are not held back
+      if (released || signal.aborted) {
+        return;
+      }
+      const { usage } = await getOrgApiUsage(org, request, logger);
+      if (usage === undefined) {
+        return;
+      }
+      if (usage >= config.apiUsageDeferThreshold) {
+        const resumeAt = new Date(Date.now() + config.apiLimitDeferMs).toISOString();
+        controller.abort(Object.assign(
+          createJobError(JOB_DEFERRED, `Org ${org.id} has used ${Math.round(usage * 100)}% of its daily API requests, deferring the job until ${resumeAt}.`),
+          { delayMs: config.apiLimitDeferMs }
+        ));
+        throw signal.reason;
+      }
+      const delayMs = getThrottleDelayMs(usage);
+      if (delayMs > 0) {
+        logger.debug(`Org ${org.id} has used ${Math.round(usage * 100)}% of its daily API requests, waiting ${delayMs}ms before the next call`);
+        await sleep(delayMs, undefined, { signal }).catch(() => {
+          throw signal.reason;
+        });
+      }
+    },
+    onCall () {
+      governor.calls++;
+    },
+    release () {
+      released = true;
+    }
+  };
+  return governor;
+}
+
+export {
+  getOrgApiUsage,
+  getThrottleDelayMs,
+  createApiGovernor
+};
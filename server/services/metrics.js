@@ -0,0 +1,280 @@
+'use strict';
+
+import os from 'node:os';
+import redisClient from '../config/redis.js';
+import config from '../config/index.js';
+
+// Metrics are kept in memory per process and rendered in the Prometheus text exposition format
+const METRIC_PREFIX = 'pricing_engine_';
+// Every process publishes its metrics here, so any web dyno can serve the metrics of all dynos
+const SNAPSHOTS_KEY = 'metrics:snapshots';
+// Job attempts range from seconds (small quote runs) to an hour (large Bulk API jobs)
+const DURATION_BUCKETS = [1, 5, 15, 30, 60, 120, 300, 600, 1800, 3600];
+
+const INSTANCE = `${process.env.DYNO || os.hostname()}-${process.pid}`;
+const registry = new Map();
+
+function labelKey (labels) {
+  return JSON.stringify(Object.keys(labels).sort().map(name => [name, String(labels[name])]));
+}
+
+function register (type, name, help, extra = {}) {
+  const metric = { type, name: `${METRIC_PREFIX}${name}`, help, series: new Map(), ...extra };
+  registry.set(metric.name, metric);
+  return metric;
+}
+
+function getSeries (metric, labels, create) {
+  const key = labelKey(labels);
+  if (!metric.series.has(key)) {
+    metric.series.set(key, { labels, ...create() });
+  }
+  return metric.series.get(key);
+}
+
+/**
+ * Creates a counter, a value that only goes up.
+ * @param {string} name - Metric name, without the common prefix.
+ * @param {string} help - Description shown by Prometheus.
+ * @returns {{inc: function(object=, number=): void}}
+ */
+function createCounter (name, help) {
+  const metric = register('counter', name, help);
+  return {
+    inc (labels = {}, value = 1) {
+      getSeries(metric, labels, () => ({ value: 0 })).value += value;
+    }
+  };
+}
+
+/**
+ * Creates a gauge, a value that is set to its current level.
+ * @param {string} name - Metric name, without the common prefix.
+ * @param {string} help - Description shown by Prometheus.
+ * @returns {{set: function(object, number): void}}
+ */
+function createGauge (name, help) {
+  const metric = register('gauge', name, help);
+  return {
+    set (labels, value) {
+      getSeries(metric, labels, () => ({ value: 0 })).value = value;
+    }
+  };
+}
+
+/**
+ * Creates a histogram, counting observations in cumulative buckets.
+ * @param {string} name - Metric name, without the common prefix.
+ * @param {string} help - Description shown by Prometheus.
+ * @param {Array<number>} buckets - Upper bounds of the buckets.
+ * @returns {{observe: function(object, number): void}}
+ */
+function createHistogram (name, help, buckets) {
+  const metric = register('histogram', name, help, { buckets });
+  return {
+    observe (labels, value) {
+      const series = getSeries(metric, labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+      buckets.forEach((bound, i) => {
+        if (value <= bound) {
+          series.counts[i]++;
+        }
+      });
+      series.sum += value;
+      series.count++;
+    }
+  };
+}
+
+// --- Application Metrics ---
+
+const jobsPublished = createCounter('jobs_published_total', 'Jobs queued through the API, by job type');
+const redisPublishFailures = createCounter('redis_publish_failures_total', 'Jobs the API failed to queue on the Redis stream, by job type');
+const jobsFinished = createCounter('jobs_finished_total', 'Job attempts finished by workers, by job type and state');
+const jobDuration = createHistogram('job_duration_seconds', 'Duration of job attempts, by job type and state', DURATION_BUCKETS);
+const quotesCreated = createCounter('quotes_created_total', 'Quotes created by quote jobs');
+const quotesFailed = createCounter('quotes_failed_total', 'Quotes that quote jobs failed to create');
+const bulkRecordsProcessed = createCounter('bulk_records_processed_total', 'Records processed by Bulk API v2 jobs, by object and operation');
+const bulkRecordsFailed = createCounter('bulk_records_failed_total', 'Records that failed in Bulk API v2 jobs, by object and operation');
+const salesforceApiCalls = createCounter('salesforce_api_calls_total', 'Salesforce API calls, by API and method');
+const salesforceApiErrors = createCounter('salesforce_api_errors_total', 'Salesforce API calls that failed, by API and method');
+const queueDepth = createGauge('queue_depth', 'Jobs in the queue, by status (waiting, in_flight or retrying)');
+const orgApiUsage = createGauge('org_api_usage_ratio', 'Share of the daily API requests an org has used, as last read by this process');
+
+/**
+ * Records the outcome of a job attempt.
+ * @param {object} jobData - The job payload.
+ * @param {string} state - The state the attempt ended in, including retrying.
+ * @param {number} durationMs - How long the attempt ran.
+ * @param {object} [result] - Counters returned by the job handler.
+ */
+function recordJobFinished ({ jobType }, state, durationMs, result = {}) {
+  const labels = { job_type: jobType, state };
+  jobsFinished.inc(labels);
+  jobDuration.observe(labels, durationMs / 1000);
+  if (jobType === 'quote') {
+    quotesCreated.inc({}, result.quotesCreated || 0);
+    quotesFailed.inc({}, result.quotesFailed || 0);
+  }
+}
+
+/**
+ * Records the record counts of a finished Bulk API v2 ingest job.
+ * @param {object} jobInfo - The final job info returned by bulkApi.getInfo.
+ */
+function recordBulkJob (jobInfo) {
+  const labels = { object: jobInfo.object, operation: jobInfo.operation };
+  bulkRecordsProcessed.inc(labels, jobInfo.numberRecordsProcessed || 0);
+  bulkRecordsFailed.inc(labels, jobInfo.numberRecordsFailed || 0);
+}
+
+// Helpers of the Data and Bulk APIs that return synchronously and make no API call
+const SYNCHRONOUS_METHODS = new Set(['newUnitOfWork', 'createDataTableBuilder', 'splitDataTable', 'formatDate', 'formatDateTime', 'formatNullValue']);
+
+// Counts the outcome of an API call, passing its result through
+function countCall (returned, labels) {
+  salesforceApiCalls.inc(labels);
+  return returned.then(resolved => {
+    // Bulk API ingest reports failed uploads in its result instead of rejecting
+    if (Array.isArray(resolved) && resolved.some(entry => entry?.error)) {
+      salesforceApiErrors.inc(labels);
+    }
+    return resolved;
+  }, error => {
+    salesforceApiErrors.inc(labels);
+    throw error;
+  });
+}
+
+// Wraps the methods of an API client that return promises, counting calls and failures.
+// beforeCall is awaited before each call is made, onCall is invoked once it is.
+function instrumentApi (api, apiName, { beforeCall, onCall } = {}) {
+  return new Proxy(api, {
+    get (target, property, receiver) {
+      const value = Reflect.get(target, property, receiver);
+      if (typeof value !== 'function') {
+        return value;
+      }
+      const labels = { api: apiName, method: String(property) };
+      if (beforeCall && !SYNCHRONOUS_METHODS.has(property)) {
+        return async (...args) => {
+          await beforeCall();
+          onCall?.();
+          return countCall(Promise.resolve(Reflect.apply(value, target, args)), labels);
+        };
+      }
+      return (...args) => {
+        const returned = Reflect.apply(value, target, args);
+        // Synchronous helpers such as newUnitOfWork make no API call
+        if (typeof returned?.then !== 'function') {
+          return returned;
+        }
+        onCall?.();
+        return countCall(returned, labels);
+      };
+    }
+  });
+}
+
+/**
+ * Counts the calls and errors of a Salesforce context's Data, Bulk and REST APIs.
+ * @param {object} sfContext - The initialized Salesforce context (ContextImpl instance).
+ * @param {object} [hooks]
+ * @param {function(): Promise<void>} [hooks.beforeCall] - Awaited before every API call, e.g. to throttle the job.
+ * @param {function(): void} [hooks.onCall] - Invoked for every API call made, e.g. to count the job's calls.
+ * @returns {object} - The same context, with instrumented APIs.
+ */
+function instrumentSalesforceContext (sfContext, hooks = {}) {
+  const { org } = sfContext;
+  org.dataApi = instrumentApi(org.dataApi, 'data', hooks);
+  org.bulkApi = instrumentApi(org.bulkApi, 'bulk', hooks);
+  const request = org.request.bind(org);
+  org.request = instrumentApi({ request }, 'rest', hooks).request;
+  return sfContext;
+}
+
+// --- Collection and Rendering ---
+
+function snapshot () {
+  return [...registry.values()].map(({ series, ...metric }) => ({ ...metric, series: [...series.values()] }));
+}
+
+/**
+ * Publishes this process's metrics to Redis, where /metrics picks them up.
+ */
+async function publishMetricsSnapshot () {
+  await redisClient.hset(SNAPSHOTS_KEY, INSTANCE, JSON.stringify({ at: Date.now(), metrics: snapshot() }));
+}
+
+/**
+ * Starts publishing this process's metrics every METRICS_PUBLISH_INTERVAL_MS.
+ * @param {object} logger - A logger instance.
+ * @returns {NodeJS.Timeout} - The interval, cleared on shutdown.
+ */
+function startMetricsPublisher (logger) {
+  const interval = setInterval(() => {
+    publishMetricsSnapshot().catch(err => logger.warn({ err }, 'Failed to publish metrics snapshot'));
+  }, config.metricsPublishIntervalMs);
+  interval.unref();
+  return interval;
+}
+
+function formatLabels (labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return '';
+  }
+  const escape = value => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+  return `{${entries.map(([name, value]) => `${name}="${escape(value)}"`).join(',')}}`;
+}
+
+function renderSeries (metric, series, dyno) {
+  const labels = { ...series.labels, dyno };
+  if (metric.type !== 'histogram') {
+    return [`${metric.name}${formatLabels(labels)} ${series.value}`];
+  }
+  return [
+    ...metric.buckets.map((bound, i) => `${metric.name}_bucket${formatLabels({ ...labels, le: bound })} ${series.counts[i]}`),
+    `${metric.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${series.count}`,
+    `${metric.name}_sum${formatLabels(labels)} ${series.sum}`,
+    `${metric.name}_count${formatLabels(labels)} ${series.count}`
+  ];
+}
+
+/**
+ * Renders the metrics of every web and worker process that published recently, each series
+ * labelled with the dyno it came from. Snapshots of processes that stopped are removed.
+ * @returns {Promise<string>} - Prometheus text exposition.
+ */
+async function renderMetrics () {
+  await publishMetricsSnapshot();
+  const snapshots = await redisClient.hgetall(SNAPSHOTS_KEY);
+  const staleBefore = Date.now() - 3 * config.metricsPublishIntervalMs;
+  const families = new Map();
+  for (const [dyno, json] of Object.entries(snapshots || {})) {
+    const { at, metrics } = JSON.parse(json);
+    if (at < staleBefore) {
+      await redisClient.hdel(SNAPSHOTS_KEY, dyno);
+      continue;
+    }
+    metrics.forEach(metric => {
+      if (!families.has(metric.name)) {
+        families.set(metric.name, [`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`]);
+      }
+      metric.series.forEach(series => families.get(metric.name).push(...renderSeries(metric, series, dyno)));
+    });
+  }
+  return [...families.values()].flat().join('\n') + '\n';
+}
+
+export {
+  jobsPublished,
+  redisPublishFailures,
+  queueDepth,
+  orgApiUsage,
+  recordJobFinished,
+  recordBulkJob,
+  instrumentSalesforceContext,
+  publishMetricsSnapshot,
+  startMetricsPublisher,
+  renderMetrics
+};
@@ -0,0 +1,260 @@
+'use strict';
+
+import { setTimeout as sleep } from 'node:timers/promises';
+import config from '../config/index.js';
+import { JOB_TIMED_OUT, createJobError } from './jobs.js';
+import { recordBulkJob } from './metrics.js';
+
+const BULK_API_POLL_BACKOFF = 1.5; // Each poll of a running job waits 1.5 times longer, up to BULK_POLL_MAX_INTERVAL_MS
+
+// --- Record Access ---
+
+/**
+ * Reads a field of a queried record. Field names are case-insensitive, and parent fields are
+ * read through their relationship, e.g. 'Account.BillingCountry'.
+ * @param {object} record - A record returned by a query.
+ * @param {string} path - The field name, or a dotted path through parent relationships.
+ * @returns {*} - The value, or undefined when it or one of its parents is empty.
+ */
+function getField (record, path) {
+  return path.split('.').reduce((current, name) => current?.fields?.[name] ?? undefined, record);
+}
+
+/**
+ * Reads the ID of a queried record.
+ * @param {object} record - A record returned by a query.
+ * @returns {string|undefined}
+ */
+function getId (record) {
+  return getField(record, 'Id');
+}
+
+/**
+ * Reads the records of a subquery. Relationships without children are left out of query results,
+ * they are returned as an empty array.
+ * @param {object} record - A record returned by a query.
+ * @param {string} relationship - The child relationship name, e.g. 'OpportunityLineItems'.
+ * @returns {Array<object>}
+ */
+function getChildRecords (record, relationship) {
+  return record?.subQueryResults?.[relationship]?.records || [];
+}
+
+// --- Bulk API Polling ---
+
+/**
+ * Polls a Bulk API v2 job until it completes, fails or is aborted. The Bulk API job is aborted in
+ * Salesforce if the worker job is cancelled, or if it is still running after BULK_JOB_TIMEOUT_MS.
+ * Polls start BULK_POLL_INTERVAL_MS apart and back off, saving the org's API requests on long jobs.
+ * @param {object} jobReference - The ingest job reference returned by bulkApi.ingest.
+ * @param {object} bulkApi - The Bulk API of the org.
+ * @param {object} logger - A logger instance.
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Aborted when the worker job is cancelled.
+ * @param {number} [options.timeoutMs] - Overall polling timeout.
+ * @returns {Promise<object>} - The final job info.
+ */
+async function pollBulkJobStatus (jobReference, bulkApi, logger, { signal, timeoutMs = config.bulkJobTimeoutMs } = {}) {
+  let jobInfo;
+
+  const jobId = jobReference.id;
+  const deadline = Date.now() + timeoutMs;
+  let pollIntervalMs = config.bulkPollIntervalMs;
+  logger.info(`Polling Bulk API v2 job status for Job ID: ${jobId}`);
+
+  while (true) {
+    if (signal?.aborted || Date.now() >= deadline) {
+      const reason = signal?.aborted
+        ? signal.reason
+        : createJobError(JOB_TIMED_OUT, `Timeout polling Bulk API Job ${jobId} after ${timeoutMs}ms. Last state: ${jobInfo?.state}`);
+      logger.warn(`Aborting Bulk API v2 job ${jobId}: ${reason.message}`);
+      await abortBulkJob(jobReference, bulkApi, logger);
+      throw reason;
+    }
+    try {
+      jobInfo = await bulkApi.getInfo(jobReference);
+      logger.debug(`Bulk API v2 Job ${jobId} status: ${jobInfo.state}`);
+      if (['JobComplete', 'Failed'].includes(jobInfo.state)) {
+        recordBulkJob(jobInfo);
+      }
+      if (jobInfo.state === 'JobComplete') {
+        logger.info(`Bulk API v2 Job ${jobId} processing complete.`);
+        return jobInfo; // Success
+      } else if (jobInfo.state === 'Failed' || jobInfo.state === 'Aborted') {
+        logger.error(`Bulk API v2 Job ${jobId} failed or was aborted. State: ${jobInfo.state}, Message: ${jobInfo.errorMessage}`);
+        throw new Error(`Bulk API Job ${jobId} failed or aborted: ${jobInfo.state}${jobInfo.errorMessage ? ` (${jobInfo.errorMessage})` : ''}`);
+      }
+    } catch (err) {
+      logger.error({ err: err }, `Error polling Bulk API v2 job ${jobId}`);
+      throw err; // Rethrow error after logging
+    }
+
+    // Wake up early when the job is cancelled, the check at the top of the loop then aborts
+    await sleep(Math.min(pollIntervalMs, Math.max(deadline - Date.now(), 0)), undefined, { signal }).catch(() => {});
+    pollIntervalMs = Math.min(pollIntervalMs * BULK_API_POLL_BACKOFF, config.bulkPollMaxIntervalMs);
+  }
+}
+
+/**
+ * Aborts a Bulk API v2 ingest job, logging rather than throwing if it already finished.
+ * @param {object} jobReference - The ingest job reference returned by bulkApi.ingest.
+ * @param {object} bulkApi - The Bulk API of the org.
+ * @param {object} logger - A logger instance.
+ */
+async function abortBulkJob (jobReference, bulkApi, logger) {
+  try {
+    await bulkApi.abort(jobReference);
+    logger.info(`Aborted Bulk API v2 job ${jobReference.id}`);
+  } catch (err) {
+    logger.warn({ err }, `Unable to abort Bulk API v2 job ${jobReference.id}, it may have already finished`);
+  }
+}
+
+// --- Org Data Access ---
+
+// Bulk API results are read from CSV, their rows hold the record's input values next to sf__ columns
+function toInputValues (row) {
+  return Object.fromEntries([...row].filter(([column]) => !column.startsWith('sf__')));
+}
+
+/**
+ * Creates the data access of a job: paged queries and Bulk API v2 ingest jobs against the job's org.
+ * Errors are logged with the query or object they concern and rethrown, so the worker can classify them.
+ * @param {object} sfContext - The initialized Salesforce context (ContextImpl instance).
+ * @param {object} logger - A logger instance.
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Aborted when the job is cancelled, running ingest jobs are then aborted.
+ * @returns {{queryPages: function(string): AsyncGenerator<Array<object>>, queryAll: function(string): Promise<Array<object>>,
+ *   queryCount: function(string): Promise<number>, bulkIngest: function(string, string, Array<object>, object=): Promise<object>}}
+ */
+function createOrgData (sfContext, logger, { signal } = {}) {
+  // Read on each call, the worker instruments the org's APIs after creating the context
+  const dataApi = () => sfContext.org.dataApi;
+  const bulkApi = () => sfContext.org.bulkApi;
+
+  /**
+   * Iterates over the pages of a SOQL query, fetching each page only when needed.
+   * @param {string} soql - The SOQL query string.
+   * @returns {AsyncGenerator<Array<object>>} - Yields the records of each page.
+   */
+  async function * queryPages (soql) {
+    let result;
+    try {
+      result = await dataApi().query(soql);
+    } catch (error) {
+      logger.error({ err: error, soql }, 'Error during query execution');
+      throw error;
+    }
+    yield result.records;
+    while (!result.done && result.nextRecordsUrl) {
+      try {
+        result = await dataApi().queryMore(result);
+      } catch (error) {
+        logger.error({ err: error, soql }, 'Error during queryMore execution');
+        throw error;
+      }
+      yield result.records;
+    }
+  }
+
+  /**
+   * Fetches all records of a SOQL query, following its pages.
+   * @param {string} soql - The SOQL query string.
+   * @returns {Promise<Array<object>>}
+   */
+  async function queryAll (soql) {
+    const records = [];
+    for await (const page of queryPages(soql)) {
+      records.push(...page);
+    }
+    return records;
+  }
+
+  /**
+   * Runs a SELECT COUNT() query.
+   * @param {string} soql - The SOQL query string.
+   * @returns {Promise<number>} - The number of matching records.
+   */
+  async function queryCount (soql) {
+    try {
+      const { totalSize } = await dataApi().query(soql);
+      return totalSize || 0;
+    } catch (error) {
+      logger.error({ err: error, soql }, 'Error during count query execution');
+      throw error;
+    }
+  }
+
+  /**
+   * Inserts, updates or deletes records with Bulk API v2 and waits for the ingest jobs to finish. Large
+   * data tables are split across several ingest jobs by the SDK, their outcomes are added up.
+   * @param {string} object - The sObject to ingest.
+   * @param {string} operation - The ingest operation: insert, update, upsert, delete or hardDelete.
+   * @param {Array<object>} rows - The records, as field values by field name.
+   * @param {object} [options]
+   * @param {Array<string>} [options.columns] - The fields to include, defaults to every field of the rows.
+   * @returns {Promise<{processed: number, failed: number, successes: Array<{id: string, record: object}>, failures: Array<{id: string, error: string, record: object}>}>}
+   *   - The ID and input values of each record that succeeded or failed. Values read back from the Bulk API are strings.
+   * @throws {Error} - If the records could not be uploaded, with the Bulk API error as its cause, or if an ingest job failed.
+   */
+  async function bulkIngest (object, operation, rows, { columns = [...new Set(rows.flatMap(row => Object.keys(row)))] } = {}) {
+    const dataTable = rows.map(row => new Map(columns.map(column => [column, row[column]])));
+    dataTable.columns = columns;
+    const ingestResults = await bulkApi().ingest({ object, operation, dataTable });
+    if (!Array.isArray(ingestResults) || ingestResults.length === 0 || ingestResults.some(result => !result.error && !result.id)) {
+      logger.error({ ingestResults }, `Bulk API v2 ${object} ${operation} returned unexpected structure.`);
+      throw new Error(`bulkApi.ingest (${operation}) for ${object} returned unexpected structure.`);
+    }
+    // Uploads fail as a whole, e.g. on request limits, so the job can be retried. Ingest jobs already uploaded are aborted.
+    const uploadError = ingestResults.find(result => result.error)?.error;
+    if (uploadError) {
+      logger.error({ errorDetails: uploadError }, `Bulk API v2 ${object} ${operation} upload failed.`);
+      await Promise.all(ingestResults.filter(result => result.id).map(result => abortBulkJob(result, bulkApi(), logger)));
+      throw new Error(`bulkApi.ingest (${operation}) for ${object} failed.`, { cause: uploadError });
+    }
+
+    const outcome = { processed: 0, failed: 0, successes: [], failures: [] };
+    for (const [index, jobReference] of ingestResults.entries()) {
+      logger.info(`Submitted Bulk API v2 ${object} ${operation} job with ID: ${jobReference.id}`);
+      let jobInfo;
+      try {
+        jobInfo = await pollBulkJobStatus(jobReference, bulkApi(), logger, { signal });
+      } catch (error) {
+        // The polled job aborts itself on cancellation or timeout, the ingest jobs after it are still queued
+        if (signal?.aborted || error.code === JOB_TIMED_OUT) {
+          await Promise.all(ingestResults.slice(index + 1).map(result => abortBulkJob(result, bulkApi(), logger)));
+        }
+        throw error;
+      }
+      logger.info(`${object} ${operation} job ${jobReference.id} completed. State: ${jobInfo.state}, Processed: ${jobInfo.numberRecordsProcessed}, Failed: ${jobInfo.numberRecordsFailed}`);
+      outcome.processed += jobInfo.numberRecordsProcessed || 0;
+      outcome.failed += jobInfo.numberRecordsFailed || 0;
+      if (jobInfo.numberRecordsFailed > 0) {
+        try {
+          const failures = (await bulkApi().getFailedResults(jobReference))
+            .map(row => ({ id: row.get('sf__Id') || undefined, error: row.get('sf__Error'), record: toInputValues(row) }));
+          logger.warn({ failures }, `${object} ${operation} job ${jobReference.id} had ${jobInfo.numberRecordsFailed} failures.`);
+          outcome.failures.push(...failures);
+        } catch (failErr) {
+          logger.error({ err: failErr }, `Error fetching failed results for ${object} job ${jobReference.id}`);
+        }
+      }
+      if ((jobInfo.numberRecordsProcessed || 0) > (jobInfo.numberRecordsFailed || 0)) {
+        const successful = await bulkApi().getSuccessfulResults(jobReference);
+        outcome.successes.push(...successful.filter(row => row.get('sf__Id')).map(row => ({ id: row.get('sf__Id'), record: toInputValues(row) })));
+      }
+    }
+    return outcome;
+  }
+
+  return { queryPages, queryAll, queryCount, bulkIngest };
+}
+
+export {
+  getField,
+  getId,
+  getChildRecords,
+  pollBulkJobStatus,
+  abortBulkJob,
+  createOrgData
+};
@@ -0,0 +1,185 @@
+'use strict';
+
+// A minimal PDF 1.4 writer for text documents: pages of left, right or center aligned text in
+// Helvetica and Helvetica-Bold, and horizontal rules. The standard fonts need no embedding, so the
+// output stays small enough to upload through the REST API.
+
+// Page sizes in points
+const PAGE_SIZES = {
+  A4: [595.28, 841.89],
+  Letter: [612, 792]
+};
+
+// Advance widths of ASCII 32 to 126 per 1000 units of font size, from the Adobe font metrics
+const FONT_WIDTHS = {
+  regular: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+  ],
+  bold: [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+  ]
+};
+// Used for the Latin-1 and WinAnsi characters outside ASCII
+const DEFAULT_WIDTH = 556;
+const FONT_NAMES = { regular: 'Helvetica', bold: 'Helvetica-Bold' };
+const FONT_RESOURCES = { regular: 'F1', bold: 'F2' };
+
+// Characters WinAnsiEncoding places in 128 to 159, and the thin spaces some locales group digits with
+const WIN_ANSI = {
+  '€': 0x80, '‚': 0x82, '„': 0x84, '…': 0x85, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94,
+  '•': 0x95, '–': 0x96, '—': 0x97, '™': 0x99, '\u2009': 0x20, '\u202f': 0x20
+};
+
+/**
+ * Converts text to WinAnsiEncoding character codes. Characters the encoding lacks become '?'.
+ * @param {string} text
+ * @returns {Array<number>}
+ */
+function encodeText (text) {
+  return [...String(text)].map(char => {
+    const code = char.codePointAt(0);
+    if (WIN_ANSI[char] !== undefined) {
+      return WIN_ANSI[char];
+    }
+    return (code >= 32 && code <= 126) || (code >= 160 && code <= 255) ? code : 63;
+  });
+}
+
+/**
+ * Measures the width of a line of text.
+ * @param {string} text
+ * @param {object} [options]
+ * @param {string} [options.font='regular'] - 'regular' or 'bold'.
+ * @param {number} [options.size=10] - Font size in points.
+ * @returns {number} - The width in points.
+ */
+function measureText (text, { font = 'regular', size = 10 } = {}) {
+  const widths = FONT_WIDTHS[font];
+  const units = encodeText(text).reduce((total, code) => total + (code >= 32 && code <= 126 ? widths[code - 32] : DEFAULT_WIDTH), 0);
+  return units * size / 1000;
+}
+
+// PDF string literal, kept to ASCII by escaping everything else as octal
+function toPdfString (text) {
+  return `(${encodeText(text).map(code => {
+    if (code === 0x28 || code === 0x29 || code === 0x5c) {
+      return `\\${String.fromCharCode(code)}`;
+    }
+    return code > 126 ? `\\${code.toString(8).padStart(3, '0')}` : String.fromCharCode(code);
+  }).join('')})`;
+}
+
+function formatNumber (value) {
+  return Number(value.toFixed(2)).toString();
+}
+
+/**
+ * Creates a PDF document. Positions are in points from the top left corner of the page.
+ * @param {object} [options]
+ * @param {string} [options.size='A4'] - The page size, A4 or Letter.
+ * @param {string} [options.title] - The document title, shown by PDF viewers.
+ * @returns {object} - The document, with its page width and height, addPage, text, line and toBuffer.
+ */
+function createPdfDocument ({ size = 'A4', title } = {}) {
+  if (!PAGE_SIZES[size]) {
+    throw new Error(`Unknown page size ${size}. Use one of ${Object.keys(PAGE_SIZES).join(', ')}.`);
+  }
+  const [width, height] = PAGE_SIZES[size];
+  const pages = [];
+  let current = null;
+
+  const currentPage = () => {
+    if (!current) {
+      addPage();
+    }
+    return current;
+  };
+
+  function addPage () {
+    current = [];
+    pages.push(current);
+  }
+
+  /**
+   * Draws a line of text.
+   * @param {string} value - The text.
+   * @param {number} x - The left edge, or the right edge or center for right and center aligned text.
+   * @param {number} y - The baseline.
+   * @param {object} [options]
+   * @param {string} [options.font='regular'] - 'regular' or 'bold'.
+   * @param {number} [options.size=10] - Font size in points.
+   * @param {string} [options.align='left'] - 'left', 'right' or 'center'.
+   */
+  function text (value, x, y, { font = 'regular', size: fontSize = 10, align = 'left' } = {}) {
+    const textWidth = measureText(value, { font, size: fontSize });
+    const left = align === 'right' ? x - textWidth : align === 'center' ? x - textWidth / 2 : x;
+    currentPage().push(`BT /${FONT_RESOURCES[font]} ${formatNumber(fontSize)} Tf ${formatNumber(left)} ${formatNumber(height - y)} Td ${toPdfString(value)} Tj ET`);
+  }
+
+  /**
+   * Draws a straight line.
+   * @param {number} x1
+   * @param {number} y1
+   * @param {number} x2
+   * @param {number} y2
+   * @param {object} [options]
+   * @param {number} [options.lineWidth=0.5] - The stroke width in points.
+   */
+  function line (x1, y1, x2, y2, { lineWidth = 0.5 } = {}) {
+    currentPage().push(`${formatNumber(lineWidth)} w ${formatNumber(x1)} ${formatNumber(height - y1)} m ${formatNumber(x2)} ${formatNumber(height - y2)} l S`);
+  }
+
+  /**
+   * Serializes the document.
+   * @returns {Buffer}
+   */
+  function toBuffer () {
+    currentPage();
+    // 1 catalog, 2 page tree, 3 and 4 fonts, 5 info, then a page and its content stream per page
+    const objects = [
+      '<< /Type /Catalog /Pages 2 0 R >>',
+      `<< /Type /Pages /Kids [${pages.map((page, index) => `${6 + index * 2} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+      ...['regular', 'bold'].map(font => `<< /Type /Font /Subtype /Type1 /BaseFont /${FONT_NAMES[font]} /Encoding /WinAnsiEncoding >>`),
+      `<< /Producer (Pricing Engine)${title ? ` /Title ${toPdfString(title)}` : ''} >>`
+    ];
+    pages.forEach((page, index) => {
+      const content = page.join('\n');
+      objects.push(
+        `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${formatNumber(width)} ${formatNumber(height)}] ` +
+        `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${7 + index * 2} 0 R >>`,
+        `<< /Length ${content.length} >>\nstream\n${content}\nendstream`
+      );
+    });
+
+    // Everything written is ASCII, so string lengths are byte offsets
+    let output = '%PDF-1.4\n';
+    const offsets = objects.map((object, index) => {
+      const offset = output.length;
+      output += `${index + 1} 0 obj\n${object}\nendobj\n`;
+      return offset;
+    });
+    const xref = output.length;
+    output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    output += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+    return Buffer.from(output, 'latin1');
+  }
+
+  return { width, height, pageCount: () => pages.length, addPage, text, line, toBuffer };
+}
+
+export {
+  PAGE_SIZES,
+  measureText,
+  createPdfDocument
+};
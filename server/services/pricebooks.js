@@ -0,0 +1,185 @@
+'use strict';
+
+import { getChildRecords, getField, getId } from './orgdata.js';
+import { quoteString } from './soql.js';
+
+/**
+ * Reads the org's active currencies. Orgs without multiple currencies enabled have no CurrencyType
+ * object and no CurrencyIsoCode fields, null is returned for them.
+ * @param {object} sfContext - The initialized Salesforce context (ContextImpl instance).
+ * @returns {Promise<{corporate: string, currencies: Map<string, {conversionRate: number, decimalPlaces: number}>}|null>}
+ */
+async function loadCurrencies (sfContext) {
+  let result;
+  try {
+    result = await sfContext.org.dataApi.query('SELECT IsoCode, ConversionRate, DecimalPlaces, IsCorporate FROM CurrencyType WHERE IsActive = true');
+  } catch (error) {
+    if (error.errorCode === 'INVALID_TYPE') {
+      return null;
+    }
+    throw error;
+  }
+  const currencies = new Map(result.records.map(record => [getField(record, 'IsoCode'), {
+    conversionRate: getField(record, 'ConversionRate') ?? 1,
+    decimalPlaces: getField(record, 'DecimalPlaces') ?? 2
+  }]));
+  const corporate = result.records.find(record => getField(record, 'IsCorporate'));
+  return { corporate: corporate ? getField(corporate, 'IsoCode') : [...currencies.keys()][0], currencies };
+}
+
+function entryKey (pricebookId, productId, currencyIsoCode) {
+  return `${pricebookId}:${productId}:${currencyIsoCode ?? ''}`;
+}
+
+function quoteList (values) {
+  return [...values].map(quoteString).join(', ');
+}
+
+/**
+ * Chooses the Pricebook and currency of each Opportunity's Quote, and the PricebookEntry and price
+ * each of its line items is quoted with.
+ *
+ * Quotes use the Opportunity's own Pricebook and currency, unless the job names another Pricebook or
+ * currency. Line items keep their entry and unit price when both match. Otherwise they are mapped
+ * to the active entry of the same product in the Quote's Pricebook and currency: with another
+ * Pricebook, the line item is priced at that entry's list price; with only another currency, its
+ * unit price is converted at the org's exchange rate on the Opportunity's CloseDate (the dated rate
+ * with advanced currency management, the CurrencyType rate otherwise). Line items without such an
+ * entry or rate are returned as incompatible rather than quoted.
+ * @param {object} orgData - The job's data access, created by createOrgData.
+ * @param {object} options
+ * @param {string} options.standardPricebookId - Used for Opportunities without a Pricebook.
+ * @param {string} [options.pricebookId] - The Pricebook to quote from instead of each Opportunity's own.
+ * @param {string} [options.currencyIsoCode] - The currency to quote in instead of each Opportunity's own.
+ * @param {object|null} options.currencies - The org's currencies, see loadCurrencies.
+ * @returns {{prepare: function(Array<object>): Promise<void>, resolve: function(object): object}}
+ */
+function createQuotePricebooks (orgData, { standardPricebookId, pricebookId, currencyIsoCode, currencies }) {
+  const entries = new Map();
+  const loadedKeys = new Set();
+  // Dated exchange rates by currency, each sorted by StartDate
+  const datedRates = new Map();
+
+  function targetOf (oppSObject) {
+    const oppPricebookId = getField(oppSObject, 'Pricebook2Id');
+    const oppCurrency = currencies ? getField(oppSObject, 'CurrencyIsoCode') || currencies.corporate : null;
+    return {
+      oppPricebookId,
+      oppCurrency,
+      pricebookId: pricebookId || oppPricebookId || standardPricebookId,
+      currencyIsoCode: currencies ? currencyIsoCode || oppCurrency : null
+    };
+  }
+
+  function rateOn (isoCode, date) {
+    if (isoCode === currencies.corporate) {
+      return 1;
+    }
+    const time = Date.parse(date);
+    const dated = (datedRates.get(isoCode) || []).find(rate => Date.parse(rate.startDate) <= time && (!rate.nextStartDate || time < Date.parse(rate.nextStartDate)));
+    return dated?.conversionRate ?? currencies.currencies.get(isoCode)?.conversionRate ?? null;
+  }
+
+  /**
+   * Loads the entries and exchange rates needed to quote a page of Opportunities.
+   * @param {Array<object>} oppSObjects - The queried Opportunities, including their OpportunityLineItems.
+   */
+  async function prepare (oppSObjects) {
+    const missing = { pricebookIds: new Set(), productIds: new Set(), currencies: new Set() };
+    const rateCurrencies = new Set();
+    oppSObjects.forEach(oppSObject => {
+      const target = targetOf(oppSObject);
+      if (target.pricebookId === target.oppPricebookId && target.currencyIsoCode === target.oppCurrency) {
+        return;
+      }
+      if (target.currencyIsoCode !== target.oppCurrency) {
+        [target.currencyIsoCode, target.oppCurrency].filter(isoCode => !datedRates.has(isoCode)).forEach(isoCode => rateCurrencies.add(isoCode));
+      }
+      getChildRecords(oppSObject, 'OpportunityLineItems').forEach(oliSObject => {
+        const key = entryKey(target.pricebookId, getField(oliSObject, 'Product2Id'), target.currencyIsoCode);
+        if (!loadedKeys.has(key)) {
+          loadedKeys.add(key);
+          missing.pricebookIds.add(target.pricebookId);
+          missing.productIds.add(getField(oliSObject, 'Product2Id'));
+          if (target.currencyIsoCode) {
+            missing.currencies.add(target.currencyIsoCode);
+          }
+        }
+      });
+    });
+
+    if (missing.productIds.size > 0) {
+      const currencyFilter = currencies ? ` AND CurrencyIsoCode IN (${quoteList(missing.currencies)})` : '';
+      const records = await orgData.queryAll(`
+        SELECT Id, Pricebook2Id, Product2Id, UnitPrice${currencies ? ', CurrencyIsoCode' : ''}
+        FROM PricebookEntry
+        WHERE IsActive = true AND Pricebook2Id IN (${quoteList(missing.pricebookIds)}) AND Product2Id IN (${quoteList(missing.productIds)})${currencyFilter}
+      `);
+      records.forEach(record => {
+        const key = entryKey(getField(record, 'Pricebook2Id'), getField(record, 'Product2Id'), currencies ? getField(record, 'CurrencyIsoCode') : null);
+        entries.set(key, { id: getId(record), unitPrice: getField(record, 'UnitPrice') });
+      });
+    }
+
+    const corporate = currencies?.corporate;
+    const datedCurrencies = [...rateCurrencies].filter(isoCode => isoCode !== corporate);
+    datedCurrencies.forEach(isoCode => datedRates.set(isoCode, []));
+    if (datedCurrencies.length > 0) {
+      const records = await orgData.queryAll(`
+        SELECT IsoCode, ConversionRate, StartDate, NextStartDate
+        FROM DatedConversionRate
+        WHERE IsoCode IN (${quoteList(datedCurrencies)})
+        ORDER BY StartDate
+      `);
+      records.forEach(record => datedRates.get(getField(record, 'IsoCode')).push({
+        conversionRate: getField(record, 'ConversionRate'),
+        startDate: getField(record, 'StartDate'),
+        nextStartDate: getField(record, 'NextStartDate')
+      }));
+    }
+  }
+
+  /**
+   * Resolves the Pricebook and currency of an Opportunity's Quote and the entry and base unit price
+   * of each line item, before discounts. prepare must have been called with the Opportunity's page.
+   * @param {object} oppSObject - The queried Opportunity, including its OpportunityLineItems.
+   * @returns {{pricebookId: string, currencyIsoCode: string|null, lineItems: Array<object>}} - Each line item
+   *   has either its pricebookEntryId and unitPrice, or the reason it is incompatible.
+   */
+  function resolve (oppSObject) {
+    const target = targetOf(oppSObject);
+    const samePricebook = target.pricebookId === target.oppPricebookId;
+    const sameCurrency = target.currencyIsoCode === target.oppCurrency;
+    const closeDate = getField(oppSObject, 'CloseDate');
+    const lineItems = getChildRecords(oppSObject, 'OpportunityLineItems').map(oliSObject => {
+      const unitPrice = getField(oliSObject, 'UnitPrice');
+      if (samePricebook && sameCurrency) {
+        return { oliSObject, pricebookEntryId: getField(oliSObject, 'PricebookEntryId'), unitPrice };
+      }
+      const productId = getField(oliSObject, 'Product2Id');
+      const entry = entries.get(entryKey(target.pricebookId, productId, target.currencyIsoCode));
+      if (!entry) {
+        const currency = target.currencyIsoCode ? ` in ${target.currencyIsoCode}` : '';
+        return { oliSObject, reason: `No active PricebookEntry for Product2 ${productId} in Pricebook2 ${target.pricebookId}${currency}` };
+      }
+      if (!samePricebook) {
+        return { oliSObject, pricebookEntryId: entry.id, unitPrice: entry.unitPrice };
+      }
+      const fromRate = rateOn(target.oppCurrency, closeDate);
+      const toRate = rateOn(target.currencyIsoCode, closeDate);
+      if (!fromRate || !toRate) {
+        return { oliSObject, reason: `No exchange rate from ${target.oppCurrency} to ${target.currencyIsoCode} on ${closeDate}` };
+      }
+      const decimalPlaces = currencies.currencies.get(target.currencyIsoCode)?.decimalPlaces ?? 2;
+      return { oliSObject, pricebookEntryId: entry.id, unitPrice: Number((unitPrice / fromRate * toRate).toFixed(decimalPlaces)) };
+    });
+    return { pricebookId: target.pricebookId, currencyIsoCode: target.currencyIsoCode, lineItems };
+  }
+
+  return { prepare, resolve };
+}
+
+export {
+  loadCurrencies,
+  createQuotePricebooks
+};
@@ -0,0 +1,146 @@
+'use strict';
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import yaml from 'js-yaml';
+import config from '../config/index.js';
+
+// Objects a rule condition can reference, e.g. 'Account.BillingCountry'
+const RULE_OBJECTS = ['Opportunity', 'Account', 'Product2', 'OpportunityLineItem'];
+
+const OPERATORS = {
+  equals: (actual, expected) => actual === expected,
+  notEquals: (actual, expected) => actual !== expected,
+  in: (actual, expected) => Array.isArray(expected) && expected.includes(actual),
+  notIn: (actual, expected) => Array.isArray(expected) && !expected.includes(actual),
+  gt: (actual, expected) => actual != null && actual > expected,
+  gte: (actual, expected) => actual != null && actual >= expected,
+  lt: (actual, expected) => actual != null && actual < expected,
+  lte: (actual, expected) => actual != null && actual <= expected,
+  between: (actual, expected) => actual != null && Array.isArray(expected) && actual >= expected[0] && actual <= expected[1],
+  exists: (actual, expected) => (actual != null) === (expected !== false)
+};
+
+/**
+ * Validates a rule set and sorts its rules by descending priority (file order breaks ties).
+ * @param {object} ruleSet - The raw rule set.
+ * @param {string} source - Where the rules came from, used in error messages.
+ * @returns {{version: string, source: string, rules: Array<object>}}
+ */
+function normalizeRuleSet (ruleSet, source) {
+  if (!ruleSet || !Array.isArray(ruleSet.rules) || ruleSet.rules.length === 0) {
+    throw new Error(`Pricing rules from ${source} must contain a non-empty rules array.`);
+  }
+  const rules = ruleSet.rules.map((rule, index) => {
+    if (!rule.id) {
+      throw new Error(`Pricing rule at index ${index} from ${source} is missing an id.`);
+    }
+    if (typeof rule.discount !== 'number' || rule.discount < 0 || rule.discount > 1) {
+      throw new Error(`Pricing rule ${rule.id} must have a discount between 0 and 1.`);
+    }
+    const conditions = rule.conditions || [];
+    conditions.forEach(condition => {
+      const [objectName, fieldName] = (condition.field || '').split('.');
+      if (!RULE_OBJECTS.includes(objectName) || !fieldName) {
+        throw new Error(`Pricing rule ${rule.id} references unsupported field '${condition.field}'. Use one of ${RULE_OBJECTS.join(', ')} followed by a field name.`);
+      }
+      if (!OPERATORS[condition.operator]) {
+        throw new Error(`Pricing rule ${rule.id} uses unknown operator '${condition.operator}'.`);
+      }
+    });
+    return { ...rule, priority: rule.priority || 0, conditions, index };
+  });
+  rules.sort((a, b) => (b.priority - a.priority) || (a.index - b.index));
+  return { version: String(ruleSet.version ?? 'unversioned'), source, rules };
+}
+
+async function loadRulesFromFile (filePath) {
+  const contents = await fs.readFile(filePath, 'utf8');
+  const extension = path.extname(filePath).toLowerCase();
+  const ruleSet = (extension === '.yaml' || extension === '.yml') ? yaml.load(contents) : JSON.parse(contents);
+  return normalizeRuleSet(ruleSet, filePath);
+}
+
+async function loadRulesFromMetadata (sfContext) {
+  const result = await sfContext.org.dataApi.query(
+    'SELECT DeveloperName, Description__c, Priority__c, Conditions__c, Discount__c FROM Pricing_Rule__mdt WHERE Active__c = true'
+  );
+  const rules = result.records.map(record => ({
+    id: record.fields.DeveloperName,
+    description: record.fields.Description__c,
+    priority: record.fields.Priority__c,
+    conditions: record.fields.Conditions__c ? JSON.parse(record.fields.Conditions__c) : [],
+    discount: record.fields.Discount__c
+  }));
+  return normalizeRuleSet({ version: 'metadata', rules }, 'Pricing_Rule__mdt');
+}
+
+/**
+ * Loads the pricing rules from the configured source: a versioned JSON/YAML rules file
+ * (PRICING_RULES_FILE) or the org's Pricing_Rule__mdt custom metadata (PRICING_RULES_SOURCE=metadata).
+ * @param {object} sfContext - The initialized Salesforce context (ContextImpl instance).
+ * @param {object} logger - A logger instance.
+ * @returns {Promise<{version: string, source: string, rules: Array<object>}>}
+ */
+async function loadPricingRules (sfContext, logger) {
+  const ruleSet = config.pricingRulesSource === 'metadata'
+    ? await loadRulesFromMetadata(sfContext)
+    : await loadRulesFromFile(config.pricingRulesFile);
+  logger.info(`Loaded ${ruleSet.rules.length} pricing rules (version ${ruleSet.version}) from ${ruleSet.source}`);
+  return ruleSet;
+}
+
+/**
+ * Lists the fields the rules reference, grouped by object, so they can be added to the SOQL query.
+ * @param {object} ruleSet - A loaded rule set.
+ * @returns {object} - Map of object name to array of field names.
+ */
+function getRuleFields (ruleSet) {
+  const fields = Object.fromEntries(RULE_OBJECTS.map(objectName => [objectName, new Set()]));
+  ruleSet.rules.forEach(rule => rule.conditions.forEach(condition => {
+    const [objectName, fieldName] = condition.field.split('.');
+    fields[objectName].add(fieldName);
+  }));
+  return Object.fromEntries(Object.entries(fields).map(([objectName, names]) => [objectName, [...names]]));
+}
+
+/**
+ * Finds the highest priority rule matching a line item and calculates its discounted unit price.
+ * @param {object} ruleSet - A loaded rule set.
+ * @param {object} records - Field maps of the records being priced.
+ * @param {object} records.Opportunity - The Opportunity fields.
+ * @param {object} records.Account - The Opportunity's Account fields.
+ * @param {object} records.Product2 - The line item's Product fields.
+ * @param {object} records.OpportunityLineItem - The line item fields.
+ * @param {number} [basePrice] - The price the discount applies to, defaults to the line item's UnitPrice.
+ *   Set when the line item is quoted from another Pricebook or currency, rules still match the line item's own fields.
+ * @returns {{rule: object|null, discount: number, unitPrice: number}}
+ */
+function priceLineItem (ruleSet, records, basePrice = records.OpportunityLineItem.UnitPrice) {
+  const rule = ruleSet.rules.find(candidate => candidate.conditions.every(condition => {
+    const [objectName, fieldName] = condition.field.split('.');
+    return OPERATORS[condition.operator](records[objectName]?.[fieldName], condition.value);
+  })) || null;
+  const discount = rule ? rule.discount : 0;
+  const unitPrice = basePrice != null ? basePrice * (1 - discount) : basePrice;
+  return { rule, discount, unitPrice };
+}
+
+/**
+ * Describes the rule that produced a price, for recording on the QuoteLineItem.
+ * @param {object} ruleSet - A loaded rule set.
+ * @param {object|null} rule - The matching rule.
+ * @returns {string}
+ */
+function describePricing (ruleSet, rule) {
+  const description = rule ? `Pricing rule ${rule.id} (rules version ${ruleSet.version})` : `No pricing rule matched (rules version ${ruleSet.version})`;
+  return description.substring(0, 255);
+}
+
+export {
+  RULE_OBJECTS,
+  loadPricingRules,
+  getRuleFields,
+  priceLineItem,
+  describePricing
+};
@@ -0,0 +1,226 @@
+'use strict';
+
+import os from 'node:os';
+import redisClient from '../config/redis.js';
+import config from '../config/index.js';
+
+// All job types share a single Redis Stream, consumed through one consumer group
+const JOBS_STREAM = 'jobsChannel';
+const CONSUMER_GROUP = 'jobWorkers';
+// Jobs waiting to be retried, scored by the time they are due
+const RETRY_SET = 'jobsRetrying';
+
+// Atomically moves due retries onto the stream so concurrent workers never enqueue one twice
+const PROMOTE_RETRIES_SCRIPT = `
+local due = redis.call('ZRANGEBYSCORE', KEYS[1], '-inf', ARGV[1], 'LIMIT', 0, ARGV[2])
+for _, payload in ipairs(due) do
+  redis.call('ZREM', KEYS[1], payload)
+  redis.call('XADD', KEYS[2], '*', 'jobId', cjson.decode(payload).jobId, 'payload', payload)
+end
+return #due
+`;
+
+// XREADGROUP BLOCK holds its connection, so reads use a dedicated duplicate client
+let blockingClient;
+
+/**
+ * Builds a consumer name that is unique per worker process (e.g. worker.1-42).
+ * @returns {string}
+ */
+function getConsumerName () {
+  return `${process.env.DYNO || os.hostname()}-${process.pid}`;
+}
+
+/**
+ * Creates the consumer group (and the stream) if it does not exist yet.
+ * The group starts at the beginning of the stream so jobs enqueued before
+ * the first worker started are still delivered.
+ */
+async function ensureConsumerGroup () {
+  try {
+    await redisClient.xgroup('CREATE', JOBS_STREAM, CONSUMER_GROUP, '0', 'MKSTREAM');
+  } catch (error) {
+    if (!error.message.includes('BUSYGROUP')) {
+      throw error;
+    }
+  }
+}
+
+/**
+ * Appends a job to the stream. The job stays in the stream until a worker acknowledges it.
+ * @param {object} job - The job payload, must include jobId.
+ * @returns {Promise<string>} - The stream entry ID.
+ */
+async function enqueueJob (job) {
+  await ensureConsumerGroup();
+  return redisClient.xadd(JOBS_STREAM, '*', 'jobId', job.jobId, 'payload', JSON.stringify(job));
+}
+
+/**
+ * Schedules a failed job to be put back on the stream once a delay has passed.
+ * @param {object} job - The job payload, including its attempt count.
+ * @param {number} delayMs - How long to wait before the job is retried.
+ */
+async function scheduleRetry (job, delayMs) {
+  await redisClient.zadd(RETRY_SET, Date.now() + delayMs, JSON.stringify(job));
+}
+
+/**
+ * Moves retries that are due onto the stream.
+ * @param {number} [count] - Maximum number of retries to move.
+ * @returns {Promise<number>} - The number of jobs moved.
+ */
+async function promoteDueRetries (count = 100) {
+  return redisClient.eval(PROMOTE_RETRIES_SCRIPT, 2, RETRY_SET, JOBS_STREAM, Date.now(), count);
+}
+
+/**
+ * Returns the number of consumers in the group that have been seen within the visibility timeout.
+ * @returns {Promise<number>}
+ */
+async function countActiveConsumers () {
+  const consumers = await redisClient.xinfo('CONSUMERS', JOBS_STREAM, CONSUMER_GROUP);
+  return consumers
+    .map(toObject)
+    .filter(consumer => consumer.idle < config.jobVisibilityTimeoutMs)
+    .length;
+}
+
+/**
+ * Counts the jobs waiting to be picked up, being processed and waiting for a retry.
+ * Acknowledged jobs are deleted from the stream, so everything left in it is waiting or in flight.
+ * @returns {Promise<{waiting: number, inFlight: number, retrying: number}>}
+ */
+async function getQueueDepth () {
+  const [length, [pending], retrying] = await Promise.all([
+    redisClient.xlen(JOBS_STREAM),
+    redisClient.xpending(JOBS_STREAM, CONSUMER_GROUP).catch(() => [0]), // No group until the first job is queued
+    redisClient.zcard(RETRY_SET)
+  ]);
+  return { waiting: Math.max(length - pending, 0), inFlight: pending, retrying };
+}
+
+/**
+ * Reads new jobs for this consumer, blocking up to blockMs when the stream is empty.
+ * @param {string} consumer - The consumer name.
+ * @param {object} options
+ * @param {number} options.count - Maximum number of jobs to read.
+ * @param {number} options.blockMs - How long to wait for new jobs.
+ * @returns {Promise<Array<{entryId: string, job: object|null, raw: string}>>}
+ */
+async function readJobs (consumer, { count = 1, blockMs = 5000 } = {}) {
+  if (!blockingClient) {
+    blockingClient = redisClient.duplicate();
+  }
+  const response = await blockingClient.xreadgroup(
+    'GROUP', CONSUMER_GROUP, consumer,
+    'COUNT', count,
+    'BLOCK', blockMs,
+    'STREAMS', JOBS_STREAM, '>'
+  );
+  if (!response) {
+    return [];
+  }
+  const [[, entries]] = response;
+  return entries.map(toJobEntry);
+}
+
+/**
+ * Claims jobs that another consumer received but did not acknowledge within minIdleMs,
+ * for example because its dyno restarted mid-job.
+ * @param {string} consumer - The consumer name that takes ownership.
+ * @param {object} options
+ * @param {number} options.minIdleMs - Visibility timeout after which a job is considered abandoned.
+ * @param {number} options.count - Maximum number of jobs to claim.
+ * @returns {Promise<Array<{entryId: string, job: object|null, raw: string}>>}
+ */
+async function claimStaleJobs (consumer, { minIdleMs, count = 1 }) {
+  const [, entries] = await redisClient.xautoclaim(
+    JOBS_STREAM, CONSUMER_GROUP, consumer, minIdleMs, '0-0', 'COUNT', count
+  );
+  // Entries deleted from the stream while pending come back as null
+  return entries.filter(entry => entry && entry[1]).map(toJobEntry);
+}
+
+/**
+ * Resets the idle time of an in-flight job so it is not reclaimed while still being processed.
+ * @param {string} consumer - The consumer name that owns the job.
+ * @param {string} entryId - The stream entry ID.
+ */
+async function extendJob (consumer, entryId) {
+  await redisClient.xclaim(JOBS_STREAM, CONSUMER_GROUP, consumer, 0, entryId, 'JUSTID');
+}
+
+/**
+ * Acknowledges a job and removes it from the stream.
+ * @param {string} entryId - The stream entry ID.
+ */
+async function ackJob (entryId) {
+  await redisClient.multi()
+    .xack(JOBS_STREAM, CONSUMER_GROUP, entryId)
+    .xdel(JOBS_STREAM, entryId)
+    .exec();
+}
+
+/**
+ * Puts an in-flight job back on the stream as a new entry and acknowledges the original one,
+ * so another worker picks it up straight away instead of after the visibility timeout.
+ * @param {string} entryId - The stream entry ID of the in-flight job.
+ * @param {object} job - The job payload to queue again.
+ */
+async function requeueJob (entryId, job) {
+  await redisClient.multi()
+    .xadd(JOBS_STREAM, '*', 'jobId', job.jobId, 'payload', JSON.stringify(job))
+    .xack(JOBS_STREAM, CONSUMER_GROUP, entryId)
+    .xdel(JOBS_STREAM, entryId)
+    .exec();
+}
+
+/**
+ * Closes the dedicated blocking connection, if one was opened.
+ */
+async function closeQueue () {
+  if (blockingClient) {
+    await blockingClient.quit();
+    blockingClient = undefined;
+  }
+}
+
+// --- Helpers ---
+
+function toObject (flatArray) {
+  const result = {};
+  for (let i = 0; i < flatArray.length; i += 2) {
+    result[flatArray[i]] = flatArray[i + 1];
+  }
+  return result;
+}
+
+function toJobEntry ([entryId, fieldList]) {
+  const { payload } = toObject(fieldList);
+  let job = null;
+  try {
+    job = JSON.parse(payload);
+  } catch (err) {
+    // Leave job as null, the caller decides how to handle malformed entries
+  }
+  return { entryId, job, raw: payload };
+}
+
+export {
+  JOBS_STREAM,
+  CONSUMER_GROUP,
+  getConsumerName,
+  ensureConsumerGroup,
+  enqueueJob,
+  scheduleRetry,
+  promoteDueRetries,
+  countActiveConsumers,
+  getQueueDepth,
+  readJobs,
+  claimStaleJobs,
+  extendJob,
+  ackJob,
+  requeueJob,
+  closeQueue
+};
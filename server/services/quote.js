@@ -1,183 +1,684 @@
 'use strict';
 
-// Helper function mirroring the Java example's discount logic
-function getDiscountForRegion (region, logger) {
-  // Basic discount logic based on region
-  switch (region) {
-    case 'NAMER':
-      return 0.1; // 10%
-    case 'EMEA':
-      return 0.15; // 15%
-    case 'APAC':
-      return 0.08; // 8%
-    default:
-      return 0.05; // 5%
+import config from '../config/index.js';
+import { loadPricingRules, getRuleFields, priceLineItem, describePricing } from './pricing.js';
+import { createOrgData, getChildRecords, getField, getId } from './orgdata.js';
+import { createQuotePricebooks, loadCurrencies } from './pricebooks.js';
+import { quoteString, resolveWhereClause } from './soql.js';
+import { DOCUMENT_TYPES, generateQuoteDocuments } from './quotedoc.js';
+import { loadQuoteTemplate } from './quotepdf.js';
+
+const QUOTE_NAME = 'New Quote';
+// How to handle Opportunities that already have Quotes generated by this engine
+const EXISTING_QUOTE_STRATEGIES = ['skip', 'replace', 'version'];
+// Line items that could not be quoted are listed in the job result up to this many, and counted beyond
+const MAX_REPORTED_INCOMPATIBLE_LINE_ITEMS = 100;
+
+/**
+ * Decides what to do for an Opportunity based on the Quotes this engine already generated for it.
+ * Quotes stamped with the job's own ID were created by an earlier attempt of the same job, which
+ * was interrupted or retried, and are returned separately rather than handled by the strategy.
+ * @param {object} oppSObject - The queried Opportunity, including its engine generated Quotes.
+ * @param {string} strategy - One of EXISTING_QUOTE_STRATEGIES.
+ * @param {string} jobId - The job ID.
+ * @returns {{action: string, name?: string, deleteQuoteIds?: Array<string>, ownQuoteIds: Array<string>}}
+ *   - action is 'create', 'skip' or 'replace'.
+ */
+function planQuote (oppSObject, strategy, jobId) {
+  const quotes = getChildRecords(oppSObject, 'Quotes');
+  const ownQuoteIds = quotes.filter(quote => quote.fields[config.quoteMarkerField] === jobId).map(getId);
+  const existingQuotes = quotes.filter(quote => quote.fields[config.quoteMarkerField] !== jobId);
+  return { ...planForExistingQuotes(existingQuotes, strategy), ownQuoteIds };
+}
+
+function planForExistingQuotes (existingQuotes, strategy) {
+  if (existingQuotes.length === 0) {
+    return { action: 'create', name: QUOTE_NAME, deleteQuoteIds: [] };
+  }
+  if (strategy === 'skip') {
+    return { action: 'skip' };
   }
+  if (strategy === 'replace') {
+    // Only draft Quotes are replaced, Quotes that moved on in their lifecycle are kept
+    const deleteQuoteIds = existingQuotes.filter(quote => quote.fields.Status === 'Draft').map(getId);
+    return { action: deleteQuoteIds.length > 0 ? 'replace' : 'create', name: QUOTE_NAME, deleteQuoteIds };
+  }
+  return { action: 'create', name: `${QUOTE_NAME} v${existingQuotes.length + 1}`, deleteQuoteIds: [] };
 }
 
 /**
- * Helper function to fetch all records for a SOQL query, handling pagination.
- * @param {string} soql - The SOQL query string.
- * @param {object} sfContext - The initialized Salesforce context (ContextImpl instance).
+ * Prices an Opportunity's line items and builds the fields of its Quote and QuoteLineItems. Line
+ * items that have no entry in the Quote's Pricebook and currency are left out and returned as incompatible.
+ * @param {object} oppSObject - The queried Opportunity, including its OpportunityLineItems.
+ * @param {object} options
+ * @param {string} options.name - The Quote name.
+ * @param {string} options.jobId - The job ID, stamped on the Quote to mark it as engine generated.
+ * @param {object} options.pricebooks - Resolves the Quote's Pricebook and currency, see createQuotePricebooks.
+ * @param {object} options.pricingRules - The loaded pricing rules.
+ * @returns {{oppId: string, quote: object, lineItems: Array<{fields: object, preview: object}>, incompatible: Array<object>}}
+ */
+function buildQuote (oppSObject, { name = QUOTE_NAME, jobId, pricebooks, pricingRules }) {
+  const opp = oppSObject.fields;
+  const oppId = getId(oppSObject);
+  const { pricebookId, currencyIsoCode, lineItems: resolvedLineItems } = pricebooks.resolve(oppSObject);
+
+  // 1. Quote
+  const expirationDate = new Date(opp.CloseDate);
+  expirationDate.setDate(expirationDate.getDate() + 30); // Quote expires 30 days after CloseDate
+  const quote = {
+    Name: name.substring(0, 80), // Ensure name is within limit
+    OpportunityId: oppId,
+    Pricebook2Id: pricebookId,
+    ExpirationDate: expirationDate.toISOString().split('T')[0],
+    Status: 'Draft',
+    [config.quoteMarkerField]: jobId // Marks the Quote as generated by this engine
+  };
+  if (currencyIsoCode) {
+    quote.CurrencyIsoCode = currencyIsoCode;
+  }
+
+  // 2. QuoteLineItems from the OpportunityLineItems that can be quoted from the Quote's Pricebook
+  const incompatible = resolvedLineItems.filter(lineItem => lineItem.reason).map(({ oliSObject, reason }) => ({
+    OpportunityId: oppId,
+    OpportunityLineItemId: getId(oliSObject),
+    Product2Id: getField(oliSObject, 'Product2Id'),
+    Reason: reason
+  }));
+  const lineItems = resolvedLineItems.filter(lineItem => !lineItem.reason).map(({ oliSObject, pricebookEntryId, unitPrice: basePrice }) => {
+    // Apply the discount of the first matching pricing rule to QuoteLineItem UnitPrice
+    const oli = oliSObject.fields;
+    const { rule, unitPrice } = priceLineItem(pricingRules, {
+      Opportunity: opp,
+      Account: opp.Account?.fields || {},
+      Product2: oli.Product2?.fields || {},
+      OpportunityLineItem: oli
+    }, basePrice);
+    return {
+      fields: {
+        PricebookEntryId: pricebookEntryId, // Must be valid PBE in the Quote's Pricebook and currency
+        Quantity: oli.Quantity,
+        UnitPrice: unitPrice, // Use the calculated discounted price
+        [config.pricingRuleField]: describePricing(pricingRules, rule) // Record which rule produced the price
+      },
+      preview: {
+        OpportunityLineItemId: oli.Id,
+        Product2Id: oli.Product2Id,
+        PricebookEntryId: pricebookEntryId,
+        Quantity: oli.Quantity,
+        OriginalUnitPrice: basePrice,
+        UnitPrice: unitPrice,
+        PricingRule: rule?.id ?? null
+      }
+    };
+  });
+
+  return { oppId, quote, lineItems, incompatible };
+}
+
+/**
+ * Counts line items that could not be quoted in the job result, listing the first of them.
+ * @param {object} result - The job result.
+ * @param {Array<object>} incompatible - Line items returned as incompatible by buildQuote.
+ */
+function reportIncompatibleLineItems (result, incompatible) {
+  if (incompatible.length === 0) {
+    return;
+  }
+  result.lineItemsIncompatible = (result.lineItemsIncompatible || 0) + incompatible.length;
+  result.incompatibleLineItems ??= [];
+  result.incompatibleLineItems.push(...incompatible.slice(0, MAX_REPORTED_INCOMPATIBLE_LINE_ITEMS - result.incompatibleLineItems.length));
+}
+
+/**
+ * Registers a Quote and its QuoteLineItems for one Opportunity in a UnitOfWork, along with the
+ * deletion of any draft Quotes it replaces so both happen in the same transaction.
+ * @param {object} unitOfWork - The UnitOfWork to register the records in.
+ * @param {object} oppSObject - The queried Opportunity, including its OpportunityLineItems.
+ * @param {object} builtQuote - The Quote and line items returned by buildQuote.
+ * @param {object} plan - The plan returned by planQuote.
+ * @param {boolean} dryRun - Whether to build a preview of the registered records.
+ * @returns {{quoteRef: object, lineItemCount: number, preview: object|null}}
+ */
+function registerQuote (unitOfWork, oppSObject, { quote, lineItems }, plan, dryRun) {
+  plan.deleteQuoteIds.forEach(quoteId => unitOfWork.registerDelete('Quote', quoteId));
+  const quoteRef = unitOfWork.registerCreate({
+    type: 'Quote',
+    fields: quote
+  });
+  lineItems.forEach(lineItem => {
+    unitOfWork.registerCreate({
+      type: 'QuoteLineItem',
+      fields: {
+        QuoteId: quoteRef.toApiString(), // Reference the quote created above
+        ...lineItem.fields
+      }
+    });
+  });
+  const preview = dryRun
+    ? { ...quote, OpportunityName: oppSObject.fields.Name, Action: plan.action, ReplacesQuoteIds: plan.deleteQuoteIds, lineItems: lineItems.map(lineItem => lineItem.preview) }
+    : null;
+  return { quoteRef, lineItemCount: lineItems.length, preview };
+}
+
+/**
+ * Commits one chunk of Quotes. A failed commit only fails the Quotes in this chunk.
+ * @param {object} chunk - The chunk to commit.
+ * @param {number} chunk.number - The chunk sequence number, for logging.
+ * @param {object} chunk.unitOfWork - The UnitOfWork holding the chunk's records.
+ * @param {Map} chunk.quoteRefs - Map of Opportunity ID to Quote reference.
+ * @param {number} chunk.lineItemCount - Number of QuoteLineItems in the chunk.
+ * @param {object} dataApi - The Data API of the org.
+ * @param {string} jobId - The job ID, for logging.
  * @param {object} logger - A logger instance.
- * @returns {Promise<Array>} - A promise that resolves with an array of all records.
+ * @returns {Promise<{succeeded: number, failed: number, error?: Error}>}
  */
-async function queryAll (soql, sfContext, logger) {
-  let allRecords = [];
+async function commitQuoteChunk ({ number, unitOfWork, quoteRefs, lineItemCount }, dataApi, jobId, logger) {
+  logger.info(`Submitting UnitOfWork chunk ${number} to create ${quoteRefs.size} Quotes and ${lineItemCount} Line Items for Job ID: ${jobId}`);
+  let commitResult;
   try {
-    let result = await sfContext.org.dataApi.query(soql);
-    allRecords = allRecords.concat(result.records);
-    while (!result.done && result.nextRecordsUrl) {
-      result = await sfContext.org.dataApi.queryMore(result); // Use result object directly
-      allRecords = allRecords.concat(result.records);
-    }
+    commitResult = await dataApi.commitUnitOfWork(unitOfWork);
   } catch (error) {
-    logger.error({ err: error, soql }, 'Error during queryAll execution');
-    throw error; // Re-throw the error to be caught by the caller
+    logger.error({ err: error, chunk: number }, `Failed to commit UnitOfWork chunk ${number} for Job ID: ${jobId}. Its ${quoteRefs.size} Quotes were not created.`);
+    return { succeeded: 0, failed: quoteRefs.size, error };
+  }
+
+  // Process results
+  let succeeded = 0;
+  let failed = 0;
+
+  // Iterate through the original quoteRefs Map we created
+  quoteRefs.forEach((originalQuoteRef, oppId) => {
+    // Use the original reference object to get the result from the commit map
+    const result = commitResult.get(originalQuoteRef);
+    // Check for presence of id (success) or errors (failure)
+    if (result?.id) { // Check if ID exists -> success
+      succeeded++;
+    } else {
+      failed++;
+      // Log errors if they exist, otherwise log the whole result
+      logger.error({ errors: result?.errors ?? result, opportunityId: oppId, refId: originalQuoteRef.id }, `Failed to create Quote for Opportunity ${oppId} (Ref ID: ${originalQuoteRef.id}) in Job ID: ${jobId}`);
+    }
+  });
+  logger.info(`UnitOfWork chunk ${number} for Job ID: ${jobId} completed: ${succeeded} succeeded, ${failed} failed.`);
+  return { succeeded, failed };
+}
+
+/**
+ * Generates Quotes through the UnitOfWork path: Opportunities are read a query page at a time and
+ * their Quotes committed in chunks of at most QUOTE_CHUNK_SIZE records, with up to
+ * QUOTE_CHUNK_CONCURRENCY chunks committing in parallel.
+ * @param {string} oppQuery - The Opportunity query, including line items.
+ * @param {object} options
+ * @param {object} options.sfContext - The initialized Salesforce context (ContextImpl instance).
+ * @param {object} options.orgData - The job's data access, created by createOrgData.
+ * @param {string} options.jobId - The job ID, for logging.
+ * @param {object} options.pricebooks - Resolves each Quote's Pricebook and currency, see createQuotePricebooks.
+ * @param {object} options.pricingRules - The loaded pricing rules.
+ * @param {string} options.strategy - How to handle existing engine generated Quotes.
+ * @param {boolean} options.dryRun - Whether to skip committing and report instead.
+ * @param {object} options.result - The job result, updated with counters.
+ * @param {object} options.logger - A logger instance.
+ * @param {AbortSignal} [options.signal] - Aborted when the job is cancelled, no further chunks are committed.
+ */
+async function generateQuotesInChunks (oppQuery, { sfContext, orgData, jobId, pricebooks, pricingRules, strategy, dryRun, result, logger, signal }) {
+  const dataApi = sfContext.org.dataApi;
+  const report = result.report;
+  const chunkSize = config.quoteChunkSize;
+  const inFlight = new Set();
+  const chunkErrors = [];
+  let chunk = null;
+  let totalLineItems = 0;
+  result.chunks = 0;
+  result.chunksFailed = 0;
+
+  const commitChunk = async (pendingChunk) => {
+    result.chunks++;
+    if (dryRun) {
+      logger.info(`Dry run chunk ${pendingChunk.number} for Job ID: ${jobId} would create ${pendingChunk.quoteRefs.size} Quotes and ${pendingChunk.lineItemCount} Line Items. Skipping commit.`);
+      return;
+    }
+    // Wait for a free slot before starting another commit
+    while (inFlight.size >= config.quoteChunkConcurrency) {
+      await Promise.race(inFlight);
+    }
+    const commit = commitQuoteChunk(pendingChunk, dataApi, jobId, logger).then(({ succeeded, failed, error }) => {
+      result.quotesCreated += succeeded;
+      result.quotesFailed += failed;
+      // Chunks commit all-or-nothing, so replaced Quotes are only gone if the chunk succeeded
+      if (succeeded > 0) {
+        result.quotesReplaced += pendingChunk.replacedCount;
+      }
+      if (succeeded === 0 && failed > 0) {
+        result.chunksFailed++;
+      }
+      if (error) {
+        chunkErrors.push(error);
+      }
+    }).finally(() => inFlight.delete(commit));
+    inFlight.add(commit);
+  };
+
+  try {
+    for await (const page of orgData.queryPages(oppQuery)) {
+      await pricebooks.prepare(page);
+      for (const oppSObject of page) {
+        signal?.throwIfAborted();
+        const oppId = getId(oppSObject);
+        const oppLineItems = getChildRecords(oppSObject, 'OpportunityLineItems');
+        if (oppLineItems.length === 0) {
+          logger.warn(`Opportunity ${oppId} has no line items. Skipping quote creation for Job ID: ${jobId}`);
+          continue;
+        }
+
+        const plan = planQuote(oppSObject, strategy, jobId);
+        // Quotes commit together with their line items, so a Quote from an earlier attempt is complete
+        if (plan.ownQuoteIds.length > 0) {
+          logger.info(`Opportunity ${oppId} was quoted by an earlier attempt of Job ID: ${jobId}. Skipping quote creation.`);
+          result.quotesCreated++;
+          continue;
+        }
+        if (plan.action === 'skip') {
+          logger.info(`Opportunity ${oppId} already has a generated Quote. Skipping quote creation for Job ID: ${jobId}`);
+          result.quotesSkipped++;
+          continue;
+        }
+
+        let builtQuote;
+        try {
+          builtQuote = buildQuote(oppSObject, { name: plan.name, jobId, pricebooks, pricingRules });
+        } catch (err) {
+          logger.error({ err: err, opportunityId: oppId }, `Error preparing UoW for Opportunity ${oppId} for Job ID: ${jobId}`);
+          result.quotesFailed++;
+          continue;
+        }
+        reportIncompatibleLineItems(result, builtQuote.incompatible);
+        if (builtQuote.lineItems.length === 0) {
+          logger.warn(`None of the line items of Opportunity ${oppId} can be quoted from Pricebook2 ${builtQuote.quote.Pricebook2Id}. Skipping quote creation for Job ID: ${jobId}`);
+          continue;
+        }
+
+        // Quotes, their line items and replaced Quotes must commit together, so start a new chunk if they would not fit
+        const recordCount = 1 + builtQuote.lineItems.length + plan.deleteQuoteIds.length;
+        if (chunk && chunk.recordCount + recordCount > chunkSize) {
+          await commitChunk(chunk);
+          chunk = null;
+        }
+        if (!chunk) {
+          chunk = { number: result.chunks + 1, unitOfWork: dataApi.newUnitOfWork(), quoteRefs: new Map(), lineItemCount: 0, recordCount: 0, replacedCount: 0 };
+        }
+
+        const { quoteRef, lineItemCount, preview } = registerQuote(chunk.unitOfWork, oppSObject, builtQuote, plan, dryRun);
+        chunk.quoteRefs.set(oppId, quoteRef);
+        chunk.replacedCount += plan.deleteQuoteIds.length;
+        chunk.lineItemCount += lineItemCount;
+        chunk.recordCount += recordCount;
+        totalLineItems += lineItemCount;
+        if (preview) {
+          // The totals still cover the Quotes beyond the report's limit, which are only counted
+          if (!config.dryRunReportMaxQuotes || report.quotes.length < config.dryRunReportMaxQuotes) {
+            report.quotes.push(preview);
+          } else {
+            report.quotesTruncated++;
+          }
+          preview.lineItems.forEach(lineItem => {
+            report.totalOriginalAmount += (lineItem.OriginalUnitPrice || 0) * (lineItem.Quantity || 0);
+            report.totalDiscountedAmount += (lineItem.UnitPrice || 0) * (lineItem.Quantity || 0);
+          });
+        }
+      }
+    }
+    if (chunk && chunk.quoteRefs.size > 0) {
+      signal?.throwIfAborted();
+      await commitChunk(chunk);
+    }
+  } finally {
+    // Let commits that already started finish so their Quotes are counted
+    await Promise.all(inFlight);
+  }
+
+  // Nothing was committed, surface the error so the worker can decide whether to retry the job
+  if (result.quotesCreated === 0 && chunkErrors.length > 0) {
+    throw chunkErrors[0];
+  }
+
+  if (result.chunks === 0) {
+    logger.warn(`No quotes were registered for creation for Job ID: ${jobId}.`);
+  } else if (dryRun) {
+    logger.info(`Dry run for Job ID: ${jobId} would create ${report.quotes.length + report.quotesTruncated} Quotes and ${totalLineItems} Line Items across ${result.chunks} chunks.`);
+  } else {
+    logger.info(`Job processing completed for Job ID: ${jobId}. Results: ${result.quotesCreated} succeeded, ${result.quotesFailed} failed across ${result.chunks} chunks (${result.chunksFailed} failed).`);
   }
-  return allRecords;
 }
 
 /**
- * Handles quote generation jobs.
+ * Ingests one chunk of the Bulk API v2 path: deletes the Quotes an earlier attempt of the job left
+ * without line items, inserts the chunk's Quotes, deletes the draft Quotes they replace, then inserts
+ * the line items of the Quotes that were created.
+ * @param {object} chunk - The chunk's Quotes, with their line items, replaced and own Quote IDs by Opportunity.
+ * @param {object} options
+ * @param {object} options.orgData - The job's data access, created by createOrgData.
+ * @param {string} options.jobId - The job ID, for logging.
+ * @param {object} options.result - The job result, updated with counters.
+ * @param {object} options.logger - A logger instance.
+ */
+async function ingestQuoteChunk ({ number, quotes, lineItemsByOppId, replacedQuoteIdsByOppId, ownQuotesToDelete }, { orgData, jobId, result, logger }) {
+  // 1. Quotes and line items are inserted by separate ingest jobs, so the Quotes of an earlier attempt of this
+  // job may lack line items. They are deleted and created again.
+  if (ownQuotesToDelete.length > 0) {
+    logger.info(`Deleting ${ownQuotesToDelete.length} Quotes created by an earlier attempt of Job ID: ${jobId}`);
+    await orgData.bulkIngest('Quote', 'delete', ownQuotesToDelete);
+  }
+
+  // 2. Insert Quotes and map the created Quote IDs back to their Opportunities
+  logger.info(`Preparing Bulk API v2 Quote creation job for ${quotes.length} Quotes of chunk ${number} for Job ID: ${jobId}`);
+  const quoteOutcome = await orgData.bulkIngest('Quote', 'insert', quotes);
+  result.quotesFailed += quoteOutcome.failed;
+  const lineItems = [];
+  const quotesToDelete = [];
+  quoteOutcome.successes.forEach(({ id: quoteId, record }) => {
+    const oppId = record.OpportunityId;
+    if (!lineItemsByOppId.has(oppId)) {
+      return;
+    }
+    result.quotesCreated++;
+    lineItemsByOppId.get(oppId).forEach(fields => lineItems.push({ QuoteId: quoteId, ...fields }));
+    replacedQuoteIdsByOppId.get(oppId).forEach(replacedId => quotesToDelete.push({ Id: replacedId }));
+  });
+
+  // 3. Delete the draft Quotes replaced by a newly created Quote (their line items are deleted with them)
+  if (quotesToDelete.length > 0) {
+    logger.info(`Preparing Bulk API v2 Quote deletion job for ${quotesToDelete.length} replaced Quotes for Job ID: ${jobId}`);
+    const deleteOutcome = await orgData.bulkIngest('Quote', 'delete', quotesToDelete);
+    result.quotesReplaced += deleteOutcome.successes.length;
+  }
+
+  // 4. Insert QuoteLineItems for the Quotes that were created
+  if (lineItems.length === 0) {
+    logger.warn(`No Quotes of chunk ${number} were created by Bulk API v2 for Job ID: ${jobId}. Skipping QuoteLineItem creation.`);
+    return;
+  }
+  logger.info(`Preparing Bulk API v2 QuoteLineItem creation job for ${lineItems.length} Line Items of chunk ${number} for Job ID: ${jobId}`);
+  const lineItemOutcome = await orgData.bulkIngest('QuoteLineItem', 'insert', lineItems);
+  result.lineItemsCreated += lineItemOutcome.successes.length;
+  result.lineItemsFailed += lineItemOutcome.failed;
+}
+
+/**
+ * Generates Quotes through the Bulk API v2 path, used for large selections. Opportunities are read
+ * one query page at a time and priced into chunks of QUOTE_BULK_CHUNK_SIZE Quotes, each ingested
+ * before the next is built (see ingestQuoteChunk), so only one chunk of line items is held in memory.
+ * @param {string} oppQuery - The Opportunity query, including line items.
+ * @param {object} options
+ * @param {object} options.orgData - The job's data access, created by createOrgData.
+ * @param {string} options.jobId - The job ID, for logging.
+ * @param {object} options.pricebooks - Resolves each Quote's Pricebook and currency, see createQuotePricebooks.
+ * @param {object} options.pricingRules - The loaded pricing rules.
+ * @param {string} options.strategy - How to handle existing engine generated Quotes.
+ * @param {object} options.result - The job result, updated with counters.
+ * @param {object} options.logger - A logger instance.
+ * @param {AbortSignal} [options.signal] - Aborted when the job is cancelled, in-flight ingest jobs are aborted.
+ */
+async function generateQuotesWithBulkApi (oppQuery, { orgData, jobId, pricebooks, pricingRules, strategy, result, logger, signal }) {
+  result.lineItemsCreated = 0;
+  result.lineItemsFailed = 0;
+
+  const newChunk = number => ({ number, quotes: [], lineItemsByOppId: new Map(), replacedQuoteIdsByOppId: new Map(), ownQuotesToDelete: [] });
+  let chunk = newChunk(1);
+  for await (const page of orgData.queryPages(oppQuery)) {
+    signal?.throwIfAborted();
+    await pricebooks.prepare(page);
+    for (const oppSObject of page) {
+      const oppId = getId(oppSObject);
+      if (getChildRecords(oppSObject, 'OpportunityLineItems').length === 0) {
+        logger.warn(`Opportunity ${oppId} has no line items. Skipping quote creation for Job ID: ${jobId}`);
+        continue;
+      }
+      const plan = planQuote(oppSObject, strategy, jobId);
+      if (plan.action === 'skip') {
+        logger.info(`Opportunity ${oppId} already has a generated Quote. Skipping quote creation for Job ID: ${jobId}`);
+        result.quotesSkipped++;
+        continue;
+      }
+      try {
+        const { quote, lineItems, incompatible } = buildQuote(oppSObject, { name: plan.name, jobId, pricebooks, pricingRules });
+        reportIncompatibleLineItems(result, incompatible);
+        if (lineItems.length === 0) {
+          logger.warn(`None of the line items of Opportunity ${oppId} can be quoted from Pricebook2 ${quote.Pricebook2Id}. Skipping quote creation for Job ID: ${jobId}`);
+          continue;
+        }
+        chunk.quotes.push(quote);
+        chunk.replacedQuoteIdsByOppId.set(oppId, plan.deleteQuoteIds);
+        chunk.lineItemsByOppId.set(oppId, lineItems.map(lineItem => lineItem.fields));
+        plan.ownQuoteIds.forEach(quoteId => chunk.ownQuotesToDelete.push({ Id: quoteId }));
+      } catch (err) {
+        logger.error({ err: err, opportunityId: oppId }, `Error preparing Quote for Opportunity ${oppId} for Job ID: ${jobId}`);
+        result.quotesFailed++;
+      }
+      if (chunk.quotes.length >= config.quoteBulkChunkSize) {
+        await ingestQuoteChunk(chunk, { orgData, jobId, result, logger });
+        chunk = newChunk(chunk.number + 1);
+      }
+    }
+  }
+  if (chunk.quotes.length > 0) {
+    await ingestQuoteChunk(chunk, { orgData, jobId, result, logger });
+  } else if (chunk.number === 1) {
+    logger.warn(`No quotes were prepared for creation for Job ID: ${jobId}.`);
+    return;
+  }
+  logger.info(`Job processing completed for Job ID: ${jobId}. Results: ${result.quotesCreated} Quotes succeeded, ${result.quotesFailed} failed; ${result.lineItemsCreated} Line Items succeeded, ${result.lineItemsFailed} failed.`);
+}
+
+/**
+ * Handles quote generation jobs. Selections of at least QUOTE_BULK_THRESHOLD Opportunities are
+ * processed with Bulk API v2, smaller ones (and all dry runs) with chunked UnitOfWork commits.
+ * With jobData.generateDocuments set, a PDF of each created Quote is then attached to it.
  * @param {object} jobData - The job data object from Redis.
  * @param {object} sfContext - The initialized Salesforce context (ContextImpl instance).
  * @param {object} logger - A logger instance.
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Aborted when the job is cancelled, checked between steps.
+ * @returns {Promise<{quotesCreated: number, quotesFailed: number, path: string}>} - Result counters for the job status,
+ *   plus a report of the Quotes that would have been created when jobData.dryRun is set.
  */
-async function handleQuoteMessage (jobData, sfContext, logger) {
-  const { jobId, soqlWhereClause } = jobData;
-  // Use soqlWhereClause in the query
-  if (!soqlWhereClause) {
-    logger.warn(`No soqlWhereClause provided for Job ID: ${jobId}`);
-    return;
+async function handleQuoteMessage (jobData, sfContext, logger, { signal } = {}) {
+  const {
+    jobId, dryRun = false, existingQuoteStrategy: strategy = 'skip', pricebookId, currencyIsoCode,
+    generateDocuments = false, documentType = config.quoteDocumentType
+  } = jobData;
+  const result = { quotesCreated: 0, quotesFailed: 0, quotesSkipped: 0, quotesReplaced: 0, existingQuoteStrategy: strategy };
+  // Dry runs price everything but skip the commit, reporting what would have been created instead
+  if (dryRun) {
+    result.dryRun = true;
+    result.report = { quotes: [], quotesTruncated: 0, totalOriginalAmount: 0, totalDiscountedAmount: 0 };
   }
-  logger.info(`Worker received job with ID: ${jobId} for SOQL WHERE clause: ${soqlWhereClause}`);
 
   try {
+    // Validated when the job was submitted, checked again as jobs can be queued by other producers
+    const soqlWhereClause = resolveWhereClause(jobData);
+    logger.info(`Worker received job with ID: ${jobId} for SOQL WHERE clause: ${soqlWhereClause}${dryRun ? ' (dry run)' : ''}`);
+    if (!EXISTING_QUOTE_STRATEGIES.includes(strategy)) {
+      throw new Error(`Unknown existingQuoteStrategy: ${strategy}`);
+    }
+    if (generateDocuments && !DOCUMENT_TYPES[documentType]) {
+      throw new Error(`Unknown documentType: ${documentType}`);
+    }
     // Access APIs via sfContext.org
-    if (!sfContext || !sfContext.org || !sfContext.org.dataApi) {
-        logger.error(`Invalid sfContext or sfContext.org.dataApi for Quote Job ID: ${jobId}`);
-        return;
+    if (!sfContext || !sfContext.org || !sfContext.org.dataApi || !sfContext.org.bulkApi) {
+        logger.error(`Invalid sfContext or missing APIs for Quote Job ID: ${jobId}`);
+        throw new Error('Invalid Salesforce context.');
     }
-    const dataApi = sfContext.org.dataApi;
+    const orgData = createOrgData(sfContext, logger, { signal });
 
     // Fetch Standard Pricebook ID
-    const standardPricebookRecords = await queryAll("SELECT Id FROM Pricebook2 WHERE IsStandard = true LIMIT 1", sfContext, logger);
+    const standardPricebookRecords = await orgData.queryAll("SELECT Id FROM Pricebook2 WHERE IsStandard = true LIMIT 1");
     if (!standardPricebookRecords || standardPricebookRecords.length === 0) {
       logger.error(`Standard Pricebook not found for Job ID: ${jobId}.`);
       throw new Error('Standard Pricebook not found.');
     }
-    const standardPricebookId = standardPricebookRecords[0].fields.Id || standardPricebookRecords[0].fields.id;
+    const standardPricebookId = getId(standardPricebookRecords[0]);
+
+    // Quotes use each Opportunity's own Pricebook and currency, unless the job names others
+    const currencies = await loadCurrencies(sfContext);
+    if (currencyIsoCode && !currencies?.currencies.has(currencyIsoCode)) {
+      throw new Error(currencies ? `Currency ${currencyIsoCode} is not an active currency of the org.` : 'currencyIsoCode requires an org with multiple currencies enabled.');
+    }
+    if (pricebookId && (await orgData.queryAll(`SELECT Id FROM Pricebook2 WHERE Id = ${quoteString(pricebookId)} AND IsActive = true`)).length === 0) {
+      throw new Error(`Pricebook2 ${pricebookId} was not found or is not active.`);
+    }
+    const pricebooks = createQuotePricebooks(orgData, { standardPricebookId, pricebookId, currencyIsoCode, currencies });
+
+    // Load pricing rules and include the fields they reference in the query
+    const pricingRules = await loadPricingRules(sfContext, logger);
+    const ruleFields = getRuleFields(pricingRules);
+    // Loaded up front so a broken template fails the job before any Quote is created. Dry runs create no documents
+    const template = (generateDocuments && !dryRun) ? await loadQuoteTemplate() : null;
+    if (template) {
+      logger.info(`Loaded quote template (version ${template.version}) from ${template.source}, attaching Quote PDFs as ${documentType} records`);
+    }
+    const oppFields = new Set([
+      'Id', 'Name', 'AccountId', 'CloseDate', 'StageName', 'Amount', 'Pricebook2Id',
+      ...(currencies ? ['CurrencyIsoCode'] : []),
+      ...ruleFields.Opportunity,
+      ...ruleFields.Account.map(field => `Account.${field}`)
+    ]);
+    const oliFields = new Set([
+      'Id', 'Product2Id', 'Quantity', 'UnitPrice', 'PricebookEntryId',
+      ...ruleFields.OpportunityLineItem,
+      ...ruleFields.Product2.map(field => `Product2.${field}`)
+    ]);
 
-    // Query Opportunities
+    // Count the selection first to choose between the UnitOfWork and Bulk API v2 paths
+    const totalSize = await orgData.queryCount(`SELECT COUNT() FROM Opportunity WHERE ${soqlWhereClause}`);
+    if (!totalSize) {
+      logger.warn(`No Opportunities or related OpportunityLineItems found for WHERE clause: ${soqlWhereClause}`);
+      return result;
+    }
+    result.path = (!dryRun && totalSize >= config.quoteBulkThreshold) ? 'bulkApi' : 'unitOfWork';
+    logger.info(`Processing ${totalSize} Opportunities using the ${result.path} path for Job ID: ${jobId}`);
+
+    // Query Opportunities, along with the Quotes this engine previously generated for them
     const oppQuery = `
-      SELECT Id, Name, AccountId, CloseDate, StageName, Amount,
-             (SELECT Id, Product2Id, Quantity, UnitPrice, PricebookEntryId FROM OpportunityLineItems)
+      SELECT ${[...oppFields].join(', ')},
+             (SELECT ${[...oliFields].join(', ')} FROM OpportunityLineItems),
+             (SELECT Id, Name, Status, ${config.quoteMarkerField} FROM Quotes WHERE ${config.quoteMarkerField} != null)
       FROM Opportunity
       WHERE ${soqlWhereClause}
     `; // Use the provided WHERE clause
-    const opportunities = await queryAll(oppQuery, sfContext, logger);
-    if (!opportunities || opportunities.length === 0) {
-      logger.warn(`No Opportunities or related OpportunityLineItems found for WHERE clause: ${soqlWhereClause}`);
-      return;
+    signal?.throwIfAborted();
+    const options = { sfContext, orgData, jobId, pricebooks, pricingRules, strategy, dryRun, result, logger, signal };
+    if (result.path === 'bulkApi') {
+      await generateQuotesWithBulkApi(oppQuery, options);
+    } else {
+      await generateQuotesInChunks(oppQuery, options);
     }
-
-    logger.info(`Processing ${opportunities.length} Opportunities`);
-    const unitOfWork = dataApi.newUnitOfWork();
-    const quoteRefs = new Map();
-    let totalLineItems = 0;
-
-    opportunities.forEach(oppSObject => {
-      // Access fields using .fields property
-      const opp = oppSObject.fields;
-      const oppId = opp.Id || opp.id; // Get the actual ID
-      // Access subquery results correctly
-      const lineItemsResult = oppSObject.subQueryResults?.OpportunityLineItems;
-      if (!lineItemsResult?.records || lineItemsResult.records.length === 0) {
-        logger.warn(`Opportunity ${oppId} has no line items. Skipping quote creation for Job ID: ${jobId}`);
-        return;
-      }
-
-      try {
-        // 1. Create Quote
-        const quoteName = 'New Quote';
-        const expirationDate = new Date(opp.CloseDate);
-        expirationDate.setDate(expirationDate.getDate() + 30); // Quote expires 30 days after CloseDate
-        // Calculate discount based on hardcoded region (matching Java example 'US')
-        const discount = getDiscountForRegion('NAMER', logger); // Use hardcoded region 'NAMER'
-        const quoteRef = unitOfWork.registerCreate({
-          type: 'Quote',
-          fields: {
-            Name: quoteName.substring(0, 80), // Ensure name is within limit
-            OpportunityId: oppId,
-            Pricebook2Id: standardPricebookId, // *** 3. Use fetched Standard Pricebook ID ***
-            ExpirationDate: expirationDate.toISOString().split('T')[0],
-            Status: 'Draft'
-          }
-        });
-        quoteRefs.set(oppId, quoteRef);
-
-        // 2. Create QuoteLineItems from OpportunityLineItems
-        const currentOppLineItemCount = lineItemsResult.records.length;
-        totalLineItems += currentOppLineItemCount;
-        lineItemsResult.records.forEach(oliSObject => {
-          // Apply discount to QuoteLineItem UnitPrice
-          const oli = oliSObject.fields;
-          const originalUnitPrice = oli.UnitPrice;
-          const quantity = oli.Quantity;
-          // Ensure discount is a number between 0 and 1
-          const validDiscount = (typeof discount === 'number' && discount >= 0 && discount <= 1) ? discount : 0;
-          const calculatedDiscountedPrice = (originalUnitPrice != null && validDiscount != null)
-                                            ? originalUnitPrice * (1 - validDiscount)
-                                            : originalUnitPrice; // Default to original if calculation fails
-          unitOfWork.registerCreate({
-            type: 'QuoteLineItem',
-            fields: {
-              QuoteId: quoteRef.toApiString(), // Reference the quote created above
-              PricebookEntryId: oli.PricebookEntryId, // Must be valid PBE in the Quote's Pricebook
-              Quantity: quantity,
-              UnitPrice: calculatedDiscountedPrice // Use the calculated discounted price
-            }
-          });
-        });
-      } catch (err) {
-        logger.error({ err: err, opportunityId: oppId }, `Error preparing UoW for Opportunity ${oppId} for Job ID: ${jobId}`);
-      }
-    });
-
-    if (quoteRefs.size === 0) {
-      logger.warn(`No quotes were registered for creation for Job ID: ${jobId}.`);
-      return;
+    if (template) {
+      signal?.throwIfAborted();
+      await generateQuoteDocuments(jobId, { sfContext, orgData, template, documentType, multiCurrency: Boolean(currencies), result, logger, signal });
     }
-
-    logger.info(`Submitting UnitOfWork to create ${quoteRefs.size} Quotes and ${totalLineItems} Line Items`);
-    const commitResult = await dataApi.commitUnitOfWork(unitOfWork);
-
-    // Process results
-    let successCount = 0;
-    let failureCount = 0;
-
-    // Iterate through the original quoteRefs Map we created
-    quoteRefs.forEach((originalQuoteRef, oppId) => {
-      // Use the original reference object to get the result from the commit map
-      const result = commitResult.get(originalQuoteRef);
-      // Check for presence of id (success) or errors (failure)
-      if (result?.id) { // Check if ID exists -> success
-        successCount++;
-      } else {
-        failureCount++;
-        // Log errors if they exist, otherwise log the whole result
-        logger.error({ errors: result?.errors ?? result, opportunityId: oppId, refId: originalQuoteRef.id }, `Failed to create Quote for Opportunity ${oppId} (Ref ID: ${originalQuoteRef.id}) in Job ID: ${jobId}`);
-      }
-    });
-
-    logger.info(`Job processing completed for Job ID: ${jobId}. Results: ${successCount} succeeded, ${failureCount} failed.`);
+    return result;
 
   } catch (error) {
     logger.error({ err: error }, `Error executing batch for Job ID: ${jobId}`);
+    if (signal?.aborted) {
+      error.partialResult = result; // Keep the counts of the Quotes created before cancellation
+    }
+    throw error; // Re-throw so the worker records the job as failed
   }
 }
 
+// --- Job Type ---
+
+const BatchExecutionRequestSchema = {
+  $id: 'BatchExecutionRequest',
+  type: 'object',
+  description: 'Request to execute a batch process, includes a SOQL WHERE clause or filter to select the Opportunities to price',
+  properties: {
+    soqlWhereClause: {
+      type: 'string',
+      maxLength: 4000,
+      description: 'A SOQL WHERE clause for filtering opportunities, limited to allowlisted Opportunity fields. Provide either this or filter'
+    },
+    filter: {
+      $ref: 'OpportunityFilter#'
+    },
+    dryRun: {
+      type: 'boolean',
+      default: false,
+      description: 'Price the selected Opportunities without creating Quotes, reporting what would have been created in the job result'
+    },
+    existingQuoteStrategy: {
+      type: 'string',
+      enum: EXISTING_QUOTE_STRATEGIES,
+      default: 'skip',
+      description: 'What to do for Opportunities that already have a Quote generated by this engine: skip them, replace their draft Quotes, or add a new Quote version'
+    },
+    pricebookId: {
+      type: 'string',
+      pattern: '^01s[0-9A-Za-z]{12}([0-9A-Za-z]{3})?$',
+      description: "ID of an active Pricebook2 to quote from instead of each Opportunity's own. Line items are priced at the list price of their product's entry in it"
+    },
+    currencyIsoCode: {
+      type: 'string',
+      pattern: '^[A-Z]{3}$',
+      description: "Currency to quote in instead of each Opportunity's own, in orgs with multiple currencies. Prices are converted at the exchange rate on the Opportunity's CloseDate"
+    },
+    generateDocuments: {
+      type: 'boolean',
+      default: false,
+      description: 'Render a PDF of each created Quote with its discounted line items, using the QUOTE_TEMPLATE_FILE template, and attach it to the Quote. Ignored for dry runs'
+    },
+    documentType: {
+      type: 'string',
+      enum: Object.keys(DOCUMENT_TYPES),
+      description: 'How the PDFs are attached when generateDocuments is set: as a QuoteDocument, or as a file (ContentVersion) shared with the Quote. Defaults to QUOTE_DOCUMENT_TYPE, or QuoteDocument'
+    },
+    callback: {
+      $ref: 'JobCallback#'
+    }
+  }
+};
+
+/**
+ * The quote job type, registered in jobtypes.js: POST /api/executebatch queues a job that
+ * handleQuoteMessage processes.
+ */
+const quoteJobType = {
+  name: 'quote',
+  handler: handleQuoteMessage,
+  tags: [{ name: 'Pricing Engine', description: 'Quote generation endpoints' }],
+  routes: [{
+    path: '/executebatch',
+    body: BatchExecutionRequestSchema,
+    openapi: {
+      tags: ['Pricing Engine'],
+      summary: 'Submit Batch Pricing Job',
+      description: 'Calculate pricing and generate quotes from Opportunities queried using the SOQL WHERE clause.',
+      operationId: 'executeBatch',
+      'x-sfdc': {
+        heroku: {
+          authorization: {
+            connectedApp: 'GenerateQuoteJobConnectedApp',
+            permissionSet: 'GenerateQuoteJobPermissions'
+          }
+        }
+      },
+      responses: {
+        202: 'Job accepted for processing',
+        400: 'Invalid SOQL WHERE clause or filter'
+      }
+    },
+    createPayload ({ soqlWhereClause, filter, dryRun, existingQuoteStrategy, pricebookId, currencyIsoCode, generateDocuments, documentType, callback }) {
+      // Reject unsafe or malformed selections before anything is queued
+      resolveWhereClause({ soqlWhereClause, filter });
+      return { soqlWhereClause, filter, dryRun, existingQuoteStrategy, pricebookId, currencyIsoCode, generateDocuments, documentType, callback };
+    }
+  }]
+};
+
 export {
-  handleQuoteMessage
-}; 
\ No newline at end of file
+  EXISTING_QUOTE_STRATEGIES,
+  BatchExecutionRequestSchema,
+  handleQuoteMessage,
+  quoteJobType
+};
@@ -0,0 +1,131 @@
+'use strict';
+
+import config from '../config/index.js';
+import { getChildRecords, getField, getId } from './orgdata.js';
+import { renderQuotePdf } from './quotepdf.js';
+
+// Where a Quote's PDF is stored: as a QuoteDocument, or as a file (ContentVersion) shared with the Quote.
+// parentField links the document to its Quote and is used to find the Quotes that already have one.
+const DOCUMENT_TYPES = {
+  QuoteDocument: {
+    parentField: 'QuoteId',
+    fields: (quote, pdf) => ({ QuoteId: quote.id, Document: pdf.toString('base64') })
+  },
+  ContentVersion: {
+    parentField: 'FirstPublishLocationId',
+    fields: (quote, pdf) => ({
+      Title: quote.name,
+      PathOnClient: `${quote.name.replace(/[\\/:*?"<>|]/g, '-')}.pdf`,
+      VersionData: pdf.toString('base64'),
+      FirstPublishLocationId: quote.id
+    })
+  }
+};
+
+/**
+ * Builds the values a template renders from a Quote queried by generateQuoteDocuments, with its
+ * discounts worked out from the list and unit price of each line item.
+ * @param {object} quoteSObject - The queried Quote, including its QuoteLineItems, and its CurrencyIsoCode in multi-currency orgs.
+ * @param {object} [options]
+ * @param {Date} [options.now] - The time the document is generated.
+ * @returns {object} - The quote, opportunity, account, lineItems, totals and generatedAt values.
+ */
+function buildQuoteModel (quoteSObject, { now = new Date() } = {}) {
+  const lineItems = getChildRecords(quoteSObject, 'QuoteLineItems').map(lineItem => {
+    const quantity = getField(lineItem, 'Quantity') || 0;
+    const unitPrice = getField(lineItem, 'UnitPrice') || 0;
+    const listPrice = getField(lineItem, 'ListPrice') ?? unitPrice;
+    return {
+      product: getField(lineItem, 'Product2.Name'),
+      productCode: getField(lineItem, 'Product2.ProductCode'),
+      quantity,
+      listPrice,
+      unitPrice,
+      discount: listPrice > 0 ? 1 - unitPrice / listPrice : 0,
+      total: quantity * unitPrice,
+      pricing: getField(lineItem, config.pricingRuleField)
+    };
+  });
+  const listTotal = lineItems.reduce((total, lineItem) => total + lineItem.quantity * lineItem.listPrice, 0);
+  const total = lineItems.reduce((sum, lineItem) => sum + lineItem.total, 0);
+  return {
+    quote: {
+      id: getId(quoteSObject),
+      name: getField(quoteSObject, 'Name'),
+      status: getField(quoteSObject, 'Status'),
+      expirationDate: getField(quoteSObject, 'ExpirationDate'),
+      currencyIsoCode: getField(quoteSObject, 'CurrencyIsoCode') ?? null
+    },
+    opportunity: { name: getField(quoteSObject, 'Opportunity.Name') },
+    account: { name: getField(quoteSObject, 'Account.Name') },
+    lineItems,
+    totals: { listTotal, discount: listTotal - total, total, lineItemCount: lineItems.length },
+    generatedAt: now.toISOString()
+  };
+}
+
+/**
+ * Renders a PDF for each Quote a quote job created and attaches it to the Quote, as a QuoteDocument
+ * or as a file. Quotes that already have one, attached by an earlier attempt of the same job, are
+ * counted without rendering them again. A Quote whose document cannot be created is counted as
+ * failed without affecting the others.
+ * @param {string} jobId - The job ID the Quotes are stamped with.
+ * @param {object} options
+ * @param {object} options.sfContext - The initialized Salesforce context (ContextImpl instance).
+ * @param {object} options.orgData - The job's data access, created by createOrgData.
+ * @param {object} options.template - The normalized template, see loadQuoteTemplate in quotepdf.js.
+ * @param {string} options.documentType - One of the DOCUMENT_TYPES keys.
+ * @param {boolean} [options.multiCurrency] - Whether the org has multiple currencies, the PDFs then show each Quote's own.
+ * @param {object} options.result - The job result, updated with documentsCreated and documentsFailed.
+ * @param {object} options.logger - A logger instance.
+ * @param {AbortSignal} [options.signal] - Aborted when the job is cancelled, checked between Quotes.
+ */
+async function generateQuoteDocuments (jobId, { sfContext, orgData, template, documentType, multiCurrency = false, result, logger, signal }) {
+  const { parentField, fields } = DOCUMENT_TYPES[documentType];
+  const dataApi = sfContext.org.dataApi;
+  const errors = [];
+  result.documentsCreated = 0;
+  result.documentsFailed = 0;
+
+  const quoteQuery = `
+    SELECT Id, Name, Status, ExpirationDate, Opportunity.Name, Account.Name${multiCurrency ? ', CurrencyIsoCode' : ''},
+           (SELECT Quantity, ListPrice, UnitPrice, ${config.pricingRuleField}, Product2.Name, Product2.ProductCode FROM QuoteLineItems)
+    FROM Quote
+    WHERE ${config.quoteMarkerField} = '${jobId}'
+  `;
+  for await (const page of orgData.queryPages(quoteQuery)) {
+    const quoteIds = page.map(getId);
+    const existing = await orgData.queryAll(`SELECT ${parentField} FROM ${documentType} WHERE ${parentField} IN ('${quoteIds.join("','")}')`);
+    const documented = new Set(existing.map(document => getField(document, parentField)));
+    for (const quoteSObject of page) {
+      signal?.throwIfAborted();
+      const quoteId = getId(quoteSObject);
+      if (documented.has(quoteId)) {
+        result.documentsCreated++;
+        continue;
+      }
+      try {
+        const data = buildQuoteModel(quoteSObject);
+        const pdf = renderQuotePdf(template, data);
+        await dataApi.create({ type: documentType, fields: fields(data.quote, pdf) });
+        result.documentsCreated++;
+      } catch (error) {
+        logger.error({ err: error, quoteId }, `Failed to create the ${documentType} of Quote ${quoteId} for Job ID: ${jobId}`);
+        result.documentsFailed++;
+        errors.push(error);
+      }
+    }
+  }
+
+  // No document was created, surface the error so the worker can decide whether to retry the job
+  if (result.documentsCreated === 0 && errors.length > 0) {
+    throw errors[0];
+  }
+  logger.info(`Quote documents for Job ID: ${jobId} completed: ${result.documentsCreated} ${documentType} records succeeded, ${result.documentsFailed} failed (template ${template.version}).`);
+}
+
+export {
+  DOCUMENT_TYPES,
+  buildQuoteModel,
+  generateQuoteDocuments
+};
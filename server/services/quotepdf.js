@@ -0,0 +1,263 @@
+'use strict';
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import yaml from 'js-yaml';
+import config from '../config/index.js';
+import { createPdfDocument, measureText, PAGE_SIZES } from './pdf.js';
+
+// Renders Quotes into PDFs from a JSON or YAML template. Needs no org, so templates can be previewed
+// locally with bin/render-quote.js.
+
+const ALIGNMENTS = ['left', 'right', 'center'];
+const STYLES = ['normal', 'bold', 'title'];
+// {{path}} or {{path | format}}
+const PLACEHOLDER = /\{\{\s*([\w.]+)\s*(?:\|\s*(\w+)\s*)?\}\}/g;
+
+const FORMATS = {
+  currency: (value, { locale, currency }) => new Intl.NumberFormat(locale, { style: 'currency', currency }).format(value),
+  number: (value, { locale }) => new Intl.NumberFormat(locale, { maximumFractionDigits: 2 }).format(value),
+  percent: (value, { locale }) => new Intl.NumberFormat(locale, { style: 'percent', maximumFractionDigits: 1 }).format(value),
+  date: (value, { locale }) => new Intl.DateTimeFormat(locale, { dateStyle: 'medium', timeZone: 'UTC' }).format(new Date(value))
+};
+
+// Every text in a template, so its placeholders can be checked when the template is loaded
+function templateTexts (template) {
+  return [
+    template.title,
+    ...template.header.map(line => line.text),
+    ...template.details.flatMap(detail => [detail.label, detail.value]),
+    ...template.lineItems.columns.flatMap(column => [column.label, column.value]),
+    ...template.totals.flatMap(total => [total.label, total.value]),
+    ...template.footer
+  ].filter(text => text !== undefined);
+}
+
+/**
+ * Validates a quote template and fills in its defaults.
+ * @param {object} template - The raw template.
+ * @param {string} source - Where the template came from, used in error messages.
+ * @returns {object} - The normalized template.
+ */
+function normalizeTemplate (template, source) {
+  const columns = template?.lineItems?.columns;
+  if (!Array.isArray(columns) || columns.length === 0) {
+    throw new Error(`Quote template ${source} must contain a non-empty lineItems.columns array.`);
+  }
+  const page = { size: 'A4', margin: 50, ...template.page };
+  if (!PAGE_SIZES[page.size]) {
+    throw new Error(`Quote template ${source} uses unknown page size '${page.size}'. Use one of ${Object.keys(PAGE_SIZES).join(', ')}.`);
+  }
+  const toLine = (line) => (typeof line === 'string' ? { text: line } : line);
+  const normalized = {
+    version: String(template.version ?? 'unversioned'),
+    source,
+    page,
+    fontSize: template.fontSize || 10,
+    locale: template.locale || 'en-US',
+    currency: template.currency || 'USD',
+    title: template.title,
+    header: (template.header || []).map(toLine),
+    details: template.details || [],
+    lineItems: { columns: columns.map(column => ({ align: 'left', ...column })) },
+    totals: template.totals || [],
+    footer: (template.footer || []).map(line => toLine(line).text)
+  };
+
+  [...normalized.header, ...normalized.totals].forEach(line => {
+    if (line.style && !STYLES.includes(line.style)) {
+      throw new Error(`Quote template ${source} uses unknown style '${line.style}'. Use one of ${STYLES.join(', ')}.`);
+    }
+  });
+  normalized.lineItems.columns.forEach(column => {
+    if (!ALIGNMENTS.includes(column.align)) {
+      throw new Error(`Quote template ${source} uses unknown alignment '${column.align}' for column ${column.label}. Use one of ${ALIGNMENTS.join(', ')}.`);
+    }
+  });
+  const fixedWidth = columns.reduce((total, column) => total + (column.width || 0), 0);
+  if (fixedWidth > PAGE_SIZES[page.size][0] - 2 * page.margin) {
+    throw new Error(`The lineItems.columns of quote template ${source} are wider than the ${page.size} page.`);
+  }
+  templateTexts(normalized).forEach(text => {
+    for (const [, , format] of String(text).matchAll(PLACEHOLDER)) {
+      if (format && !FORMATS[format]) {
+        throw new Error(`Quote template ${source} uses unknown format '${format}'. Use one of ${Object.keys(FORMATS).join(', ')}.`);
+      }
+    }
+  });
+  return normalized;
+}
+
+/**
+ * Loads a quote template from a JSON or YAML file.
+ * @param {string} [filePath] - The template file, defaults to QUOTE_TEMPLATE_FILE.
+ * @returns {Promise<object>} - The normalized template.
+ */
+async function loadQuoteTemplate (filePath = config.quoteTemplateFile) {
+  const contents = await fs.readFile(filePath, 'utf8');
+  const extension = path.extname(filePath).toLowerCase();
+  const template = (extension === '.yaml' || extension === '.yml') ? yaml.load(contents) : JSON.parse(contents);
+  return normalizeTemplate(template, filePath);
+}
+
+/**
+ * Replaces the {{path}} and {{path | format}} placeholders of a template text. Missing values render empty.
+ * @param {string} text - The template text.
+ * @param {object} data - The values, see buildQuoteModel in quotedoc.js.
+ * @param {object} template - The normalized template, for its locale and currency. Amounts are
+ *   formatted in the Quote's own currency (data.quote.currencyIsoCode) when it has one.
+ * @returns {string}
+ */
+function renderText (text, data, template) {
+  const formatOptions = { locale: template.locale, currency: data.quote?.currencyIsoCode || template.currency };
+  return String(text ?? '').replace(PLACEHOLDER, (match, valuePath, format) => {
+    const value = valuePath.split('.').reduce((current, name) => current?.[name], data);
+    if (value === undefined || value === null || value === '') {
+      return '';
+    }
+    return format ? FORMATS[format](value, formatOptions) : String(value);
+  });
+}
+
+// Shortens text to fit a width, ending it with an ellipsis
+function fitText (text, width, font) {
+  if (measureText(text, font) <= width) {
+    return text;
+  }
+  let fitted = text;
+  while (fitted.length > 0 && measureText(`${fitted}…`, font) > width) {
+    fitted = fitted.slice(0, -1);
+  }
+  return `${fitted}…`;
+}
+
+// Breaks text into lines that fit a width, at spaces
+function wrapText (text, width, font) {
+  const lines = [];
+  let current = '';
+  text.split(/\s+/).filter(Boolean).forEach(word => {
+    const candidate = current ? `${current} ${word}` : word;
+    if (current && measureText(candidate, font) > width) {
+      lines.push(current);
+      current = word;
+    } else {
+      current = candidate;
+    }
+  });
+  return current ? [...lines, current] : lines;
+}
+
+/**
+ * Renders a Quote into a PDF: the template's header lines and details, a table of the line items
+ * with a column per template column, the totals and the footer. The table continues on further
+ * pages, repeating its header row, when the line items do not fit on one.
+ * @param {object} template - The normalized template, see loadQuoteTemplate.
+ * @param {object} data - The values, see buildQuoteModel in quotedoc.js.
+ * @returns {Buffer} - The PDF.
+ */
+function renderQuotePdf (template, data) {
+  const { margin } = template.page;
+  const size = template.fontSize;
+  const lineHeight = size * 1.5;
+  const doc = createPdfDocument({ size: template.page.size, title: renderText(template.title, data, template) || undefined });
+  const right = doc.width - margin;
+  const contentWidth = right - margin;
+  const fonts = {
+    normal: { font: 'regular', size },
+    bold: { font: 'bold', size },
+    title: { font: 'bold', size: size * 1.8 }
+  };
+  let y = margin;
+
+  // Starts a new page when the next lines would not fit, returning whether it did
+  const ensureSpace = (height) => {
+    if (y + height <= doc.height - margin) {
+      return false;
+    }
+    doc.addPage();
+    y = margin;
+    return true;
+  };
+
+  // 1. Header lines and details
+  template.header.forEach(({ text, style = 'normal', align = 'left' }) => {
+    const font = fonts[style];
+    y += font.size * 1.5;
+    const x = align === 'right' ? right : align === 'center' ? margin + contentWidth / 2 : margin;
+    doc.text(renderText(text, data, template), x, y, { ...font, align });
+  });
+  if (template.details.length > 0) {
+    y += lineHeight / 2;
+    const labelWidth = Math.max(...template.details.map(detail => measureText(renderText(detail.label, data, template), fonts.bold))) + size;
+    template.details.forEach(detail => {
+      y += lineHeight;
+      doc.text(renderText(detail.label, data, template), margin, y, fonts.bold);
+      doc.text(fitText(renderText(detail.value, data, template), contentWidth - labelWidth, fonts.normal), margin + labelWidth, y, fonts.normal);
+    });
+  }
+
+  // 2. Line items, columns without a width share the width the others leave
+  const { columns } = template.lineItems;
+  const fixedWidth = columns.reduce((total, column) => total + (column.width || 0), 0);
+  const flexibleCount = columns.filter(column => !column.width).length;
+  let x = margin;
+  const layout = columns.map(column => {
+    const width = column.width || (contentWidth - fixedWidth) / flexibleCount;
+    const cell = { ...column, left: x, width };
+    x += width;
+    return cell;
+  });
+  const cellX = (cell) => (cell.align === 'right' ? cell.left + cell.width - size / 2 : cell.align === 'center' ? cell.left + cell.width / 2 : cell.left);
+  const drawCells = (texts, font) => layout.forEach((cell, index) => {
+    doc.text(fitText(texts[index], cell.width - size / 2, font), cellX(cell), y, { ...font, align: cell.align });
+  });
+  const drawTableHeader = () => {
+    y += lineHeight;
+    drawCells(layout.map(cell => renderText(cell.label, data, template)), fonts.bold);
+    doc.line(margin, y + size / 2, right, y + size / 2);
+    y += size / 2;
+  };
+
+  y += lineHeight;
+  ensureSpace(lineHeight * 3);
+  drawTableHeader();
+  data.lineItems.forEach(lineItem => {
+    if (ensureSpace(lineHeight)) {
+      drawTableHeader();
+    }
+    y += lineHeight;
+    drawCells(layout.map(cell => renderText(cell.value, { ...data, lineItem }, template)), fonts.normal);
+  });
+  doc.line(margin, y + size / 2, right, y + size / 2);
+  y += size / 2;
+
+  // 3. Totals, right aligned below the table
+  const totalsLabelX = right - Math.min(contentWidth / 2, 200);
+  template.totals.forEach(({ label, value, style = 'normal' }) => {
+    ensureSpace(lineHeight);
+    y += lineHeight;
+    doc.text(renderText(label, data, template), totalsLabelX, y, fonts[style]);
+    doc.text(renderText(value, data, template), right - size / 2, y, { ...fonts[style], align: 'right' });
+  });
+
+  // 4. Footer, wrapped to the page width
+  if (template.footer.length > 0) {
+    y += lineHeight;
+    template.footer.forEach(text => {
+      wrapText(renderText(text, data, template), contentWidth, fonts.normal).forEach(line => {
+        ensureSpace(lineHeight);
+        y += lineHeight;
+        doc.text(line, margin, y, fonts.normal);
+      });
+    });
+  }
+
+  return doc.toBuffer();
+}
+
+export {
+  normalizeTemplate,
+  loadQuoteTemplate,
+  renderText,
+  renderQuotePdf
+};
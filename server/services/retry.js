@@ -0,0 +1,64 @@
+'use strict';
+
+import config from '../config/index.js';
+
+// Salesforce error codes that are expected to succeed when tried again later. INVALID_SESSION_ID is
+// not among them: a retry reuses the job's access token, so an expired session never recovers.
+const RETRYABLE_ERROR_CODES = [
+  'REQUEST_LIMIT_EXCEEDED',
+  'UNABLE_TO_LOCK_ROW',
+  'SERVER_UNAVAILABLE',
+  'QUERY_TIMEOUT',
+  'TXN_SECURITY_METERING_ERROR'
+];
+// Network failures raised by Node and undici
+const RETRYABLE_NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'ENOTFOUND', 'EAI_AGAIN', 'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT'];
+const RETRYABLE_MESSAGE_PATTERN = new RegExp(
+  [...RETRYABLE_ERROR_CODES, ...RETRYABLE_NETWORK_CODES, 'fetch failed', 'socket hang up', 'getaddrinfo'].join('|'), 'i'
+);
+
+function getStatusCode (error) {
+  const status = error?.statusCode ?? error?.status ?? error?.response?.status;
+  if (status) {
+    return Number(status);
+  }
+  // The Data API reports HTTP failures as errorCode ERROR_HTTP_<status>
+  const match = /^ERROR_HTTP_(\d{3})$/.exec(error?.errorCode || '');
+  return match ? Number(match[1]) : undefined;
+}
+
+/**
+ * Classifies a job error as retryable (rate limits, row locks, network and server errors) or
+ * fatal (anything else, such as invalid queries, missing data or expired sessions).
+ * @param {Error|string} error - The error that ended a job attempt.
+ * @returns {{retryable: boolean, code: string|undefined, message: string}}
+ */
+function classifyError (error) {
+  const cause = error?.cause;
+  const code = error?.errorCode || error?.code || cause?.errorCode || cause?.code;
+  const message = error?.message || String(error);
+  const status = getStatusCode(error);
+  const retryable = RETRYABLE_ERROR_CODES.includes(code) ||
+    RETRYABLE_NETWORK_CODES.includes(code) ||
+    status === 429 ||
+    (status >= 500 && status < 600) ||
+    RETRYABLE_MESSAGE_PATTERN.test(message) ||
+    RETRYABLE_MESSAGE_PATTERN.test(cause?.message || '');
+  return { retryable, code: code ?? (status ? `HTTP_${status}` : undefined), message };
+}
+
+/**
+ * Calculates the delay before a retry: exponential backoff from JOB_RETRY_BASE_DELAY_MS,
+ * capped at JOB_RETRY_MAX_DELAY_MS, with jitter so retries of many jobs spread out.
+ * @param {number} attempt - The attempt that failed, starting at 1.
+ * @returns {number} - Delay in milliseconds.
+ */
+function getRetryDelayMs (attempt) {
+  const delay = Math.min(config.jobRetryBaseDelayMs * 2 ** (attempt - 1), config.jobRetryMaxDelayMs);
+  return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
+export {
+  classifyError,
+  getRetryDelayMs
+};
@@ -0,0 +1,164 @@
+'use strict';
+
+// Reproduces the original fixed sample data: one existing Account, Prospecting, closing in 30 days, 2 line items
+const DEFAULT_SCENARIO = {
+  accounts: { source: 'existing', count: 1, billingCountries: [] },
+  stages: [{ value: 'Prospecting', weight: 1 }],
+  closeDate: { minDaysFromNow: 30, maxDaysFromNow: 30 },
+  lineItems: {
+    min: 2,
+    max: 2,
+    quantity: { min: 1, max: 10 },
+    unitPrice: { min: 10, max: 109 },
+    useListPrice: false
+  },
+  products: [],
+  pricebook: null,
+  currency: null
+};
+
+// Upper bound on the Accounts a scenario may spread across or create
+const MAX_SCENARIO_ACCOUNTS = 200;
+
+/**
+ * Creates a seeded pseudo random number generator (mulberry32), so a seed always produces the same dataset.
+ * @param {number|string} seed - The seed, strings are hashed.
+ * @returns {function(): number} - Returns numbers in [0, 1) like Math.random.
+ */
+function createRandom (seed) {
+  let state = typeof seed === 'number' ? seed >>> 0 : hashString(String(seed));
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function hashString (value) {
+  let hash = 2166136261;
+  for (let i = 0; i < value.length; i++) {
+    hash = Math.imul(hash ^ value.charCodeAt(i), 16777619);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Picks a whole number between min and max, inclusive.
+ * @param {function(): number} random - The random number generator.
+ * @param {{min: number, max: number}} range - The range.
+ * @returns {number}
+ */
+function randomInt (random, { min, max }) {
+  return min + Math.floor(random() * (max - min + 1));
+}
+
+/**
+ * Picks an item from a list of {weight} entries, proportionally to their weights.
+ * @param {function(): number} random - The random number generator.
+ * @param {Array<{weight: number}>} items - The weighted items.
+ * @returns {object}
+ */
+function pickWeighted (random, items) {
+  const total = items.reduce((sum, item) => sum + item.weight, 0);
+  let target = random() * total;
+  for (const item of items) {
+    target -= item.weight;
+    if (target < 0) {
+      return item;
+    }
+  }
+  return items[items.length - 1];
+}
+
+// Fills in a missing bound from the defaults, moving it if it would cross the bound that was given
+function normalizeRange (range = {}, defaults, name) {
+  const result = {
+    min: range.min ?? (range.max !== undefined ? Math.min(defaults.min, range.max) : defaults.min),
+    max: range.max ?? (range.min !== undefined ? Math.max(defaults.max, range.min) : defaults.max)
+  };
+  if (!Number.isFinite(result.min) || !Number.isFinite(result.max) || result.min > result.max) {
+    throw new Error(`Scenario ${name} must have a numeric min that is not greater than max.`);
+  }
+  return result;
+}
+
+function normalizeWeighted (items, name) {
+  return items.map(item => {
+    const entry = typeof item === 'object' ? { weight: 1, ...item } : { value: item, weight: 1 };
+    if (!(entry.weight > 0)) {
+      throw new Error(`Scenario ${name} weights must be greater than 0.`);
+    }
+    return entry;
+  });
+}
+
+/**
+ * Validates a scenario definition and fills in the defaults for anything it leaves out.
+ * @param {object} [scenario] - The scenario definition from the request.
+ * @returns {object} - The complete scenario.
+ */
+function normalizeScenario (scenario = {}) {
+  const accounts = { ...DEFAULT_SCENARIO.accounts, ...scenario.accounts };
+  if (!['existing', 'create'].includes(accounts.source)) {
+    throw new Error(`Scenario accounts.source must be existing or create, got '${accounts.source}'.`);
+  }
+  if (!Number.isInteger(accounts.count) || accounts.count < 1 || accounts.count > MAX_SCENARIO_ACCOUNTS) {
+    throw new Error(`Scenario accounts.count must be between 1 and ${MAX_SCENARIO_ACCOUNTS}.`);
+  }
+  accounts.billingCountries = normalizeWeighted(accounts.billingCountries, 'accounts.billingCountries');
+
+  const stages = normalizeWeighted(scenario.stages?.length ? scenario.stages : DEFAULT_SCENARIO.stages, 'stages');
+
+  const closeDateDays = normalizeRange(
+    { min: scenario.closeDate?.minDaysFromNow, max: scenario.closeDate?.maxDaysFromNow },
+    { min: DEFAULT_SCENARIO.closeDate.minDaysFromNow, max: DEFAULT_SCENARIO.closeDate.maxDaysFromNow },
+    'closeDate'
+  );
+  // A fixed base date makes close dates reproducible across days, otherwise they are relative to today
+  const baseDate = scenario.closeDate?.baseDate;
+  if (baseDate && Number.isNaN(Date.parse(baseDate))) {
+    throw new Error(`Scenario closeDate.baseDate '${baseDate}' is not a valid date.`);
+  }
+  const closeDate = { minDaysFromNow: closeDateDays.min, maxDaysFromNow: closeDateDays.max, baseDate };
+
+  const lineItemDefaults = DEFAULT_SCENARIO.lineItems;
+  const lineItems = {
+    ...normalizeRange({ min: scenario.lineItems?.min, max: scenario.lineItems?.max }, lineItemDefaults, 'lineItems'),
+    quantity: normalizeRange(scenario.lineItems?.quantity, lineItemDefaults.quantity, 'lineItems.quantity'),
+    unitPrice: normalizeRange(scenario.lineItems?.unitPrice, lineItemDefaults.unitPrice, 'lineItems.unitPrice'),
+    useListPrice: scenario.lineItems?.useListPrice ?? lineItemDefaults.useListPrice
+  };
+  if (lineItems.min < 0 || lineItems.quantity.min < 1 || lineItems.unitPrice.min < 0) {
+    throw new Error('Scenario lineItems counts and unit prices must not be negative, and quantities must be at least 1.');
+  }
+
+  const products = normalizeWeighted(scenario.products || DEFAULT_SCENARIO.products, 'products');
+  products.forEach(product => {
+    if (!product.name && !product.productCode) {
+      throw new Error('Scenario products entries must have a name or productCode.');
+    }
+  });
+
+  const pricebook = scenario.pricebook ?? DEFAULT_SCENARIO.pricebook;
+  if (pricebook !== null && (typeof pricebook !== 'string' || pricebook.trim() === '')) {
+    throw new Error('Scenario pricebook must be the name of a Pricebook2.');
+  }
+
+  const currency = scenario.currency ?? DEFAULT_SCENARIO.currency;
+  if (currency !== null && !/^[A-Z]{3}$/.test(currency)) {
+    throw new Error(`Scenario currency '${currency}' must be a three letter ISO code.`);
+  }
+
+  return { accounts, stages, closeDate, lineItems, products, pricebook, currency };
+}
+
+export {
+  DEFAULT_SCENARIO,
+  MAX_SCENARIO_ACCOUNTS,
+  createRandom,
+  randomInt,
+  pickWeighted,
+  normalizeScenario
+};
@@ -0,0 +1,107 @@
+'use strict';
+
+import redisClient from '../config/redis.js';
+import config from '../config/index.js';
+
+// Jobs running for an org, across all workers, are tracked in a sorted set per org scored by lease expiry
+const ORG_SLOTS_KEY_PREFIX = 'orgslots:';
+
+// Takes a slot unless the org is at its limit. Leases of workers that died expire, freeing their slots.
+const ACQUIRE_ORG_SLOT_SCRIPT = `
+redis.call('ZREMRANGEBYSCORE', KEYS[1], '-inf', ARGV[1])
+if redis.call('ZSCORE', KEYS[1], ARGV[3]) or redis.call('ZCARD', KEYS[1]) < tonumber(ARGV[4]) then
+  redis.call('ZADD', KEYS[1], ARGV[2], ARGV[3])
+  redis.call('PEXPIRE', KEYS[1], ARGV[5])
+  return 1
+end
+return 0
+`;
+
+function orgSlotsKey (orgId) {
+  return `${ORG_SLOTS_KEY_PREFIX}${orgId}`;
+}
+
+/**
+ * Identifies the org and job type a job is scheduled by.
+ * @param {object} job - The job payload.
+ * @returns {{orgId: string|undefined, jobType: string}}
+ */
+function getJobLane (job) {
+  return { orgId: job.context?.org?.id, jobType: job.jobType };
+}
+
+/**
+ * Returns how many jobs of a type one worker runs at once. Unless JOB_TYPE_CONCURRENCY sets it,
+ * every job type leaves one of the worker's slots free for other job types.
+ * @param {string} jobType - The job type.
+ * @returns {number}
+ */
+function getJobTypeLimit (jobType) {
+  return config.jobTypeConcurrency[jobType] ?? Math.max(config.workerConcurrency - 1, 1);
+}
+
+/**
+ * Orders stream entries so that the orgs, then the job types, that least recently had a job started
+ * come first. Entries of the same org and job type keep the order they were read in.
+ * @param {Array<{job: object}>} entries - Stream entries, with their job payloads.
+ * @param {object} lastStarted
+ * @param {Map<string, number>} lastStarted.orgs - When a job of each org was last started.
+ * @param {Map<string, number>} lastStarted.jobTypes - When a job of each type was last started.
+ * @returns {Array<{job: object}>} - A new, ordered array.
+ */
+function orderByFairness (entries, { orgs, jobTypes }) {
+  const rank = ({ job }) => {
+    const { orgId, jobType } = getJobLane(job);
+    return [orgs.get(orgId) ?? 0, jobTypes.get(jobType) ?? 0];
+  };
+  return entries
+    .map((entry, index) => ({ entry, index, rank: rank(entry) }))
+    .sort((a, b) => a.rank[0] - b.rank[0] || a.rank[1] - b.rank[1] || a.index - b.index)
+    .map(({ entry }) => entry);
+}
+
+/**
+ * Takes one of an org's ORG_CONCURRENCY slots for a job, shared by all workers.
+ * The slot is leased for the visibility timeout and must be extended while the job runs.
+ * @param {string} orgId - The org ID.
+ * @param {string} jobId - The job ID.
+ * @returns {Promise<boolean>} - Whether the job may start.
+ */
+async function acquireOrgSlot (orgId, jobId) {
+  const now = Date.now();
+  const acquired = await redisClient.eval(
+    ACQUIRE_ORG_SLOT_SCRIPT, 1, orgSlotsKey(orgId),
+    now, now + config.jobVisibilityTimeoutMs, jobId, config.orgConcurrency, 2 * config.jobVisibilityTimeoutMs
+  );
+  return acquired === 1;
+}
+
+/**
+ * Renews the lease of a running job's org slot.
+ * @param {string} orgId - The org ID.
+ * @param {string} jobId - The job ID.
+ */
+async function extendOrgSlot (orgId, jobId) {
+  await redisClient.multi()
+    .zadd(orgSlotsKey(orgId), 'XX', Date.now() + config.jobVisibilityTimeoutMs, jobId)
+    .pexpire(orgSlotsKey(orgId), 2 * config.jobVisibilityTimeoutMs)
+    .exec();
+}
+
+/**
+ * Frees a job's org slot once it has finished.
+ * @param {string} orgId - The org ID.
+ * @param {string} jobId - The job ID.
+ */
+async function releaseOrgSlot (orgId, jobId) {
+  await redisClient.zrem(orgSlotsKey(orgId), jobId);
+}
+
+export {
+  getJobLane,
+  getJobTypeLimit,
+  orderByFairness,
+  acquireOrgSlot,
+  extendOrgSlot,
+  releaseOrgSlot
+};
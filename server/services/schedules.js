@@ -0,0 +1,297 @@
+'use strict';
+
+import crypto from 'node:crypto';
+import AppLinkClient from '@heroku/applink';
+import redisClient from '../config/redis.js';
+import config from '../config/index.js';
+import { enqueueJob } from './queue.js';
+import { createJob, getJob } from './jobs.js';
+import { createJobLogger } from './joblog.js';
+import { jobsPublished } from './metrics.js';
+import { parseCron, getNextRun } from './cron.js';
+
+const SCHEDULE_KEY_PREFIX = 'schedule:';
+// Enabled schedules, scored by the time of their next run
+const DUE_SCHEDULES_KEY = 'schedules:due';
+const ORG_SCHEDULES_KEY_PREFIX = 'schedules:org:';
+
+// Moves a schedule on to its next run, unless another worker already did, so each run fires once
+const CLAIM_RUN_SCRIPT = `
+if redis.call('ZSCORE', KEYS[1], ARGV[1]) == ARGV[2] then
+  redis.call('ZADD', KEYS[1], ARGV[3], ARGV[1])
+  return 1
+end
+return 0
+`;
+
+function scheduleKey (scheduleId) {
+  return `${SCHEDULE_KEY_PREFIX}${scheduleId}`;
+}
+
+function scheduleRunsKey (scheduleId) {
+  return `${SCHEDULE_KEY_PREFIX}${scheduleId}:runs`;
+}
+
+function orgSchedulesKey (orgId) {
+  return `${ORG_SCHEDULES_KEY_PREFIX}${orgId}`;
+}
+
+// Keeps only what the worker needs to run a job as the org's user. Never stored with the schedule, tokens expire
+function toJobContext (org) {
+  return {
+    org: {
+      id: org.id,
+      accessToken: org.accessToken,
+      apiVersion: org.apiVersion,
+      domainUrl: org.domainUrl,
+      namespace: org.namespace,
+      user: { id: org.user?.id, username: org.user?.username }
+    }
+  };
+}
+
+async function readSchedule (scheduleId) {
+  const schedule = await redisClient.hget(scheduleKey(scheduleId), 'schedule');
+  return schedule ? JSON.parse(schedule) : null;
+}
+
+/**
+ * Registers a recurring batch pricing job.
+ * @param {object} definition - The schedule, see the ScheduleRequest schema.
+ * @param {object} context - The Salesforce context of the request, whose org owns the schedule.
+ * @returns {Promise<object>} - The stored schedule.
+ */
+async function createSchedule (definition, context) {
+  const now = new Date();
+  const schedule = {
+    ...definition,
+    scheduleId: crypto.randomUUID(),
+    orgId: context.org.id,
+    createdBy: context.org.user?.username,
+    createdAt: now.toISOString(),
+    updatedAt: now.toISOString()
+  };
+  await saveSchedule(schedule, now);
+  return getSchedule(schedule.scheduleId);
+}
+
+/**
+ * Replaces the definition of a schedule.
+ * @param {object} existing - The schedule being updated, as returned by getSchedule.
+ * @param {object} definition - The new definition, see the ScheduleRequest schema.
+ * @returns {Promise<object>} - The stored schedule.
+ */
+async function updateSchedule (existing, definition) {
+  const now = new Date();
+  const { scheduleId, orgId, createdBy, createdAt } = existing;
+  const schedule = { ...definition, scheduleId, orgId, createdBy, createdAt, updatedAt: now.toISOString() };
+  await saveSchedule(schedule, now);
+  return getSchedule(scheduleId);
+}
+
+// The definition is stored apart from the last run, which workers record as the schedule fires.
+// Schedules saved before authorizations were required also kept the session they were saved with, which is dropped
+async function saveSchedule (schedule, now) {
+  const transaction = redisClient.multi()
+    .hset(scheduleKey(schedule.scheduleId), { schedule: JSON.stringify(schedule) })
+    .hdel(scheduleKey(schedule.scheduleId), 'context')
+    .zadd(orgSchedulesKey(schedule.orgId), Date.parse(schedule.createdAt), schedule.scheduleId);
+  if (schedule.enabled) {
+    transaction.zadd(DUE_SCHEDULES_KEY, getNextRun(parseCron(schedule.cron), now).getTime(), schedule.scheduleId);
+  } else {
+    transaction.zrem(DUE_SCHEDULES_KEY, schedule.scheduleId);
+  }
+  await transaction.exec();
+}
+
+/**
+ * Fetches a schedule with its next and last run.
+ * @param {string} scheduleId - The schedule ID.
+ * @returns {Promise<object|null>} - The schedule, or null if unknown.
+ */
+async function getSchedule (scheduleId) {
+  const [[schedule, lastRunAt, lastJobId], nextRunAt] = await Promise.all([
+    redisClient.hmget(scheduleKey(scheduleId), 'schedule', 'lastRunAt', 'lastJobId'),
+    redisClient.zscore(DUE_SCHEDULES_KEY, scheduleId)
+  ]);
+  if (!schedule) {
+    return null;
+  }
+  return {
+    ...JSON.parse(schedule),
+    ...(nextRunAt && { nextRunAt: new Date(Number(nextRunAt)).toISOString() }),
+    ...(lastRunAt && { lastRunAt }),
+    ...(lastJobId && { lastJobId })
+  };
+}
+
+/**
+ * Lists an org's schedules, oldest first.
+ * @param {string} orgId - The org ID.
+ * @param {object} options
+ * @param {number} options.offset - Number of schedules to skip.
+ * @param {number} options.limit - Maximum number of schedules to return.
+ * @returns {Promise<{total: number, schedules: Array<object>}>}
+ */
+async function listSchedules (orgId, { offset = 0, limit = 50 } = {}) {
+  const [total, scheduleIds] = await Promise.all([
+    redisClient.zcard(orgSchedulesKey(orgId)),
+    redisClient.zrange(orgSchedulesKey(orgId), offset, offset + limit - 1)
+  ]);
+  const schedules = [];
+  for (const scheduleId of scheduleIds) {
+    const schedule = await getSchedule(scheduleId);
+    if (schedule) {
+      schedules.push(schedule);
+    }
+  }
+  return { total, schedules };
+}
+
+/**
+ * Removes a schedule and its run history. Jobs it already queued are not affected.
+ * @param {string} scheduleId - The schedule ID.
+ * @param {string} orgId - The ID of the org that owns the schedule.
+ */
+async function deleteSchedule (scheduleId, orgId) {
+  await redisClient.multi()
+    .del(scheduleKey(scheduleId), scheduleRunsKey(scheduleId))
+    .zrem(DUE_SCHEDULES_KEY, scheduleId)
+    .zrem(orgSchedulesKey(orgId), scheduleId)
+    .exec();
+}
+
+/**
+ * Lists the runs of a schedule, most recent first. Each run includes the current state of the job it queued.
+ * @param {string} scheduleId - The schedule ID.
+ * @param {object} options
+ * @param {number} options.offset - Number of runs to skip.
+ * @param {number} options.limit - Maximum number of runs to return.
+ * @returns {Promise<{total: number, runs: Array<object>}>}
+ */
+async function listScheduleRuns (scheduleId, { offset = 0, limit = 50 } = {}) {
+  const [total, lines] = await Promise.all([
+    redisClient.llen(scheduleRunsKey(scheduleId)),
+    redisClient.lrange(scheduleRunsKey(scheduleId), offset, offset + limit - 1)
+  ]);
+  const runs = [];
+  for (const line of lines) {
+    const run = JSON.parse(line);
+    if (run.jobId) {
+      // Job status records expire after JOB_STATUS_TTL_SECONDS, older runs keep only their job ID
+      run.state = (await getJob(run.jobId))?.state;
+    }
+    runs.push(run);
+  }
+  return { total, runs };
+}
+
+async function recordRun (scheduleId, run) {
+  await redisClient.multi()
+    .lpush(scheduleRunsKey(scheduleId), JSON.stringify(run))
+    .ltrim(scheduleRunsKey(scheduleId), 0, config.scheduleRunHistory - 1)
+    .exec();
+}
+
+// Each run gets a fresh token for the schedule's AppLink authorization
+async function resolveJobContext (schedule) {
+  if (!schedule.authorization) {
+    throw new Error(`Schedule ${schedule.scheduleId} has no authorization to run its jobs with, update it to name one`);
+  }
+  const org = await AppLinkClient.init().addons.applink.getAuthorization(schedule.authorization);
+  if (org.id !== schedule.orgId) {
+    throw new Error(`Authorization ${schedule.authorization} is for org ${org.id}, not the schedule's org ${schedule.orgId}`);
+  }
+  return toJobContext(org);
+}
+
+async function fireSchedule (scheduleId, scheduledFor, logger) {
+  const schedule = await readSchedule(scheduleId);
+  if (!schedule) {
+    await redisClient.zrem(DUE_SCHEDULES_KEY, scheduleId);
+    return false;
+  }
+  // Runs missed while no worker was running are skipped, the schedule continues from now
+  const nextRunAt = getNextRun(parseCron(schedule.cron), new Date());
+  const claimed = await redisClient.eval(CLAIM_RUN_SCRIPT, 1, DUE_SCHEDULES_KEY, scheduleId, scheduledFor, nextRunAt.getTime());
+  if (claimed !== 1) {
+    return false;
+  }
+
+  const { soqlWhereClause, filter, dryRun, existingQuoteStrategy, pricebookId, currencyIsoCode, generateDocuments, documentType, callback } = schedule;
+  const jobId = crypto.randomUUID();
+  const run = { jobId, scheduledFor: new Date(Number(scheduledFor)).toISOString(), firedAt: new Date().toISOString() };
+  try {
+    const job = {
+      jobId,
+      context: await resolveJobContext(schedule),
+      jobType: 'quote',
+      soqlWhereClause,
+      filter,
+      dryRun,
+      existingQuoteStrategy,
+      pricebookId,
+      currencyIsoCode,
+      generateDocuments,
+      documentType,
+      callback,
+      scheduleId
+    };
+    await createJob(job, schedule.orgId);
+    await enqueueJob(job);
+    jobsPublished.inc({ job_type: job.jobType });
+    createJobLogger(job).info({ scheduleId, scheduledFor: run.scheduledFor }, `Job queued by schedule ${scheduleId}`);
+  } catch (err) {
+    logger.error({ err, scheduleId }, `Failed to queue the job of schedule ${scheduleId}`);
+    delete run.jobId;
+    run.error = err.message;
+  }
+  await recordRun(scheduleId, run);
+  await redisClient.hset(scheduleKey(scheduleId), { lastRunAt: run.firedAt, lastJobId: run.jobId || '' });
+  return true;
+}
+
+/**
+ * Queues the jobs of schedules that are due. Every worker calls this, each run is claimed by exactly one of them.
+ * @param {object} logger - A logger instance.
+ * @returns {Promise<number>} - The number of runs this worker fired.
+ */
+async function fireDueSchedules (logger) {
+  const due = await redisClient.zrangebyscore(DUE_SCHEDULES_KEY, '-inf', Date.now(), 'WITHSCORES', 'LIMIT', 0, 100);
+  let fired = 0;
+  for (let i = 0; i < due.length; i += 2) {
+    const [scheduleId, scheduledFor] = [due[i], due[i + 1]];
+    try {
+      if (await fireSchedule(scheduleId, scheduledFor, logger)) {
+        fired++;
+      }
+    } catch (err) {
+      logger.error({ err, scheduleId }, `Failed to run schedule ${scheduleId}`);
+    }
+  }
+  return fired;
+}
+
+/**
+ * Starts firing due schedules every SCHEDULE_POLL_INTERVAL_MS.
+ * @param {object} logger - A logger instance.
+ * @returns {NodeJS.Timeout} - The interval, cleared on shutdown.
+ */
+function startSchedulePoller (logger) {
+  return setInterval(() => {
+    fireDueSchedules(logger)
+      .then(fired => fired > 0 && logger.info(`[Worker] Queued the jobs of ${fired} due schedules`))
+      .catch(err => logger.error({ err }, '[Worker] Failed to check for due schedules'));
+  }, config.schedulePollIntervalMs);
+}
+
+export {
+  createSchedule,
+  updateSchedule,
+  getSchedule,
+  listSchedules,
+  deleteSchedule,
+  listScheduleRuns,
+  fireDueSchedules,
+  startSchedulePoller
+};
@@ -0,0 +1,386 @@
+'use strict';
+
+import config from '../config/index.js';
+
+// Opportunity fields (and their types) that callers may filter on
+const FILTER_FIELDS = {
+  Id: 'id',
+  Name: 'string',
+  AccountId: 'id',
+  OwnerId: 'id',
+  Pricebook2Id: 'id',
+  Amount: 'number',
+  Probability: 'number',
+  CloseDate: 'date',
+  StageName: 'string',
+  Type: 'string',
+  LeadSource: 'string',
+  ForecastCategoryName: 'string',
+  IsClosed: 'boolean',
+  IsWon: 'boolean',
+  CreatedDate: 'datetime',
+  LastModifiedDate: 'datetime',
+  'Account.Name': 'string',
+  'Account.BillingCountry': 'string',
+  'Account.Industry': 'string',
+  'Account.Type': 'string'
+};
+
+const FILTER_OPERATORS = ['equals', 'notEquals', 'in', 'notIn', 'gt', 'gte', 'lt', 'lte', 'like', 'exists'];
+
+// Longest WHERE clause accepted, well within the SOQL statement limit
+const MAX_CLAUSE_LENGTH = 4000;
+
+const COMPARISON_OPERATORS = ['=', '!=', '<>', '<', '<=', '>', '>='];
+// Keywords that end or extend a WHERE clause and could be used to smuggle in other clauses
+const FORBIDDEN_KEYWORDS = ['SELECT', 'FROM', 'LIMIT', 'OFFSET', 'ORDER', 'GROUP', 'HAVING', 'FOR', 'WITH', 'USING', 'TYPEOF', 'UPDATE'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DATETIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d{1,3})?(Z|[+-]\d{2}:\d{2})$/;
+// Relative date literals such as TODAY, LAST_N_DAYS:30 or THIS_FISCAL_QUARTER
+const DATE_LITERAL_PATTERN = /^(TODAY|YESTERDAY|TOMORROW|(LAST|THIS|NEXT)_[A-Z_]+)(:\d+)?$/;
+
+/**
+ * Resolves the filterable fields: the built-in allowlist plus any SOQL_FILTER_FIELDS.
+ * @returns {object} - Map of field name to type.
+ */
+function getFilterFields () {
+  return { ...FILTER_FIELDS, ...config.soqlFilterFields };
+}
+
+function findField (name) {
+  const fields = getFilterFields();
+  const match = Object.keys(fields).find(field => field.toLowerCase() === name.toLowerCase());
+  return match ? { name: match, type: fields[match] } : null;
+}
+
+// --- WHERE clause validation ---
+
+// Whether a literal token can be compared with a field of the given type, NULL is checked separately
+function matchesFieldType (token, type) {
+  const isDateLiteral = token.type === 'word' && DATE_LITERAL_PATTERN.test(token.upper);
+  switch (type) {
+    case 'number':
+      return token.type === 'number';
+    case 'boolean':
+      return token.type === 'word' && ['TRUE', 'FALSE'].includes(token.upper);
+    case 'date':
+      return (token.type === 'date' && DATE_PATTERN.test(token.text)) || isDateLiteral;
+    case 'datetime':
+      return (token.type === 'date' && DATETIME_PATTERN.test(token.text)) || isDateLiteral;
+    default:
+      return token.type === 'string';
+  }
+}
+
+function tokenize (clause) {
+  const tokens = [];
+  let position = 0;
+  while (position < clause.length) {
+    const rest = clause.slice(position);
+    const whitespace = rest.match(/^\s+/);
+    if (whitespace) {
+      position += whitespace[0].length;
+      continue;
+    }
+    let match;
+    if (rest[0] === "'") {
+      match = rest.match(/^'(?:[^'\\]|\\.)*'/);
+      if (!match) {
+        throw new Error(`Unterminated string literal at position ${position}.`);
+      }
+      tokens.push({ type: 'string', text: match[0], position });
+    } else if ((match = rest.match(/^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}:\d{2}(\.\d{1,3})?(Z|[+-]\d{2}:\d{2}))?/))) {
+      tokens.push({ type: 'date', text: match[0], position });
+    } else if ((match = rest.match(/^-?\d+(\.\d+)?/))) {
+      tokens.push({ type: 'number', text: match[0], position });
+    } else if ((match = rest.match(/^[A-Za-z_][A-Za-z0-9_]*(\.[A-Za-z_][A-Za-z0-9_]*)*(:\d+)?/))) {
+      tokens.push({ type: 'word', text: match[0], upper: match[0].toUpperCase(), position });
+    } else if ((match = rest.match(/^(<=|>=|!=|<>|=|<|>)/))) {
+      tokens.push({ type: 'operator', text: match[0], position });
+    } else if ('(),'.includes(rest[0])) {
+      match = [rest[0]];
+      tokens.push({ type: rest[0], text: rest[0], position });
+    } else if (rest[0] === ';') {
+      throw new Error(`Semicolons are not allowed (position ${position}).`);
+    } else if (rest[0] === ':') {
+      throw new Error(`Bind variables are not allowed (position ${position}).`);
+    } else {
+      throw new Error(`Unexpected character '${rest[0]}' at position ${position}.`);
+    }
+    position += match[0].length;
+  }
+  return tokens;
+}
+
+/**
+ * Recursive descent parser for the supported subset of SOQL WHERE clause syntax:
+ * comparisons, LIKE, [NOT] IN and INCLUDES/EXCLUDES value lists, combined with AND, OR, NOT and parentheses.
+ * Literals must match the type of the allowlisted field they are compared with.
+ */
+class WhereClauseParser {
+  constructor (tokens) {
+    this.tokens = tokens;
+    this.index = 0;
+  }
+
+  peek () {
+    return this.tokens[this.index];
+  }
+
+  next () {
+    return this.tokens[this.index++];
+  }
+
+  isKeyword (keyword) {
+    const token = this.peek();
+    return token?.type === 'word' && token.upper === keyword;
+  }
+
+  fail (message, token = this.peek()) {
+    const where = token ? `'${token.text}' at position ${token.position}` : 'end of clause';
+    throw new Error(`${message}, found ${where}.`);
+  }
+
+  expect (type, description) {
+    if (this.peek()?.type !== type) {
+      this.fail(`Expected ${description}`);
+    }
+    return this.next();
+  }
+
+  parse () {
+    this.parseExpression();
+    const token = this.peek();
+    if (token?.type === 'word' && FORBIDDEN_KEYWORDS.includes(token.upper)) {
+      this.fail(`${token.upper} is not allowed in the WHERE clause`);
+    }
+    if (token) {
+      this.fail('Expected AND, OR or end of clause');
+    }
+  }
+
+  parseExpression () {
+    this.parseTerm();
+    while (this.isKeyword('AND') || this.isKeyword('OR')) {
+      this.next();
+      this.parseTerm();
+    }
+  }
+
+  parseTerm () {
+    if (this.isKeyword('NOT')) {
+      this.next();
+    }
+    if (this.peek()?.type === '(') {
+      this.next();
+      if (this.isKeyword('SELECT')) {
+        this.fail('Subqueries are not allowed');
+      }
+      this.parseExpression();
+      this.expect(')', "')'");
+      return;
+    }
+    this.parseCondition();
+  }
+
+  parseCondition () {
+    const token = this.peek();
+    if (token?.type !== 'word') {
+      this.fail('Expected a field name');
+    }
+    if (FORBIDDEN_KEYWORDS.includes(token.upper)) {
+      this.fail(`${token.upper} is not allowed in the WHERE clause`);
+    }
+    const field = findField(token.text);
+    if (!field) {
+      throw new Error(`Field '${token.text}' at position ${token.position} cannot be filtered on. Allowed fields: ${Object.keys(getFilterFields()).join(', ')}.`);
+    }
+    this.next();
+
+    const operator = this.peek();
+    if (operator?.type === 'operator') {
+      this.next();
+      this.parseValue(field);
+    } else if (this.isKeyword('LIKE')) {
+      if (field.type !== 'string') {
+        this.fail(`LIKE requires a string field, ${field.name} is ${field.type}`);
+      }
+      this.next();
+      this.expect('string', 'a string literal after LIKE');
+    } else if (this.isKeyword('IN') || this.isKeyword('NOT') || this.isKeyword('INCLUDES') || this.isKeyword('EXCLUDES')) {
+      if (this.next().upper === 'NOT' && !this.isKeyword('IN')) {
+        this.fail('Expected IN after NOT');
+      } else if (this.isKeyword('IN')) {
+        this.next();
+      }
+      this.parseValueList(field);
+    } else {
+      this.fail(`Expected one of ${COMPARISON_OPERATORS.join(' ')}, LIKE, IN, NOT IN, INCLUDES or EXCLUDES`);
+    }
+  }
+
+  parseValueList (field) {
+    this.expect('(', "'(' to start a value list");
+    if (this.isKeyword('SELECT')) {
+      this.fail('Subqueries are not allowed');
+    }
+    this.parseValue(field);
+    while (this.peek()?.type === ',') {
+      this.next();
+      this.parseValue(field);
+    }
+    this.expect(')', "')' to end the value list");
+  }
+
+  parseValue (field) {
+    const token = this.peek();
+    const isLiteral = token && (['string', 'number', 'date'].includes(token.type) ||
+      (token.type === 'word' && (['NULL', 'TRUE', 'FALSE'].includes(token.upper) || DATE_LITERAL_PATTERN.test(token.upper))));
+    if (!isLiteral) {
+      this.fail('Expected a literal value');
+    }
+    if (token.upper !== 'NULL' && !matchesFieldType(token, field.type)) {
+      this.fail(`Expected a ${field.type} value for ${field.name}`);
+    }
+    this.next();
+  }
+}
+
+/**
+ * Validates a caller supplied SOQL WHERE clause for the Opportunity query. Only fields in the
+ * filter allowlist may be referenced, with literals of their type; subqueries, semicolons, bind
+ * variables and clauses such as LIMIT or ORDER BY are rejected.
+ * @param {string} clause - The SOQL WHERE clause, without the WHERE keyword.
+ * @returns {string} - The trimmed clause.
+ * @throws {Error} - Describing the first problem found, including its position.
+ */
+function validateWhereClause (clause) {
+  if (typeof clause !== 'string' || clause.trim().length === 0) {
+    throw new Error('soqlWhereClause must be a non-empty string.');
+  }
+  const trimmed = clause.trim();
+  if (trimmed.length > MAX_CLAUSE_LENGTH) {
+    throw new Error(`soqlWhereClause must not be longer than ${MAX_CLAUSE_LENGTH} characters.`);
+  }
+  if (/^WHERE\b/i.test(trimmed)) {
+    throw new Error('soqlWhereClause must not include the WHERE keyword.');
+  }
+  new WhereClauseParser(tokenize(trimmed)).parse();
+  return trimmed;
+}
+
+// --- Structured filters ---
+
+function quoteString (value) {
+  return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+function formatValue (field, value) {
+  const invalid = () => new Error(`Invalid value ${JSON.stringify(value)} for ${field.type} field ${field.name}.`);
+  switch (field.type) {
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) throw invalid();
+      return String(value);
+    case 'boolean':
+      if (typeof value !== 'boolean') throw invalid();
+      return String(value);
+    case 'date':
+    case 'datetime': {
+      const pattern = field.type === 'date' ? DATE_PATTERN : DATETIME_PATTERN;
+      if (typeof value !== 'string' || !(pattern.test(value) || DATE_LITERAL_PATTERN.test(value))) throw invalid();
+      return value;
+    }
+    case 'id':
+      if (typeof value !== 'string' || !/^[a-zA-Z0-9]{15}([a-zA-Z0-9]{3})?$/.test(value)) throw invalid();
+      return quoteString(value);
+    default:
+      if (typeof value !== 'string') throw invalid();
+      return quoteString(value);
+  }
+}
+
+function compileCondition ({ field: fieldName, operator, value }) {
+  const field = typeof fieldName === 'string' ? findField(fieldName) : null;
+  if (!field) {
+    throw new Error(`Field '${fieldName}' cannot be filtered on. Allowed fields: ${Object.keys(getFilterFields()).join(', ')}.`);
+  }
+  switch (operator) {
+    case 'equals':
+    case 'notEquals': {
+      const soqlOperator = operator === 'equals' ? '=' : '!=';
+      return `${field.name} ${soqlOperator} ${value === null ? 'null' : formatValue(field, value)}`;
+    }
+    case 'gt': return `${field.name} > ${formatValue(field, value)}`;
+    case 'gte': return `${field.name} >= ${formatValue(field, value)}`;
+    case 'lt': return `${field.name} < ${formatValue(field, value)}`;
+    case 'lte': return `${field.name} <= ${formatValue(field, value)}`;
+    case 'in':
+    case 'notIn':
+      if (!Array.isArray(value) || value.length === 0) {
+        throw new Error(`The ${operator} operator on ${field.name} requires a non-empty array value.`);
+      }
+      return `${field.name} ${operator === 'in' ? 'IN' : 'NOT IN'} (${value.map(item => formatValue(field, item)).join(', ')})`;
+    case 'like':
+      if (field.type !== 'string' || typeof value !== 'string') {
+        throw new Error(`The like operator requires a string value and a string field, ${field.name} is ${field.type}.`);
+      }
+      return `${field.name} LIKE ${quoteString(value)}`;
+    case 'exists':
+      return `${field.name} ${value === false ? '=' : '!='} null`;
+    default:
+      throw new Error(`Unknown filter operator '${operator}'. Use one of ${FILTER_OPERATORS.join(', ')}.`);
+  }
+}
+
+/**
+ * Compiles a structured filter into a SOQL WHERE clause, escaping values by field type.
+ * @param {object} filter - The filter.
+ * @param {string} [filter.logic] - How conditions are combined, 'and' (default) or 'or'.
+ * @param {Array<{field: string, operator: string, value: *}>} filter.conditions - The conditions.
+ * @returns {string} - The SOQL WHERE clause.
+ * @throws {Error} - If a field, operator or value is not allowed.
+ */
+function compileFilter (filter) {
+  if (!filter || !Array.isArray(filter.conditions) || filter.conditions.length === 0) {
+    throw new Error('filter must contain a non-empty conditions array.');
+  }
+  const logic = (filter.logic || 'and').toLowerCase();
+  if (!['and', 'or'].includes(logic)) {
+    throw new Error(`Unknown filter logic '${filter.logic}'. Use and or or.`);
+  }
+  return filter.conditions
+    .map(compileCondition)
+    .map(condition => filter.conditions.length > 1 ? `(${condition})` : condition)
+    .join(` ${logic.toUpperCase()} `);
+}
+
+/**
+ * Resolves the Opportunity WHERE clause of a quote job from either its structured filter or
+ * its validated soqlWhereClause. Exactly one of the two must be supplied.
+ * @param {object} selection
+ * @param {string} [selection.soqlWhereClause] - A SOQL WHERE clause.
+ * @param {object} [selection.filter] - A structured filter.
+ * @returns {string} - The SOQL WHERE clause to query with.
+ * @throws {Error} - If the selection is missing, ambiguous or invalid.
+ */
+function resolveWhereClause ({ soqlWhereClause, filter }) {
+  if (soqlWhereClause && filter) {
+    throw new Error('Provide either soqlWhereClause or filter, not both.');
+  }
+  if (filter) {
+    return compileFilter(filter);
+  }
+  if (!soqlWhereClause) {
+    throw new Error('Either soqlWhereClause or filter is required.');
+  }
+  return validateWhereClause(soqlWhereClause);
+}
+
+export {
+  FILTER_FIELDS,
+  FILTER_OPERATORS,
+  validateWhereClause,
+  quoteString,
+  compileFilter,
+  resolveWhereClause
+};
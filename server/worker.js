@@ -1,71 +1,379 @@
 'use strict';
 
+import { fileURLToPath } from 'node:url';
 import redisClient from './config/redis.js';
+import config from './config/index.js';
+import logger from './config/logger.js';
 import { ContextImpl } from '@heroku/applink/dist/sdk/context.js';
+import {
+  JOBS_STREAM,
+  getConsumerName,
+  ensureConsumerGroup,
+  readJobs,
+  claimStaleJobs,
+  extendJob,
+  ackJob,
+  requeueJob,
+  scheduleRetry,
+  promoteDueRetries,
+  closeQueue
+} from './services/queue.js';
+import {
+  JOB_STATES,
+  JOB_CANCELLED,
+  JOB_TIMED_OUT,
+  JOB_INTERRUPTED,
+  JOB_DEFERRED,
+  markJobRunning,
+  markJobRetrying,
+  completeJob,
+  failJob,
+  getJob,
+  isCancelRequested,
+  markJobCancelled,
+  markJobInterrupted,
+  markJobDeferred,
+  createJobError
+} from './services/jobs.js';
+import { notifyJobCompletion } from './services/callback.js';
+import { classifyError, getRetryDelayMs } from './services/retry.js';
+import { addDeadLetter } from './services/deadletter.js';
+import { createJobLogger } from './services/joblog.js';
+import { instrumentSalesforceContext, recordJobFinished, startMetricsPublisher } from './services/metrics.js';
+import { recordHeartbeat, removeHeartbeat } from './services/heartbeat.js';
+import { getJobLane, getJobTypeLimit, orderByFairness, acquireOrgSlot, extendOrgSlot, releaseOrgSlot } from './services/scheduler.js';
+import { createApiGovernor } from './services/limits.js';
+import { startSchedulePoller } from './services/schedules.js';
+import { getJobType } from './services/jobtypes.js';
 
-const JOBS_CHANNEL = 'jobsChannel'; // Use the same channel name as the publisher
+const READ_BLOCK_MS = 5000; // Wait up to 5 seconds for new jobs before checking for stale ones
+const DEFER_PAUSE_MS = 1000; // Pause after deferring every job read, so deferred jobs do not cycle through the stream
+const consumerName = getConsumerName();
+const workerStartedAt = new Date().toISOString();
 
-// Import the service handlers
-import { handleDataMessage } from './services/data.js';
-import { handleQuoteMessage } from './services/quote.js';
+// Jobs being processed, keyed by stream entry ID, with the controller that aborts their handlers
+const runningJobs = new Map();
+// When a job of each org and job type was last started, for fair scheduling
+const lastStarted = { orgs: new Map(), jobTypes: new Map() };
+// Set on SIGTERM, the consumer loop stops reading new jobs and waits for the running ones
+let stopping = false;
+// Wakes the consumer loop when a running job frees its slot
+let notifySlotFreed = () => {};
+// Builds the Salesforce context a job runs with, see startWorker
+let createSalesforceContext = createContextImpl;
 
-// --- Pub/Sub Message Handler ---
-async function handleJobMessage (channel, message) {
-  if (channel !== JOBS_CHANNEL) {
-    return;
-  }
-
-  console.log(`[Worker] Received message from channel: ${channel}`);
-  let jobData;
-  try {
-    jobData = JSON.parse(message);
-  } catch (err) {
-    console.error('[Worker] Failed to parse job message:', message, err);
-    return; // Cannot proceed
-  }
+// Creates the SDK's context from the Salesforce context the job was queued with
+function createContextImpl (context, jobId) {
+  return new ContextImpl(
+    context.org.accessToken,
+    context.org.apiVersion,
+    context.requestId || jobId,
+    context.org.namespace,
+    context.org.id,
+    context.org.domainUrl,
+    context.org.user?.id, // Use optional chaining
+    context.org.user?.username // Use optional chaining
+  );
+}
 
+// --- Job Message Handler ---
+// Returns the job to queue again, and after how long, when it was interrupted by a shutdown or deferred
+// because its org is close to its daily API limit
+async function handleJobMessage (jobData, controller) {
   const { jobId, context, jobType } = jobData;
-  const logger = console; // Use console logger for simplicity here
+  // Every line carries the job, org, user and request IDs and is retained for GET /api/jobs/{jobId}/logs
+  const logger = createJobLogger(jobData);
 
   // Check for context before proceeding
   if (!context || !context.org || !context.org.accessToken || !context.org.domainUrl) {
-      logger.error({ jobId, jobType }, '[Worker] Received job missing required context information. Skipping.');
+      logger.error('[Worker] Received job missing required context information. Skipping.');
+      await failJob(jobId, 'Job is missing required context information.');
       return;
   }
 
+  // Jobs cancelled while queued or waiting for a retry are skipped
+  if (await isCancelRequested(jobId)) {
+    const { state } = await getJob(jobId);
+    logger.info(`[Worker] Job ${jobId} was cancelled before it started. Skipping.`);
+    if (state !== JOB_STATES.CANCELLED) {
+      await markJobCancelled(jobId);
+    }
+    return;
+  }
+
+  // Running jobs check for cancellation periodically, handlers stop at their next step once aborted
+  const cancelCheck = setInterval(() => {
+    isCancelRequested(jobId)
+      .then(requested => requested && controller.abort(createJobError(JOB_CANCELLED, `Job ${jobId} was cancelled.`)))
+      .catch(err => logger.error({ err }, `[Worker] Failed to check cancellation of job ${jobId}`));
+  }, config.jobCancelCheckIntervalMs);
+  const options = { signal: controller.signal };
+  const startedAt = Date.now();
+
   // Determine which handler to call based on payload
+  let sfContext;
+  let governor;
+  // Includes the API calls of earlier runs of the job, which were interrupted, deferred or retried
+  const countApiCalls = () => (jobData.apiCalls || 0) + (governor?.calls || 0);
   try {
     // *** Instantiate ContextImpl here ***
-    const sfContext = new ContextImpl(
-      context.org.accessToken,
-      context.org.apiVersion,
-      context.requestId || jobId,
-      context.org.namespace,
-      context.org.id,
-      context.org.domainUrl,
-      context.org.user?.id, // Use optional chaining
-      context.org.user?.username // Use optional chaining
-    );
-
-    // *** Route to imported service handlers ***
-    if (jobType === 'quote') {
-      logger.info(`[Worker] Routing job ${jobId} to handleQuoteMessage`);
-      await handleQuoteMessage(jobData, sfContext, logger);
-    } else if (jobType === 'data') {
-      logger.info(`[Worker] Routing job ${jobId} to handleDataMessage`);
-      await handleDataMessage(jobData, sfContext, logger);
-    } else {
-      logger.warn(`[Worker] Received job with unknown jobType:`, jobData);
+    sfContext = createSalesforceContext(context, jobId);
+    // Throttle the job's Salesforce API calls as its org nears its daily API limit and count them,
+    // along with the calls and errors of all jobs for /metrics
+    governor = createApiGovernor(sfContext, controller, logger);
+    instrumentSalesforceContext(sfContext, governor);
+
+    // *** Route to the handler of the registered job type ***
+    const { handler } = getJobType(jobType) || {};
+    if (!handler) {
+      logger.warn(`[Worker] Received job with unknown jobType: ${jobType}`);
+      await failJob(jobId, `Unknown jobType: ${jobType}`);
+      return;
     }
+    logger.info(`[Worker] Routing job ${jobId} to ${handler.name || jobType}`);
+    await markJobRunning(jobId);
+    let result = await handler(jobData, sfContext, logger, options);
+    governor.release();
+    result = { ...result, apiCalls: countApiCalls() };
+    const state = await completeJob(jobId, result);
+    recordJobFinished(jobData, state, Date.now() - startedAt, result);
+    logger.info(`[Worker] Job ${jobId} finished with state: ${state}`);
+    await notifyJobCompletion(jobData, sfContext, { state, result }, logger);
   } catch (handlerError) {
-    logger.error({ err: handlerError, jobId, jobType }, `[Worker] Error executing handler for job`);
+    governor?.release();
+    const apiCalls = countApiCalls();
+    if (handlerError.code === JOB_INTERRUPTED) {
+      // Handlers stop at a step they can resume from, the partial result tells the next run where it got to
+      const interruptions = (jobData.interruptions || 0) + 1;
+      logger.warn(`[Worker] Job ${jobId} was interrupted by shutdown, returning it to the queue`);
+      await markJobInterrupted(jobId, interruptions);
+      recordJobFinished(jobData, 'interrupted', Date.now() - startedAt, handlerError.partialResult);
+      return { job: { ...jobData, checkpoint: handlerError.partialResult || {}, interruptions, apiCalls } };
+    }
+    if (handlerError.code === JOB_DEFERRED) {
+      // Resumes like an interrupted job, once the org's API usage has had time to recover
+      const deferrals = (jobData.deferrals || 0) + 1;
+      const { delayMs } = handlerError;
+      logger.warn(`[Worker] ${handlerError.message}`);
+      await markJobDeferred(jobId, deferrals, new Date(Date.now() + delayMs).toISOString());
+      recordJobFinished(jobData, 'deferred', Date.now() - startedAt, handlerError.partialResult);
+      return { job: { ...jobData, checkpoint: handlerError.partialResult || {}, deferrals, apiCalls }, delayMs };
+    }
+    if (handlerError.code === JOB_CANCELLED) {
+      const result = { ...handlerError.partialResult, apiCalls };
+      logger.info(`[Worker] Job ${jobId} was cancelled.`);
+      await markJobCancelled(jobId, result);
+      recordJobFinished(jobData, JOB_STATES.CANCELLED, Date.now() - startedAt, result);
+      await notifyJobCompletion(jobData, sfContext, { state: JOB_STATES.CANCELLED, result }, logger);
+      return;
+    }
+    logger.error({ err: handlerError }, `[Worker] Error executing handler for job`);
+    const retrying = await handleJobFailure({ ...jobData, apiCalls }, handlerError, logger).catch(err => {
+      logger.error({ err }, `[Worker] Failed to record failure for job ${jobId}`);
+      return false;
+    });
+    const state = retrying ? JOB_STATES.RETRYING : handlerError.code === JOB_TIMED_OUT ? JOB_STATES.TIMED_OUT : JOB_STATES.FAILED;
+    recordJobFinished(jobData, state, Date.now() - startedAt, handlerError.partialResult);
+    // Only report back once the job has finally failed, not for every attempt
+    if (!retrying) {
+      await notifyJobCompletion(jobData, sfContext, { state, error: handlerError }, logger);
+    }
+  } finally {
+    clearInterval(cancelCheck);
+  }
+}
+
+// Retries retryable errors with backoff, dead-letters the job once it fails permanently.
+// Returns true when the job was scheduled for another attempt.
+async function handleJobFailure (jobData, error, logger) {
+  const { jobId } = jobData;
+  const attempt = (jobData.attempt || 0) + 1;
+  const { retryable, code, message } = classifyError(error);
+  const errorHistory = [...(jobData.errorHistory || []), { attempt, at: new Date().toISOString(), code, message, retryable }];
+
+  if (retryable && attempt <= config.jobMaxRetries) {
+    const delayMs = getRetryDelayMs(attempt);
+    await scheduleRetry({ ...jobData, attempt, errorHistory }, delayMs);
+    await markJobRetrying(jobId, { attempt, delayMs, error });
+    logger.warn(`[Worker] Job ${jobId} failed with a retryable error (attempt ${attempt} of ${config.jobMaxRetries + 1}), retrying in ${delayMs}ms`);
+    return true;
+  }
+
+  await failJob(jobId, error, { attempts: attempt, deadLettered: true });
+  await addDeadLetter(jobData, errorHistory);
+  logger.error(`[Worker] Job ${jobId} failed ${retryable ? 'after exhausting retries' : 'with a fatal error'} and was moved to the dead-letter store`);
+  return false;
+}
+
+// --- Queue Consumer ---
+async function runEntry (entryId, job, orgId, controller) {
+  logger.info({ jobId: job.jobId, requestId: job.requestId }, `[Worker] Received job ${job.jobId} (entry ${entryId}) from stream: ${JOBS_STREAM}`);
+  // Keep the job claimed, and its org slot leased, while it runs so long jobs are not handed to another worker
+  const keepAlive = setInterval(() => {
+    extendJob(consumerName, entryId).catch(err => logger.error({ err, jobId: job.jobId }, `[Worker] Failed to extend job ${job.jobId}`));
+    if (orgId) {
+      extendOrgSlot(orgId, job.jobId).catch(err => logger.error({ err, jobId: job.jobId }, `[Worker] Failed to extend org slot of job ${job.jobId}`));
+    }
+  }, Math.floor(config.jobVisibilityTimeoutMs / 3));
+  let requeue;
+  try {
+    requeue = await handleJobMessage(job, controller);
+  } finally {
+    clearInterval(keepAlive);
+    if (orgId) {
+      await releaseOrgSlot(orgId, job.jobId)
+        .catch(err => logger.error({ err, jobId: job.jobId }, `[Worker] Failed to release org slot of job ${job.jobId}`));
+    }
+  }
+  if (requeue?.delayMs) {
+    await scheduleRetry(requeue.job, requeue.delayMs);
+    await ackJob(entryId);
+  } else if (requeue) {
+    await requeueJob(entryId, requeue.job);
+  } else {
+    await ackJob(entryId);
+  }
+}
+
+function startJob ({ entryId, job }, { orgId, jobType }) {
+  const now = Date.now();
+  lastStarted.orgs.set(orgId, now);
+  lastStarted.jobTypes.set(jobType, now);
+  const running = { job, controller: new AbortController(), startedAt: new Date(now).toISOString() };
+  runningJobs.set(entryId, running);
+  running.done = runEntry(entryId, job, orgId, running.controller)
+    .catch(err => logger.error({ err, jobId: job.jobId }, `[Worker] Failed to finish job ${job.jobId}`))
+    .finally(() => {
+      runningJobs.delete(entryId);
+      notifySlotFreed();
+    });
+}
+
+function countRunning (jobType) {
+  return [...runningJobs.values()].filter(({ job }) => job.jobType === jobType).length;
+}
+
+// Starts the jobs that fit within the worker, job type and org limits, orgs and job types that waited
+// longest first. The others go back to the end of the stream, so the jobs queued behind them can run.
+async function dispatchEntries (entries) {
+  const outcome = { started: 0, deferred: 0 };
+  const parsedEntries = [];
+  for (const { entryId, job, raw } of entries) {
+    if (!job) {
+      logger.error({ raw }, '[Worker] Failed to parse job message, discarding');
+      await ackJob(entryId);
+      continue;
+    }
+    parsedEntries.push({ entryId, job });
+  }
+  for (const entry of orderByFairness(parsedEntries, lastStarted)) {
+    const { job } = entry;
+    const lane = getJobLane(job);
+    const canStart = !stopping &&
+      runningJobs.size < config.workerConcurrency &&
+      countRunning(lane.jobType) < getJobTypeLimit(lane.jobType) &&
+      (!lane.orgId || await acquireOrgSlot(lane.orgId, job.jobId));
+    if (!canStart) {
+      logger.info({ jobId: job.jobId }, `[Worker] Deferring job ${job.jobId}, its org or job type is at its concurrency limit`);
+      await requeueJob(entry.entryId, job);
+      outcome.deferred++;
+      continue;
+    }
+    startJob(entry, lane);
+    outcome.started++;
+  }
+  return outcome;
+}
+
+function waitForFreeSlot (timeoutMs) {
+  return new Promise(resolve => {
+    const timeout = setTimeout(resolve, timeoutMs);
+    notifySlotFreed = () => {
+      clearTimeout(timeout);
+      resolve();
+    };
+  });
+}
+
+async function reclaimStaleJobs () {
+  const entries = await claimStaleJobs(consumerName, { minIdleMs: config.jobVisibilityTimeoutMs });
+  for (const entry of entries) {
+    logger.warn({ jobId: entry.job?.jobId }, `[Worker] Reclaimed job ${entry.job?.jobId} (entry ${entry.entryId}) abandoned by another worker`);
+  }
+  await dispatchEntries(entries);
+}
+
+async function consumeJobs () {
+  let lastClaimAt = 0;
+  while (!stopping) {
+    try {
+      const freeSlots = config.workerConcurrency - runningJobs.size;
+      if (freeSlots === 0) {
+        await waitForFreeSlot(READ_BLOCK_MS);
+        continue;
+      }
+      if (Date.now() - lastClaimAt >= config.jobClaimIntervalMs) {
+        lastClaimAt = Date.now();
+        await reclaimStaleJobs();
+      }
+      const promoted = await promoteDueRetries();
+      if (promoted > 0) {
+        logger.info(`[Worker] Moved ${promoted} jobs due for retry back onto stream: ${JOBS_STREAM}`);
+      }
+      const entries = await readJobs(consumerName, { count: freeSlots, blockMs: READ_BLOCK_MS });
+      // Jobs read after a shutdown signal are deferred too, so they are not left pending
+      const { started, deferred } = await dispatchEntries(entries);
+      if (started === 0 && deferred > 0) {
+        await waitForFreeSlot(DEFER_PAUSE_MS);
+      }
+    } catch (err) {
+      logger.error({ err }, '[Worker] Error reading from job stream, retrying shortly');
+      await new Promise(resolve => setTimeout(resolve, READ_BLOCK_MS));
+    }
   }
+  await Promise.all([...runningJobs.values()].map(({ done }) => done));
+}
+
+function sendHeartbeat () {
+  const state = stopping ? 'stopping' : 'running';
+  const jobs = [...runningJobs.values()].map(({ job, startedAt }) => ({ jobId: job.jobId, jobType: job.jobType, startedAt }));
+  recordHeartbeat(consumerName, { startedAt: workerStartedAt, state, runningJobs: jobs })
+    .catch(err => logger.warn({ err }, '[Worker] Failed to record heartbeat'));
 }
 
-async function startWorker () {
-  console.log('[Worker] Starting (Pub/Sub mode)...');
+// Gives the running jobs WORKER_SHUTDOWN_GRACE_MS to finish before interrupting them,
+// startWorker then removes the heartbeat and closes the Redis connections
+function shutdown (signal) {
+  if (stopping) {
+    return;
+  }
+  stopping = true;
+  notifySlotFreed();
+  sendHeartbeat();
+  if (runningJobs.size === 0) {
+    logger.info(`[Worker] Received ${signal}, stopping`);
+    return;
+  }
+  logger.info(`[Worker] Received ${signal}, stopping once ${runningJobs.size} running jobs finish or within ${config.workerShutdownGraceMs}ms`);
+  setTimeout(() => {
+    for (const { job, controller } of runningJobs.values()) {
+      logger.warn(`[Worker] Job ${job.jobId} did not finish within the shutdown grace period, interrupting it`);
+      controller.abort(createJobError(JOB_INTERRUPTED, `Job ${job.jobId} was interrupted by a worker shutdown.`));
+    }
+  }, config.workerShutdownGraceMs).unref();
+}
+
+/**
+ * Runs the worker until shutdown is called or the process receives SIGTERM, then closes the Redis connections.
+ * @param {object} [options]
+ * @param {function(object, string): object} [options.createContext] - Builds the Salesforce context of a job from
+ *   the context it was queued with and its job ID. Defaults to the SDK's ContextImpl, the tests pass a fake org's.
+ */
+async function startWorker ({ createContext = createContextImpl } = {}) {
+  createSalesforceContext = createContext;
+  logger.info(`[Worker] Starting (Redis Stream mode) as consumer ${consumerName}...`);
   if (redisClient.status !== 'ready') {
-    console.log('[Worker] Redis client not ready, waiting for ready event...');
+    logger.info('[Worker] Redis client not ready, waiting for ready event...');
     await new Promise((resolve, reject) => {
       const timeout = setTimeout(() => reject(new Error('Redis connection timeout')), 10000);
       redisClient.once('ready', () => {
@@ -78,20 +386,37 @@ async function startWorker () {
       });
     });
   }
-  console.log('[Worker] Redis client connected.');
-  redisClient.subscribe(JOBS_CHANNEL, (err, count) => {
-    if (err) {
-      console.error(`[Worker] Failed to subscribe to ${JOBS_CHANNEL}:`, err);
+  logger.info('[Worker] Redis client connected.');
+  startMetricsPublisher(logger);
+  sendHeartbeat();
+  const heartbeat = setInterval(sendHeartbeat, config.workerHeartbeatIntervalMs);
+  // Every worker checks for due schedules, each run is queued by only one of them
+  const schedulePoller = startSchedulePoller(logger);
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+  await ensureConsumerGroup();
+  logger.info(`[Worker] Consuming ${JOBS_STREAM} and waiting for jobs, running up to ${config.workerConcurrency} at once...`);
+  await consumeJobs();
+
+  clearInterval(heartbeat);
+  clearInterval(schedulePoller);
+  await removeHeartbeat(consumerName);
+  await closeQueue();
+  await redisClient.quit();
+  logger.info('[Worker] Stopped.');
+}
+
+// Started as a process by the Procfile, the tests import the worker and start it themselves
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  startWorker()
+    .then(() => process.exit(0))
+    .catch(err => {
+      logger.error({ err }, '[Worker] Critical error during startup');
       process.exit(1);
-    }
-    console.log(`[Worker] Subscribed successfully to ${JOBS_CHANNEL}. Listener count: ${count}`);
-  });
-  redisClient.on('message', handleJobMessage);
-  console.log(`[Worker] Subscribed to ${JOBS_CHANNEL} and waiting for messages...`);
+    });
 }
 
-startWorker()
-  .catch(err => {
-    console.error('[Worker] Critical error during startup:', err);
-    process.exit(1);
-  });
+export {
+  startWorker,
+  shutdown
+};
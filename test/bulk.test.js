@@ -0,0 +1,83 @@
+import { describe, it, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { createFakeOrg } from './support/fake-org.js';
+import { seedSalesData } from './support/fixtures.js';
+
+// Selections of three or more Opportunities take the Bulk API v2 path, ingesting three Quotes at a time
+process.env.QUOTE_BULK_THRESHOLD = '3';
+process.env.QUOTE_BULK_CHUNK_SIZE = '3';
+const { startApp } = await import('./support/app.js');
+
+const org = createFakeOrg();
+const { catalog, opportunities } = seedSalesData(org);
+const app = await startApp({ org });
+
+function ingestCalls (object) {
+  return org.calls.filter(call => call.method === 'ingest' && (!object || call.args[0].object === object));
+}
+
+describe('quote jobs on the Bulk API v2 path', () => {
+  let removeRule;
+  before(() => {
+    org.calls.length = 0;
+  });
+  afterEach(() => {
+    removeRule?.();
+    removeRule = undefined;
+    org.bulkJobPolls = 2;
+    // Start every test without Quotes
+    org.find('Quote').forEach(quote => org.delete('Quote', quote.Id));
+  });
+  after(() => app.stop());
+
+  it('inserts Quotes, then their line items, with ingest jobs per chunk', { skip: app.skip }, async () => {
+    const job = await app.runJob('/api/executebatch', { soqlWhereClause: "Name LIKE 'Deal%'" });
+    assert.equal(job.state, 'succeeded');
+    assert.equal(job.result.path, 'bulkApi');
+    assert.equal(job.result.quotesCreated, opportunities.size);
+    assert.equal(job.result.lineItemsCreated, opportunities.size * catalog.entries.length);
+    // Four Opportunities make a chunk of three Quotes and a chunk of one
+    assert.deepEqual(ingestCalls().map(call => [call.args[0].object, call.args[0].dataTable.length]),
+      [['Quote', 3], ['QuoteLineItem', 3 * catalog.entries.length], ['Quote', 1], ['QuoteLineItem', catalog.entries.length]]);
+    for (const { opportunityId } of opportunities.values()) {
+      const [quote] = org.find('Quote', candidate => candidate.OpportunityId === opportunityId);
+      assert.equal(quote.LineItemCount, catalog.entries.length);
+    }
+  });
+
+  it('reports Quotes rejected by the org as partially failed', { skip: app.skip }, async () => {
+    const { opportunityId } = opportunities.get('JP');
+    removeRule = org.rejectRecords('Quote', fields => fields.OpportunityId === opportunityId);
+    const job = await app.runJob('/api/executebatch', { soqlWhereClause: "Name LIKE 'Deal%'" });
+    assert.equal(job.state, 'partially_failed');
+    assert.equal(job.result.quotesCreated, opportunities.size - 1);
+    assert.equal(job.result.quotesFailed, 1);
+    assert.equal(org.find('Quote', quote => quote.OpportunityId === opportunityId).length, 0);
+  });
+
+  it('fails the job when an ingest job fails', { skip: app.skip }, async () => {
+    org.failNextBulkJob('QuoteLineItem', 'insert', 'InvalidBatch : Field name not found : Bogus__c');
+    const job = await app.runJob('/api/executebatch', { soqlWhereClause: "Name LIKE 'Deal%'" });
+    assert.equal(job.state, 'failed');
+    assert.match(job.error, /Failed \(InvalidBatch : Field name not found : Bogus__c\)/);
+  });
+
+  it('aborts the running ingest job when the job is cancelled', { skip: app.skip }, async () => {
+    // Ingest jobs stay in progress until they are aborted
+    org.bulkJobPolls = Infinity;
+    const calls = ingestCalls().length;
+    const { body: { jobId } } = await app.request('POST', '/api/executebatch', { soqlWhereClause: "Name LIKE 'Deal%'" });
+    while (ingestCalls().length === calls) {
+      await sleep(20);
+    }
+    const { statusCode } = await app.request('POST', `/api/jobs/${jobId}/cancel`);
+    assert.equal(statusCode, 202);
+    const job = await app.waitForJob(jobId);
+    assert.equal(job.state, 'cancelled');
+    const abort = org.calls.find(call => call.method === 'abort');
+    assert.ok(abort, 'the ingest job was aborted');
+    assert.equal(org.getBulkJob(abort.args[0].id).state, 'Aborted');
+    assert.equal(org.find('Quote').length, 0);
+  });
+});
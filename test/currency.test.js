@@ -0,0 +1,74 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp } from './support/app.js';
+import { createFakeOrg } from './support/fake-org.js';
+import { seedSalesData, seedOpportunity, seedPricebook } from './support/fixtures.js';
+
+const org = createFakeOrg({ multiCurrency: true });
+org.insert('CurrencyType', { IsoCode: 'USD', ConversionRate: 1, DecimalPlaces: 2, IsActive: true, IsCorporate: true });
+org.insert('CurrencyType', { IsoCode: 'EUR', ConversionRate: 0.9, DecimalPlaces: 2, IsActive: true, IsCorporate: false });
+// Advanced currency management: the Opportunities close on 2030-01-15, within this period
+org.insert('DatedConversionRate', { IsoCode: 'EUR', ConversionRate: 0.8, StartDate: '2029-07-01', NextStartDate: '2030-07-01' });
+
+const { catalog, opportunities } = seedSalesData(org, ['US']);
+// Euro entries of the standard Pricebook, without the Support Plan
+const euroCatalog = seedPricebook(org, catalog, { prices: { Widget: 95, Gadget: 240 }, currencyIsoCode: 'EUR' });
+const app = await startApp({ org });
+
+function quotesOf (opportunityId) {
+  return org.find('Quote', quote => quote.OpportunityId === opportunityId);
+}
+
+function lineItemsOf (quoteId) {
+  return org.find('QuoteLineItem', lineItem => lineItem.QuoteId === quoteId);
+}
+
+describe('quote jobs in multi-currency orgs', () => {
+  after(() => app.stop());
+
+  it('quotes an Opportunity in its own currency with its own entries', { skip: app.skip }, async () => {
+    const { opportunityId } = seedOpportunity(org, euroCatalog, { name: 'Deal Euro', billingCountry: 'US', fields: { CurrencyIsoCode: 'EUR' } });
+    const job = await app.runJob('/api/executebatch', { soqlWhereClause: "Name = 'Deal Euro'" });
+    assert.equal(job.state, 'succeeded');
+    const [quote] = quotesOf(opportunityId);
+    assert.equal(quote.CurrencyIsoCode, 'EUR');
+    assert.deepEqual(lineItemsOf(quote.Id).map(lineItem => [lineItem.PricebookEntryId, lineItem.UnitPrice]).sort(),
+      euroCatalog.entries.map(entry => [entry.id, entry.unitPrice * 0.9]).sort());
+  });
+
+  it('converts prices to the requested currency at the dated rate on the CloseDate', { skip: app.skip }, async () => {
+    const { opportunityId } = opportunities.get('US');
+    const job = await app.runJob('/api/executebatch', { soqlWhereClause: "Name = 'Deal US'", currencyIsoCode: 'EUR' });
+    assert.equal(job.state, 'partially_failed');
+    assert.equal(job.result.lineItemsIncompatible, 1);
+    assert.match(job.result.incompatibleLineItems[0].Reason, /No active PricebookEntry .* in EUR/);
+    const [quote] = quotesOf(opportunityId);
+    assert.equal(quote.CurrencyIsoCode, 'EUR');
+    assert.equal(quote.Pricebook2Id, catalog.pricebookId);
+    // The Opportunity's USD unit prices, converted at 0.8 rather than the CurrencyType rate of 0.9
+    const expected = euroCatalog.entries.map(entry => {
+      const usdPrice = catalog.entries.find(candidate => candidate.productId === entry.productId).unitPrice;
+      return [entry.id, usdPrice * 0.8 * 0.9];
+    });
+    assert.deepEqual(lineItemsOf(quote.Id).map(lineItem => [lineItem.PricebookEntryId, lineItem.UnitPrice]).sort(), expected.sort());
+  });
+
+  it("shows amounts in the Quote's currency in its PDF", { skip: app.skip }, async () => {
+    const { opportunityId } = seedOpportunity(org, euroCatalog, { name: 'Deal Euro PDF', billingCountry: 'US', fields: { CurrencyIsoCode: 'EUR' } });
+    const job = await app.runJob('/api/executebatch', { soqlWhereClause: "Name = 'Deal Euro PDF'", generateDocuments: true });
+    assert.equal(job.state, 'succeeded');
+    assert.equal(job.result.documentsCreated, 1);
+    const [quote] = quotesOf(opportunityId);
+    const [document] = org.find('QuoteDocument', candidate => candidate.QuoteId === quote.Id);
+    const pdf = Buffer.from(document.Document, 'base64').toString('latin1');
+    // The template's locale is en-US, so amounts start with the euro sign, \200 in WinAnsiEncoding
+    assert.match(pdf, /\(\\200\d/);
+    assert.doesNotMatch(pdf, /\(\$\d/);
+  });
+
+  it('fails jobs that name an inactive currency', { skip: app.skip }, async () => {
+    const job = await app.runJob('/api/executebatch', { soqlWhereClause: "Name = 'Deal US'", currencyIsoCode: 'GBP' });
+    assert.equal(job.state, 'failed');
+    assert.match(job.error, /Currency GBP is not an active currency/);
+  });
+});
@@ -0,0 +1,92 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp } from './support/app.js';
+import { createFakeOrg } from './support/fake-org.js';
+import { seedCatalog, seedPricebook } from './support/fixtures.js';
+
+const org = createFakeOrg();
+const catalog = seedCatalog(org);
+const partnerCatalog = seedPricebook(org, catalog, { name: 'Partner Price Book', prices: { Widget: 80 } });
+org.insert('Account', { Name: 'Existing Account', BillingCountry: 'US' });
+const app = await startApp({ org });
+
+function datasetOpportunities (datasetId) {
+  return org.find('Opportunity', opportunity => opportunity.Sample_Dataset_Id__c === datasetId);
+}
+
+describe('sample data jobs', () => {
+  after(() => app.stop());
+
+  it('counts the records a dry run would create without writing', { skip: app.skip }, async () => {
+    const job = await app.runJob('/api/data/create', { numberOfOpportunities: 4, seed: 7, dryRun: true });
+    assert.equal(job.state, 'succeeded');
+    assert.equal(job.result.report.Opportunity, 4);
+    assert.ok(job.result.report.OpportunityLineItem > 0);
+    assert.equal(org.find('Opportunity').length, 0);
+  });
+
+  it('creates Opportunities with line items, stamped with the dataset ID', { skip: app.skip }, async () => {
+    const job = await app.runJob('/api/data/create', { numberOfOpportunities: 5, seed: 42 });
+    assert.equal(job.state, 'succeeded');
+    assert.equal(job.result.datasetId, job.jobId);
+    assert.equal(job.result.seed, 42);
+    const opportunities = datasetOpportunities(job.jobId);
+    assert.equal(opportunities.length, 5);
+    const lineItems = org.find('OpportunityLineItem', lineItem => opportunities.some(opportunity => opportunity.Id === lineItem.OpportunityId));
+    assert.equal(job.result.recordsProcessed, opportunities.length + lineItems.length);
+    assert.equal(job.result.recordsFailed, 0);
+  });
+
+  it('generates the same records from the same seed', { skip: app.skip }, async () => {
+    const first = await app.runJob('/api/data/create', { numberOfOpportunities: 3, seed: 1234 });
+    const second = await app.runJob('/api/data/create', { numberOfOpportunities: 3, seed: 1234 });
+    const summarize = (datasetId) => datasetOpportunities(datasetId).map(({ Name, StageName, CloseDate, Amount }) => ({ Name, StageName, CloseDate, Amount }));
+    assert.deepEqual(summarize(first.jobId), summarize(second.jobId));
+  });
+
+  it('creates sample Accounts when the scenario asks for them', { skip: app.skip }, async () => {
+    const scenario = { accounts: { source: 'create', count: 2, billingCountries: [{ value: 'DE', weight: 1 }] } };
+    const job = await app.runJob('/api/data/create', { numberOfOpportunities: 2, seed: 5, scenario });
+    assert.equal(job.state, 'succeeded');
+    assert.equal(job.result.accountsCreated, 2);
+    assert.deepEqual(org.find('Account', account => account.Name.startsWith('Sample Account ')).map(account => account.BillingCountry), ['DE', 'DE']);
+  });
+
+  it("uses the scenario's Pricebook for the Opportunities and their line items", { skip: app.skip }, async () => {
+    const job = await app.runJob('/api/data/create', { numberOfOpportunities: 2, seed: 9, scenario: { pricebook: 'Partner Price Book' } });
+    assert.equal(job.state, 'succeeded');
+    const opportunities = datasetOpportunities(job.jobId);
+    assert.deepEqual(opportunities.map(opportunity => opportunity.Pricebook2Id), [partnerCatalog.pricebookId, partnerCatalog.pricebookId]);
+    const lineItems = org.find('OpportunityLineItem', lineItem => opportunities.some(opportunity => opportunity.Id === lineItem.OpportunityId));
+    assert.ok(lineItems.every(lineItem => lineItem.PricebookEntryId === partnerCatalog.entries[0].id));
+  });
+
+  it('deletes a dataset along with the Quotes generated for it', { skip: app.skip }, async () => {
+    const created = await app.runJob('/api/data/create', { numberOfOpportunities: 3, seed: 99 });
+    const quoteJob = await app.runJob('/api/executebatch', { soqlWhereClause: "Name LIKE 'Sample Opportunity%'" });
+    assert.ok(quoteJob.result.quotesCreated > 0);
+    const opportunityIds = datasetOpportunities(created.jobId).map(opportunity => opportunity.Id);
+    const datasetQuotes = () => org.find('Quote', quote => opportunityIds.includes(quote.OpportunityId));
+
+    const dryRun = await app.runJob('/api/data/delete', { datasetId: created.jobId, dryRun: true });
+    assert.equal(dryRun.result.report.Opportunity, 3);
+    assert.equal(dryRun.result.report.Quote, datasetQuotes().length);
+
+    const deleted = await app.runJob('/api/data/delete', { datasetId: created.jobId });
+    assert.equal(deleted.state, 'succeeded');
+    assert.equal(datasetOpportunities(created.jobId).length, 0);
+    assert.equal(datasetQuotes().length, 0);
+    assert.ok(org.find('Opportunity').length > 0, 'other datasets are kept');
+  });
+
+  it('deletes only the Quotes of a quote job', { skip: app.skip }, async () => {
+    const quoteJob = await app.runJob('/api/executebatch', { soqlWhereClause: "Name LIKE 'Sample Opportunity%'", existingQuoteStrategy: 'version' });
+    const otherQuotes = org.find('Quote', quote => quote.Pricing_Engine_Job_Id__c !== quoteJob.jobId).length;
+    const opportunities = org.find('Opportunity').length;
+    const deleted = await app.runJob('/api/data/delete', { quoteJobId: quoteJob.jobId });
+    assert.equal(deleted.state, 'succeeded');
+    assert.equal(org.find('Quote', quote => quote.Pricing_Engine_Job_Id__c === quoteJob.jobId).length, 0);
+    assert.equal(org.find('Quote').length, otherQuotes);
+    assert.equal(org.find('Opportunity').length, opportunities);
+  });
+});
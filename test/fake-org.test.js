@@ -0,0 +1,146 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFakeOrg, createSalesforceError } from './support/fake-org.js';
+import { seedSalesData } from './support/fixtures.js';
+
+// The services are only as well tested as the fake org behaves like Salesforce
+describe('fake org', () => {
+  let org;
+  let data;
+  let dataApi;
+  let bulkApi;
+  beforeEach(() => {
+    org = createFakeOrg({ queryBatchSize: 2 });
+    data = seedSalesData(org);
+    ({ dataApi, bulkApi } = org.createContext().org);
+  });
+
+  describe('dataApi.query', () => {
+    it('filters, sorts and pages records', async () => {
+      const first = await dataApi.query("SELECT Id, Name FROM Opportunity WHERE Name LIKE 'deal%' AND Name != 'Deal BR' ORDER BY Name DESC");
+      assert.equal(first.totalSize, 3);
+      assert.equal(first.done, false);
+      const second = await dataApi.queryMore(first);
+      assert.equal(second.done, true);
+      assert.deepEqual([...first.records, ...second.records].map(record => record.fields.Name), ['Deal US', 'Deal JP', 'Deal DE']);
+    });
+
+    it('returns parent fields and subqueries like the SDK', async () => {
+      const { records: [opportunity] } = await dataApi.query(`
+        SELECT Id, Account.BillingCountry, (SELECT Quantity, Product2.Name FROM OpportunityLineItems ORDER BY Product2.Name),
+               (SELECT Id FROM Quotes)
+        FROM Opportunity WHERE Account.BillingCountry = 'JP'`);
+      assert.equal(opportunity.fields.account.fields.BillingCountry, 'JP');
+      const lineItems = opportunity.subQueryResults.OpportunityLineItems.records;
+      assert.deepEqual(lineItems.map(lineItem => lineItem.fields.Product2.fields.Name), ['Gadget', 'Support Plan', 'Widget']);
+      // Empty child relationships are null in the REST API and left out by the SDK
+      assert.equal(opportunity.subQueryResults.Quotes, undefined);
+    });
+
+    it('counts records', async () => {
+      const { totalSize, records } = await dataApi.query("SELECT COUNT() FROM OpportunityLineItem WHERE Opportunity.Name IN ('Deal US', 'Deal DE') AND Quantity >= 1");
+      assert.equal(totalSize, 2 * data.catalog.entries.length);
+      assert.deepEqual(records, []);
+    });
+
+    it('rejects unknown fields and malformed queries', async () => {
+      await assert.rejects(dataApi.query('SELECT Bogus FROM Opportunity'), { errorCode: 'INVALID_FIELD' });
+      await assert.rejects(dataApi.query('SELECT Id FROM Opportunity WHERE'), { errorCode: 'MALFORMED_QUERY' });
+      await assert.rejects(dataApi.query('SELECT Id FROM Nothing'), { errorCode: 'INVALID_TYPE' });
+    });
+  });
+
+  describe('writes', () => {
+    it('validates required fields and references', async () => {
+      await assert.rejects(dataApi.create({ type: 'Quote', fields: { Name: 'No Opportunity' } }), { errorCode: 'REQUIRED_FIELD_MISSING' });
+      await assert.rejects(dataApi.create({ type: 'Quote', fields: { Name: 'Q', OpportunityId: '006000000000999AAA' } }), { errorCode: 'INVALID_CROSS_REFERENCE_KEY' });
+    });
+
+    it('only accepts line items from the Pricebook of their Quote', async () => {
+      const { opportunityId } = data.opportunities.get('US');
+      const otherPricebookId = org.insert('Pricebook2', { Name: 'Partner Price Book' });
+      const quoteId = org.insert('Quote', { Name: 'Q', OpportunityId: opportunityId, Pricebook2Id: otherPricebookId });
+      const entry = data.catalog.entries[0];
+      await assert.rejects(
+        dataApi.create({ type: 'QuoteLineItem', fields: { QuoteId: quoteId, PricebookEntryId: entry.id, Quantity: 1, UnitPrice: 1 } }),
+        { errorCode: 'FIELD_INTEGRITY_EXCEPTION' }
+      );
+    });
+
+    it('calculates totals and deletes children with their parent', async () => {
+      const { opportunityId } = data.opportunities.get('DE');
+      const quoteId = org.insert('Quote', { Name: 'Q', OpportunityId: opportunityId, Pricebook2Id: data.catalog.pricebookId });
+      data.catalog.entries.forEach(entry => org.insert('QuoteLineItem', { QuoteId: quoteId, PricebookEntryId: entry.id, Quantity: 2, UnitPrice: entry.unitPrice }));
+      const [quote] = org.find('Quote');
+      assert.equal(quote.LineItemCount, 3);
+      assert.equal(quote.TotalPrice, 2 * (100 + 250 + 1000));
+      await dataApi.delete('Opportunity', opportunityId);
+      assert.equal(org.find('Quote').length, 0);
+      assert.equal(org.find('QuoteLineItem').length, 0);
+    });
+
+    it('commits a UnitOfWork all-or-nothing', async () => {
+      const { opportunityId } = data.opportunities.get('US');
+      const unitOfWork = dataApi.newUnitOfWork();
+      const quoteRef = unitOfWork.registerCreate({ type: 'Quote', fields: { Name: 'Q', OpportunityId: opportunityId, Pricebook2Id: data.catalog.pricebookId } });
+      unitOfWork.registerCreate({ type: 'QuoteLineItem', fields: { QuoteId: quoteRef.toApiString(), PricebookEntryId: data.catalog.entries[0].id, Quantity: 1 } });
+      await assert.rejects(dataApi.commitUnitOfWork(unitOfWork), /^Error: PROCESSING_HALTED/);
+      assert.equal(org.find('Quote').length, 0);
+
+      const valid = dataApi.newUnitOfWork();
+      const validRef = valid.registerCreate({ type: 'Quote', fields: { Name: 'Q', OpportunityId: opportunityId, Pricebook2Id: data.catalog.pricebookId } });
+      valid.registerCreate({ type: 'QuoteLineItem', fields: { QuoteId: validRef.toApiString(), PricebookEntryId: data.catalog.entries[0].id, Quantity: 1, UnitPrice: 5 } });
+      const results = await dataApi.commitUnitOfWork(valid);
+      assert.equal(org.getRecord(results.get(validRef).id).type, 'Quote');
+      assert.equal(org.find('QuoteLineItem')[0].QuoteId, results.get(validRef).id);
+    });
+  });
+
+  describe('bulkApi', () => {
+    it('moves ingest jobs through their states as they are polled', async () => {
+      const { opportunityId } = data.opportunities.get('US');
+      const dataTable = bulkApi.createDataTableBuilder(['Name', 'OpportunityId'])
+        .addRow(['Bulk Quote', opportunityId])
+        .addRow(['Orphan Quote', '006000000000999AAA'])
+        .build();
+      const [jobReference] = await bulkApi.ingest({ object: 'Quote', operation: 'insert', dataTable });
+      assert.equal((await bulkApi.getInfo(jobReference)).state, 'InProgress');
+      assert.equal(org.find('Quote').length, 0);
+      const info = await bulkApi.getInfo(jobReference);
+      assert.equal(info.state, 'JobComplete');
+      assert.equal(info.numberRecordsProcessed, 2);
+      assert.equal(info.numberRecordsFailed, 1);
+
+      const [successful] = await bulkApi.getSuccessfulResults(jobReference);
+      assert.equal(successful.get('sf__Created'), 'true');
+      assert.equal(org.getRecord(successful.get('sf__Id')).fields.Name, 'Bulk Quote');
+      const [failed] = await bulkApi.getFailedResults(jobReference);
+      assert.match(failed.get('sf__Error'), /^INVALID_CROSS_REFERENCE_KEY/);
+      await assert.rejects(bulkApi.abort(jobReference), { errorCode: 'INVALIDJOBSTATE' });
+    });
+  });
+
+  describe('fault injection', () => {
+    it('fails the next calls of a method', async () => {
+      org.failNext('query', createSalesforceError('QUERY_TIMEOUT', 'Your query request was running for too long.'), { times: 2 });
+      await assert.rejects(dataApi.query('SELECT Id FROM Account'), { errorCode: 'QUERY_TIMEOUT' });
+      await assert.rejects(dataApi.query('SELECT Id FROM Account'), { errorCode: 'QUERY_TIMEOUT' });
+      assert.equal((await dataApi.query('SELECT Id FROM Account')).totalSize, 4);
+    });
+
+    it('reports failed ingest calls in their result', async () => {
+      org.failNext('ingest', createSalesforceError('REQUEST_LIMIT_EXCEEDED', 'TotalRequests Limit exceeded.'));
+      const dataTable = bulkApi.createDataTableBuilder(['Name']).addRow(['Account']).build();
+      const [result] = await bulkApi.ingest({ object: 'Account', operation: 'insert', dataTable });
+      assert.equal(result.error.errorCode, 'REQUEST_LIMIT_EXCEEDED');
+      assert.equal(result.unprocessedRecords, dataTable);
+    });
+
+    it('rejects every call after the session expires', async () => {
+      org.expireSession();
+      await assert.rejects(dataApi.query('SELECT Id FROM Account'), { errorCode: 'INVALID_SESSION_ID' });
+      const { org: fresh } = org.createContext();
+      assert.equal((await fresh.dataApi.query('SELECT Id FROM Account')).totalSize, 4);
+    });
+  });
+});
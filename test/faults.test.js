@@ -0,0 +1,93 @@
+import { describe, it, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFakeOrg, createSalesforceError } from './support/fake-org.js';
+import { seedSalesData } from './support/fixtures.js';
+
+// One Opportunity with its three line items per UnitOfWork chunk, and a single retry
+process.env.QUOTE_CHUNK_SIZE = '4';
+process.env.JOB_MAX_RETRIES = '1';
+const { startApp } = await import('./support/app.js');
+
+const org = createFakeOrg();
+const { opportunities } = seedSalesData(org);
+const app = await startApp({ org });
+
+describe('jobs against a failing org', () => {
+  let removeRule;
+  afterEach(() => {
+    removeRule?.();
+    removeRule = undefined;
+    org.setApiUsage({ max: 100000, remaining: 100000 });
+    org.find('Quote').forEach(quote => org.delete('Quote', quote.Id));
+  });
+  after(() => app.stop());
+
+  it('retries a job after a retryable error', { skip: app.skip }, async () => {
+    org.failNext('commitUnitOfWork', createSalesforceError('UNABLE_TO_LOCK_ROW', 'unable to obtain exclusive access to this record'));
+    const job = await app.runJob('/api/executebatch', { soqlWhereClause: "Name = 'Deal US'" });
+    assert.equal(job.state, 'succeeded');
+    assert.equal(job.attempts, 1);
+    assert.equal(job.result.quotesCreated, 1);
+  });
+
+  it('dead-letters a job whose retries are exhausted', { skip: app.skip }, async () => {
+    org.failNext('commitUnitOfWork', createSalesforceError('UNABLE_TO_LOCK_ROW', 'unable to obtain exclusive access to this record'), { times: 2 });
+    const job = await app.runJob('/api/executebatch', { soqlWhereClause: "Name = 'Deal US'" });
+    assert.equal(job.state, 'failed');
+    assert.equal(job.deadLettered, true);
+    assert.equal(job.attempts, 2);
+    const { body } = await app.request('GET', '/api/deadletters');
+    assert.ok(body.deadLetters.some(deadLetter => deadLetter.jobId === job.jobId));
+  });
+
+  it('dead-letters a job with an expired session without retrying', { skip: app.skip }, async () => {
+    const job = await app.runJob('/api/executebatch', { soqlWhereClause: "Name = 'Deal US'" }, { clientContext: { accessToken: 'expired-token' } });
+    assert.equal(job.state, 'failed');
+    assert.equal(job.deadLettered, true);
+    assert.equal(job.attempts, 1);
+    assert.match(job.error, /Session expired or invalid/);
+  });
+
+  it('recreates a sample dataset from scratch when a data job is retried', { skip: app.skip }, async () => {
+    org.failNextBulkJob('OpportunityLineItem', 'insert', 'ServerUnavailable : SERVER_UNAVAILABLE');
+    const job = await app.runJob('/api/data/create', { numberOfOpportunities: 3, seed: 11 });
+    assert.equal(job.state, 'succeeded');
+    assert.equal(job.attempts, 1);
+    const dataset = org.find('Opportunity', opportunity => opportunity.Sample_Dataset_Id__c === job.jobId);
+    assert.equal(dataset.length, 3);
+    assert.ok(org.find('OpportunityLineItem', lineItem => dataset.some(opportunity => opportunity.Id === lineItem.OpportunityId)).length > 0);
+  });
+
+  it('fails a job without retrying on a fatal error', { skip: app.skip }, async () => {
+    org.failNext('query', createSalesforceError('INVALID_FIELD', "No such column 'Bogus__c' on entity 'Opportunity'"));
+    const job = await app.runJob('/api/executebatch', { soqlWhereClause: "Name = 'Deal US'" });
+    assert.equal(job.state, 'failed');
+    assert.equal(job.attempts, 1);
+    assert.match(job.error, /Bogus__c/);
+  });
+
+  it('only fails the chunks whose records the org rejects', { skip: app.skip }, async () => {
+    const { opportunityId } = opportunities.get('DE');
+    removeRule = org.rejectRecords('QuoteLineItem', fields => org.getRecord(fields.QuoteId)?.fields.OpportunityId === opportunityId);
+    const job = await app.runJob('/api/executebatch', { soqlWhereClause: "Name LIKE 'Deal%'" });
+    assert.equal(job.state, 'partially_failed');
+    assert.equal(job.result.quotesCreated, opportunities.size - 1);
+    assert.equal(job.result.quotesFailed, 1);
+    assert.equal(job.result.chunksFailed, 1);
+    // The chunk commits all-or-nothing, its Quote was rolled back with the rejected line items
+    assert.equal(org.find('Quote', quote => quote.OpportunityId === opportunityId).length, 0);
+  });
+
+  it('defers jobs while the org is close to its daily API limit', { skip: app.skip }, async () => {
+    org.setApiUsage({ max: 1000, remaining: 10 });
+    const { body: { jobId } } = await app.request('POST', '/api/executebatch', { soqlWhereClause: "Name = 'Deal JP'" });
+    const deferred = await app.waitForJob(jobId, { until: job => job.deferrals, timeoutMs: 5000 });
+    assert.equal(deferred.state, 'queued');
+    assert.equal(org.find('Quote').length, 0);
+
+    org.setApiUsage({ max: 1000, remaining: 1000 });
+    const job = await app.waitForJob(jobId);
+    assert.equal(job.state, 'succeeded');
+    assert.equal(job.result.quotesCreated, 1);
+  });
+});
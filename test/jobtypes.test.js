@@ -0,0 +1,79 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import './support/env.js';
+import { createFakeOrg } from './support/fake-org.js';
+import { seedSalesData } from './support/fixtures.js';
+import { registerJobType, getJobType } from '../server/services/jobtypes.js';
+import { createOrgData } from '../server/services/orgdata.js';
+
+// Registered before the app is loaded, like the job types registered in jobtypes.js
+registerJobType({
+  name: 'opportunityCount',
+  async handler ({ stageName }, sfContext, logger) {
+    const count = await createOrgData(sfContext, logger).queryCount(`SELECT COUNT() FROM Opportunity WHERE StageName = '${stageName}'`);
+    return { recordsProcessed: count, recordsFailed: 0, stageName };
+  },
+  tags: [{ name: 'Reports', description: 'Reporting endpoints' }],
+  routes: [{
+    path: '/opportunities/count',
+    body: {
+      $id: 'OpportunityCountRequest',
+      type: 'object',
+      required: ['stageName'],
+      properties: {
+        stageName: { type: 'string' }
+      }
+    },
+    openapi: {
+      tags: ['Reports'],
+      summary: 'Count Opportunities',
+      operationId: 'countOpportunities',
+      'x-sfdc': { heroku: { authorization: { connectedApp: 'ReportsConnectedApp', permissionSet: 'ReportsPermissions' } } },
+      responses: { 400: 'Invalid stage' }
+    },
+    createPayload ({ stageName }) {
+      if (stageName.includes("'")) {
+        throw new Error('Invalid StageName.');
+      }
+      return { stageName };
+    }
+  }]
+});
+const { startApp } = await import('./support/app.js');
+
+const org = createFakeOrg();
+seedSalesData(org);
+const app = await startApp({ org });
+
+describe('job type registry', () => {
+  after(() => app.stop());
+
+  it('queues jobs of a registered job type on its generated route and runs its handler', { skip: app.skip }, async () => {
+    const job = await app.runJob('/api/opportunities/count', { stageName: 'Prospecting' });
+    assert.equal(job.jobType, 'opportunityCount');
+    assert.equal(job.state, 'succeeded');
+    assert.equal(job.result.recordsProcessed, org.find('Opportunity', opportunity => opportunity.StageName === 'Prospecting').length);
+    assert.equal(job.result.stageName, 'Prospecting');
+  });
+
+  it('rejects requests that fail the declared schema or createPayload', { skip: app.skip }, async () => {
+    assert.equal((await app.request('POST', '/api/opportunities/count', {})).statusCode, 400);
+    const { statusCode, body } = await app.request('POST', '/api/opportunities/count', { stageName: "x' OR Name != '" });
+    assert.equal(statusCode, 400);
+    assert.equal(body.error, 'Invalid StageName.');
+  });
+
+  it('documents the generated route with its declared metadata', { skip: app.skip }, async () => {
+    const { body: docs } = await app.request('GET', '/docs/json', undefined, { clientContext: false });
+    const operation = docs.paths['/api/opportunities/count'].post;
+    assert.equal(operation.operationId, 'countOpportunities');
+    assert.equal(operation['x-sfdc'].heroku.authorization.connectedApp, 'ReportsConnectedApp');
+    assert.equal(operation.responses[400].description, 'Invalid stage');
+    assert.ok(docs.components.schemas.OpportunityCountRequest);
+    assert.ok(docs.tags.some(tag => tag.name === 'Reports'));
+  });
+
+  it('refuses to register a job type twice', () => {
+    assert.throws(() => registerJobType({ ...getJobType('quote') }), /already registered/);
+  });
+});
@@ -0,0 +1,60 @@
+import { describe, it, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import './support/env.js';
+import { createFakeOrg, createSalesforceError } from './support/fake-org.js';
+import { seedSalesData } from './support/fixtures.js';
+import { createOrgData, getChildRecords, getField, getId } from '../server/services/orgdata.js';
+import logger from '../server/config/logger.js';
+import redisClient from '../server/config/redis.js';
+
+describe('org data access', () => {
+  let org;
+  let data;
+  let orgData;
+  beforeEach(() => {
+    org = createFakeOrg({ queryBatchSize: 2, bulkJobPolls: 1 });
+    data = seedSalesData(org);
+    orgData = createOrgData(org.createContext(), logger);
+  });
+  // Opened by the job services the module imports, no Redis is needed here
+  after(() => redisClient.disconnect());
+
+  it('reads fields, parent fields and subqueries of queried records', async () => {
+    const [opportunity] = await orgData.queryAll(`
+      SELECT Id, Account.BillingCountry, (SELECT Id FROM OpportunityLineItems), (SELECT Id FROM Quotes)
+      FROM Opportunity WHERE Name = 'Deal JP'`);
+    assert.equal(getId(opportunity), data.opportunities.get('JP').opportunityId);
+    assert.equal(getField(opportunity, 'account.billingcountry'), 'JP');
+    assert.equal(getField(opportunity, 'Owner.Name'), undefined);
+    assert.equal(getChildRecords(opportunity, 'OpportunityLineItems').length, data.catalog.entries.length);
+    assert.deepEqual(getChildRecords(opportunity, 'Quotes'), []);
+  });
+
+  it('pages through query results', async () => {
+    const pages = [];
+    for await (const page of orgData.queryPages("SELECT Id FROM Opportunity WHERE Name LIKE 'Deal%'")) {
+      pages.push(page.length);
+    }
+    assert.deepEqual(pages, [2, 2]);
+    assert.equal(await orgData.queryCount("SELECT COUNT() FROM Opportunity WHERE Name LIKE 'Deal%'"), 4);
+  });
+
+  it('ingests records and returns their IDs and failures', async () => {
+    const { opportunityId } = data.opportunities.get('US');
+    const outcome = await orgData.bulkIngest('Quote', 'insert', [
+      { Name: 'Bulk Quote', OpportunityId: opportunityId },
+      { Name: 'Orphan Quote', OpportunityId: '006000000000999AAA' }
+    ]);
+    assert.equal(outcome.processed, 2);
+    assert.equal(outcome.failed, 1);
+    assert.deepEqual(outcome.successes.map(({ id, record }) => [org.getRecord(id).fields.Name, record.Name]), [['Bulk Quote', 'Bulk Quote']]);
+    assert.equal(outcome.failures[0].record.Name, 'Orphan Quote');
+    assert.match(outcome.failures[0].error, /^INVALID_CROSS_REFERENCE_KEY/);
+  });
+
+  it('throws when records cannot be uploaded, with the Bulk API error as its cause', async () => {
+    org.failNext('ingest', createSalesforceError('REQUEST_LIMIT_EXCEEDED', 'TotalRequests Limit exceeded.'));
+    await assert.rejects(orgData.bulkIngest('Account', 'insert', [{ Name: 'Account' }]), (err) => err.cause?.errorCode === 'REQUEST_LIMIT_EXCEEDED');
+    assert.equal(org.find('Account', account => account.Name === 'Account').length, 0);
+  });
+});
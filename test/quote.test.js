@@ -0,0 +1,221 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { randomUUID } from 'node:crypto';
+import { createFakeOrg } from './support/fake-org.js';
+import { seedSalesData, seedOpportunity, seedPricebook } from './support/fixtures.js';
+
+// Dry run reports list two Quotes and count the rest
+process.env.DRY_RUN_REPORT_MAX_QUOTES = '2';
+const { startApp } = await import('./support/app.js');
+const { completeJob, createJob, getJob, markJobRunning, requestJobCancel } = await import('../server/services/jobs.js');
+const { default: redisClient } = await import('../server/config/redis.js');
+
+const org = createFakeOrg();
+const { catalog, opportunities } = seedSalesData(org);
+// A partner Pricebook without the Support Plan
+const partnerCatalog = seedPricebook(org, catalog, { name: 'Partner Price Book', prices: { Widget: 80, Gadget: 200 } });
+const app = await startApp({ org });
+
+function quotesOf (opportunityId) {
+  return org.find('Quote', quote => quote.OpportunityId === opportunityId);
+}
+
+function lineItemsOf (quoteId) {
+  return org.find('QuoteLineItem', lineItem => lineItem.QuoteId === quoteId);
+}
+
+describe('quote jobs', () => {
+  after(() => app.stop());
+
+  it('rejects requests without a Salesforce context', { skip: app.skip }, async () => {
+    const { statusCode } = await app.request('POST', '/api/executebatch', { soqlWhereClause: "Name LIKE 'Deal%'" }, { clientContext: false });
+    assert.equal(statusCode, 401);
+  });
+
+  it('rejects unsafe selections before queuing a job', { skip: app.skip }, async () => {
+    const { statusCode } = await app.request('POST', '/api/executebatch', { soqlWhereClause: "Name = 'x') OR (Id != null" });
+    assert.equal(statusCode, 400);
+  });
+
+  it('rejects Apex callback targets outside the Apex REST endpoints', { skip: app.skip }, async () => {
+    const { statusCode } = await app.request('POST', '/api/executebatch', { soqlWhereClause: "Name = 'Deal US'", callback: { type: 'apex', target: '../../sobjects/User' } });
+    assert.equal(statusCode, 400);
+  });
+
+  it('reports what a dry run would create without writing', { skip: app.skip }, async () => {
+    const job = await app.runJob('/api/executebatch', { soqlWhereClause: "Name = 'Deal US'", dryRun: true });
+    assert.equal(job.state, 'succeeded');
+    assert.equal(job.result.report.quotes.length, 1);
+    assert.equal(job.result.report.quotes[0].lineItems.length, catalog.entries.length);
+    assert.equal(org.find('Quote').length, 0);
+  });
+
+  it('caps the Quotes a dry run report lists, but totals all of them', { skip: app.skip }, async () => {
+    for (let i = 1; i <= 3; i++) {
+      seedOpportunity(org, catalog, { name: `Preview ${i}`, billingCountry: 'US' });
+    }
+    const job = await app.runJob('/api/executebatch', { soqlWhereClause: "Name LIKE 'Preview%'", dryRun: true });
+    assert.equal(job.state, 'succeeded');
+    assert.equal(job.result.report.quotes.length, 2);
+    assert.equal(job.result.report.quotesTruncated, 1);
+    const listTotal = catalog.entries.reduce((total, entry) => total + entry.unitPrice, 0);
+    assert.equal(job.result.report.totalOriginalAmount, 3 * listTotal);
+  });
+
+  it('creates a Quote per Opportunity, priced by the billing country of its Account', { skip: app.skip }, async () => {
+    const job = await app.runJob('/api/executebatch', { soqlWhereClause: "Name LIKE 'Deal%'" });
+    assert.equal(job.state, 'succeeded');
+    assert.equal(job.result.path, 'unitOfWork');
+    assert.equal(job.result.quotesCreated, opportunities.size);
+
+    const discounts = { US: 0.1, DE: 0.15, JP: 0.08, BR: 0.05 };
+    for (const [billingCountry, { opportunityId }] of opportunities) {
+      const [quote] = quotesOf(opportunityId);
+      assert.equal(quote.Pricing_Engine_Job_Id__c, job.jobId);
+      assert.equal(quote.Pricebook2Id, catalog.pricebookId);
+      const lineItems = lineItemsOf(quote.Id);
+      assert.equal(lineItems.length, catalog.entries.length);
+      for (const lineItem of lineItems) {
+        const entry = catalog.entries.find(candidate => candidate.id === lineItem.PricebookEntryId);
+        assert.equal(lineItem.UnitPrice, entry.unitPrice * (1 - discounts[billingCountry]), `${billingCountry} ${entry.name}`);
+      }
+    }
+  });
+
+  it('skips Opportunities that already have a generated Quote by default', { skip: app.skip }, async () => {
+    const job = await app.runJob('/api/executebatch', { soqlWhereClause: "Name LIKE 'Deal%'" });
+    assert.equal(job.state, 'succeeded');
+    assert.equal(job.result.quotesCreated, 0);
+    assert.equal(job.result.quotesSkipped, opportunities.size);
+    assert.equal(quotesOf(opportunities.get('US').opportunityId).length, 1);
+  });
+
+  it('replaces draft Quotes with the replace strategy', { skip: app.skip }, async () => {
+    const { opportunityId } = opportunities.get('DE');
+    const [previous] = quotesOf(opportunityId);
+    const job = await app.runJob('/api/executebatch', { soqlWhereClause: "Name = 'Deal DE'", existingQuoteStrategy: 'replace' });
+    assert.equal(job.state, 'succeeded');
+    assert.equal(job.result.quotesReplaced, 1);
+    const quotes = quotesOf(opportunityId);
+    assert.equal(quotes.length, 1);
+    assert.notEqual(quotes[0].Id, previous.Id);
+    assert.equal(lineItemsOf(previous.Id).length, 0);
+  });
+
+  it('applies the volume discount to large EMEA line items', { skip: app.skip }, async () => {
+    const { opportunityId } = seedOpportunity(org, catalog, { name: 'Volume DE', billingCountry: 'DE', quantity: 50 });
+    const job = await app.runJob('/api/executebatch', { soqlWhereClause: "Name = 'Volume DE'" });
+    assert.equal(job.state, 'succeeded');
+    const [quote] = quotesOf(opportunityId);
+    assert.deepEqual(lineItemsOf(quote.Id).map(lineItem => lineItem.UnitPrice).sort((a, b) => a - b),
+      catalog.entries.map(entry => entry.unitPrice * 0.8).sort((a, b) => a - b));
+  });
+
+  it('attaches a PDF of each created Quote when generateDocuments is set', { skip: app.skip }, async () => {
+    const { opportunityId } = opportunities.get('JP');
+    const job = await app.runJob('/api/executebatch', { soqlWhereClause: "Name = 'Deal JP'", existingQuoteStrategy: 'version', generateDocuments: true });
+    assert.equal(job.state, 'succeeded');
+    assert.equal(job.result.documentsCreated, 1);
+    const quote = quotesOf(opportunityId).find(candidate => candidate.Pricing_Engine_Job_Id__c === job.jobId);
+    const [document] = org.find('QuoteDocument', candidate => candidate.QuoteId === quote.Id);
+    const pdf = Buffer.from(document.Document, 'base64').toString('latin1');
+    assert.match(pdf, /^%PDF-1\.4/);
+    assert.match(pdf, /\(Deal JP\) Tj/);
+  });
+
+  it('attaches the PDFs as files with the ContentVersion document type', { skip: app.skip }, async () => {
+    const { opportunityId } = opportunities.get('BR');
+    const job = await app.runJob('/api/executebatch', { soqlWhereClause: "Name = 'Deal BR'", existingQuoteStrategy: 'version', generateDocuments: true, documentType: 'ContentVersion' });
+    assert.equal(job.state, 'succeeded');
+    const quote = quotesOf(opportunityId).find(candidate => candidate.Pricing_Engine_Job_Id__c === job.jobId);
+    const [file] = org.find('ContentVersion', candidate => candidate.FirstPublishLocationId === quote.Id);
+    assert.equal(file.PathOnClient, 'New Quote v2.pdf');
+    assert.match(Buffer.from(file.VersionData, 'base64').toString('latin1'), /^%PDF-1\.4/);
+    assert.equal(org.find('QuoteDocument', candidate => candidate.QuoteId === quote.Id).length, 0);
+  });
+
+  it('quotes an Opportunity from its own Pricebook', { skip: app.skip }, async () => {
+    const { opportunityId } = seedOpportunity(org, partnerCatalog, { name: 'Partner US', billingCountry: 'US', fields: { Pricebook2Id: partnerCatalog.pricebookId } });
+    const job = await app.runJob('/api/executebatch', { soqlWhereClause: "Name = 'Partner US'" });
+    assert.equal(job.state, 'succeeded');
+    const [quote] = quotesOf(opportunityId);
+    assert.equal(quote.Pricebook2Id, partnerCatalog.pricebookId);
+    assert.deepEqual(lineItemsOf(quote.Id).map(lineItem => [lineItem.PricebookEntryId, lineItem.UnitPrice]).sort(),
+      partnerCatalog.entries.map(entry => [entry.id, entry.unitPrice * 0.9]).sort());
+  });
+
+  it('maps line items to the entries of the requested Pricebook, reporting those without one', { skip: app.skip }, async () => {
+    const { opportunityId } = opportunities.get('US');
+    const supportPlan = catalog.entries.find(entry => entry.name === 'Support Plan');
+    const job = await app.runJob('/api/executebatch', { soqlWhereClause: "Name = 'Deal US'", existingQuoteStrategy: 'version', pricebookId: partnerCatalog.pricebookId });
+    assert.equal(job.state, 'partially_failed');
+    assert.equal(job.result.quotesCreated, 1);
+    assert.equal(job.result.lineItemsIncompatible, 1);
+    assert.equal(job.result.incompatibleLineItems[0].OpportunityId, opportunityId);
+    assert.equal(job.result.incompatibleLineItems[0].Product2Id, supportPlan.productId);
+    const quote = quotesOf(opportunityId).find(candidate => candidate.Pricing_Engine_Job_Id__c === job.jobId);
+    assert.equal(quote.Pricebook2Id, partnerCatalog.pricebookId);
+    // Line items are priced at the list price of the requested Pricebook
+    assert.deepEqual(lineItemsOf(quote.Id).map(lineItem => [lineItem.PricebookEntryId, lineItem.UnitPrice]).sort(),
+      partnerCatalog.entries.map(entry => [entry.id, entry.unitPrice * 0.9]).sort());
+  });
+
+  it('fails jobs that name an unknown Pricebook or a currency in a single-currency org', { skip: app.skip }, async () => {
+    const pricebookJob = await app.runJob('/api/executebatch', { soqlWhereClause: "Name = 'Deal US'", pricebookId: '01s000000000999AAA' });
+    assert.equal(pricebookJob.state, 'failed');
+    assert.match(pricebookJob.error, /Pricebook2 01s000000000999AAA was not found/);
+    const currencyJob = await app.runJob('/api/executebatch', { soqlWhereClause: "Name = 'Deal US'", currencyIsoCode: 'EUR' });
+    assert.equal(currencyJob.state, 'failed');
+    assert.match(currencyJob.error, /requires an org with multiple currencies/);
+  });
+
+  it('only shows a job to the org that submitted it', { skip: app.skip }, async () => {
+    const job = await app.runJob('/api/executebatch', { soqlWhereClause: "Name = 'Deal JP'", dryRun: true });
+    const { statusCode } = await app.request('GET', `/api/jobs/${job.jobId}`, undefined, { clientContext: { orgId: '00D000000000999AAA' } });
+    assert.equal(statusCode, 404);
+  });
+
+  it('hides jobs that were recorded without an org', { skip: app.skip }, async () => {
+    const jobId = randomUUID();
+    await createJob({ jobId, jobType: 'quote' });
+    for (const [method, path] of [['GET', `/api/jobs/${jobId}`], ['GET', `/api/jobs/${jobId}/logs`], ['POST', `/api/jobs/${jobId}/cancel`]]) {
+      const { statusCode } = await app.request(method, path, method === 'POST' ? {} : undefined);
+      assert.equal(statusCode, 404);
+    }
+  });
+
+  it('cancels waiting jobs straight away, flags running ones and leaves finished ones alone', { skip: app.skip }, async () => {
+    const [queuedId, runningId, finishedId] = [randomUUID(), randomUUID(), randomUUID()];
+    for (const jobId of [queuedId, runningId, finishedId]) {
+      await createJob({ jobId, jobType: 'quote' });
+    }
+    await markJobRunning(runningId);
+    await completeJob(finishedId, {});
+
+    assert.equal(await requestJobCancel(queuedId), 'cancelled');
+    assert.equal(await requestJobCancel(runningId), 'running');
+    assert.equal(await requestJobCancel(finishedId), 'succeeded');
+    assert.equal(await requestJobCancel(randomUUID()), null);
+
+    const [queued, running, finished] = await Promise.all([queuedId, runningId, finishedId].map(getJob));
+    assert.equal(queued.state, 'cancelled');
+    assert.equal(queued.finishedAt, queued.cancelRequestedAt);
+    assert.equal(running.state, 'running');
+    assert.ok(running.cancelRequestedAt);
+    assert.equal(finished.state, 'succeeded');
+    assert.equal(finished.cancelRequestedAt, undefined);
+  });
+
+  it('requires schedules to name an authorization and never stores the session', { skip: app.skip }, async () => {
+    const definition = { cron: '0 2 * * *', soqlWhereClause: "Name = 'Deal US'" };
+    const { statusCode } = await app.request('POST', '/api/schedules', definition);
+    assert.equal(statusCode, 400);
+
+    const created = await app.request('POST', '/api/schedules', { ...definition, authorization: 'nightly-auth' });
+    assert.equal(created.statusCode, 201);
+    const stored = await redisClient.hgetall(`schedule:${created.body.scheduleId}`);
+    assert.deepEqual(Object.keys(stored), ['schedule']);
+    assert.doesNotMatch(stored.schedule, /accessToken/);
+    await app.request('DELETE', `/api/schedules/${created.body.scheduleId}`);
+  });
+});
@@ -0,0 +1,70 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import './support/env.js';
+import { loadQuoteTemplate, normalizeTemplate, renderQuotePdf, renderText } from '../server/services/quotepdf.js';
+
+const template = await loadQuoteTemplate();
+
+function quoteData (lineItemCount) {
+  const lineItems = Array.from({ length: lineItemCount }, (_, index) => ({
+    product: `Product ${index + 1}`,
+    quantity: 2,
+    listPrice: 100,
+    unitPrice: 90,
+    discount: 0.1,
+    total: 180
+  }));
+  return {
+    quote: { id: '0Q0000000000001AAA', name: 'New Quote', expirationDate: '2025-07-31' },
+    opportunity: { name: 'Deal (US)' },
+    account: { name: 'Account US' },
+    lineItems,
+    totals: { listTotal: 200 * lineItemCount, discount: 20 * lineItemCount, total: 180 * lineItemCount },
+    generatedAt: '2025-07-01T12:00:00.000Z'
+  };
+}
+
+describe('quote PDFs', () => {
+  it('fills in placeholders with the template locale and currency', () => {
+    const data = quoteData(1);
+    assert.equal(renderText('{{ opportunity.name }} until {{quote.expirationDate | date}}', data, template), 'Deal (US) until Jul 31, 2025');
+    assert.equal(renderText('{{totals.total | currency}} ({{lineItems.0.discount | percent}})', data, template), '$180.00 (10%)');
+    assert.equal(renderText('{{quote.missing}}', data, template), '');
+    const euro = normalizeTemplate({ locale: 'de-DE', currency: 'EUR', lineItems: { columns: [{ label: 'Product', value: '{{lineItem.product}}' }] } }, 'test');
+    assert.equal(renderText('{{totals.total | currency}}', data, euro), '180,00\u00a0€');
+    // Quotes of multi-currency orgs are formatted in their own currency
+    assert.equal(renderText('{{totals.total | currency}}', { ...data, quote: { ...data.quote, currencyIsoCode: 'EUR' } }, template), '€180.00');
+  });
+
+  it('rejects templates it cannot render', () => {
+    assert.throws(() => normalizeTemplate({ lineItems: { columns: [] } }, 'test'), /non-empty lineItems.columns/);
+    assert.throws(() => normalizeTemplate({ page: { size: 'A3' }, lineItems: template.lineItems }, 'test'), /unknown page size 'A3'/);
+    assert.throws(() => normalizeTemplate({ lineItems: { columns: [{ label: 'Total', value: '{{lineItem.total | money}}' }] } }, 'test'), /unknown format 'money'/);
+    assert.throws(() => normalizeTemplate({ lineItems: { columns: [{ label: 'Product', width: 600 }] } }, 'test'), /wider than the A4 page/);
+  });
+
+  it('renders the Quote and its line items as PDF text', () => {
+    const pdf = renderQuotePdf(template, quoteData(2)).toString('latin1');
+    assert.match(pdf, /^%PDF-1\.4\n/);
+    assert.match(pdf, /\/Count 1 >>/);
+    // Parentheses are escaped in PDF strings
+    assert.match(pdf, /\(Deal \\\(US\\\)\) Tj/);
+    assert.match(pdf, /\(Product 2\) Tj/);
+    assert.match(pdf, /\(\$360\.00\) Tj/);
+  });
+
+  it('continues long tables on further pages, repeating their header row', () => {
+    const pdf = renderQuotePdf(template, quoteData(100)).toString('latin1');
+    assert.match(pdf, /\/Count 3 >>/);
+    assert.equal(pdf.match(/\(List price\) Tj/g).length, 3);
+    assert.match(pdf, /\(Product 100\) Tj/);
+  });
+
+  it('writes characters outside ASCII in WinAnsiEncoding', () => {
+    const euro = normalizeTemplate({ ...template, locale: 'de-DE', currency: 'EUR' }, 'test');
+    const pdf = renderQuotePdf(euro, { ...quoteData(1), account: { name: 'Müller GmbH ☃' } }).toString('latin1');
+    assert.match(pdf, /\(M\\374ller GmbH \?\) Tj/);
+    // The locale separates the currency symbol with a no-break space
+    assert.match(pdf, /\(180,00\\240\\200\) Tj/);
+  });
+});
@@ -0,0 +1,71 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import './support/env.js';
+import { compileFilter, validateWhereClause } from '../server/services/soql.js';
+
+describe('SOQL WHERE clause validation', () => {
+  it('accepts comparisons on allowlisted fields with literals of their type', () => {
+    const clause = "(StageName IN ('Prospecting', 'Closed Won') OR Amount >= 1000.50) AND CloseDate = THIS_QUARTER " +
+      "AND NOT IsClosed = TRUE AND CreatedDate > 2030-01-15T00:00:00Z AND Account.BillingCountry LIKE 'U%' AND OwnerId != null";
+    assert.equal(validateWhereClause(` ${clause} `), clause);
+  });
+
+  it('rejects subqueries', () => {
+    assert.throws(() => validateWhereClause("AccountId IN (SELECT Id FROM Account WHERE Name = 'Acme')"), /Subqueries are not allowed/);
+  });
+
+  it('rejects semicolons', () => {
+    assert.throws(() => validateWhereClause("Name = 'Acme'; DELETE"), /Semicolons are not allowed \(position 13\)/);
+  });
+
+  it('rejects bind variables', () => {
+    assert.throws(() => validateWhereClause('Name = :accountName'), /Bind variables are not allowed \(position 7\)/);
+  });
+
+  for (const suffix of ['LIMIT 10', 'ORDER BY Name', 'FOR UPDATE']) {
+    it(`rejects ${suffix} appended after the clause`, () => {
+      const keyword = suffix.split(' ')[0];
+      assert.throws(() => validateWhereClause(`Name LIKE 'Sample%' ${suffix}`), new RegExp(`${keyword} is not allowed in the WHERE clause`));
+    });
+  }
+
+  it('rejects fields outside the allowlist', () => {
+    assert.throws(() => validateWhereClause("Description = 'Acme'"), /Field 'Description' at position 0 cannot be filtered on/);
+    assert.throws(() => validateWhereClause("Account.Owner.Email = 'a@example.com'"), /cannot be filtered on/);
+  });
+
+  it('rejects forbidden keywords', () => {
+    for (const keyword of ['GROUP BY Name', 'HAVING COUNT(Id) > 1', 'WITH SECURITY_ENFORCED', 'OFFSET 5', 'USING SCOPE Mine']) {
+      assert.throws(() => validateWhereClause(`Name = 'Acme' ${keyword}`), /is not allowed in the WHERE clause/, keyword);
+    }
+  });
+
+  it('rejects literals that do not match the field type', () => {
+    assert.throws(() => validateWhereClause("Amount > 'x'"), /Expected a number value for Amount/);
+    assert.throws(() => validateWhereClause('Name = 42'), /Expected a string value for Name/);
+    assert.throws(() => validateWhereClause("IsWon = 'true'"), /Expected a boolean value for IsWon/);
+    assert.throws(() => validateWhereClause('CloseDate < 2030-01-15T00:00:00Z'), /Expected a date value for CloseDate/);
+    assert.throws(() => validateWhereClause("StageName IN ('Prospecting', 5)"), /Expected a string value for StageName/);
+    assert.throws(() => validateWhereClause("Amount LIKE '1%'"), /LIKE requires a string field/);
+  });
+});
+
+describe('structured filters', () => {
+  it('escapes quotes and backslashes in string values', () => {
+    const clause = compileFilter({ conditions: [{ field: 'Name', operator: 'equals', value: "O'Brien \\' OR Name != '" }] });
+    assert.equal(clause, "Name = 'O\\'Brien \\\\\\' OR Name != \\''");
+    // The compiled clause round-trips through the parser as a single condition
+    assert.equal(validateWhereClause(clause), clause);
+  });
+
+  it('escapes values in LIKE and IN conditions', () => {
+    const clause = compileFilter({
+      logic: 'or',
+      conditions: [
+        { field: 'Account.Name', operator: 'like', value: "Bob's\\%" },
+        { field: 'StageName', operator: 'in', value: ["Won't", 'a\\b'] }
+      ]
+    });
+    assert.equal(clause, "(Account.Name LIKE 'Bob\\'s\\\\%') OR (StageName IN ('Won\\'t', 'a\\\\b'))");
+  });
+});
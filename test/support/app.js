@@ -0,0 +1,120 @@
+'use strict';
+
+import './env.js';
+import { setTimeout as sleep } from 'node:timers/promises';
+import fastify from '../../server/index.js';
+import { startWorker, shutdown } from '../../server/worker.js';
+import redisClient from '../../server/config/redis.js';
+import { createFakeOrg } from './fake-org.js';
+
+const FINAL_STATES = ['succeeded', 'partially_failed', 'failed', 'cancelled', 'timed_out'];
+const REDIS_CONNECT_TIMEOUT_MS = 2000;
+
+async function connectRedis () {
+  try {
+    await Promise.race([
+      redisClient.ping(),
+      sleep(REDIS_CONNECT_TIMEOUT_MS).then(() => {
+        throw new Error(`no answer within ${REDIS_CONNECT_TIMEOUT_MS}ms`);
+      })
+    ]);
+    return null;
+  } catch (err) {
+    redisClient.disconnect();
+    return `Redis is not reachable at ${process.env.REDIS_URL} (${err.message})`;
+  }
+}
+
+// Without Redis the end-to-end tests are skipped locally, but a CI run or an explicit TEST_REDIS_URL expects them to run
+function requiresRedis () {
+  return Boolean(process.env.TEST_REDIS_URL) || Boolean(process.env.CI && process.env.CI !== 'false');
+}
+
+/**
+ * Starts the web app and a worker against a fake org, on an emptied Redis database. Each test file
+ * runs in its own process and starts the app once, as the worker closes the shared Redis connection
+ * when it stops.
+ * @param {object} [options]
+ * @param {object} [options.org] - The fake org jobs run against, defaults to an empty one.
+ * @returns {Promise<object>} - The running app. When Redis is not reachable, {skip} with the reason to
+ *   pass to each test's skip option, unless TEST_REDIS_URL or CI is set, in which case it throws.
+ */
+async function startApp ({ org = createFakeOrg() } = {}) {
+  const unreachable = await connectRedis();
+  if (unreachable && requiresRedis()) {
+    throw new Error(`${unreachable}. The end-to-end tests need Redis when TEST_REDIS_URL or CI is set.`);
+  }
+  if (unreachable) {
+    return { skip: `${unreachable}, set TEST_REDIS_URL to run the end-to-end tests`, stop: () => {} };
+  }
+  await redisClient.flushdb();
+  await fastify.ready();
+  const worker = startWorker({ createContext: (context, jobId) => org.createContext(context, jobId) });
+
+  /**
+   * Sends a request to the app as the fake org's user.
+   * @param {string} method - The HTTP method.
+   * @param {string} url - The path, e.g. /api/executebatch.
+   * @param {object} [payload] - The JSON body.
+   * @param {object} [options]
+   * @param {object|false} [options.clientContext] - Overrides for the x-client-context header, false to leave it out.
+   * @returns {Promise<{statusCode: number, body: object}>}
+   */
+  async function request (method, url, payload, { clientContext = {} } = {}) {
+    const response = await fastify.inject({
+      method,
+      url,
+      payload,
+      headers: clientContext ? { 'x-client-context': org.clientContextHeader(clientContext) } : {}
+    });
+    return { statusCode: response.statusCode, body: response.body ? response.json() : undefined };
+  }
+
+  /**
+   * Polls the status of a job until it reaches a final state, or matches a condition.
+   * @param {string} jobId - The job ID.
+   * @param {object} [options]
+   * @param {function(object): boolean} [options.until] - Receives the job status, defaults to reaching a final state.
+   * @param {number} [options.timeoutMs] - How long to wait before failing the test.
+   * @returns {Promise<object>} - The job status.
+   */
+  async function waitForJob (jobId, { until = job => FINAL_STATES.includes(job?.state), timeoutMs = 15000 } = {}) {
+    const deadline = Date.now() + timeoutMs;
+    let job;
+    while (Date.now() < deadline) {
+      ({ body: job } = await request('GET', `/api/jobs/${jobId}`));
+      if (until(job)) {
+        return job;
+      }
+      await sleep(50);
+    }
+    throw new Error(`Job ${jobId} did not reach the expected state within ${timeoutMs}ms, last status: ${JSON.stringify(job)}`);
+  }
+
+  /**
+   * Submits a job and waits for it to finish.
+   * @param {string} url - The submit endpoint, e.g. /api/executebatch.
+   * @param {object} payload - The request body.
+   * @param {object} [options] - Request options, see request.
+   * @returns {Promise<object>} - The final job status.
+   */
+  async function runJob (url, payload, options) {
+    const { statusCode, body } = await request('POST', url, payload, options);
+    if (statusCode !== 202) {
+      throw new Error(`POST ${url} answered ${statusCode}: ${JSON.stringify(body)}`);
+    }
+    return waitForJob(body.jobId);
+  }
+
+  async function stop () {
+    shutdown('test');
+    await worker;
+    await fastify.close();
+  }
+
+  return { org, request, waitForJob, runJob, stop };
+}
+
+export {
+  startApp
+};
@@ -0,0 +1,26 @@
+'use strict';
+
+// Imported before the server modules, which read their configuration when first loaded.
+// Intervals are shortened so jobs, retries and cancellations complete within a test.
+const defaults = {
+  // Flushed before each test file, keep it apart from the database used for local development
+  REDIS_URL: process.env.TEST_REDIS_URL || 'redis://127.0.0.1:6379/15',
+  LOG_LEVEL: 'silent',
+  JOB_RETRY_BASE_DELAY_MS: '100',
+  JOB_RETRY_MAX_DELAY_MS: '500',
+  JOB_CANCEL_CHECK_INTERVAL_MS: '100',
+  BULK_POLL_INTERVAL_MS: '50',
+  BULK_POLL_MAX_INTERVAL_MS: '100',
+  API_LIMITS_REFRESH_MS: '100',
+  API_THROTTLE_MAX_DELAY_MS: '100',
+  API_LIMIT_DEFER_MS: '300',
+  WORKER_HEARTBEAT_INTERVAL_MS: '1000',
+  WORKER_SHUTDOWN_GRACE_MS: '1000',
+  METRICS_PUBLISH_INTERVAL_MS: '60000',
+  SCHEDULE_POLL_INTERVAL_MS: '60000',
+  PRICING_RULES_SOURCE: 'file'
+};
+
+for (const [name, value] of Object.entries(defaults)) {
+  process.env[name] = name === 'REDIS_URL' ? value : process.env[name] ?? value;
+}
@@ -0,0 +1,972 @@
+'use strict';
+
+import { UnitOfWorkImpl } from '@heroku/applink/dist/sdk/unit-of-work.js';
+import { createBulkApi } from '@heroku/applink/dist/sdk/bulk-api.js';
+import { createCaseInsensitiveMap } from '@heroku/applink/dist/utils/maps.js';
+import { parseQuery, selectRecords } from './fake-soql.js';
+
+// The standard objects the services read and write, with the fields the fake org accepts for them.
+// Custom fields (__c) are accepted on every object, custom objects and Platform Events with any field.
+const SOBJECTS = {
+  Organization: { prefix: '00D', fields: ['Name'], required: [] },
+  Account: { prefix: '001', fields: ['Name', 'BillingCountry', 'Industry', 'Type'], required: ['Name'] },
+  Product2: { prefix: '01t', fields: ['Name', 'ProductCode', 'Family', 'IsActive', 'Description'], required: ['Name'] },
+  Pricebook2: { prefix: '01s', fields: ['Name', 'IsStandard', 'IsActive', 'Description'], required: ['Name'] },
+  PricebookEntry: {
+    prefix: '01u',
+    fields: ['Pricebook2Id', 'Product2Id', 'UnitPrice', 'IsActive', 'UseStandardPrice', 'CurrencyIsoCode'],
+    required: ['Pricebook2Id', 'Product2Id', 'UnitPrice']
+  },
+  Opportunity: {
+    prefix: '006',
+    fields: ['Name', 'AccountId', 'Pricebook2Id', 'Amount', 'Probability', 'CloseDate', 'StageName', 'Type', 'LeadSource', 'ForecastCategoryName', 'CurrencyIsoCode', 'IsClosed', 'IsWon'],
+    required: ['Name', 'StageName', 'CloseDate']
+  },
+  OpportunityLineItem: {
+    prefix: '00k',
+    fields: ['OpportunityId', 'PricebookEntryId', 'Product2Id', 'Quantity', 'UnitPrice', 'ListPrice', 'TotalPrice', 'Discount', 'Description', 'ServiceDate', 'CurrencyIsoCode'],
+    required: ['OpportunityId', 'PricebookEntryId', 'Quantity', 'UnitPrice']
+  },
+  Quote: {
+    prefix: '0Q0',
+    fields: ['Name', 'OpportunityId', 'Pricebook2Id', 'AccountId', 'ExpirationDate', 'Status', 'Description', 'CurrencyIsoCode', 'LineItemCount', 'Subtotal', 'TotalPrice', 'GrandTotal'],
+    required: ['Name', 'OpportunityId']
+  },
+  QuoteLineItem: {
+    prefix: '0QL',
+    fields: ['QuoteId', 'PricebookEntryId', 'Product2Id', 'Quantity', 'UnitPrice', 'ListPrice', 'TotalPrice', 'Discount', 'Description', 'ServiceDate', 'CurrencyIsoCode'],
+    required: ['QuoteId', 'PricebookEntryId', 'Quantity', 'UnitPrice']
+  },
+  QuoteDocument: { prefix: '0QD', fields: ['QuoteId', 'Name', 'Document'], required: ['QuoteId', 'Document'] },
+  ContentVersion: {
+    prefix: '068',
+    fields: ['Title', 'PathOnClient', 'VersionData', 'FirstPublishLocationId', 'ContentDocumentId'],
+    required: ['Title', 'PathOnClient', 'VersionData']
+  },
+  // Only orgs with multiple currencies enabled have these
+  CurrencyType: {
+    prefix: '02V',
+    fields: ['IsoCode', 'ConversionRate', 'DecimalPlaces', 'IsActive', 'IsCorporate'],
+    required: ['IsoCode', 'ConversionRate'],
+    multiCurrency: true
+  },
+  DatedConversionRate: {
+    prefix: '04w',
+    fields: ['IsoCode', 'ConversionRate', 'StartDate', 'NextStartDate'],
+    required: ['IsoCode', 'ConversionRate', 'StartDate'],
+    multiCurrency: true
+  }
+};
+// Fields every record has, set by the fake org
+const SYSTEM_FIELDS = ['Id', 'CreatedDate', 'LastModifiedDate'];
+
+// Child relationships, used by subqueries. Children marked cascade are deleted with their parent.
+const CHILD_RELATIONSHIPS = {
+  Account: { Opportunities: { type: 'Opportunity', field: 'AccountId', cascade: true } },
+  Pricebook2: { PricebookEntries: { type: 'PricebookEntry', field: 'Pricebook2Id', cascade: true } },
+  Opportunity: {
+    OpportunityLineItems: { type: 'OpportunityLineItem', field: 'OpportunityId', cascade: true },
+    Quotes: { type: 'Quote', field: 'OpportunityId', cascade: true }
+  },
+  Quote: {
+    QuoteLineItems: { type: 'QuoteLineItem', field: 'QuoteId', cascade: true },
+    QuoteDocuments: { type: 'QuoteDocument', field: 'QuoteId', cascade: true }
+  }
+};
+
+// Formula and roll-up fields, calculated when read and rejected when written
+const sumOf = (records, field) => records.reduce((total, record) => total + (Number(record.fields[field]) || 0), 0);
+const DERIVED_FIELDS = {
+  Opportunity: {
+    IsClosed: (org, record) => /^Closed/i.test(record.fields.StageName || ''),
+    IsWon: (org, record) => /^Closed Won$/i.test(record.fields.StageName || '')
+  },
+  OpportunityLineItem: { TotalPrice: (org, record) => record.fields.Quantity * record.fields.UnitPrice },
+  Quote: {
+    AccountId: (org, record) => org.getRecord(record.fields.OpportunityId)?.fields.AccountId ?? null,
+    LineItemCount: (org, record) => org.getChildren(record, 'QuoteLineItems').length,
+    Subtotal: (org, record) => sumOf(org.getChildren(record, 'QuoteLineItems').map(item => org.withDerivedFields(item)), 'TotalPrice'),
+    TotalPrice: (org, record) => DERIVED_FIELDS.Quote.Subtotal(org, record),
+    GrandTotal: (org, record) => DERIVED_FIELDS.Quote.Subtotal(org, record)
+  },
+  QuoteLineItem: { TotalPrice: (org, record) => record.fields.Quantity * record.fields.UnitPrice }
+};
+// Opportunities with line items report their total as Amount
+const rollUpAmount = (org, record) => {
+  const lineItems = org.getChildren(record, 'OpportunityLineItems');
+  return lineItems.length > 0 ? sumOf(lineItems.map(item => org.withDerivedFields(item)), 'TotalPrice') : record.fields.Amount ?? null;
+};
+
+const BULK_OPERATIONS = ['insert', 'update', 'upsert', 'delete', 'hardDelete'];
+const BULK_FINAL_STATES = ['JobComplete', 'Failed', 'Aborted'];
+// The Composite Graph API accepts at most this many nodes per graph
+const MAX_GRAPH_NODES = 500;
+
+/**
+ * Creates an error shaped like the ones the SDK rejects with for failed REST API calls.
+ * @param {string} errorCode - The Salesforce error code, e.g. UNABLE_TO_LOCK_ROW.
+ * @param {string} message - The error message.
+ * @param {Array<string>} [fields] - The fields the error is about.
+ * @returns {Error}
+ */
+function createSalesforceError (errorCode, message, fields = []) {
+  return Object.assign(new Error(message), { errorCode, fields });
+}
+
+// The SDK reports failed UnitOfWork nodes by message only, without an errorCode
+function createGraphError (errorCode, message) {
+  return new Error(`${errorCode}: ${message}`);
+}
+
+function isCustomName (name) {
+  return /__(c|r|e|mdt)$/i.test(name);
+}
+
+function findKey (object, name) {
+  const lower = name.toLowerCase();
+  return Object.keys(object).find(key => key.toLowerCase() === lower);
+}
+
+// Mirrors how the SDK turns REST API records into QueriedRecords. Like the SDK, it leaves out fields
+// that are null or falsy, such as false and 0.
+function toQueriedRecord (data) {
+  const fields = {};
+  const subQueryResults = {};
+  for (const [key, value] of Object.entries(data)) {
+    if (key === 'attributes' || value == null) {
+      continue;
+    }
+    if (typeof value === 'object' && 'attributes' in value) {
+      fields[key] = toQueriedRecord(value);
+    } else if (typeof value === 'object') {
+      subQueryResults[key] = { done: value.done, totalSize: value.totalSize, records: value.records.map(toQueriedRecord) };
+    } else if (value) {
+      fields[key] = value;
+    }
+  }
+  return {
+    type: data.attributes.type,
+    fields: createCaseInsensitiveMap(fields),
+    subQueryResults: createCaseInsensitiveMap(subQueryResults)
+  };
+}
+
+/**
+ * Creates an in-memory Salesforce org. Contexts created from it expose the dataApi, bulkApi and request
+ * surface of the SDK's ContextImpl, so the services and the worker run against it unchanged.
+ *
+ * Records are validated much like Salesforce does: required fields, unknown fields, references to other
+ * records and the Pricebook and currency of line items are checked, and children are deleted with their parent.
+ * UnitOfWork commits are all-or-nothing. Bulk API ingest jobs move from UploadComplete to InProgress to
+ * JobComplete as they are polled, and are only applied when they complete.
+ *
+ * @param {object} [options]
+ * @param {string} [options.apiVersion] - The API version of contexts and REST URLs.
+ * @param {number} [options.queryBatchSize] - Records per query page, before queryMore is needed.
+ * @param {number} [options.bulkJobPolls] - Number of getInfo calls after which an ingest job completes.
+ * @param {boolean} [options.multiCurrency] - Whether the org has multiple currencies enabled, with the
+ *   CurrencyType and DatedConversionRate objects. Records default to their parent's currency, or USD.
+ * @returns {object} - The fake org.
+ */
+function createFakeOrg ({ apiVersion = '62.0', queryBatchSize = 2000, bulkJobPolls = 2, multiCurrency = false } = {}) {
+  const tables = new Map();
+  const typesByPrefix = new Map(Object.entries(SOBJECTS).map(([type, { prefix }]) => [prefix, type]));
+  const bulkJobs = new Map();
+  const cursors = new Map();
+  const faults = [];
+  const recordRules = [];
+  const bulkJobFailures = [];
+  let sequence = 0;
+  let apiUsage = { max: 100000, remaining: 100000 };
+
+  const org = {
+    id: null,
+    accessToken: 'fake-access-token',
+    apiVersion,
+    domainUrl: 'https://fake-org.my.salesforce.com',
+    user: { id: '005000000000001AAA', username: 'admin@fake-org.example.com' },
+    // Every API call made through a context, e.g. { api: 'dataApi', method: 'query', args: [soql] }
+    calls: [],
+    // Every org.request call, e.g. Apex REST callbacks
+    requests: [],
+    queryBatchSize,
+    bulkJobPolls
+  };
+
+  // --- Storage ---
+
+  function prefixFor (type) {
+    if (SOBJECTS[type]) {
+      return SOBJECTS[type].prefix;
+    }
+    const known = [...typesByPrefix].find(([, knownType]) => knownType === type);
+    if (known) {
+      return known[0];
+    }
+    const prefix = `a${typesByPrefix.size.toString(36).padStart(2, '0')}`;
+    typesByPrefix.set(prefix, type);
+    return prefix;
+  }
+
+  function newId (type) {
+    sequence++;
+    return `${prefixFor(type)}${String(sequence).padStart(12, '0')}AAA`;
+  }
+
+  function resolveType (name) {
+    const type = Object.keys(SOBJECTS).find(known => known.toLowerCase() === name.toLowerCase()) ??
+      [...typesByPrefix.values()].find(known => known.toLowerCase() === name.toLowerCase());
+    if (type && !(SOBJECTS[type]?.multiCurrency && !multiCurrency)) {
+      return type;
+    }
+    if (!type && isCustomName(name)) {
+      return name;
+    }
+    throw createSalesforceError('INVALID_TYPE', `sObject type '${name}' is not supported.`);
+  }
+
+  function table (type) {
+    if (!tables.has(type)) {
+      tables.set(type, new Map());
+    }
+    return tables.get(type);
+  }
+
+  org.getRecord = (id) => {
+    const type = typeof id === 'string' ? typesByPrefix.get(id.slice(0, 3)) : undefined;
+    return type ? tables.get(type)?.get(id) ?? null : null;
+  };
+
+  org.getChildren = (record, relationship) => {
+    const name = findKey(CHILD_RELATIONSHIPS[record.type] || {}, relationship);
+    if (!name) {
+      throw createSalesforceError('INVALID_TYPE', `Didn't understand relationship '${relationship}' in FROM part of query call.`);
+    }
+    const { type, field } = CHILD_RELATIONSHIPS[record.type][name];
+    return [...table(type).values()].filter(child => child.fields[field] === record.fields.Id);
+  };
+
+  function getDerivedField (type, name) {
+    if (type === 'Opportunity' && name.toLowerCase() === 'amount') {
+      return rollUpAmount;
+    }
+    const key = findKey(DERIVED_FIELDS[type] || {}, name);
+    return key ? DERIVED_FIELDS[type][key] : undefined;
+  }
+
+  function getFieldValue (record, name) {
+    const derived = getDerivedField(record.type, name);
+    if (derived) {
+      return derived(org, record);
+    }
+    const key = findKey(record.fields, name);
+    return key ? record.fields[key] ?? null : null;
+  }
+
+  function getParent (record, relationship) {
+    const field = /__r$/i.test(relationship) ? relationship.replace(/__r$/i, '__c') : `${relationship}Id`;
+    return org.getRecord(getFieldValue(record, field));
+  }
+
+  function resolvePath (record, path) {
+    let current = record;
+    for (const relationship of path.slice(0, -1)) {
+      current = getParent(current, relationship);
+      if (!current) {
+        return null;
+      }
+    }
+    return getFieldValue(current, path[path.length - 1]);
+  }
+
+  org.withDerivedFields = (record) => {
+    const fields = { ...record.fields };
+    Object.keys(DERIVED_FIELDS[record.type] || {}).concat(record.type === 'Opportunity' ? ['Amount'] : [])
+      .forEach(name => {
+        fields[name] = getFieldValue(record, name);
+      });
+    return { type: record.type, fields };
+  };
+
+  function snapshot () {
+    return new Map([...tables].map(([type, records]) => [
+      type,
+      new Map([...records].map(([id, record]) => [id, { type: record.type, fields: { ...record.fields } }]))
+    ]));
+  }
+
+  function restore (saved) {
+    tables.clear();
+    saved.forEach((records, type) => tables.set(type, records));
+  }
+
+  // --- Validation and writes ---
+
+  function canonicalField (type, name) {
+    const schema = SOBJECTS[type];
+    return (schema && findKey(Object.fromEntries([...SYSTEM_FIELDS, ...schema.fields].map(field => [field, true])), name)) || name;
+  }
+
+  function isKnownField (type, name) {
+    const schema = SOBJECTS[type];
+    if (!multiCurrency && name.toLowerCase() === 'currencyisocode') {
+      return false;
+    }
+    return !schema || isCustomName(name) || [...SYSTEM_FIELDS, ...schema.fields].some(field => field.toLowerCase() === name.toLowerCase());
+  }
+
+  function isLookupField (type, name) {
+    return Boolean(SOBJECTS[type]) && /^[A-Za-z0-9]+Id$/.test(name) && name !== 'Id';
+  }
+
+  // Returns the Salesforce error for a record that cannot be written, or null
+  function validateRecord (type, fields) {
+    const schema = SOBJECTS[type];
+    for (const name of Object.keys(fields)) {
+      if (!isKnownField(type, name)) {
+        return { errorCode: 'INVALID_FIELD', message: `No such column '${name}' on sobject of type ${type}`, fields: [name] };
+      }
+      if (getDerivedField(type, name) && !(type === 'Opportunity' && name === 'Amount')) {
+        return { errorCode: 'INVALID_FIELD_FOR_INSERT_UPDATE', message: `Unable to create/update fields: ${name}. Please check the security settings of this field and verify that it is read/write for your profile or permission set.`, fields: [name] };
+      }
+    }
+    const missing = (schema?.required || []).filter(name => fields[name] === undefined || fields[name] === null || fields[name] === '');
+    if (missing.length > 0) {
+      return { errorCode: 'REQUIRED_FIELD_MISSING', message: `Required fields are missing: [${missing.join(', ')}]`, fields: missing };
+    }
+    for (const [name, value] of Object.entries(fields)) {
+      if (isLookupField(type, name) && value != null && !org.getRecord(value)) {
+        return { errorCode: 'INVALID_CROSS_REFERENCE_KEY', message: `invalid cross reference id`, fields: [name] };
+      }
+    }
+    // Line items must use an entry of their parent's Pricebook
+    const pricebookParent = { OpportunityLineItem: 'OpportunityId', QuoteLineItem: 'QuoteId' }[type];
+    if (pricebookParent) {
+      const parent = org.getRecord(fields[pricebookParent]);
+      const entry = org.getRecord(fields.PricebookEntryId);
+      if (parent.fields.Pricebook2Id && parent.fields.Pricebook2Id !== entry.fields.Pricebook2Id) {
+        return { errorCode: 'FIELD_INTEGRITY_EXCEPTION', message: `field integrity exception: PricebookEntryId (pricebook entry is in a different pricebook than the one assigned to the ${parent.type.toLowerCase()})`, fields: ['PricebookEntryId'] };
+      }
+      if (multiCurrency && currencyOf(parent.fields) !== currencyOf(entry.fields)) {
+        return { errorCode: 'FIELD_INTEGRITY_EXCEPTION', message: `field integrity exception: PricebookEntryId (pricebook entry currency code does not match ${parent.type.toLowerCase()} currency code)`, fields: ['PricebookEntryId'] };
+      }
+    }
+    for (const rule of recordRules) {
+      if (rule.type === type && rule.predicate(fields)) {
+        return { errorCode: rule.errorCode, message: rule.message, fields: [] };
+      }
+    }
+    return null;
+  }
+
+  function currencyOf (fields) {
+    return fields.CurrencyIsoCode || 'USD';
+  }
+
+  function normalizeFields (type, fields) {
+    return Object.fromEntries(Object.entries(fields)
+      .filter(([, value]) => value !== undefined)
+      .map(([name, value]) => [canonicalField(type, name), value]));
+  }
+
+  function insertRecord (typeName, values) {
+    const type = resolveType(typeName);
+    const fields = normalizeFields(type, values);
+    if ('Id' in fields) {
+      return { error: { errorCode: 'INVALID_FIELD_FOR_INSERT_UPDATE', message: 'Unable to create/update fields: Id.', fields: ['Id'] } };
+    }
+    const error = validateRecord(type, fields);
+    if (error) {
+      return { error };
+    }
+    if (['OpportunityLineItem', 'QuoteLineItem'].includes(type)) {
+      fields.Product2Id ??= org.getRecord(fields.PricebookEntryId).fields.Product2Id;
+      fields.ListPrice ??= org.getRecord(fields.PricebookEntryId).fields.UnitPrice;
+    }
+    if (type === 'OpportunityLineItem') {
+      // An Opportunity takes the Pricebook of its first line item
+      const opportunity = org.getRecord(fields.OpportunityId);
+      opportunity.fields.Pricebook2Id ??= org.getRecord(fields.PricebookEntryId).fields.Pricebook2Id;
+    }
+    if (type === 'Quote') {
+      fields.Status ??= 'Draft';
+    }
+    // Records take the currency of their parent, or the corporate currency
+    const currencyParent = { OpportunityLineItem: 'OpportunityId', Quote: 'OpportunityId', QuoteLineItem: 'QuoteId' }[type];
+    if (multiCurrency && isKnownField(type, 'CurrencyIsoCode') && SOBJECTS[type]) {
+      fields.CurrencyIsoCode ??= currencyParent ? currencyOf(org.getRecord(fields[currencyParent]).fields) : 'USD';
+    }
+    const now = new Date().toISOString();
+    const id = newId(type);
+    table(type).set(id, { type, fields: { Id: id, ...fields, CreatedDate: now, LastModifiedDate: now } });
+    return { id };
+  }
+
+  function updateRecord (typeName, values) {
+    const type = resolveType(typeName);
+    const { Id: id, ...fields } = normalizeFields(type, values);
+    const record = table(type).get(id);
+    if (!record) {
+      return { error: { errorCode: id ? 'ENTITY_IS_DELETED' : 'MISSING_ARGUMENT', message: id ? 'entity is deleted' : 'Id not specified in an update call', fields: [] } };
+    }
+    const error = validateRecord(type, { ...record.fields, ...fields, Id: undefined, CreatedDate: undefined, LastModifiedDate: undefined });
+    if (error) {
+      return { error };
+    }
+    Object.assign(record.fields, fields, { LastModifiedDate: new Date().toISOString() });
+    return { id };
+  }
+
+  function deleteRecord (typeName, id) {
+    const type = resolveType(typeName);
+    const record = table(type).get(id);
+    if (!record) {
+      return { error: { errorCode: 'ENTITY_IS_DELETED', message: 'entity is deleted', fields: [] } };
+    }
+    for (const [relationship, { cascade }] of Object.entries(CHILD_RELATIONSHIPS[type] || {})) {
+      if (cascade) {
+        org.getChildren(record, relationship).forEach(child => deleteRecord(child.type, child.fields.Id));
+      }
+    }
+    table(type).delete(id);
+    return { id };
+  }
+
+  function toError ({ errorCode, message, fields }) {
+    return createSalesforceError(errorCode, message, fields);
+  }
+
+  // --- Queries ---
+
+  function validatePath (type, path) {
+    let current = type;
+    for (const relationship of path.slice(0, -1)) {
+      if (!SOBJECTS[current] || isCustomName(relationship)) {
+        return;
+      }
+      if (!isKnownField(current, `${relationship}Id`)) {
+        throw createSalesforceError('INVALID_FIELD', `Didn't understand relationship '${relationship}' in field path. If you are attempting to use a custom relationship, be sure to append the '__r' after the custom relationship name.`);
+      }
+      current = SOBJECTS[relationship] ? relationship : undefined;
+    }
+    const field = path[path.length - 1];
+    if (current && !isKnownField(current, field) && !getDerivedField(current, field)) {
+      throw createSalesforceError('INVALID_FIELD', `No such column '${field}' on entity '${current}'.`, [field]);
+    }
+  }
+
+  function validateQuery (type, query) {
+    query.fields.forEach(path => validatePath(type, path));
+    query.orderBy.forEach(({ path }) => validatePath(type, path));
+    const visit = (condition) => {
+      if (condition.terms) {
+        condition.terms.forEach(visit);
+      } else if (condition.term) {
+        visit(condition.term);
+      } else {
+        validatePath(type, condition.path);
+      }
+    };
+    if (query.where) {
+      visit(query.where);
+    }
+    query.subqueries.forEach(subquery => {
+      const name = findKey(CHILD_RELATIONSHIPS[type] || {}, subquery.from);
+      if (!name) {
+        throw createSalesforceError('INVALID_TYPE', `Didn't understand relationship '${subquery.from}' in FROM part of query call.`);
+      }
+      validateQuery(CHILD_RELATIONSHIPS[type][name].type, subquery);
+    });
+  }
+
+  function recordUrl (record) {
+    return `/services/data/v${apiVersion}/sobjects/${record.type}/${record.fields.Id}`;
+  }
+
+  function addPath (data, record, path) {
+    if (path.length === 1) {
+      data[canonicalField(record.type, path[0])] = getFieldValue(record, path[0]);
+      return;
+    }
+    const [relationship, ...rest] = path;
+    const parent = getParent(record, relationship);
+    if (!parent) {
+      data[relationship] ??= null;
+      return;
+    }
+    data[relationship] ??= { attributes: { type: parent.type, url: recordUrl(parent) } };
+    addPath(data[relationship], parent, rest);
+  }
+
+  // Shapes a record like the REST API's query response, which the SDK then converts
+  function toRestRecord (record, query) {
+    const data = { attributes: { type: record.type, url: recordUrl(record) } };
+    query.fields.forEach(path => addPath(data, record, path));
+    query.subqueries.forEach(subquery => {
+      const children = selectRecords(org.getChildren(record, subquery.from), subquery, resolvePath);
+      // Like the REST API, a relationship without children is null rather than an empty result
+      data[subquery.from] = children.length === 0
+        ? null
+        : { totalSize: children.length, done: true, records: children.map(child => toRestRecord(child, subquery)) };
+    });
+    return data;
+  }
+
+  function runQuery (soql) {
+    const query = parseQuery(soql);
+    const type = resolveType(query.from);
+    validateQuery(type, query);
+    const selected = selectRecords([...table(type).values()], query, resolvePath);
+    if (query.count) {
+      return { totalSize: selected.length, done: true, records: [] };
+    }
+    return pageResult(selected.map(record => toRestRecord(record, query)), 0);
+  }
+
+  function pageResult (records, offset, cursorId = `01g${String(++sequence).padStart(12, '0')}AAA`) {
+    const end = offset + org.queryBatchSize;
+    const done = end >= records.length;
+    if (!done) {
+      cursors.set(cursorId, records);
+    } else {
+      cursors.delete(cursorId);
+    }
+    return {
+      done,
+      totalSize: records.length,
+      records: records.slice(offset, end).map(toQueriedRecord),
+      nextRecordsUrl: done ? undefined : `/services/data/v${apiVersion}/query/${cursorId}-${end}`
+    };
+  }
+
+  // --- Bulk API ---
+
+  function toJobInfo (job) {
+    return {
+      id: job.id,
+      operation: job.operation,
+      object: job.object,
+      createdById: org.user.id,
+      createdDate: job.createdDate,
+      systemModstamp: job.systemModstamp,
+      state: job.state,
+      externalIdFieldName: job.externalIdFieldName,
+      concurrencyMode: 'Parallel',
+      contentType: 'CSV',
+      apiVersion: Number(apiVersion),
+      jobType: 'V2Ingest',
+      lineEnding: 'LF',
+      columnDelimiter: 'COMMA',
+      numberRecordsProcessed: job.processed,
+      numberRecordsFailed: job.failures.length,
+      retries: 0,
+      totalProcessingTime: 0,
+      ...(job.errorMessage && { errorMessage: job.errorMessage })
+    };
+  }
+
+  // Empty cells are left out, #N/A sets a field to null, as in Bulk API CSV data
+  function rowToFields (row, columns) {
+    const fields = {};
+    columns.forEach(column => {
+      const value = row.get(column);
+      if (value === '#N/A') {
+        fields[column] = null;
+      } else if (value !== undefined && value !== null && value !== '') {
+        fields[column] = value;
+      }
+    });
+    return fields;
+  }
+
+  function applyBulkRow (job, fields) {
+    const { object, operation } = job;
+    if (operation === 'insert') {
+      return { ...insertRecord(object, fields), created: true };
+    }
+    if (operation === 'upsert') {
+      const key = job.externalIdFieldName;
+      const existing = [...table(resolveType(object)).values()].find(record => key !== 'Id' && fields[key] != null && record.fields[key] === fields[key]);
+      const id = key === 'Id' ? fields.Id : existing?.fields.Id;
+      return id ? { ...updateRecord(object, { ...fields, Id: id }), created: false } : { ...insertRecord(object, fields), created: true };
+    }
+    if (operation === 'update') {
+      return { ...updateRecord(object, fields), created: false };
+    }
+    return { ...deleteRecord(object, fields.Id), created: false };
+  }
+
+  function processBulkJob (job) {
+    const failure = bulkJobFailures.findIndex(({ object, operation }) => object === job.object && (!operation || operation === job.operation));
+    if (failure >= 0) {
+      job.state = 'Failed';
+      job.errorMessage = bulkJobFailures.splice(failure, 1)[0].errorMessage;
+      return;
+    }
+    job.rows.forEach(row => {
+      const { id, error, created } = applyBulkRow(job, rowToFields(row, job.columns));
+      const values = Object.fromEntries(job.columns.map(column => [column, String(row.get(column) ?? '')]));
+      if (error) {
+        job.failures.push({ sf__Id: row.get('Id') ?? '', sf__Error: `${error.errorCode}:${error.message}:${error.fields.join(',')} --`, ...values });
+      } else {
+        job.successes.push({ sf__Id: id, sf__Created: String(created), ...values });
+      }
+    });
+    job.processed = job.rows.length;
+    job.state = 'JobComplete';
+  }
+
+  // Bulk API results are CSV, every value is read back as a string
+  function toResultsTable (rows, columns) {
+    return Object.assign(rows.map(row => new Map(columns.map(column => [column, row[column] ?? '']))), { columns });
+  }
+
+  function getBulkJob (jobReference) {
+    const job = bulkJobs.get(jobReference?.id);
+    if (!job) {
+      throw createSalesforceError('NOT_FOUND', `Job ${jobReference?.id} not found`);
+    }
+    return job;
+  }
+
+  // --- Contexts ---
+
+  function takeFault (method) {
+    const fault = faults.find(candidate => candidate.method === method);
+    if (!fault) {
+      return null;
+    }
+    if (--fault.times <= 0) {
+      faults.splice(faults.indexOf(fault), 1);
+    }
+    return fault.error;
+  }
+
+  // Records the call, then fails it like Salesforce would for an expired session or an injected fault
+  async function call (session, api, method, args, run) {
+    org.calls.push({ api, method, args });
+    if (session.accessToken !== org.accessToken) {
+      throw createSalesforceError('INVALID_SESSION_ID', 'Session expired or invalid');
+    }
+    const fault = takeFault(method);
+    if (fault) {
+      throw fault;
+    }
+    return run();
+  }
+
+  function createDataApi (session) {
+    return {
+      query: (soql) => call(session, 'dataApi', 'query', [soql], () => runQuery(soql)),
+      queryMore: (queryResult) => call(session, 'dataApi', 'queryMore', [queryResult], () => {
+        const [, cursorId, offset] = /\/query\/([^/-]+)-(\d+)$/.exec(queryResult.nextRecordsUrl || '') || [];
+        if (!cursorId) {
+          return { done: queryResult.done, totalSize: queryResult.totalSize, records: [], nextRecordsUrl: queryResult.nextRecordsUrl };
+        }
+        if (!cursors.has(cursorId)) {
+          throw createSalesforceError('INVALID_QUERY_LOCATOR', 'invalid query locator');
+        }
+        return pageResult(cursors.get(cursorId), Number(offset), cursorId);
+      }),
+      create: ({ type, fields }) => call(session, 'dataApi', 'create', [{ type, fields }], () => {
+        const { id, error } = insertRecord(type, fields);
+        if (error) {
+          throw toError(error);
+        }
+        return { id };
+      }),
+      update: ({ type, fields }) => call(session, 'dataApi', 'update', [{ type, fields }], () => {
+        const { id: idField, ...rest } = fields;
+        const { id, error } = updateRecord(type, idField !== undefined ? { ...rest, Id: idField } : fields);
+        if (error) {
+          throw toError(error);
+        }
+        return { id };
+      }),
+      delete: (type, id) => call(session, 'dataApi', 'delete', [type, id], () => {
+        const { error } = deleteRecord(type, id);
+        if (error) {
+          throw toError(error);
+        }
+        return { id };
+      }),
+      newUnitOfWork: () => new UnitOfWorkImpl(apiVersion),
+      // Commits like the Composite Graph API: all or nothing, and when a node fails every other node
+      // reports PROCESSING_HALTED, so the SDK rejects with the error of the first node
+      commitUnitOfWork: (unitOfWork) => {
+        if (unitOfWork.subrequests.length === 0) {
+          return Promise.resolve(new Map());
+        }
+        return call(session, 'dataApi', 'commitUnitOfWork', [unitOfWork], () => {
+          const { subrequests } = unitOfWork;
+          if (subrequests.length > MAX_GRAPH_NODES) {
+            throw createGraphError('INVALID_GRAPH', `A graph can have at most ${MAX_GRAPH_NODES} nodes, found ${subrequests.length}`);
+          }
+          const saved = snapshot();
+          const ids = new Map();
+          const results = new Map();
+          let failure;
+          for (const [referenceId, subrequest] of subrequests) {
+            const [, type, id] = /\/sobjects\/([^/]+)(?:\/([^/]+))?$/.exec(subrequest.buildUri(apiVersion));
+            const body = Object.fromEntries(Object.entries(subrequest.body || {}).map(([name, value]) => {
+              const reference = /^@\{(.+)\.id\}$/.exec(value);
+              return [name, reference ? ids.get(reference[1]) : value];
+            }));
+            const outcome = subrequest.httpMethod === 'POST'
+              ? insertRecord(type, body)
+              : subrequest.httpMethod === 'PATCH' ? updateRecord(type, { ...body, Id: id }) : deleteRecord(type, id);
+            if (outcome.error) {
+              failure = { index: results.size, error: outcome.error };
+              break;
+            }
+            ids.set(referenceId.toString(), outcome.id);
+            results.set(referenceId, { id: outcome.id });
+          }
+          if (failure) {
+            restore(saved);
+            throw failure.index === 0
+              ? createGraphError(failure.error.errorCode, failure.error.message)
+              : createGraphError('PROCESSING_HALTED', 'The transaction was rolled back since another operation in the same transaction failed.');
+          }
+          return results;
+        });
+      }
+    };
+  }
+
+  function createOrgBulkApi (session) {
+    // The DataTable helpers are synchronous and make no API calls, the SDK's own are used
+    const { createDataTableBuilder, splitDataTable, formatDate, formatDateTime, formatNullValue } =
+      createBulkApi({ instanceUrl: org.domainUrl, version: apiVersion, accessToken: session.accessToken });
+    return {
+      // Upload failures are reported in the result rather than rejected, as the SDK does
+      ingest: ({ object, operation, dataTable, externalIdFieldName }) => call(session, 'bulkApi', 'ingest', [{ object, operation, dataTable }], () => {
+        if (!BULK_OPERATIONS.includes(operation)) {
+          return [{ unprocessedRecords: dataTable, error: createSalesforceError('INVALIDJOB', `Invalid operation: ${operation}`) }];
+        }
+        const now = new Date().toISOString();
+        const job = {
+          id: `750${String(++sequence).padStart(12, '0')}AAA`,
+          object: resolveType(object),
+          operation,
+          externalIdFieldName: operation === 'upsert' ? externalIdFieldName || 'Id' : undefined,
+          columns: [...dataTable.columns],
+          rows: dataTable.map(row => new Map(row)),
+          state: 'UploadComplete',
+          polls: 0,
+          processed: 0,
+          successes: [],
+          failures: [],
+          createdDate: now,
+          systemModstamp: now
+        };
+        bulkJobs.set(job.id, job);
+        return [{ id: job.id, type: 'ingestJob' }];
+      }).catch(error => [{ unprocessedRecords: dataTable, error }]),
+      getInfo: (jobReference) => call(session, 'bulkApi', 'getInfo', [jobReference], () => {
+        const job = getBulkJob(jobReference);
+        if (!BULK_FINAL_STATES.includes(job.state)) {
+          job.polls++;
+          if (job.polls >= org.bulkJobPolls) {
+            processBulkJob(job);
+          } else {
+            job.state = 'InProgress';
+          }
+          job.systemModstamp = new Date().toISOString();
+        }
+        return toJobInfo(job);
+      }),
+      abort: (jobReference) => call(session, 'bulkApi', 'abort', [jobReference], () => {
+        const job = getBulkJob(jobReference);
+        if (BULK_FINAL_STATES.includes(job.state)) {
+          throw createSalesforceError('INVALIDJOBSTATE', `Aborting already ${job.state === 'Aborted' ? 'Aborted' : 'Completed'} Job not allowed`);
+        }
+        job.state = 'Aborted';
+      }),
+      delete: (jobReference) => call(session, 'bulkApi', 'delete', [jobReference], () => {
+        getBulkJob(jobReference);
+        bulkJobs.delete(jobReference.id);
+      }),
+      getSuccessfulResults: (jobReference) => call(session, 'bulkApi', 'getSuccessfulResults', [jobReference], () => {
+        const job = getBulkJob(jobReference);
+        return toResultsTable(job.successes, ['sf__Id', 'sf__Created', ...job.columns]);
+      }),
+      getFailedResults: (jobReference) => call(session, 'bulkApi', 'getFailedResults', [jobReference], () => {
+        const job = getBulkJob(jobReference);
+        return toResultsTable(job.failures, ['sf__Id', 'sf__Error', ...job.columns]);
+      }),
+      getUnprocessedRecords: (jobReference) => call(session, 'bulkApi', 'getUnprocessedRecords', [jobReference], () => {
+        const job = getBulkJob(jobReference);
+        const rows = job.state === 'Aborted' ? job.rows.map(row => Object.fromEntries(row)) : [];
+        return toResultsTable(rows, job.columns);
+      }),
+      createDataTableBuilder,
+      splitDataTable,
+      formatDate,
+      formatDateTime,
+      formatNullValue
+    };
+  }
+
+  // Answers the REST resources the services call directly: the limits resource and Apex REST callbacks
+  function createRequest (session) {
+    return (url, opts = {}) => call(session, 'rest', 'request', [url, opts], () => {
+      const path = url.replace(org.domainUrl, '').replace(/^\/+/, '');
+      org.requests.push({ path, method: opts.method || 'GET', body: opts.body });
+      if (new RegExp(`^services/data/v${apiVersion}/limits/?$`).test(path)) {
+        return { DailyApiRequests: { Max: apiUsage.max, Remaining: apiUsage.remaining } };
+      }
+      if (path.startsWith('services/apexrest/')) {
+        return {};
+      }
+      throw Object.assign(createSalesforceError('NOT_FOUND', `The requested resource does not exist: ${path}`), { statusCode: 404 });
+    });
+  }
+
+  /**
+   * Creates a Salesforce context for the org, like the worker creates a ContextImpl for a job.
+   * Calls made with an access token other than the org's current one fail with INVALID_SESSION_ID.
+   * @param {object} [context] - The Salesforce context a job was queued with.
+   * @param {string} [id] - The context ID.
+   * @returns {object} - The context, with a fresh org object the worker may instrument.
+   */
+  org.createContext = (context = {}, id = 'fake-request') => {
+    const session = { accessToken: context.org?.accessToken ?? org.accessToken };
+    return {
+      id: context.requestId || id,
+      org: {
+        id: org.id,
+        accessToken: session.accessToken,
+        apiVersion,
+        domainUrl: org.domainUrl,
+        namespace: '',
+        user: { ...org.user },
+        dataApi: createDataApi(session),
+        bulkApi: createOrgBulkApi(session),
+        request: createRequest(session)
+      }
+    };
+  };
+
+  /**
+   * Builds the x-client-context header the AppLink service mesh sends with requests from the org.
+   * @param {object} [overrides] - Fields to replace, e.g. a different accessToken.
+   * @returns {string} - The base64 encoded header value.
+   */
+  org.clientContextHeader = (overrides = {}) => Buffer.from(JSON.stringify({
+    accessToken: org.accessToken,
+    apiVersion,
+    requestId: `fake-${Date.now()}`,
+    namespace: '',
+    orgId: org.id,
+    orgDomainUrl: org.domainUrl,
+    userContext: { userId: org.user.id, username: org.user.username },
+    ...overrides
+  })).toString('base64');
+
+  // --- Test data and fault injection ---
+
+  /**
+   * Inserts a record directly, validated like API inserts but without recording a call.
+   * @param {string} type - The sObject type.
+   * @param {object} fields - The record's fields.
+   * @returns {string} - The new record's ID.
+   */
+  org.insert = (type, fields) => {
+    const { id, error } = insertRecord(type, fields);
+    if (error) {
+      throw toError(error);
+    }
+    return id;
+  };
+
+  /**
+   * Deletes a record directly, along with the children deleted with it, without recording a call.
+   * @param {string} type - The sObject type.
+   * @param {string} id - The record ID.
+   */
+  org.delete = (type, id) => {
+    const { error } = deleteRecord(type, id);
+    if (error) {
+      throw toError(error);
+    }
+  };
+
+  /**
+   * Lists records of a type, with their formula and roll-up fields.
+   * @param {string} type - The sObject type.
+   * @param {function(object): boolean} [predicate] - Filters on the record's fields.
+   * @returns {Array<object>} - Copies of the records' fields.
+   */
+  org.find = (type, predicate = () => true) => [...table(resolveType(type)).values()]
+    .map(record => org.withDerivedFields(record).fields)
+    .filter(predicate);
+
+  /**
+   * Makes the next calls of an API method reject, e.g. failNext('commitUnitOfWork', createSalesforceError('UNABLE_TO_LOCK_ROW', '...')).
+   * Failed Bulk API ingest calls are reported in their result, as the SDK does.
+   * @param {string} method - The dataApi or bulkApi method name, or 'request'.
+   * @param {Error} error - The error to reject with.
+   * @param {object} [options]
+   * @param {number} [options.times] - How many calls fail.
+   */
+  org.failNext = (method, error, { times = 1 } = {}) => {
+    faults.push({ method, error, times });
+  };
+
+  /**
+   * Rejects inserts and updates of matching records, like a validation rule. Applies to every API.
+   * @param {string} type - The sObject type.
+   * @param {function(object): boolean} predicate - Receives the record's fields.
+   * @param {object} [error]
+   * @param {string} [error.errorCode] - Defaults to FIELD_CUSTOM_VALIDATION_EXCEPTION.
+   * @param {string} [error.message]
+   * @returns {function(): void} - Removes the rule.
+   */
+  org.rejectRecords = (type, predicate, { errorCode = 'FIELD_CUSTOM_VALIDATION_EXCEPTION', message = 'Rejected by a validation rule' } = {}) => {
+    const rule = { type, predicate, errorCode, message };
+    recordRules.push(rule);
+    return () => recordRules.splice(recordRules.indexOf(rule), 1);
+  };
+
+  /**
+   * Makes the next Bulk API ingest job for an object end in the Failed state, without processing its records.
+   * @param {string} object - The sObject type.
+   * @param {string} [operation] - Only fail jobs with this operation.
+   * @param {string} [errorMessage]
+   */
+  org.failNextBulkJob = (object, operation, errorMessage = 'InvalidBatch : Failed to process query') => {
+    bulkJobFailures.push({ object, operation, errorMessage });
+  };
+
+  /**
+   * Sets the daily API request usage reported by the limits resource.
+   * @param {{max: number, remaining: number}} usage
+   */
+  org.setApiUsage = ({ max, remaining }) => {
+    apiUsage = { max, remaining };
+  };
+
+  /**
+   * Issues a new access token, the contexts of jobs queued before then fail with INVALID_SESSION_ID.
+   */
+  org.expireSession = () => {
+    org.accessToken = `fake-access-token-${++sequence}`;
+  };
+
+  /**
+   * Returns the state of a Bulk API ingest job.
+   * @param {string} jobId - The ingest job ID.
+   * @returns {object} - The job info, as getInfo returns it.
+   */
+  org.getBulkJob = (jobId) => toJobInfo(getBulkJob({ id: jobId }));
+
+  org.id = org.insert('Organization', { Name: 'Fake Org' });
+  return org;
+}
+
+export {
+  SOBJECTS,
+  createFakeOrg,
+  createSalesforceError
+};
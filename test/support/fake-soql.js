@@ -0,0 +1,402 @@
+'use strict';
+
+// The part of SOQL the services use, evaluated by the fake org: field lists with parent relationship
+// paths, COUNT(), child relationship subqueries, WHERE, ORDER BY, LIMIT and OFFSET
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const COMPARISON_OPERATORS = ['=', '!=', '<>', '<', '<=', '>', '>='];
+
+function soqlError (message) {
+  return Object.assign(new Error(`MALFORMED_QUERY: ${message}`), { errorCode: 'MALFORMED_QUERY' });
+}
+
+function tokenize (soql) {
+  const tokens = [];
+  let position = 0;
+  while (position < soql.length) {
+    const rest = soql.slice(position);
+    let match;
+    if ((match = rest.match(/^\s+/))) {
+      position += match[0].length;
+      continue;
+    }
+    if (rest[0] === "'") {
+      match = rest.match(/^'((?:[^'\\]|\\.)*)'/);
+      if (!match) {
+        throw soqlError(`unterminated string at position ${position}`);
+      }
+      tokens.push({ type: 'string', value: match[1].replace(/\\(.)/g, '$1') });
+    } else if ((match = rest.match(/^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}:\d{2}(\.\d{1,3})?(Z|[+-]\d{2}:\d{2}))?/))) {
+      tokens.push({ type: 'date', value: match[0] });
+    } else if ((match = rest.match(/^-?\d+(\.\d+)?/))) {
+      tokens.push({ type: 'number', value: Number(match[0]) });
+    } else if ((match = rest.match(/^[A-Za-z_][A-Za-z0-9_]*(\.[A-Za-z_][A-Za-z0-9_]*)*(:\d+)?/))) {
+      tokens.push({ type: 'word', value: match[0], upper: match[0].toUpperCase() });
+    } else if ((match = rest.match(/^(!=|<>|<=|>=|[=<>(),])/))) {
+      tokens.push({ type: 'symbol', value: match[0] });
+    } else {
+      throw soqlError(`unexpected character '${rest[0]}' at position ${position}`);
+    }
+    position += match[0].length;
+  }
+  return tokens;
+}
+
+function createParser (tokens) {
+  let index = 0;
+  const parser = {
+    peek: (offset = 0) => tokens[index + offset],
+    next: () => tokens[index++],
+    isKeyword: (keyword, offset = 0) => tokens[index + offset]?.upper === keyword,
+    isSymbol: (symbol) => tokens[index]?.type === 'symbol' && tokens[index].value === symbol,
+    acceptKeyword (keyword) {
+      if (parser.isKeyword(keyword)) {
+        index++;
+        return true;
+      }
+      return false;
+    },
+    expectKeyword (keyword) {
+      if (!parser.acceptKeyword(keyword)) {
+        throw soqlError(`expected ${keyword} but found '${tokens[index]?.value ?? 'end of query'}'`);
+      }
+    },
+    expectSymbol (symbol) {
+      if (!parser.isSymbol(symbol)) {
+        throw soqlError(`expected '${symbol}' but found '${tokens[index]?.value ?? 'end of query'}'`);
+      }
+      index++;
+    },
+    expectWord () {
+      const token = tokens[index++];
+      if (token?.type !== 'word') {
+        throw soqlError(`expected a field or object name but found '${token?.value ?? 'end of query'}'`);
+      }
+      return token.value;
+    },
+    atEnd: () => index >= tokens.length
+  };
+  return parser;
+}
+
+function parseSelect (parser) {
+  parser.expectKeyword('SELECT');
+  const query = { fields: [], subqueries: [], count: false, orderBy: [] };
+  do {
+    if (parser.isSymbol('(')) {
+      parser.next();
+      query.subqueries.push(parseSelect(parser));
+      parser.expectSymbol(')');
+    } else if (parser.isKeyword('COUNT') && parser.peek(1)?.value === '(') {
+      parser.next();
+      parser.expectSymbol('(');
+      parser.expectSymbol(')');
+      query.count = true;
+    } else {
+      query.fields.push(parser.expectWord().split('.'));
+    }
+  } while (parser.isSymbol(',') && parser.next());
+  parser.expectKeyword('FROM');
+  query.from = parser.expectWord();
+  if (parser.acceptKeyword('WHERE')) {
+    query.where = parseOr(parser);
+  }
+  if (parser.acceptKeyword('ORDER')) {
+    parser.expectKeyword('BY');
+    do {
+      const order = { path: parser.expectWord().split('.'), descending: false };
+      if (parser.acceptKeyword('DESC')) {
+        order.descending = true;
+      } else {
+        parser.acceptKeyword('ASC');
+      }
+      // Nulls sort first in ascending and last in descending order, unless the query says otherwise
+      order.nullsLast = order.descending;
+      if (parser.acceptKeyword('NULLS')) {
+        order.nullsLast = parser.acceptKeyword('LAST');
+        if (!order.nullsLast) {
+          parser.expectKeyword('FIRST');
+        }
+      }
+      query.orderBy.push(order);
+    } while (parser.isSymbol(',') && parser.next());
+  }
+  if (parser.acceptKeyword('LIMIT')) {
+    query.limit = parseInteger(parser);
+  }
+  if (parser.acceptKeyword('OFFSET')) {
+    query.offset = parseInteger(parser);
+  }
+  return query;
+}
+
+function parseInteger (parser) {
+  const token = parser.next();
+  if (token?.type !== 'number' || !Number.isInteger(token.value) || token.value < 0) {
+    throw soqlError(`expected a positive integer but found '${token?.value ?? 'end of query'}'`);
+  }
+  return token.value;
+}
+
+function parseOr (parser) {
+  const terms = [parseAnd(parser)];
+  while (parser.acceptKeyword('OR')) {
+    terms.push(parseAnd(parser));
+  }
+  return terms.length === 1 ? terms[0] : { kind: 'or', terms };
+}
+
+function parseAnd (parser) {
+  const terms = [parseNot(parser)];
+  while (parser.acceptKeyword('AND')) {
+    terms.push(parseNot(parser));
+  }
+  return terms.length === 1 ? terms[0] : { kind: 'and', terms };
+}
+
+function parseNot (parser) {
+  if (parser.acceptKeyword('NOT')) {
+    return { kind: 'not', term: parseNot(parser) };
+  }
+  if (parser.isSymbol('(')) {
+    parser.next();
+    const condition = parseOr(parser);
+    parser.expectSymbol(')');
+    return condition;
+  }
+  return parseCondition(parser);
+}
+
+function parseCondition (parser) {
+  const path = parser.expectWord().split('.');
+  const token = parser.peek();
+  if (token?.type === 'symbol' && COMPARISON_OPERATORS.includes(token.value)) {
+    parser.next();
+    return { kind: 'compare', path, operator: token.value === '<>' ? '!=' : token.value, value: parseValue(parser) };
+  }
+  if (parser.acceptKeyword('LIKE')) {
+    const pattern = parser.next();
+    if (pattern?.type !== 'string') {
+      throw soqlError('LIKE expects a string');
+    }
+    return { kind: 'like', path, pattern: likeToRegExp(pattern.value) };
+  }
+  const negated = parser.acceptKeyword('NOT');
+  for (const operator of ['IN', 'INCLUDES', 'EXCLUDES']) {
+    if (parser.acceptKeyword(operator) && (operator === 'IN' || !negated)) {
+      parser.expectSymbol('(');
+      const values = [];
+      do {
+        values.push(parseValue(parser));
+      } while (parser.isSymbol(',') && parser.next());
+      parser.expectSymbol(')');
+      return { kind: operator === 'IN' ? 'in' : operator.toLowerCase(), path, values, negated };
+    }
+  }
+  throw soqlError(`unexpected '${parser.peek()?.value ?? 'end of query'}' after ${path.join('.')}`);
+}
+
+function parseValue (parser) {
+  const token = parser.next();
+  if (!token || token.type === 'symbol') {
+    throw soqlError(`expected a value but found '${token?.value ?? 'end of query'}'`);
+  }
+  if (token.type === 'string' || token.type === 'number') {
+    return { value: token.value };
+  }
+  if (token.type === 'date') {
+    return { value: token.value, time: Date.parse(token.value) };
+  }
+  if (token.upper === 'NULL') {
+    return { value: null };
+  }
+  if (token.upper === 'TRUE' || token.upper === 'FALSE') {
+    return { value: token.upper === 'TRUE' };
+  }
+  return { range: resolveDateLiteral(token.upper) };
+}
+
+function likeToRegExp (pattern) {
+  const source = pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/%/g, '.*').replace(/_/g, '.');
+  return new RegExp(`^${source}$`, 'is');
+}
+
+// Relative date literals become a [start, end) range of UTC times
+function resolveDateLiteral (literal, now = new Date()) {
+  const today = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+  const month = (offset) => [
+    Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + offset, 1),
+    Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + offset + 1, 1)
+  ];
+  const year = (offset) => [Date.UTC(now.getUTCFullYear() + offset, 0, 1), Date.UTC(now.getUTCFullYear() + offset + 1, 0, 1)];
+  const [name, days] = literal.split(':');
+  const n = Number(days);
+  const ranges = {
+    TODAY: () => [today, today + DAY_MS],
+    YESTERDAY: () => [today - DAY_MS, today],
+    TOMORROW: () => [today + DAY_MS, today + 2 * DAY_MS],
+    LAST_N_DAYS: () => [today - n * DAY_MS, today + DAY_MS],
+    NEXT_N_DAYS: () => [today + DAY_MS, today + (n + 1) * DAY_MS],
+    LAST_MONTH: () => month(-1),
+    THIS_MONTH: () => month(0),
+    NEXT_MONTH: () => month(1),
+    LAST_YEAR: () => year(-1),
+    THIS_YEAR: () => year(0),
+    NEXT_YEAR: () => year(1)
+  };
+  if (!ranges[name] || (name.includes('_N_') ? !Number.isInteger(n) : days !== undefined)) {
+    throw soqlError(`the fake org does not support the date literal ${literal}`);
+  }
+  return ranges[name]();
+}
+
+// --- Evaluation ---
+
+function toTime (value) {
+  return typeof value === 'number' ? value : Date.parse(value);
+}
+
+// Returns a negative, zero or positive number, like a sort comparator, or NaN when the values do not compare
+function compareToLiteral (actual, literal) {
+  if (literal.time !== undefined) {
+    return toTime(actual) - literal.time;
+  }
+  const expected = literal.value;
+  if (typeof expected === 'number') {
+    return Number(actual) - expected;
+  }
+  if (typeof expected === 'boolean') {
+    return String(actual).toLowerCase() === String(expected) ? 0 : NaN;
+  }
+  // Text comparisons ignore case, as in Salesforce
+  const [a, b] = [String(actual).toLowerCase(), String(expected).toLowerCase()];
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+function matchesComparison (actual, operator, literal) {
+  if (literal.range) {
+    if (actual == null) {
+      return operator === '!=';
+    }
+    const time = toTime(actual);
+    const [start, end] = literal.range;
+    return {
+      '=': time >= start && time < end,
+      '!=': time < start || time >= end,
+      '<': time < start,
+      '<=': time < end,
+      '>': time >= end,
+      '>=': time >= start
+    }[operator];
+  }
+  if (literal.value === null) {
+    return operator === '=' ? actual == null : operator === '!=' ? actual != null : false;
+  }
+  if (actual == null) {
+    return operator === '!=';
+  }
+  const comparison = compareToLiteral(actual, literal);
+  return {
+    '=': comparison === 0,
+    '!=': comparison !== 0,
+    '<': comparison < 0,
+    '<=': comparison <= 0,
+    '>': comparison > 0,
+    '>=': comparison >= 0
+  }[operator];
+}
+
+/**
+ * Evaluates a WHERE condition against a record.
+ * @param {object} condition - A parsed condition.
+ * @param {object} record - The record.
+ * @param {function(object, Array<string>): *} getValue - Resolves a field path on a record.
+ * @returns {boolean}
+ */
+function matches (condition, record, getValue) {
+  switch (condition.kind) {
+    case 'and':
+      return condition.terms.every(term => matches(term, record, getValue));
+    case 'or':
+      return condition.terms.some(term => matches(term, record, getValue));
+    case 'not':
+      return !matches(condition.term, record, getValue);
+    case 'compare':
+      return matchesComparison(getValue(record, condition.path), condition.operator, condition.value);
+    case 'like': {
+      const actual = getValue(record, condition.path);
+      return actual != null && condition.pattern.test(String(actual));
+    }
+    case 'in': {
+      const actual = getValue(record, condition.path);
+      const found = condition.values.some(literal => matchesComparison(actual, '=', literal));
+      return condition.negated ? !found : found;
+    }
+    default: {
+      // INCLUDES and EXCLUDES compare the values of a multi-select picklist, each literal may require several
+      const selected = String(getValue(record, condition.path) ?? '').toLowerCase().split(';');
+      const found = condition.values.some(({ value }) => String(value).toLowerCase().split(';').every(v => selected.includes(v)));
+      return condition.kind === 'includes' ? found : !found;
+    }
+  }
+}
+
+function compareForSort (a, b) {
+  if (typeof a === 'number' && typeof b === 'number') {
+    return a - b;
+  }
+  const [x, y] = [String(a).toLowerCase(), String(b).toLowerCase()];
+  return x < y ? -1 : x > y ? 1 : 0;
+}
+
+/**
+ * Filters, sorts and limits records as a query's WHERE, ORDER BY, LIMIT and OFFSET clauses do.
+ * @param {Array<object>} records - The records of the queried object.
+ * @param {object} query - The parsed query.
+ * @param {function(object, Array<string>): *} getValue - Resolves a field path on a record.
+ * @returns {Array<object>}
+ */
+function selectRecords (records, query, getValue) {
+  let selected = query.where ? records.filter(record => matches(query.where, record, getValue)) : [...records];
+  if (query.orderBy.length > 0) {
+    selected.sort((a, b) => {
+      for (const { path, descending, nullsLast } of query.orderBy) {
+        const [x, y] = [getValue(a, path), getValue(b, path)];
+        if (x == null || y == null) {
+          if (x == null && y == null) {
+            continue;
+          }
+          return (x == null) === nullsLast ? 1 : -1;
+        }
+        const comparison = compareForSort(x, y);
+        if (comparison !== 0) {
+          return descending ? -comparison : comparison;
+        }
+      }
+      return 0;
+    });
+  }
+  selected = selected.slice(query.offset || 0);
+  return query.limit === undefined ? selected : selected.slice(0, query.limit);
+}
+
+/**
+ * Parses a SOQL query.
+ * @param {string} soql - The query.
+ * @returns {object} - The parsed query.
+ * @throws {Error} - MALFORMED_QUERY when the query is not understood.
+ */
+function parseQuery (soql) {
+  const parser = createParser(tokenize(String(soql)));
+  const query = parseSelect(parser);
+  if (!parser.atEnd()) {
+    throw soqlError(`unexpected '${parser.peek().value}' after the query`);
+  }
+  return query;
+}
+
+export {
+  parseQuery,
+  selectRecords,
+  resolveDateLiteral
+};
@@ -0,0 +1,96 @@
+'use strict';
+
+// Products of the standard Pricebook, priced per unit
+const PRODUCTS = [
+  { Name: 'Widget', ProductCode: 'W-100', UnitPrice: 100 },
+  { Name: 'Gadget', ProductCode: 'G-200', UnitPrice: 250 },
+  { Name: 'Support Plan', ProductCode: 'S-300', UnitPrice: 1000 }
+];
+
+/**
+ * Creates the standard Pricebook with an active entry for each product.
+ * @param {object} org - The fake org.
+ * @returns {{pricebookId: string, entries: Array<{id: string, productId: string, name: string, unitPrice: number}>}}
+ */
+function seedCatalog (org) {
+  const pricebookId = org.insert('Pricebook2', { Name: 'Standard Price Book', IsStandard: true, IsActive: true });
+  const entries = PRODUCTS.map(({ Name, ProductCode, UnitPrice }) => {
+    const productId = org.insert('Product2', { Name, ProductCode, IsActive: true });
+    const id = org.insert('PricebookEntry', { Pricebook2Id: pricebookId, Product2Id: productId, UnitPrice, IsActive: true });
+    return { id, productId, name: Name, unitPrice: UnitPrice };
+  });
+  return { pricebookId, entries };
+}
+
+/**
+ * Creates another Pricebook, or entries in another currency, for some of the catalog's products.
+ * The result can be passed to seedOpportunity like a catalog.
+ * @param {object} org - The fake org.
+ * @param {object} catalog - The catalog returned by seedCatalog.
+ * @param {object} options
+ * @param {Object<string, number>} options.prices - Unit prices by product name, products left out get no entry.
+ * @param {string} [options.name] - Name of a new Pricebook, defaults to adding entries to the catalog's own.
+ * @param {string} [options.currencyIsoCode] - Currency of the entries, in multi-currency orgs.
+ * @returns {{pricebookId: string, entries: Array<{id: string, productId: string, name: string, unitPrice: number}>}}
+ */
+function seedPricebook (org, catalog, { prices, name, currencyIsoCode }) {
+  const pricebookId = name ? org.insert('Pricebook2', { Name: name, IsActive: true }) : catalog.pricebookId;
+  const entries = catalog.entries.filter(entry => entry.name in prices).map(({ productId, name: productName }) => {
+    const unitPrice = prices[productName];
+    const id = org.insert('PricebookEntry', { Pricebook2Id: pricebookId, Product2Id: productId, UnitPrice: unitPrice, IsActive: true, CurrencyIsoCode: currencyIsoCode });
+    return { id, productId, name: productName, unitPrice };
+  });
+  return { pricebookId, entries };
+}
+
+/**
+ * Creates an Account with an Opportunity, and a line item per entry of the catalog.
+ * @param {object} org - The fake org.
+ * @param {object} catalog - The catalog returned by seedCatalog.
+ * @param {object} options
+ * @param {string} options.name - The Opportunity name, the Account is named after it.
+ * @param {string} [options.billingCountry] - The Account's billing country, which the pricing rules discount by.
+ * @param {number} [options.quantity] - Quantity of every line item.
+ * @param {object} [options.fields] - Additional Opportunity fields.
+ * @returns {{accountId: string, opportunityId: string}}
+ */
+function seedOpportunity (org, catalog, { name, billingCountry, quantity = 1, fields = {} }) {
+  const accountId = org.insert('Account', { Name: `${name} Account`, BillingCountry: billingCountry });
+  const opportunityId = org.insert('Opportunity', {
+    Name: name,
+    AccountId: accountId,
+    StageName: 'Prospecting',
+    CloseDate: '2030-01-15',
+    ...fields
+  });
+  catalog.entries.forEach(entry => org.insert('OpportunityLineItem', {
+    OpportunityId: opportunityId,
+    PricebookEntryId: entry.id,
+    Quantity: quantity,
+    UnitPrice: entry.unitPrice
+  }));
+  return { accountId, opportunityId };
+}
+
+/**
+ * Creates the catalog and one Opportunity per billing country.
+ * @param {object} org - The fake org.
+ * @param {Array<string>} [billingCountries]
+ * @returns {{catalog: object, opportunities: Map<string, {accountId: string, opportunityId: string}>}} - Opportunities by billing country.
+ */
+function seedSalesData (org, billingCountries = ['US', 'DE', 'JP', 'BR']) {
+  const catalog = seedCatalog(org);
+  const opportunities = new Map(billingCountries.map(billingCountry => [
+    billingCountry,
+    seedOpportunity(org, catalog, { name: `Deal ${billingCountry}`, billingCountry })
+  ]));
+  return { catalog, opportunities };
+}
+
+export {
+  PRODUCTS,
+  seedCatalog,
+  seedPricebook,
+  seedOpportunity,
+  seedSalesData
+};